@@ -0,0 +1,50 @@
+// ============================================================
+// example-yeti.js - Example mod: a hazard, a runner and an event listener
+//   load it with ?mod=mods/example-yeti.js, or list it in mods/index.json
+// ============================================================
+
+export default {
+  id: 'example-yeti',
+  name: 'Yeti Country',
+
+  setup(api) {
+    // Stuns unless jumped; appears from spawner difficulty 2 on
+    api.registerObstacle({
+      type: 'yeti_footprint',
+      name: 'Yeti Footprint',
+      hint: 'JUMP',
+      w: 40,
+      h: 18,
+      canJump: true,
+      stunDuration: 900,
+      color: '#b2bec3',
+      hit: { stun: true },
+      patterns: [{ difficulty: 2 }, { lanes: [1, 3], difficulty: 3 }],
+      draw(ctx, obs, cx, cy) {
+        ctx.fillStyle = obs.color;
+        ctx.beginPath();
+        ctx.ellipse(cx, cy - obs.h / 2, obs.w / 2, obs.h / 2, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#636e72';
+        for (let i = -1; i <= 1; i++) {
+          ctx.beginPath();
+          ctx.arc(cx + i * 10, cy - obs.h, 4, 0, Math.PI * 2);
+          ctx.fill();
+        }
+      },
+    });
+
+    api.registerCharacter({
+      id: 'yeti',
+      name: 'The Yeti',
+      perk: '-40% stun duration',
+      tradeoff: '-10% base speed',
+      color: '#dfe6e9',
+      scarfColor: '#0984e3',
+      hatType: 'hood',
+      stats: { speedMult: 0.9, stunMult: 0.6 },
+    });
+
+    api.on('levelComplete', (e) => api.log(`level done at tick ${e.tick} with ${e.score} points`));
+  },
+};
@@ -0,0 +1,108 @@
+// ============================================================
+// balance.js - Bot survival survey for tuning levels and spawns
+//   node src/debug/balance.js [runs=50] [skill=0.6]
+// ============================================================
+
+import { runLevel } from '../sim/headless.js';
+import { Bot } from '../sim/Bot.js';
+import { LEVEL_LENGTHS } from '../sim/World.js';
+import { campaignLevel } from '../sim/Levels.js';
+import { CHARACTERS } from '../entities/Player.js';
+import { obstacleDefs } from '../entities/Obstacle.js';
+import { SeededRNG, deriveSeed } from '../utils.js';
+
+const runs = parseInt(process.argv[2], 10) || 50;
+const skill = parseFloat(process.argv[3]) || 0.6;
+const levels = LEVEL_LENGTHS.length;
+
+const pct = (n, d) => `${d > 0 ? Math.round((n / d) * 100) : 0}%`.padStart(5);
+
+// cells[level - 1][charIdx] = { runs, survived, progress, hits, outcomes }
+const cells = [];
+// obstacle type -> { met, clean, stuns } over every run; met counts those
+// that got past the player in their lane
+const byObstacle = Object.fromEntries(obstacleDefs().map(def => [def.type, { met: 0, clean: 0, stuns: 0 }]));
+const start = performance.now();
+
+for (let level = 1; level <= levels; level++) {
+  const row = [];
+  for (let charIdx = 0; charIdx < CHARACTERS.length; charIdx++) {
+    const cell = { runs: 0, survived: 0, progress: 0, hits: 0, outcomes: {} };
+    for (let i = 0; i < runs; i++) {
+      // Every character faces the same seeds, so columns compare fairly
+      const seed = deriveSeed(level * 100003 + i, 'balance');
+      const bot = new Bot({ skill, rng: new SeededRNG(deriveSeed(seed, 'bot')) });
+      const result = runLevel({ seed, level, charIdx, bot });
+      cell.runs++;
+      if (result.outcome === 'complete') cell.survived++;
+      cell.progress += Math.min(1, result.distance / result.length);
+      cell.hits += result.hits;
+      cell.outcomes[result.outcome] = (cell.outcomes[result.outcome] || 0) + 1;
+      for (const e of result.events) {
+        const stats = byObstacle[e.obstacle];
+        if (!stats) continue;
+        if (e.type === 'stun') stats.stuns++;
+        if (e.type === 'pass') {
+          stats.met++;
+          if (!e.hit) stats.clean++;
+        }
+      }
+    }
+    row.push(cell);
+  }
+  cells.push(row);
+}
+
+const secs = (performance.now() - start) / 1000;
+const total = (list) => list.reduce((acc, c) => {
+  acc.runs += c.runs;
+  acc.survived += c.survived;
+  acc.progress += c.progress;
+  acc.hits += c.hits;
+  for (const k in c.outcomes) acc.outcomes[k] = (acc.outcomes[k] || 0) + c.outcomes[k];
+  return acc;
+}, { runs: 0, survived: 0, progress: 0, hits: 0, outcomes: {} });
+
+console.log(`Bot skill ${skill}, ${runs} runs per level per character (${secs.toFixed(1)}s)\n`);
+
+// Survival rate per level and character
+const names = CHARACTERS.map(c => c.name.replace('The ', '').padStart(9));
+console.log(`Level  Length ${names.join('')}      All  Reached  Hits  Lost to`);
+cells.forEach((row, i) => {
+  // Authored levels are marked with their name and length
+  const authored = campaignLevel(i + 1);
+  const all = total(row);
+  const lost = Object.entries(all.outcomes)
+    .filter(([k]) => k !== 'complete')
+    .map(([k, n]) => `${k} ${n}`)
+    .join(', ');
+  console.log(
+    `${String(i + 1).padStart(5)} ${String(authored ? authored.length : LEVEL_LENGTHS[i]).padStart(6)}m` +
+    row.map(c => pct(c.survived, c.runs).padStart(9)).join('') +
+    pct(all.survived, all.runs).padStart(9) +
+    pct(all.progress, all.runs).padStart(9) +
+    (all.hits / all.runs).toFixed(1).padStart(6) +
+    `  ${lost || '-'}` +
+    (authored ? `  (${authored.name})` : '')
+  );
+});
+
+// Survival rate per character across all levels
+console.log('');
+CHARACTERS.forEach((c, idx) => {
+  const all = total(cells.map(row => row[idx]));
+  console.log(`${c.name.padEnd(14)} ${pct(all.survived, all.runs)} survived, ${(all.hits / all.runs).toFixed(1)} hits/run`);
+});
+
+// How each obstacle type treats the bot, so a new or retuned one can be
+// compared with the rest
+console.log('');
+const totalRuns = runs * levels * CHARACTERS.length;
+console.log(`${'Obstacle'.padEnd(18)}   Met  Clean  Stuns/100 runs`);
+for (const def of obstacleDefs()) {
+  const o = byObstacle[def.type];
+  console.log(
+    `${def.name.padEnd(18)}${String(o.met).padStart(6)}${pct(o.clean, o.met).padStart(7)}` +
+    `${((o.stuns / totalRuns) * 100).toFixed(1).padStart(16)}`
+  );
+}
@@ -0,0 +1,43 @@
+// ============================================================
+// determinism.js - Same seed + same inputs must give the same run
+// ============================================================
+
+import { runLevel } from '../sim/headless.js';
+import { ScriptedInput } from '../input.js';
+import { SeededRNG } from '../utils.js';
+
+const SCRIPT_CODES = ['KeyA', 'KeyD', 'Space', 'ShiftLeft', 'TouchLeft', 'TouchRight'];
+
+/** Reproducible pseudo-random press script: [tick, code][] */
+export function makeInputScript(seed, ticks, pressEvery = 20) {
+  const rng = new SeededRNG(seed);
+  const presses = [];
+  for (let t = rng.nextInt(0, pressEvery); t < ticks; t += rng.nextInt(1, pressEvery)) {
+    presses.push([t, rng.choice(SCRIPT_CODES)]);
+  }
+  return presses;
+}
+
+/** Simulate one level without rendering and return its event log */
+export function simulateLevel({ seed, level = 1, charIdx = 0, presses = [], maxTicks = 60 * 90 }) {
+  const input = new ScriptedInput(presses);
+  return runLevel({ seed, level, charIdx, input, maxTicks }).events;
+}
+
+/**
+ * Run the same level twice and compare the event logs entry by entry.
+ * Returns { ok, events } or { ok: false, index, a, b } at the first mismatch.
+ */
+export function checkDeterminism({ seed = 12345, level = 3, charIdx = 0, maxTicks = 60 * 90 } = {}) {
+  const presses = makeInputScript(seed, maxTicks);
+  const a = simulateLevel({ seed, level, charIdx, presses, maxTicks });
+  const b = simulateLevel({ seed, level, charIdx, presses, maxTicks });
+
+  const len = Math.max(a.length, b.length);
+  for (let i = 0; i < len; i++) {
+    if (JSON.stringify(a[i]) !== JSON.stringify(b[i])) {
+      return { ok: false, index: i, a: a[i], b: b[i] };
+    }
+  }
+  return { ok: true, events: a.length };
+}
@@ -0,0 +1,30 @@
+// ============================================================
+// simulate.js - Headless batch runner for Node
+//   node src/debug/simulate.js [runs=1000] [level=1]
+// ============================================================
+
+import { runLevel } from '../sim/headless.js';
+import { ScriptedInput } from '../input.js';
+import { CHARACTERS } from '../entities/Player.js';
+import { makeInputScript } from './determinism.js';
+
+const runs = parseInt(process.argv[2], 10) || 1000;
+const level = parseInt(process.argv[3], 10) || 1;
+const MAX_TICKS = 60 * 60 * 5;
+
+const outcomes = {};
+let ticks = 0;
+const start = performance.now();
+
+for (let i = 0; i < runs; i++) {
+  const seed = 1000 + i;
+  const input = new ScriptedInput(makeInputScript(seed, MAX_TICKS));
+  const result = runLevel({ seed, level, charIdx: i % CHARACTERS.length, input, maxTicks: MAX_TICKS });
+  outcomes[result.outcome] = (outcomes[result.outcome] || 0) + 1;
+  ticks += result.ticks;
+}
+
+const secs = (performance.now() - start) / 1000;
+console.log(`Level ${level}: ${runs} runs, ${ticks} ticks in ${secs.toFixed(2)}s`);
+console.log(`${Math.round(runs / secs)} levels/s, ${Math.round(ticks / secs)} ticks/s`);
+console.log('Outcomes:', outcomes);
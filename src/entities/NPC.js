@@ -2,7 +2,7 @@
 // NPC.js - Runner NPCs that can be snatched by the owl
 // ============================================================
 
-import { lerp } from '../utils.js';
+import { lerp, SeededRNG } from '../utils.js';
 
 const NPC_COLORS = [
   { body: '#e67e22', scarf: '#c0392b' },
@@ -12,27 +12,31 @@ const NPC_COLORS = [
 ];
 
 export class NPC {
-  constructor(x, y, speed, lanePositions) {
+  /** lane: where it starts running; a random lane if null */
+  constructor(x, y, speed, lanePositions, rng, lane = null) {
+    this.rng = rng || new SeededRNG(Date.now());
     this.x = x;
     this.y = y;
-    this.speed = speed * (0.8 + Math.random() * 0.4);
+    this.speed = speed * (0.8 + this.rng.next() * 0.4);
     this.lanePositions = lanePositions;
     this.w = 22;
     this.h = 38;
-    this.lane = Math.floor(Math.random() * 5);
+    this.lane = lane === null ? this.rng.nextInt(0, 4) : lane;
     this.targetLane = this.lane;
     this.x = lanePositions[this.lane];
+    this.prevX = this.x; // previous tick (render interpolation)
+    this.prevY = y;
     this.active = true;
     this.snatched = false;
     this.snatchTimer = 0;
     this.snatchDuration = 800;
     this.snatchY = 0;
     this.rescued = false;
-    const c = NPC_COLORS[Math.floor(Math.random() * NPC_COLORS.length)];
+    const c = this.rng.choice(NPC_COLORS);
     this.color = c.body;
     this.scarfColor = c.scarf;
-    this.laneChangeTimer = 1000 + Math.random() * 2000;
-    this.animPhase = Math.random() * Math.PI * 2;
+    this.laneChangeTimer = 1000 + this.rng.next() * 2000;
+    this.animPhase = this.rng.next() * Math.PI * 2;
   }
 
   update(dt) {
@@ -50,8 +54,8 @@ export class NPC {
     // Random lane changes
     this.laneChangeTimer -= dtMs;
     if (this.laneChangeTimer <= 0) {
-      this.laneChangeTimer = 1500 + Math.random() * 2500;
-      const dir = Math.random() < 0.5 ? -1 : 1;
+      this.laneChangeTimer = 1500 + this.rng.next() * 2500;
+      const dir = this.rng.next() < 0.5 ? -1 : 1;
       this.targetLane = Math.max(0, Math.min(4, this.targetLane + dir));
     }
 
@@ -63,13 +67,26 @@ export class NPC {
     // Note: y position is managed externally by game scroll system
   }
 
-  snatch(audio) {
+  /** Remember current position as the previous tick's (render interpolation) */
+  snapshot() {
+    this.prevX = this.x;
+    this.prevY = this.y;
+  }
+
+  /** Plain-data copy for a suspended run; the shared rng is saved by the World */
+  serialize() {
+    const { rng, lanePositions, ...state } = this;
+    return structuredClone(state);
+  }
+
+  static deserialize(data, lanePositions, rng) {
+    return Object.assign(Object.create(NPC.prototype), structuredClone(data), { lanePositions, rng });
+  }
+
+  snatch() {
     if (this.snatched) return;
     this.snatched = true;
     this.snatchTimer = 0;
-    if (audio) {
-      audio.playNPCScream();
-    }
   }
 
   getHitbox() {
@@ -81,11 +98,11 @@ export class NPC {
     };
   }
 
-  draw(ctx) {
+  draw(ctx, alpha = 1) {
     if (!this.active) return;
 
-    const cx = this.x;
-    const cy = this.y + this.snatchY;
+    const cx = lerp(this.prevX, this.x, alpha);
+    const cy = lerp(this.prevY, this.y, alpha) + this.snatchY;
 
     ctx.save();
     if (this.snatched) {
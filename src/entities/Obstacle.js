@@ -1,137 +1,115 @@
 // ============================================================
-// Obstacle.js - 7 distinct obstacle types
+// Obstacle.js - Obstacles and the registry of obstacle types
 // ============================================================
 
-import { aabbCollide } from '../utils.js';
+import { aabbCollide, lerp, SeededRNG } from '../utils.js';
+import { OBSTACLE_DEFS } from './ObstacleTypes.js';
+
+export { OBSTACLE_TYPES } from './ObstacleTypes.js';
+
+// Stun from a snowball thrown by an obstacle
+const PROJECTILE_STUN = 600;
+
+// Pattern difficulty -> the spawner difficulty it starts appearing at
+const PATTERN_UNLOCK = [0, 0, 2, 4];
+
+const registry = new Map(); // type -> definition, in registration order
+
+/**
+ * Add an obstacle type. def:
+ *   type, name, hint        id (stored in saves), display name, how-to-play tip (optional)
+ *   w, h, color             hitbox size and accent colour
+ *   canJump, stunDuration   jumping clears it; stun length in ms
+ *   hit                     response on contact: { stun, slowSteering, slowSpeed, chopable }
+ *   decoyChance             share spawned as harmless decoys (optional)
+ *   speedMult               scroll speed multiplier (optional)
+ *   patterns                [{ lanes, gap, difficulty }]; no lanes = one random
+ *                           lane, difficulty 0-3 (PATTERN_UNLOCK)
+ *   init(obs), update(obs, dt, playerY), onHit(obs)   hooks (optional)
+ *   draw(ctx, obs, cx, cy)  cy is the bottom edge
+ * Returns a function that removes it again. Throws if the type is taken
+ * or the definition is incomplete.
+ */
+export function registerObstacle(def) {
+  if (!def || typeof def.type !== 'string' || !def.type) throw new Error('Obstacle definition needs a type');
+  if (registry.has(def.type)) throw new Error(`Obstacle type '${def.type}' is already registered`);
+  for (const field of ['w', 'h', 'stunDuration']) {
+    if (typeof def[field] !== 'number') throw new Error(`Obstacle '${def.type}' needs a numeric ${field}`);
+  }
+  if (typeof def.name !== 'string' || typeof def.draw !== 'function' || !def.hit) {
+    throw new Error(`Obstacle '${def.type}' needs a name, hit and draw`);
+  }
+  if (!Array.isArray(def.patterns) || !def.patterns.every(p => PATTERN_UNLOCK[p.difficulty] !== undefined)) {
+    throw new Error(`Obstacle '${def.type}' needs patterns with a difficulty of 0-3`);
+  }
+  registry.set(def.type, def);
+  return () => registry.delete(def.type);
+}
+
+/** The definition of a registered type, or null */
+export function getObstacleDef(type) {
+  return registry.get(type) || null;
+}
+
+/** Every registered definition, built-ins first */
+export function obstacleDefs() {
+  return [...registry.values()];
+}
 
-export const OBSTACLE_TYPES = {
-  LOG: 'log',
-  SNOWMAN: 'snowman',
-  TREE: 'tree',
-  SNOWBALL: 'snowball',
-  ICE_PATCH: 'ice_patch',
-  THIN_ICE: 'thin_ice',
-  SNOWDRIFT: 'snowdrift',
-  BRANCH: 'branch',
-};
+/** Spawn patterns available at a spawner difficulty: [{ type, lanes, gap, difficulty }] */
+export function obstaclePatterns(difficulty) {
+  const patterns = [];
+  for (const def of registry.values()) {
+    for (const p of def.patterns) {
+      if (difficulty >= PATTERN_UNLOCK[p.difficulty]) patterns.push({ type: def.type, ...p });
+    }
+  }
+  return patterns;
+}
+
+for (const def of OBSTACLE_DEFS) registerObstacle(def);
 
 export class Obstacle {
-  constructor(type, lane, x, y, speed) {
+  constructor(type, lane, x, y, speed, rng) {
+    const def = getObstacleDef(type);
+    if (!def) throw new Error(`Unknown obstacle type: ${type}`);
     this.type = type;
+    this.rng = rng || new SeededRNG(Date.now());
     this.lane = lane;
     this.x = x;
     this.y = y;
+    this.prevY = y; // previous tick (render interpolation)
     this.speed = speed;
     this.active = true;
 
-    // Projectile snowballs from snowmen
+    this.w = def.w;
+    this.h = def.h;
+    this.canJump = !!def.canJump;
+    this.stunDuration = def.stunDuration;
+    this.color = def.color;
+    if (def.speedMult) this.speed *= def.speedMult;
+    this.decoy = def.decoyChance ? this.rng.next() >= 1 - def.decoyChance : false;
+
+    // Snowballs thrown at the player (see fireProjectile)
     this.projectiles = [];
     this.projectileTimer = 0;
 
-    // Ice/thin ice state
-    this.cracked = false;
-    this.crackTimer = 0;
+    // How it went by the player (the World's 'pass' event)
+    this.hitPlayer = false;
+    this.jumpedOver = false;
+    this.passed = false;
 
-    // Configure per type
-    this._configure();
+    if (def.init) def.init(this);
   }
 
-  _configure() {
-    switch (this.type) {
-      case OBSTACLE_TYPES.LOG:
-        this.w = 56;
-        this.h = 20;
-        this.canJump = true;
-        this.stunDuration = 1000;
-        this.color = '#8B6914';
-        break;
-      case OBSTACLE_TYPES.SNOWMAN:
-        this.w = 30;
-        this.h = 52;
-        this.canJump = false;
-        this.stunDuration = 1200;
-        this.color = '#d5e8f0';
-        this.isEvil = Math.random() < 0.6; // 40% are benign decoys
-        this.projectileCooldown = 2500 + Math.random() * 1500;
-        break;
-      case OBSTACLE_TYPES.TREE:
-        this.w = 34;
-        this.h = 80;
-        this.canJump = false;
-        this.stunDuration = 800;
-        this.color = '#2d5a1b';
-        this.chopable = true;
-        break;
-      case OBSTACLE_TYPES.SNOWBALL:
-        this.w = 44;
-        this.h = 44;
-        this.canJump = true;
-        this.stunDuration = 1400;
-        this.color = '#c8e6f5';
-        this.speed *= 1.6; // Faster
-        break;
-      case OBSTACLE_TYPES.ICE_PATCH:
-        this.w = 80;
-        this.h = 24;
-        this.canJump = false;
-        this.stunDuration = 0;
-        this.color = '#a8d8ea';
-        this.isHazard = false; // Doesn't stun, just slows steering
-        break;
-      case OBSTACLE_TYPES.THIN_ICE:
-        this.w = 60;
-        this.h = 20;
-        this.canJump = false;
-        this.stunDuration = 500;
-        this.color = '#cce8f4';
-        this.triggered = false;
-        this.crackAnimTimer = 0;
-        break;
-      case OBSTACLE_TYPES.SNOWDRIFT:
-        this.w = 90;
-        this.h = 32;
-        this.canJump = true; // Can jump over
-        this.stunDuration = 0;
-        this.color = '#e8f4fb';
-        this.isHazard = false;
-        break;
-      case OBSTACLE_TYPES.BRANCH:
-        this.w = 60;
-        this.h = 14;
-        this.canJump = true; // Jump timing hazard
-        this.stunDuration = 700;
-        this.color = '#5a3a1a';
-        break;
-    }
+  get def() {
+    return getObstacleDef(this.type);
   }
 
+  /** Run the type's behaviour and move thrown snowballs; the World scrolls y */
   update(dt, playerY) {
-    // Position is managed by game scroll system (y += scrollAmt each frame)
-    // This method handles internal state only
-    this.updateProjectiles(dt, playerY);
-    if (this.type === OBSTACLE_TYPES.THIN_ICE && this.triggered) {
-      this.crackAnimTimer += dt * 1000;
-    }
-  }
-
-  updateProjectiles(dt, playerY) {
-    // Snowman projectile shooting - fire downward toward player
-    if (this.type === OBSTACLE_TYPES.SNOWMAN && this.isEvil) {
-      this.projectileTimer += dt * 1000;
-      if (this.projectileTimer >= this.projectileCooldown && this.y < playerY - 20 && this.y > -50) {
-        this.projectileTimer = 0;
-        this.projectiles.push({
-          x: this.x,
-          y: this.y,
-          vy: this.speed * 2.5, // Move DOWN toward player
-          vx: (Math.random() - 0.5) * 80,
-          w: 10,
-          h: 10,
-          active: true
-        });
-      }
-    }
-    // Update projectiles (they also move down)
+    const def = this.def;
+    if (def.update) def.update(this, dt, playerY);
     for (const p of this.projectiles) {
       p.x += p.vx * dt;
       p.y += p.vy * dt;
@@ -140,31 +118,52 @@ export class Obstacle {
     this.projectiles = this.projectiles.filter(p => p.active);
   }
 
-  /** Returns hit result: null | { stun, chopable, slowSteering, slowSpeed } */
+  /** Throw a snowball from the obstacle at (vx, vy) px/s */
+  fireProjectile(vy, vx) {
+    this.projectiles.push({
+      x: this.x,
+      y: this.y,
+      prevX: this.x,
+      prevY: this.y,
+      vy,
+      vx,
+      w: 10,
+      h: 10,
+      active: true
+    });
+  }
+
+  /** Remember current positions as the previous tick's (render interpolation) */
+  snapshot() {
+    this.prevY = this.y;
+    for (const p of this.projectiles) {
+      p.prevX = p.x;
+      p.prevY = p.y;
+    }
+  }
+
+  /** Plain-data copy for a suspended run; the shared rng is saved by the World */
+  serialize() {
+    const { rng, ...state } = this;
+    return structuredClone(state);
+  }
+
+  static deserialize(data, rng) {
+    if (!getObstacleDef(data.type)) throw new Error(`Unknown obstacle type: ${data.type}`);
+    return Object.assign(Object.create(Obstacle.prototype), structuredClone(data), { rng });
+  }
+
+  /** Returns hit result: null | { stun, stunDur, chopable, slowSteering, slowSpeed } */
   checkCollision(playerHitbox, playerJumping) {
     const ohb = this.getHitbox();
 
     if (!aabbCollide(playerHitbox, ohb)) return null;
     if (playerJumping && this.canJump) return null;
+    if (this.decoy) return null;
 
-    switch (this.type) {
-      case OBSTACLE_TYPES.ICE_PATCH:
-        return { stun: false, slowSteering: true };
-      case OBSTACLE_TYPES.SNOWDRIFT:
-        return { stun: false, slowSpeed: true };
-      case OBSTACLE_TYPES.THIN_ICE:
-        if (!this.triggered) {
-          this.triggered = true;
-        }
-        return { stun: true, stunDur: this.stunDuration, slowSpeed: true };
-      case OBSTACLE_TYPES.SNOWMAN:
-        if (!this.isEvil) return null;
-        return { stun: true, stunDur: this.stunDuration };
-      case OBSTACLE_TYPES.TREE:
-        return { stun: true, stunDur: this.stunDuration, chopable: true };
-      default:
-        return { stun: true, stunDur: this.stunDuration };
-    }
+    const def = this.def;
+    if (def.onHit) def.onHit(this);
+    return { stun: false, ...def.hit, stunDur: this.stunDuration };
   }
 
   checkProjectileCollisions(playerHitbox) {
@@ -173,7 +172,7 @@ export class Obstacle {
       const phb = { x: p.x - 5, y: p.y - 5, w: 10, h: 10 };
       if (aabbCollide(playerHitbox, phb)) {
         p.active = false;
-        return { stun: true, stunDur: 600 };
+        return { stun: true, stunDur: PROJECTILE_STUN };
       }
     }
     return null;
@@ -192,271 +191,21 @@ export class Obstacle {
     return this.y > 900 || this.y < -200;
   }
 
-  draw(ctx) {
+  draw(ctx, alpha = 1) {
     const cx = this.x;
-    const cy = this.y;
+    const cy = lerp(this.prevY, this.y, alpha);
 
-    switch (this.type) {
-      case OBSTACLE_TYPES.LOG:
-        this._drawLog(ctx, cx, cy);
-        break;
-      case OBSTACLE_TYPES.SNOWMAN:
-        this._drawSnowman(ctx, cx, cy);
-        break;
-      case OBSTACLE_TYPES.TREE:
-        this._drawTree(ctx, cx, cy);
-        break;
-      case OBSTACLE_TYPES.SNOWBALL:
-        this._drawSnowball(ctx, cx, cy);
-        break;
-      case OBSTACLE_TYPES.ICE_PATCH:
-        this._drawIcePatch(ctx, cx, cy);
-        break;
-      case OBSTACLE_TYPES.THIN_ICE:
-        this._drawThinIce(ctx, cx, cy);
-        break;
-      case OBSTACLE_TYPES.SNOWDRIFT:
-        this._drawSnowdrift(ctx, cx, cy);
-        break;
-      case OBSTACLE_TYPES.BRANCH:
-        this._drawBranch(ctx, cx, cy);
-        break;
-    }
+    this.def.draw(ctx, this, cx, cy);
 
     // Draw projectiles
     for (const p of this.projectiles) {
       ctx.fillStyle = '#d4e8f5';
       ctx.beginPath();
-      ctx.arc(p.x, p.y, 6, 0, Math.PI * 2);
+      ctx.arc(lerp(p.prevX, p.x, alpha), lerp(p.prevY, p.y, alpha), 6, 0, Math.PI * 2);
       ctx.fill();
       ctx.strokeStyle = '#aaccdd';
       ctx.lineWidth = 1;
       ctx.stroke();
     }
   }
-
-  _drawLog(ctx, cx, cy) {
-    // Log body
-    ctx.fillStyle = '#8B6914';
-    ctx.beginPath();
-    ctx.roundRect(cx - this.w / 2, cy - this.h, this.w, this.h, 8);
-    ctx.fill();
-    // Wood grain
-    ctx.strokeStyle = '#6b4a10';
-    ctx.lineWidth = 1.5;
-    for (let i = 1; i < 4; i++) {
-      ctx.beginPath();
-      ctx.moveTo(cx - this.w / 2 + 5, cy - this.h + (this.h / 4) * i);
-      ctx.lineTo(cx + this.w / 2 - 5, cy - this.h + (this.h / 4) * i);
-      ctx.stroke();
-    }
-    // End rings
-    ctx.fillStyle = '#a07820';
-    ctx.beginPath();
-    ctx.ellipse(cx - this.w / 2 + 8, cy - this.h / 2, 8, 10, 0, 0, Math.PI * 2);
-    ctx.fill();
-    // Snow on top
-    ctx.fillStyle = '#e8f4fb';
-    ctx.beginPath();
-    ctx.ellipse(cx, cy - this.h + 4, this.w / 2 - 5, 5, 0, 0, Math.PI * 2);
-    ctx.fill();
-  }
-
-  _drawSnowman(ctx, cx, cy) {
-    const evil = this.isEvil;
-    // Bottom ball
-    ctx.fillStyle = '#d5e8f0';
-    ctx.beginPath();
-    ctx.arc(cx, cy - 16, 16, 0, Math.PI * 2);
-    ctx.fill();
-    // Middle ball
-    ctx.beginPath();
-    ctx.arc(cx, cy - 36, 12, 0, Math.PI * 2);
-    ctx.fill();
-    // Head
-    ctx.beginPath();
-    ctx.arc(cx, cy - 52, 10, 0, Math.PI * 2);
-    ctx.fill();
-    // Eyes - evil has red eyes, benign has black
-    ctx.fillStyle = evil ? '#cc3333' : '#333';
-    ctx.beginPath();
-    ctx.arc(cx - 4, cy - 55, 2, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.beginPath();
-    ctx.arc(cx + 4, cy - 55, 2, 0, Math.PI * 2);
-    ctx.fill();
-    // Evil glow
-    if (evil) {
-      ctx.save();
-      ctx.globalAlpha = 0.3 + Math.sin(Date.now() * 0.003) * 0.1;
-      ctx.fillStyle = '#ff4444';
-      ctx.beginPath();
-      ctx.arc(cx, cy - 30, 22, 0, Math.PI * 2);
-      ctx.fill();
-      ctx.restore();
-    } else {
-      // Benign - subtle warm glow
-      ctx.save();
-      ctx.globalAlpha = 0.15;
-      ctx.fillStyle = '#44aaff';
-      ctx.beginPath();
-      ctx.arc(cx, cy - 30, 20, 0, Math.PI * 2);
-      ctx.fill();
-      ctx.restore();
-    }
-    // Hat
-    ctx.fillStyle = '#2c3e50';
-    ctx.fillRect(cx - 9, cy - 64, 18, 4);
-    ctx.fillRect(cx - 7, cy - 74, 14, 12);
-    // Carrot nose
-    ctx.fillStyle = '#e67e22';
-    ctx.beginPath();
-    ctx.moveTo(cx, cy - 53);
-    ctx.lineTo(cx + 8, cy - 51);
-    ctx.lineTo(cx, cy - 49);
-    ctx.fill();
-    // Buttons
-    ctx.fillStyle = '#555';
-    [cy - 38, cy - 30, cy - 22].forEach(by => {
-      ctx.beginPath();
-      ctx.arc(cx, by, 2, 0, Math.PI * 2);
-      ctx.fill();
-    });
-  }
-
-  _drawTree(ctx, cx, cy) {
-    const h = this.h;
-    // Trunk
-    ctx.fillStyle = '#5a3a1a';
-    ctx.fillRect(cx - 6, cy - 28, 12, 28);
-    // Three tiers of pine
-    const tiers = [
-      { w: 34, h: 30, y: cy - 60 },
-      { w: 28, h: 26, y: cy - 80 },
-      { w: 20, h: 22, y: cy - 96 },
-    ];
-    tiers.forEach(t => {
-      ctx.fillStyle = '#2d5a1b';
-      ctx.beginPath();
-      ctx.moveTo(cx, t.y - t.h);
-      ctx.lineTo(cx - t.w / 2, t.y);
-      ctx.lineTo(cx + t.w / 2, t.y);
-      ctx.closePath();
-      ctx.fill();
-      // Snow on branches
-      ctx.fillStyle = 'rgba(232,244,251,0.8)';
-      ctx.beginPath();
-      ctx.moveTo(cx - t.w / 4, t.y - 4);
-      ctx.lineTo(cx - t.w / 2 + 2, t.y - 2);
-      ctx.lineTo(cx - t.w / 6, t.y - 8);
-      ctx.fill();
-    });
-  }
-
-  _drawSnowball(ctx, cx, cy) {
-    const r = this.w / 2;
-    // Shadow
-    ctx.fillStyle = 'rgba(0,0,0,0.15)';
-    ctx.beginPath();
-    ctx.ellipse(cx, cy + 4, r * 0.8, r * 0.3, 0, 0, Math.PI * 2);
-    ctx.fill();
-    // Main ball
-    const grad = ctx.createRadialGradient(cx - r * 0.3, cy - r * 0.3, 0, cx, cy, r);
-    grad.addColorStop(0, '#f0f8ff');
-    grad.addColorStop(0.6, '#c8e6f5');
-    grad.addColorStop(1, '#a0c8e0');
-    ctx.fillStyle = grad;
-    ctx.beginPath();
-    ctx.arc(cx, cy - r, r, 0, Math.PI * 2);
-    ctx.fill();
-    // Speed lines
-    ctx.strokeStyle = 'rgba(200,230,245,0.5)';
-    ctx.lineWidth = 2;
-    for (let i = 0; i < 3; i++) {
-      const len = 20 + i * 10;
-      ctx.beginPath();
-      ctx.moveTo(cx + r, cy - r - 4 + i * 6);
-      ctx.lineTo(cx + r + len, cy - r - 4 + i * 6);
-      ctx.stroke();
-    }
-  }
-
-  _drawIcePatch(ctx, cx, cy) {
-    ctx.save();
-    ctx.globalAlpha = 0.65;
-    const grad = ctx.createLinearGradient(cx - this.w / 2, cy - this.h, cx + this.w / 2, cy);
-    grad.addColorStop(0, '#a8d8ea');
-    grad.addColorStop(0.5, '#c8ecf8');
-    grad.addColorStop(1, '#a8d8ea');
-    ctx.fillStyle = grad;
-    ctx.beginPath();
-    ctx.ellipse(cx, cy - this.h / 2, this.w / 2, this.h / 2, 0, 0, Math.PI * 2);
-    ctx.fill();
-    // Glint
-    ctx.fillStyle = 'rgba(255,255,255,0.8)';
-    ctx.beginPath();
-    ctx.ellipse(cx - this.w * 0.15, cy - this.h * 0.8, this.w * 0.1, this.h * 0.15, -0.4, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.restore();
-  }
-
-  _drawThinIce(ctx, cx, cy) {
-    ctx.save();
-    ctx.globalAlpha = this.triggered ? 0.5 : 0.7;
-    ctx.fillStyle = this.triggered ? '#88bbdd' : '#cce8f4';
-    ctx.beginPath();
-    ctx.roundRect(cx - this.w / 2, cy - this.h, this.w, this.h, 4);
-    ctx.fill();
-
-    if (this.triggered) {
-      // Crack lines
-      ctx.strokeStyle = 'rgba(100,150,200,0.8)';
-      ctx.lineWidth = 1;
-      ctx.beginPath();
-      ctx.moveTo(cx, cy - this.h);
-      ctx.lineTo(cx - 10, cy - this.h / 2);
-      ctx.lineTo(cx + 5, cy);
-      ctx.stroke();
-      ctx.beginPath();
-      ctx.moveTo(cx, cy - this.h);
-      ctx.lineTo(cx + 12, cy - this.h * 0.6);
-      ctx.stroke();
-    }
-    ctx.restore();
-  }
-
-  _drawSnowdrift(ctx, cx, cy) {
-    ctx.save();
-    ctx.globalAlpha = 0.85;
-    const grad = ctx.createRadialGradient(cx, cy - 8, 0, cx, cy - 8, this.w / 2);
-    grad.addColorStop(0, '#f5fbff');
-    grad.addColorStop(1, '#d0e8f4');
-    ctx.fillStyle = grad;
-    ctx.beginPath();
-    ctx.ellipse(cx, cy - 8, this.w / 2, this.h / 2, 0, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.restore();
-  }
-
-  _drawBranch(ctx, cx, cy) {
-    ctx.fillStyle = '#5a3a1a';
-    ctx.beginPath();
-    ctx.roundRect(cx - this.w / 2, cy - this.h, this.w, this.h, 3);
-    ctx.fill();
-    // Pine needles
-    ctx.fillStyle = '#2d5a1b';
-    for (let i = 0; i < 6; i++) {
-      const nx = cx - this.w / 2 + 8 + i * 8;
-      ctx.beginPath();
-      ctx.moveTo(nx, cy - this.h);
-      ctx.lineTo(nx - 4, cy - this.h - 10);
-      ctx.lineTo(nx + 4, cy - this.h - 10);
-      ctx.fill();
-    }
-    // Snow
-    ctx.fillStyle = 'rgba(232,244,251,0.7)';
-    ctx.beginPath();
-    ctx.roundRect(cx - this.w / 2 + 4, cy - this.h - 5, this.w - 8, 5, 2);
-    ctx.fill();
-  }
 }
@@ -0,0 +1,378 @@
+// ============================================================
+// ObstacleTypes.js - The built-in obstacle definitions
+// ============================================================
+
+export const OBSTACLE_TYPES = {
+  LOG: 'log',
+  SNOWMAN: 'snowman',
+  TREE: 'tree',
+  SNOWBALL: 'snowball',
+  ICE_PATCH: 'ice_patch',
+  THIN_ICE: 'thin_ice',
+  SNOWDRIFT: 'snowdrift',
+  BRANCH: 'branch',
+};
+
+/**
+ * One entry per obstacle type, registered in this order (see
+ * registerObstacle in Obstacle.js for every field). type is stored in
+ * saves and replays - never rename one.
+ */
+export const OBSTACLE_DEFS = [
+  {
+    type: OBSTACLE_TYPES.LOG,
+    name: 'Fallen Log',
+    hint: 'JUMP',
+    w: 56,
+    h: 20,
+    canJump: true,
+    stunDuration: 1000,
+    color: '#8B6914',
+    hit: { stun: true },
+    patterns: [
+      { difficulty: 0 },
+      { lanes: [0, 1, 2], difficulty: 1 },
+      { lanes: [2, 3, 4], difficulty: 1 },
+      { lanes: [1, 2, 3], difficulty: 2 },
+      { lanes: [0, 1, 2, 3], gap: [4], difficulty: 3 },
+    ],
+    draw(ctx, obs, cx, cy) {
+      // Log body
+      ctx.fillStyle = '#8B6914';
+      ctx.beginPath();
+      ctx.roundRect(cx - obs.w / 2, cy - obs.h, obs.w, obs.h, 8);
+      ctx.fill();
+      // Wood grain
+      ctx.strokeStyle = '#6b4a10';
+      ctx.lineWidth = 1.5;
+      for (let i = 1; i < 4; i++) {
+        ctx.beginPath();
+        ctx.moveTo(cx - obs.w / 2 + 5, cy - obs.h + (obs.h / 4) * i);
+        ctx.lineTo(cx + obs.w / 2 - 5, cy - obs.h + (obs.h / 4) * i);
+        ctx.stroke();
+      }
+      // End rings
+      ctx.fillStyle = '#a07820';
+      ctx.beginPath();
+      ctx.ellipse(cx - obs.w / 2 + 8, cy - obs.h / 2, 8, 10, 0, 0, Math.PI * 2);
+      ctx.fill();
+      // Snow on top
+      ctx.fillStyle = '#e8f4fb';
+      ctx.beginPath();
+      ctx.ellipse(cx, cy - obs.h + 4, obs.w / 2 - 5, 5, 0, 0, Math.PI * 2);
+      ctx.fill();
+    },
+  },
+
+  {
+    type: OBSTACLE_TYPES.SNOWMAN,
+    name: 'Evil Snowman',
+    hint: 'dodge (blue glow = decoy)',
+    w: 30,
+    h: 52,
+    canJump: false,
+    stunDuration: 1200,
+    color: '#d5e8f0',
+    hit: { stun: true },
+    decoyChance: 0.4,
+    patterns: [
+      { difficulty: 0 },
+      { lanes: [0, 2, 4], gap: [1, 3], difficulty: 1 },
+      { lanes: [0, 1, 3, 4], gap: [2], difficulty: 2 },
+      { lanes: [0, 1, 2, 4], gap: [3], difficulty: 3 },
+    ],
+    init(obs) {
+      obs.projectileCooldown = 2500 + obs.rng.next() * 1500;
+    },
+    update(obs, dt, playerY) {
+      // Evil ones throw snowballs down at the player
+      if (obs.decoy) return;
+      obs.projectileTimer += dt * 1000;
+      if (obs.projectileTimer >= obs.projectileCooldown && obs.y < playerY - 20 && obs.y > -50) {
+        obs.projectileTimer = 0;
+        obs.fireProjectile(obs.speed * 2.5, (obs.rng.next() - 0.5) * 80);
+      }
+    },
+    draw(ctx, obs, cx, cy) {
+      const evil = !obs.decoy;
+      // Bottom ball
+      ctx.fillStyle = '#d5e8f0';
+      ctx.beginPath();
+      ctx.arc(cx, cy - 16, 16, 0, Math.PI * 2);
+      ctx.fill();
+      // Middle ball
+      ctx.beginPath();
+      ctx.arc(cx, cy - 36, 12, 0, Math.PI * 2);
+      ctx.fill();
+      // Head
+      ctx.beginPath();
+      ctx.arc(cx, cy - 52, 10, 0, Math.PI * 2);
+      ctx.fill();
+      // Eyes - evil has red eyes, benign has black
+      ctx.fillStyle = evil ? '#cc3333' : '#333';
+      ctx.beginPath();
+      ctx.arc(cx - 4, cy - 55, 2, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.beginPath();
+      ctx.arc(cx + 4, cy - 55, 2, 0, Math.PI * 2);
+      ctx.fill();
+      // Evil glow
+      if (evil) {
+        ctx.save();
+        ctx.globalAlpha = 0.3 + Math.sin(Date.now() * 0.003) * 0.1;
+        ctx.fillStyle = '#ff4444';
+        ctx.beginPath();
+        ctx.arc(cx, cy - 30, 22, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+      } else {
+        // Benign - subtle warm glow
+        ctx.save();
+        ctx.globalAlpha = 0.15;
+        ctx.fillStyle = '#44aaff';
+        ctx.beginPath();
+        ctx.arc(cx, cy - 30, 20, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+      }
+      // Hat
+      ctx.fillStyle = '#2c3e50';
+      ctx.fillRect(cx - 9, cy - 64, 18, 4);
+      ctx.fillRect(cx - 7, cy - 74, 14, 12);
+      // Carrot nose
+      ctx.fillStyle = '#e67e22';
+      ctx.beginPath();
+      ctx.moveTo(cx, cy - 53);
+      ctx.lineTo(cx + 8, cy - 51);
+      ctx.lineTo(cx, cy - 49);
+      ctx.fill();
+      // Buttons
+      ctx.fillStyle = '#555';
+      [cy - 38, cy - 30, cy - 22].forEach(by => {
+        ctx.beginPath();
+        ctx.arc(cx, by, 2, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    },
+  },
+
+  {
+    type: OBSTACLE_TYPES.TREE,
+    name: 'Pine Tree',
+    hint: 'dodge or AXE',
+    w: 34,
+    h: 80,
+    canJump: false,
+    stunDuration: 800,
+    color: '#2d5a1b',
+    hit: { stun: true, chopable: true },
+    patterns: [
+      { difficulty: 1 },
+      { lanes: [1, 3], difficulty: 3 },
+    ],
+    draw(ctx, obs, cx, cy) {
+      // Trunk
+      ctx.fillStyle = '#5a3a1a';
+      ctx.fillRect(cx - 6, cy - 28, 12, 28);
+      // Three tiers of pine
+      const tiers = [
+        { w: 34, h: 30, y: cy - 60 },
+        { w: 28, h: 26, y: cy - 80 },
+        { w: 20, h: 22, y: cy - 96 },
+      ];
+      tiers.forEach(t => {
+        ctx.fillStyle = '#2d5a1b';
+        ctx.beginPath();
+        ctx.moveTo(cx, t.y - t.h);
+        ctx.lineTo(cx - t.w / 2, t.y);
+        ctx.lineTo(cx + t.w / 2, t.y);
+        ctx.closePath();
+        ctx.fill();
+        // Snow on branches
+        ctx.fillStyle = 'rgba(232,244,251,0.8)';
+        ctx.beginPath();
+        ctx.moveTo(cx - t.w / 4, t.y - 4);
+        ctx.lineTo(cx - t.w / 2 + 2, t.y - 2);
+        ctx.lineTo(cx - t.w / 6, t.y - 8);
+        ctx.fill();
+      });
+    },
+  },
+
+  {
+    type: OBSTACLE_TYPES.SNOWBALL,
+    name: 'Rolling Snowball',
+    hint: 'JUMP',
+    w: 44,
+    h: 44,
+    canJump: true,
+    stunDuration: 1400,
+    color: '#c8e6f5',
+    hit: { stun: true },
+    speedMult: 1.6,
+    patterns: [
+      { difficulty: 2 },
+      { lanes: [0, 2, 4], difficulty: 3 },
+    ],
+    draw(ctx, obs, cx, cy) {
+      const r = obs.w / 2;
+      // Shadow
+      ctx.fillStyle = 'rgba(0,0,0,0.15)';
+      ctx.beginPath();
+      ctx.ellipse(cx, cy + 4, r * 0.8, r * 0.3, 0, 0, Math.PI * 2);
+      ctx.fill();
+      // Main ball
+      const grad = ctx.createRadialGradient(cx - r * 0.3, cy - r * 0.3, 0, cx, cy, r);
+      grad.addColorStop(0, '#f0f8ff');
+      grad.addColorStop(0.6, '#c8e6f5');
+      grad.addColorStop(1, '#a0c8e0');
+      ctx.fillStyle = grad;
+      ctx.beginPath();
+      ctx.arc(cx, cy - r, r, 0, Math.PI * 2);
+      ctx.fill();
+      // Speed lines
+      ctx.strokeStyle = 'rgba(200,230,245,0.5)';
+      ctx.lineWidth = 2;
+      for (let i = 0; i < 3; i++) {
+        const len = 20 + i * 10;
+        ctx.beginPath();
+        ctx.moveTo(cx + r, cy - r - 4 + i * 6);
+        ctx.lineTo(cx + r + len, cy - r - 4 + i * 6);
+        ctx.stroke();
+      }
+    },
+  },
+
+  {
+    type: OBSTACLE_TYPES.ICE_PATCH,
+    name: 'Ice Patch',
+    hint: 'slow steering',
+    w: 80,
+    h: 24,
+    canJump: false,
+    stunDuration: 0,
+    color: '#a8d8ea',
+    hit: { slowSteering: true },
+    patterns: [{ difficulty: 0 }],
+    draw(ctx, obs, cx, cy) {
+      ctx.save();
+      ctx.globalAlpha = 0.65;
+      const grad = ctx.createLinearGradient(cx - obs.w / 2, cy - obs.h, cx + obs.w / 2, cy);
+      grad.addColorStop(0, '#a8d8ea');
+      grad.addColorStop(0.5, '#c8ecf8');
+      grad.addColorStop(1, '#a8d8ea');
+      ctx.fillStyle = grad;
+      ctx.beginPath();
+      ctx.ellipse(cx, cy - obs.h / 2, obs.w / 2, obs.h / 2, 0, 0, Math.PI * 2);
+      ctx.fill();
+      // Glint
+      ctx.fillStyle = 'rgba(255,255,255,0.8)';
+      ctx.beginPath();
+      ctx.ellipse(cx - obs.w * 0.15, cy - obs.h * 0.8, obs.w * 0.1, obs.h * 0.15, -0.4, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+    },
+  },
+
+  {
+    type: OBSTACLE_TYPES.THIN_ICE,
+    name: 'Thin Ice',
+    hint: 'cracks + slows',
+    w: 60,
+    h: 20,
+    canJump: false,
+    stunDuration: 500,
+    color: '#cce8f4',
+    hit: { stun: true, slowSpeed: true },
+    patterns: [{ difficulty: 2 }],
+    init(obs) {
+      obs.triggered = false;
+    },
+    onHit(obs) {
+      obs.triggered = true;
+    },
+    draw(ctx, obs, cx, cy) {
+      ctx.save();
+      ctx.globalAlpha = obs.triggered ? 0.5 : 0.7;
+      ctx.fillStyle = obs.triggered ? '#88bbdd' : '#cce8f4';
+      ctx.beginPath();
+      ctx.roundRect(cx - obs.w / 2, cy - obs.h, obs.w, obs.h, 4);
+      ctx.fill();
+
+      if (obs.triggered) {
+        // Crack lines
+        ctx.strokeStyle = 'rgba(100,150,200,0.8)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(cx, cy - obs.h);
+        ctx.lineTo(cx - 10, cy - obs.h / 2);
+        ctx.lineTo(cx + 5, cy);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(cx, cy - obs.h);
+        ctx.lineTo(cx + 12, cy - obs.h * 0.6);
+        ctx.stroke();
+      }
+      ctx.restore();
+    },
+  },
+
+  {
+    type: OBSTACLE_TYPES.SNOWDRIFT,
+    name: 'Snowdrift',
+    hint: 'slows you, or JUMP',
+    w: 90,
+    h: 32,
+    canJump: true,
+    stunDuration: 0,
+    color: '#e8f4fb',
+    hit: { slowSpeed: true },
+    patterns: [{ difficulty: 0 }],
+    draw(ctx, obs, cx, cy) {
+      ctx.save();
+      ctx.globalAlpha = 0.85;
+      const grad = ctx.createRadialGradient(cx, cy - 8, 0, cx, cy - 8, obs.w / 2);
+      grad.addColorStop(0, '#f5fbff');
+      grad.addColorStop(1, '#d0e8f4');
+      ctx.fillStyle = grad;
+      ctx.beginPath();
+      ctx.ellipse(cx, cy - 8, obs.w / 2, obs.h / 2, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+    },
+  },
+
+  {
+    type: OBSTACLE_TYPES.BRANCH,
+    name: 'Branch Whip',
+    hint: 'JUMP',
+    w: 60,
+    h: 14,
+    canJump: true, // Jump timing hazard
+    stunDuration: 700,
+    color: '#5a3a1a',
+    hit: { stun: true },
+    patterns: [{ difficulty: 0 }],
+    draw(ctx, obs, cx, cy) {
+      ctx.fillStyle = '#5a3a1a';
+      ctx.beginPath();
+      ctx.roundRect(cx - obs.w / 2, cy - obs.h, obs.w, obs.h, 3);
+      ctx.fill();
+      // Pine needles
+      ctx.fillStyle = '#2d5a1b';
+      for (let i = 0; i < 6; i++) {
+        const nx = cx - obs.w / 2 + 8 + i * 8;
+        ctx.beginPath();
+        ctx.moveTo(nx, cy - obs.h);
+        ctx.lineTo(nx - 4, cy - obs.h - 10);
+        ctx.lineTo(nx + 4, cy - obs.h - 10);
+        ctx.fill();
+      }
+      // Snow
+      ctx.fillStyle = 'rgba(232,244,251,0.7)';
+      ctx.beginPath();
+      ctx.roundRect(cx - obs.w / 2 + 4, cy - obs.h - 5, obs.w - 8, 5, 2);
+      ctx.fill();
+    },
+  },
+];
@@ -2,12 +2,56 @@
 // Owl.js - The snow owl with threat system and swoop attacks
 // ============================================================
 
-import { lerp, clamp } from '../utils.js';
+import { aabbCollide, lerp, clamp, SeededRNG } from '../utils.js';
+import { OwlBrain } from './OwlBrain.js';
+
+const MIN_SHADOW_WARNING = 500; // ms
+const MAX_SHADOW_SIZE = 130; // px, narrower than two lanes
+const CAPTURE_REACH = 30; // px from a strike's middle that it catches the runner
+
+const SLIDE_STEP = 350; // ms a sliding shadow takes to follow the runner one lane
+const SLIDE_LOCK = 600; // ms before the strike that a sliding shadow holds still
+const SWEEP_WARNING_MULT = 1.25; // a row sweep covers more ground, so it warns for longer
+const CHAIN_GAP = 450; // ms between the dives of a chain
+const CHAIN_DIVES = 3;
+const BARRAGE_WARNING = 1000; // ms
+const BARRAGE_SHOTS = 4;
+const BARRAGE_EVERY = 280; // ms between feathers
+const FEATHER_SPEED = 380; // px/s, straight down its lane
+const FEATHER_STUN = 800; // ms
+const SCREECH_WARNING = 900; // ms
+export const SCREECH_DURATION = 2500; // ms the runner's left and right are swapped
+
+/**
+ * The owl's attacks when its threat boils over. difficulty is the level
+ * difficulty that unlocks one; weight how often it's picked among those
+ * unlocked. hint is the HUD warning while it's telegraphed.
+ */
+export const OWL_ATTACKS = [
+  { id: 'swoop', name: 'Swoop', hint: 'get out of the shadow', difficulty: 0, weight: 3 },
+  { id: 'sliding_shadow', name: 'Sliding Shadow', hint: 'it follows you - move late', difficulty: 2, weight: 1 },
+  { id: 'dive_chain', name: 'Dive Chain', hint: 'three dives, one after another', difficulty: 3, weight: 1 },
+  { id: 'row_sweep', name: 'Row Sweep', hint: 'one lane is safe - find it', difficulty: 4, weight: 1 },
+  { id: 'feather_barrage', name: 'Feather Barrage', hint: 'feathers fall down the lanes', difficulty: 5, weight: 1 },
+  { id: 'screech', name: 'Screech', hint: 'left and right are about to swap', difficulty: 6, weight: 1 },
+];
+
+/** An attack's definition by id, or null */
+export function owlAttackDef(id) {
+  return OWL_ATTACKS.find(a => a.id === id) || null;
+}
 
+/**
+ * The owl: a threat that builds and boils over into attacks. Where it aims
+ * and how it tricks is down to its brain (see OwlBrain.js).
+ */
 export class Owl {
-  constructor(canvasW, canvasH) {
+  constructor(canvasW, canvasH, rng, fxRng, brain) {
     this.cw = canvasW;
     this.ch = canvasH;
+    this.rng = rng || new SeededRNG(Date.now());
+    this.fxRng = fxRng || this.rng.fork('fx');
+    this.brain = brain || new OwlBrain();
 
     // Threat: 0 (far away) to 1 (about to attack)
     this.threat = 0.1;
@@ -24,11 +68,17 @@ export class Owl {
     this.swoopTimer = 0;
     this.swoopDuration = 0;
     this.shadowWarningDuration = 2000; // ms
-    this.shadows = []; // { x, y, w, h, timer, maxTimer, isFake }
+    this.shadows = []; // { x, y, w, h, reach, timer, maxTimer, isFake, lane, slideTimer }
+    this.swoopKind = null; // the attack the shadows belong to (null for a scripted or boss swoop)
+    this.attack = null; // a shadowless attack being run: { id, timer, shots }
+    this.projectiles = []; // barrage feathers, like a snowman's snowballs
 
     // Cooldown between swoops
     this.swoopCooldown = 0;
     this.swoopCooldownBase = 8000;
+    this.extraShadows = 0; // Endless owl tiers add shadows to each swoop
+    // On screen as a boss (see OwlBoss.js): it swoops when the boss says, not on threat
+    this.inPerson = false;
 
     // Swoop line for animation
     this.swoopLines = [];
@@ -40,21 +90,27 @@ export class Owl {
     this.wingPhase = 0;
   }
 
-  update(dt, playerX, playerY, playerLane, lanePositions, difficulty, shadowWarnMult, audio) {
+  /**
+   * Advance the owl: threat cues, shadows, barrages and screeches, and a
+   * new attack once threat is high. Returns { screeched } - true on the
+   * tick a screech lands, for the World to swap the runner's controls.
+   */
+  update(dt, playerX, playerY, playerLane, lanePositions, difficulty, shadowWarnMult, events) {
     const dtMs = dt * 1000;
+    let screeched = false;
 
     // Animate eyes
     this.wingPhase += dt * (1 + this.threat * 2);
     this.eyeBlinkTimer -= dtMs;
     if (this.eyeBlinkTimer <= 0) {
       this.eyeAlpha = this.threat > 0.3 ? this.threat : 0;
-      this.eyeBlinkTimer = 1500 + Math.random() * 2000;
+      this.eyeBlinkTimer = 1500 + this.fxRng.next() * 2000;
     }
 
     // Screech sound as threat ramps
     if (this.threat > 0.6 && this.threat - this.lastScreechThreat > 0.15) {
       this.lastScreechThreat = this.threat;
-      if (audio) audio.playOwlScreech((this.threat - 0.6) / 0.4);
+      if (events) events.emit('owlScreech', { intensity: (this.threat - 0.6) / 0.4 });
     }
 
     // Swoop cooldown
@@ -62,84 +118,285 @@ export class Owl {
       this.swoopCooldown -= dtMs;
     }
 
-    // Update shadows
+    // Update shadows; a sliding one closes on the runner a lane at a time
     for (const s of this.shadows) {
       s.timer -= dtMs;
+      if (s.slideTimer === undefined || s.timer < SLIDE_LOCK) continue;
+      s.slideTimer -= dtMs;
+      if (s.slideTimer <= 0) {
+        s.slideTimer = SLIDE_STEP;
+        if (s.lane !== playerLane) this.moveShadow(s, s.lane + Math.sign(playerLane - s.lane), lanePositions);
+      }
     }
 
+    // Barrage feathers fall
+    for (const p of this.projectiles) {
+      p.x += p.vx * dt;
+      p.y += p.vy * dt;
+      if (p.y > this.ch + 20) p.active = false;
+    }
+    this.projectiles = this.projectiles.filter(p => p.active);
+
     // Update swoop lines
     for (const sl of this.swoopLines) {
       sl.alpha -= dt * 2;
     }
     this.swoopLines = this.swoopLines.filter(sl => sl.alpha > 0);
 
-    // Trigger swoop when threat high enough
+    // Shadow warning runs down in game time, then the owl strikes
+    if (this.swoopActive && this.swoopPhase === 'shadow') {
+      this.swoopTimer -= dtMs;
+      this._executeSwoops(playerX, playerY);
+    }
+
+    // A barrage or screech: warned, then let loose
+    if (this.attack) {
+      this.attack.timer -= dtMs;
+      if (this.attack.timer <= 0) {
+        if (this.attack.id === 'screech') {
+          screeched = true;
+          this._endAttack();
+        } else {
+          this._fireFeather(playerLane, lanePositions);
+          this.attack.timer = BARRAGE_EVERY;
+          if (--this.attack.shots <= 0) this._endAttack();
+        }
+      }
+    }
+
+    // Attack when threat high enough
     if (
+      !this.inPerson &&
       !this.swoopActive &&
+      !this.attack &&
       this.swoopCooldown <= 0 &&
       this.threat >= 0.45
     ) {
-      this._startSwoop(playerX, playerY, playerLane, lanePositions, difficulty, shadowWarnMult);
+      this._startAttack(playerLane, playerY, lanePositions, difficulty, shadowWarnMult, events);
     }
+    return { screeched };
   }
 
-  _startSwoop(playerX, playerY, playerLane, lanePositions, difficulty, shadowWarnMult) {
-    this.swoopActive = true;
-    this.swoopPhase = 'shadow';
+  /** Let the brain watch the runner for a tick, before update */
+  observe(dt, player) {
+    const threatened = this.swoopActive && this.shadows.some(s => s.lane === player.lane);
+    this.brain.watch(dt * 1000, player, threatened);
+  }
 
-    const warnDur = (this.shadowWarningDuration * shadowWarnMult) / (1 + difficulty * 0.15);
+  /** The attack being telegraphed, for the HUD: its id, or null */
+  get warning() {
+    if (this.attack) return this.attack.id === 'feather_barrage' && this.attack.shots < BARRAGE_SHOTS ? null : this.attack.id;
+    return this.swoopActive ? this.swoopKind : null;
+  }
 
-    // Create 1 or 2 shadows (harder = more)
-    const numShadows = difficulty >= 3 ? (Math.random() < 0.4 ? 2 : 1) : 1;
+  /** Pick an attack unlocked at this difficulty and telegraph it */
+  _startAttack(playerLane, playerY, lanePositions, difficulty, shadowWarnMult, events) {
+    const offered = OWL_ATTACKS.filter(a => difficulty >= a.difficulty);
+    let roll = this.rng.next() * offered.reduce((sum, a) => sum + a.weight, 0);
+    const def = offered.find(a => (roll -= a.weight) < 0) || offered[0];
+    const warn = this._warning(difficulty, shadowWarnMult);
+
+    switch (def.id) {
+      case 'swoop':
+        this._startSwoop(playerLane, playerY, lanePositions, difficulty, shadowWarnMult);
+        break;
+      case 'sliding_shadow': {
+        // Starts two lanes off, on the roomier side, with time for the two steps to the runner
+        const lane = playerLane <= 2 ? playerLane + 2 : playerLane - 2;
+        this._placeShadows([{ lane, isFake: false }], playerY, lanePositions, difficulty, shadowWarnMult,
+          Math.max(warn, SLIDE_STEP * 2.5 + SLIDE_LOCK));
+        this.shadows[0].slideTimer = SLIDE_STEP;
+        break;
+      }
+      case 'dive_chain': {
+        // The runner's lane first, then two others (the first where they're
+        // expected to flee); two lanes always stay clear
+        const side = this.brain.escapeSide(this.rng, playerLane, lanePositions.length);
+        const others = this.rng.shuffle([...lanePositions.keys()].filter(l => l !== playerLane && l !== playerLane + side));
+        if (side !== 0) others.unshift(playerLane + side);
+        const lanes = [playerLane, ...others.slice(0, CHAIN_DIVES - 1)];
+        this._placeShadows(lanes.map(lane => ({ lane, isFake: false })), playerY, lanePositions, difficulty, shadowWarnMult, warn);
+        this.shadows.forEach((s, i) => { s.timer = s.maxTimer = warn + i * CHAIN_GAP; });
+        this.swoopTimer = this.swoopDuration = warn + (CHAIN_DIVES - 1) * CHAIN_GAP;
+        break;
+      }
+      case 'row_sweep': {
+        // Every lane but one, the safe one no more than a lane from the
+        // runner - away from where they're expected to flee
+        const side = this.brain.escapeSide(this.rng, playerLane, lanePositions.length);
+        const shift = side !== 0 ? -side : this.rng.nextInt(-1, 1);
+        const safe = clamp(playerLane + shift, 0, lanePositions.length - 1);
+        const lanes = [...lanePositions.keys()].filter(l => l !== safe);
+        this._placeShadows(lanes.map(lane => ({ lane, isFake: false })), playerY, lanePositions, difficulty, shadowWarnMult,
+          Math.round(warn * SWEEP_WARNING_MULT));
+        break;
+      }
+      case 'feather_barrage':
+        this.attack = { id: def.id, timer: BARRAGE_WARNING, shots: BARRAGE_SHOTS };
+        break;
+      case 'screech':
+        this.attack = { id: def.id, timer: SCREECH_WARNING, shots: 0 };
+        break;
+    }
+    if (this.swoopActive) this.swoopKind = def.id;
+    if (events) {
+      events.emit('owlAttack', { attack: def.id });
+      if (this.swoopActive) events.emit('swoopStart', { lanes: this.shadows.map(s => (s.isFake ? -1 - s.lane : s.lane)) });
+    }
+  }
 
-    this.shadows = [];
+  /** Drop a feather down the runner's lane, or every other one down a random lane */
+  _fireFeather(playerLane, lanePositions) {
+    const lane = this.attack.shots % 2 === 0 ? playerLane : this.rng.nextInt(0, lanePositions.length - 1);
+    const x = lanePositions[lane];
+    this.projectiles.push({ x, y: this.eyeY, prevX: x, prevY: this.eyeY, vx: 0, vy: FEATHER_SPEED, w: 8, h: 16, active: true });
+  }
+
+  _endAttack() {
+    this.attack = null;
+    this.swoopCooldown = this.swoopCooldownBase;
+  }
+
+  /**
+   * Shadow warning for the difficulty, shortened by the Lantern Charm and
+   * for a runner the owl has seen react quickly, lengthened by the Scout
+   */
+  _warning(difficulty, shadowWarnMult) {
+    // Endless keeps raising difficulty, so keep swoops readable and dodgeable
+    const warn = (this.shadowWarningDuration * shadowWarnMult * this.brain.warningMult) / (1 + difficulty * 0.15);
+    return Math.max(MIN_SHADOW_WARNING, warn);
+  }
 
+  /** Stun from a barrage feather hitting the runner: null | { stun, stunDur } */
+  checkProjectileCollisions(playerHitbox) {
+    for (const p of this.projectiles) {
+      if (!p.active) continue;
+      const phb = { x: p.x - p.w / 2, y: p.y - p.h / 2, w: p.w, h: p.h };
+      if (aabbCollide(playerHitbox, phb)) {
+        p.active = false;
+        return { stun: true, stunDur: FEATHER_STUN };
+      }
+    }
+    return null;
+  }
+
+  _startSwoop(playerLane, playerY, lanePositions, difficulty, shadowWarnMult) {
+    const { personality } = this.brain;
+    const laneCount = lanePositions.length;
+    // Create 1 or 2 shadows (harder = more)
+    const numShadows = (difficulty >= 3 ? (this.rng.next() < 0.4 ? 2 : 1) : 1) + this.extraShadows;
+    const tricks = difficulty >= personality.fakeFrom;
+
+    // The first where the runner likes to be, the second where they'd
+    // flee it if the owl has a read on them
+    const picks = [];
     for (let i = 0; i < numShadows; i++) {
-      const isFake = (difficulty >= 4 && i > 0 && Math.random() < 0.35);
-      // Pick a random lane
-      const lane = Math.floor(Math.random() * 5);
-      const sx = lanePositions[lane];
-      const shadowSize = 50 + difficulty * 8;
-
-      this.shadows.push({
-        x: sx,
-        y: playerY - 30, // At ground level near player
-        w: shadowSize,
-        h: shadowSize * 0.5,
-        timer: warnDur,
-        maxTimer: warnDur,
-        isFake,
-        lane
-      });
+      const isFake = tricks && i > 0 && this.rng.next() < personality.fakeChance;
+      const side = i === 1 ? this.brain.escapeSide(this.rng, picks[0].lane, laneCount) : 0;
+      const lane = side !== 0 ? picks[0].lane + side : this.brain.pickLane(this.rng, playerLane);
+      picks.push({ lane, isFake });
+    }
+    // Decoys go where the runner likes to be, too
+    for (let i = 0; tricks && i < personality.decoys; i++) {
+      picks.push({ lane: this.brain.pickLane(this.rng, playerLane), isFake: true });
+    }
+    this._keepEscape(picks, playerLane, laneCount);
+    this._placeShadows(picks, playerY, lanePositions, difficulty, shadowWarnMult);
+  }
+
+  /**
+   * Fairness: however well the owl reads the runner, a lane they can reach
+   * in one move stays clear of real shadows. Extra shadows in the way become
+   * decoys, the last first.
+   */
+  _keepEscape(picks, playerLane, laneCount) {
+    const reachable = [playerLane - 1, playerLane, playerLane + 1].filter(l => l >= 0 && l < laneCount);
+    const blocked = () => reachable.every(l => picks.some(p => p.lane === l && !p.isFake));
+    for (let i = picks.length - 1; i > 0 && blocked(); i--) {
+      if (reachable.includes(picks[i].lane)) picks[i].isFake = true;
     }
+  }
+
+  /**
+   * Swoop on the given lanes now, with decoy shadows on fakes (a
+   * hand-authored level's script). Replaces a swoop still being telegraphed.
+   */
+  scriptSwoop(lanes, fakes, playerY, lanePositions, difficulty, shadowWarnMult, events) {
+    const picks = [
+      ...lanes.map(lane => ({ lane, isFake: false })),
+      ...fakes.map(lane => ({ lane, isFake: true })),
+    ];
+    this._placeShadows(picks, playerY, lanePositions, difficulty, shadowWarnMult);
+    if (events) events.emit('owlAttack', { attack: 'swoop' });
+    if (events) events.emit('swoopStart', { lanes: this.shadows.map(s => (s.isFake ? -1 - s.lane : s.lane)) });
+  }
+
+  /**
+   * Swoop on picks ({ lane, isFake }) after exactly warnMs, whatever the
+   * threat, with shadows of plain size: a boss attack. Replaces a swoop
+   * still being telegraphed.
+   */
+  strike(picks, playerY, lanePositions, difficulty, warnMs, events) {
+    this._placeShadows(picks, playerY, lanePositions, difficulty, 1, warnMs, 1);
+    if (events) events.emit('swoopStart', { lanes: this.shadows.map(s => (s.isFake ? -1 - s.lane : s.lane)) });
+  }
+
+  /** Slide a telegraphed shadow onto another lane (a swoop that follows the runner) */
+  moveShadow(shadow, lane, lanePositions) {
+    shadow.lane = lane;
+    shadow.x = lanePositions[lane];
+  }
+
+  /**
+   * Telegraph a swoop: one shadow per { lane, isFake }; warnMs overrides
+   * the warning, sizeMult the personality's shadow size
+   */
+  _placeShadows(picks, playerY, lanePositions, difficulty, shadowWarnMult, warnMs = null,
+    sizeMult = this.brain.personality.sizeMult) {
+    this.swoopActive = true;
+    this.swoopPhase = 'shadow';
+    this.swoopKind = null;
+
+    const warnDur = warnMs !== null ? warnMs : this._warning(difficulty, shadowWarnMult);
+    const shadowSize = Math.min(MAX_SHADOW_SIZE, 50 + difficulty * 8) * sizeMult;
+
+    this.shadows = picks.map(({ lane, isFake }) => ({
+      x: lanePositions[lane],
+      y: playerY - 30, // At ground level near player
+      w: shadowSize,
+      h: shadowSize * 0.5,
+      reach: CAPTURE_REACH * sizeMult,
+      timer: warnDur,
+      maxTimer: warnDur,
+      isFake,
+      lane
+    }));
 
     this.swoopDuration = warnDur;
     this.swoopTimer = warnDur;
-
-    this.swoopTimeout = setTimeout(() => {
-      this._executeSwoops(playerX, playerY);
-    }, warnDur);
   }
 
+  /** Strike with every shadow whose warning has run out; the swoop is over once none are left */
   _executeSwoops(playerX, playerY) {
     if (!this.swoopActive) return;
-    this.swoopPhase = 'swoop';
 
     for (const s of this.shadows) {
-      if (!s.isFake) {
-        this.swoopLines.push({
-          x: s.x,
-          y: 0,          // From top of screen
-          x2: s.x,
-          y2: playerY + 30,  // To player position
-          alpha: 1
-        });
-      }
+      if (s.timer > 0 || s.isFake) continue;
+      this.swoopLines.push({
+        x: s.x,
+        y: 0,          // From top of screen
+        x2: s.x,
+        y2: playerY + 30,  // To player position
+        alpha: 1,
+        reach: s.reach
+      });
     }
+    this.shadows = this.shadows.filter(s => s.timer > 0);
+    if (this.shadows.length > 0) return;
 
-    this.shadows = [];
     this.swoopActive = false;
     this.swoopPhase = 'none';
+    this.swoopKind = null;
     this.swoopCooldown = this.swoopCooldownBase;
   }
 
@@ -163,7 +420,7 @@ export class Owl {
   checkSwoopCapture(playerHitbox) {
     for (const sl of this.swoopLines) {
       if (sl.alpha > 0.7) { // Just executed
-        const margin = 30;
+        const margin = sl.reach || CAPTURE_REACH;
         if (Math.abs(playerHitbox.x + playerHitbox.w / 2 - sl.x) < margin) {
           return true;
         }
@@ -184,16 +441,37 @@ export class Owl {
 
   /** Cancel all swoop state (for level end etc.) */
   cancelSwoop() {
-    if (this.swoopTimeout) clearTimeout(this.swoopTimeout);
     this.swoopActive = false;
     this.swoopPhase = 'none';
+    this.swoopKind = null;
     this.shadows = [];
     this.swoopLines = [];
+    this.attack = null;
+    this.projectiles = [];
+  }
+
+  /** Remember feather positions as the previous tick's (render interpolation) */
+  snapshot() {
+    for (const p of this.projectiles) {
+      p.prevX = p.x;
+      p.prevY = p.y;
+    }
+  }
+
+  /** Plain-data copy for a suspended run; the World saves both rng streams */
+  serialize() {
+    const { rng, fxRng, brain, ...state } = this;
+    return { ...structuredClone(state), brain: brain.serialize() };
+  }
+
+  static deserialize(data, rng, fxRng) {
+    const brain = OwlBrain.deserialize(data.brain);
+    return Object.assign(Object.create(Owl.prototype), structuredClone(data), { rng, fxRng, brain });
   }
 
-  draw(ctx, canvasW, canvasH) {
-    // Draw owl eyes in background fog
-    if (this.eyeAlpha > 0.01) {
+  draw(ctx, canvasW, canvasH, alpha = 1) {
+    // Draw owl eyes in background fog (unless it is down here in person)
+    if (this.eyeAlpha > 0.01 && !this.inPerson) {
       ctx.save();
       ctx.globalAlpha = this.eyeAlpha * 0.6;
       const ey = 60 + Math.sin(this.wingPhase * 0.5) * 10;
@@ -219,6 +497,31 @@ export class Owl {
       ctx.restore();
     }
 
+    // A screech building: rings from the dark; a barrage: feathers fanned out, shaking
+    const warning = this.warning;
+    if (warning === 'screech') {
+      const progress = 1 - this.attack.timer / SCREECH_WARNING;
+      ctx.save();
+      ctx.strokeStyle = '#ff7675';
+      ctx.lineWidth = 3;
+      for (let i = 0; i < 3; i++) {
+        const t = (progress * 2 + i / 3) % 1;
+        ctx.globalAlpha = (1 - t) * 0.7;
+        ctx.beginPath();
+        ctx.arc(canvasW / 2, this.eyeY - 20, 30 + t * 160, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+      ctx.restore();
+    } else if (warning === 'feather_barrage') {
+      for (let i = 0; i < BARRAGE_SHOTS; i++) {
+        const shake = Math.sin(this.attack.timer * 0.05 + i * 2) * 3;
+        this._drawFeather(ctx, canvasW / 2 + (i - (BARRAGE_SHOTS - 1) / 2) * 36 + shake, this.eyeY - 30, (i - 1.5) * 0.3);
+      }
+    }
+    for (const p of this.projectiles) {
+      this._drawFeather(ctx, lerp(p.prevX, p.x, alpha), lerp(p.prevY, p.y, alpha), 0);
+    }
+
     // Draw swoop shadow warning
     for (const s of this.shadows) {
       const progress = 1 - s.timer / s.maxTimer;
@@ -277,6 +580,23 @@ export class Owl {
     }
   }
 
+  _drawFeather(ctx, x, y, tilt) {
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(tilt);
+    ctx.fillStyle = '#e8eef5';
+    ctx.beginPath();
+    ctx.ellipse(0, 0, 4, 11, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = '#8a96a8';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, -10);
+    ctx.lineTo(0, 12);
+    ctx.stroke();
+    ctx.restore();
+  }
+
   drawThreatMeter(ctx, x, y, w, h) {
     // Background
     ctx.fillStyle = 'rgba(0,0,0,0.5)';
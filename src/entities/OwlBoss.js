@@ -0,0 +1,493 @@
+// ============================================================
+// OwlBoss.js - The owl in person: a telegraphed, multi-phase fight at the end of an act
+// ============================================================
+
+import { lerp, clamp } from '../utils.js';
+
+export const BOSS_PHASES = 3;
+export const BOSS_AMMO_MAX = 3; // pinecones the runner can carry
+export const BOSS_REWARD = 500; // points per act for driving the owl off
+
+const BOSS_Y = 130; // where the owl hovers (px from the top)
+const INTRO_MS = 1600; // flying down before the first attack
+const RETREAT_MS = 1400; // flying off once beaten, before the level ends
+const TELEGRAPH_MS = [900, 750, 600]; // rearing up before an attack, by phase
+const REST_MS = [1600, 1200, 900]; // between attacks, by phase
+const OWL_REACH = 50; // a pinecone hits within this of the owl's middle (px)
+const OWL_FLY = 3; // how fast the owl closes on where it's heading (per s)
+const THROW_SPEED = 900; // px/s
+const ITEM_EVERY = 2600; // ms between pinecones dropping in
+const ITEM_REACH = 30; // px
+const FEATHER_WARNING = 650; // ms a feather hangs before it falls
+const FEATHER_SPEED = 460; // px/s
+const FEATHER_STUN = 700; // ms
+const FEATHER_REACH = 10; // px beyond the runner's hitbox
+const HUNT_STEP = 300; // ms a hunting shadow takes to follow the runner one lane
+const HUNT_LOCK = 650; // ms before the strike that a hunting shadow stops following
+const STEP_GAP = 200; // ms between one dive striking and the next being telegraphed (past its capture)
+
+/**
+ * The owl's attacks, offered from their phase on. plan(ctx) lays one out
+ * as steps timed in ms from its start:
+ *   { at, swoop: [lanes] or 'runner', warn }   dive after warn ms
+ *   { at, hunt: true, warn }                   a dive whose shadow follows the runner
+ *   { at, feathers: [lanes] }                  feathers that fall down those lanes
+ * ctx is { rng, laneCount, phase, warn (ms, the dive warning for the phase) }.
+ * The owl dives on one swoop at a time, so a step's dive must be over
+ * before the next one starts.
+ */
+export const BOSS_ATTACKS = [
+  {
+    id: 'lane_sweep',
+    name: 'Lane Sweep',
+    phase: 1,
+    plan({ rng, laneCount, warn }) {
+      // Two lanes wide, across the field: the runner has to slip past it
+      const lanes = [...Array(laneCount - 1).keys()];
+      if (rng.next() < 0.5) lanes.reverse();
+      return lanes.map((lane, i) => ({ at: i * (warn + STEP_GAP), swoop: [lane, lane + 1], warn }));
+    },
+  },
+  {
+    id: 'double_dive',
+    name: 'Double Dive',
+    phase: 1,
+    plan({ warn }) {
+      return [
+        { at: 0, swoop: 'runner', warn },
+        { at: warn + STEP_GAP, swoop: 'runner', warn: Math.round(warn * 0.7) },
+      ];
+    },
+  },
+  {
+    id: 'feather_volley',
+    name: 'Feather Volley',
+    phase: 2,
+    plan({ rng, laneCount, phase }) {
+      const steps = [];
+      for (let i = 0; i < (phase >= 3 ? 2 : 1); i++) {
+        // Two lanes always stay clear
+        const lanes = rng.shuffle([...Array(laneCount).keys()]).slice(0, laneCount - 2).sort();
+        steps.push({ at: i * 1100, feathers: lanes });
+      }
+      return steps;
+    },
+  },
+  {
+    id: 'hunting_swoop',
+    name: 'Hunting Swoop',
+    phase: 3,
+    plan({ warn }) {
+      return [{ at: 0, hunt: true, warn: warn * 2 + HUNT_LOCK }];
+    },
+  },
+];
+
+/** An attack's definition by id, or null */
+export function bossAttackDef(id) {
+  return BOSS_ATTACKS.find(a => a.id === id) || null;
+}
+
+/**
+ * The owl comes down at the end of an act and attacks until the runner
+ * holds out for `duration` or knocks its health out with pinecones (picked
+ * up from the snow, thrown by jumping). Each attack is telegraphed - the
+ * owl rears up over where it will strike - and its dives go through the
+ * Owl's own swoops, so shadows, capture and dodging work as ever. Phases
+ * follow whichever is further along, the clock or the owl's health.
+ */
+export class OwlBoss {
+  constructor(act, rng, canvasW) {
+    this.rng = rng;
+    this.act = act;
+    this.maxHealth = 3 + act;
+    this.health = this.maxHealth;
+    this.duration = (24 + act * 4) * 1000; // ms to hold out
+    this.elapsed = 0;
+    this.phase = 1;
+
+    this.state = 'intro'; // intro | rest | telegraph | attack | retreat
+    this.stateTimer = INTRO_MS;
+    this.attack = null; // { id, steps, next, timer } while telegraphing or attacking
+    this.lastAttack = null;
+    this.huntTimer = 0; // ms until a hunting shadow next follows the runner
+
+    // Where the owl is and is flying to
+    this.x = canvasW / 2;
+    this.y = -80;
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.targetX = this.x;
+
+    this.ammo = 0;
+    this.items = []; // pinecones in the snow: { lane, x, y, prevY }
+    this.itemTimer = ITEM_EVERY / 2;
+    this.thrown = []; // { x, y, prevY }
+    this.feathers = []; // { lane, x, y, prevY, warn }
+
+    this.hitFlash = 0; // ms
+    this.wingPhase = 0;
+  }
+
+  /** Flying off, beaten; the level ends once it has gone */
+  get gone() {
+    return this.state === 'retreat' && this.stateTimer <= 0;
+  }
+
+  /** Attacks can be telegraphed and thrown at */
+  get fighting() {
+    return this.state === 'rest' || this.state === 'telegraph' || this.state === 'attack';
+  }
+
+  /**
+   * Advance the fight. ctx: { player, owl, lanePositions, difficulty,
+   * warnMult (on dive warnings), scrollAmt (px the snow moved), height,
+   * events }. Returns { stunned
+   * (lanes where a feather stunned the runner), drivenOff (null, 'hits'
+   * or 'time' on the tick the owl gives up) }.
+   */
+  update(dt, ctx) {
+    const dtMs = dt * 1000;
+    const result = { stunned: [], drivenOff: null };
+    this.wingPhase += dt * (this.state === 'telegraph' ? 9 : 4);
+    this.hitFlash = Math.max(0, this.hitFlash - dtMs);
+    this.stateTimer -= dtMs;
+
+    const targetY = this.state === 'retreat' ? -140 : BOSS_Y - (this.state === 'telegraph' ? 16 : 0);
+    const fly = Math.min(1, OWL_FLY * dt);
+    this.x = lerp(this.x, this.targetX, fly);
+    this.y = lerp(this.y, targetY, fly);
+
+    this._updateItems(dtMs, ctx);
+    if (this._updateThrown(dt, ctx.events)) result.drivenOff = this._driveOff('hits', ctx);
+    result.stunned = this._updateFeathers(dt, ctx);
+
+    if (this.state === 'intro') {
+      if (this.stateTimer <= 0) this._rest(ctx);
+      return result;
+    }
+    if (!this.fighting) return result;
+
+    this.elapsed += dtMs;
+    if (this.elapsed >= this.duration) {
+      result.drivenOff = this._driveOff('time', ctx);
+      return result;
+    }
+    this._updatePhase(ctx);
+
+    if (this.state === 'rest' && this.stateTimer <= 0) {
+      this._telegraph(ctx);
+    } else if (this.state === 'telegraph' && this.stateTimer <= 0) {
+      this.state = 'attack';
+    }
+    if (this.state === 'attack') this._runAttack(dtMs, ctx);
+    return result;
+  }
+
+  /** Throw a carried pinecone up the runner's lane; false when there's none or no owl to hit */
+  throwFrom(player) {
+    if (this.ammo <= 0 || !this.fighting) return false;
+    this.ammo--;
+    const y = player.y - player.h;
+    this.thrown.push({ x: player.x, y, prevY: y });
+    return true;
+  }
+
+  _updatePhase({ events }) {
+    const progress = Math.max(1 - this.health / this.maxHealth, this.elapsed / this.duration);
+    const phase = Math.min(BOSS_PHASES, 1 + Math.floor(progress * BOSS_PHASES));
+    if (phase > this.phase) {
+      this.phase = phase;
+      events.emit('bossPhase', { phase });
+      events.emit('popup', { x: this.x, y: this.y + 70, text: `PHASE ${phase}!`, color: '#ff7675' });
+    }
+  }
+
+  _rest({ lanePositions }) {
+    this.state = 'rest';
+    this.stateTimer = REST_MS[this.phase - 1];
+    this.attack = null;
+    // Drift somewhere new: the runner has to line up to land a throw
+    this.targetX = lanePositions[this.rng.nextInt(0, lanePositions.length - 1)];
+  }
+
+  /** Pick the next attack and rear up over where it will land */
+  _telegraph({ player, lanePositions, warnMult, events }) {
+    const offered = BOSS_ATTACKS.filter(a => a.phase <= this.phase);
+    const fresh = offered.filter(a => a.id !== this.lastAttack);
+    const def = this.rng.choice(fresh.length > 0 ? fresh : offered);
+    const warn = Math.round(Math.max(450, 850 - (this.phase - 1) * 120 - (this.act - 1) * 30) * warnMult);
+    const steps = def.plan({ rng: this.rng, laneCount: lanePositions.length, phase: this.phase, warn });
+    this.attack = { id: def.id, steps, next: 0, timer: 0 };
+    this.lastAttack = def.id;
+    this.state = 'telegraph';
+    this.stateTimer = TELEGRAPH_MS[this.phase - 1];
+
+    const first = steps[0];
+    if (first.swoop === 'runner' || first.hunt) this.targetX = player.x;
+    else if (first.swoop) this.targetX = lanePositions[first.swoop[0]];
+    else this.targetX = lanePositions[Math.floor(lanePositions.length / 2)];
+    events.emit('bossAttack', { attack: def.id });
+  }
+
+  _runAttack(dtMs, ctx) {
+    const { player, owl, lanePositions, difficulty, events } = ctx;
+    const attack = this.attack;
+    attack.timer += dtMs;
+    while (attack.next < attack.steps.length && attack.steps[attack.next].at <= attack.timer) {
+      const step = attack.steps[attack.next++];
+      if (step.feathers) {
+        for (const lane of step.feathers) {
+          const y = this.y + 30;
+          this.feathers.push({ lane, x: lanePositions[lane], y, prevY: y, warn: FEATHER_WARNING });
+        }
+        continue;
+      }
+      const lanes = step.swoop && step.swoop !== 'runner' ? step.swoop : [player.lane];
+      owl.strike(lanes.map(lane => ({ lane, isFake: false })), player.y, lanePositions, difficulty, step.warn, events);
+      this.targetX = lanes.reduce((sum, lane) => sum + lanePositions[lane], 0) / lanes.length;
+      this.huntTimer = step.hunt ? HUNT_STEP : 0;
+    }
+
+    // A hunting shadow closes on the runner a lane at a time, then holds still
+    const shadow = owl.shadows[0];
+    if (this.huntTimer > 0 && shadow && owl.swoopTimer > HUNT_LOCK) {
+      this.huntTimer -= dtMs;
+      if (this.huntTimer <= 0) {
+        if (shadow.lane !== player.lane) {
+          owl.moveShadow(shadow, shadow.lane + Math.sign(player.lane - shadow.lane), lanePositions);
+          this.targetX = shadow.x;
+        }
+        this.huntTimer = HUNT_STEP;
+      }
+    }
+
+    if (attack.next >= attack.steps.length && !owl.swoopActive && this.feathers.length === 0) this._rest(ctx);
+  }
+
+  /** Pinecones drop in now and then and ride the snow down; running into one picks it up */
+  _updateItems(dtMs, { player, lanePositions, scrollAmt, height, events }) {
+    if (this.fighting) {
+      this.itemTimer -= dtMs;
+      if (this.itemTimer <= 0) {
+        this.itemTimer = ITEM_EVERY;
+        if (this.ammo + this.items.length < BOSS_AMMO_MAX) {
+          const lane = this.rng.nextInt(0, lanePositions.length - 1);
+          this.items.push({ lane, x: lanePositions[lane], y: -40, prevY: -40 });
+        }
+      }
+    }
+    const hb = player.getHitbox();
+    for (const item of this.items) {
+      item.y += scrollAmt;
+      if (!item.taken && Math.abs(item.x - player.x) < ITEM_REACH && item.y > hb.y && item.y < hb.y + hb.h + 20) {
+        item.taken = true;
+        this.ammo = Math.min(BOSS_AMMO_MAX, this.ammo + 1);
+        events.emit('popup', { x: player.x, y: player.y - 55, text: '+PINECONE', color: '#c98b4a' });
+      }
+    }
+    this.items = this.items.filter(item => !item.taken && item.y < height + 40);
+  }
+
+  /** Move thrown pinecones; true when one knocked out the owl's last health */
+  _updateThrown(dt, events) {
+    let beaten = false;
+    for (const t of this.thrown) {
+      t.y -= THROW_SPEED * dt;
+      if (t.y > this.y) continue;
+      t.done = true;
+      if (!this.fighting || Math.abs(t.x - this.x) >= OWL_REACH) continue;
+      this.health--;
+      this.hitFlash = 250;
+      events.emit('bossHit', { health: this.health });
+      events.emit('popup', { x: this.x, y: this.y + 60, text: 'HIT!', color: '#f1c40f' });
+      if (this.health <= 0) beaten = true;
+    }
+    this.thrown = this.thrown.filter(t => !t.done);
+    return beaten;
+  }
+
+  /** Feathers hang, then fall; returns the lanes where one stunned the runner */
+  _updateFeathers(dt, { player, height }) {
+    const stunned = [];
+    const hb = player.getHitbox();
+    for (const f of this.feathers) {
+      if (f.warn > 0) {
+        f.warn -= dt * 1000;
+        continue;
+      }
+      f.y += FEATHER_SPEED * dt;
+      const overlaps = Math.abs(f.x - player.x) < hb.w / 2 + FEATHER_REACH && f.y > hb.y && f.y < hb.y + hb.h;
+      if (overlaps && player.invulTimer <= 0 && !player.dead) {
+        f.done = true;
+        if (player.stun(FEATHER_STUN)) stunned.push(f.lane);
+      }
+    }
+    this.feathers = this.feathers.filter(f => !f.done && f.y < height + 20);
+    return stunned;
+  }
+
+  _driveOff(by, { owl }) {
+    if (this.state === 'retreat') return null;
+    this.state = 'retreat';
+    this.stateTimer = RETREAT_MS;
+    this.attack = null;
+    this.feathers = [];
+    this.targetX = this.x;
+    owl.cancelSwoop();
+    return by;
+  }
+
+  snapshot() {
+    this.prevX = this.x;
+    this.prevY = this.y;
+    for (const list of [this.items, this.thrown, this.feathers]) {
+      for (const e of list) e.prevY = e.y;
+    }
+  }
+
+  /** Plain-data copy for a suspended run; the World saves the rng stream */
+  serialize() {
+    const { rng, ...state } = this;
+    return structuredClone(state);
+  }
+
+  static deserialize(data, rng) {
+    return Object.assign(Object.create(OwlBoss.prototype), structuredClone(data), { rng });
+  }
+
+  /** Pinecones, feathers and the owl itself; playerY is the runner's line */
+  draw(ctx, alpha, playerY) {
+    for (const item of this.items) this._drawPinecone(ctx, item.x, lerp(item.prevY, item.y, alpha), 0);
+    for (const t of this.thrown) this._drawPinecone(ctx, t.x, lerp(t.prevY, t.y, alpha), t.y * 0.05);
+
+    for (const f of this.feathers) {
+      const fy = lerp(f.prevY, f.y, alpha);
+      if (f.warn > 0) {
+        // The lane it will fall down
+        ctx.save();
+        ctx.globalAlpha = 0.25 + 0.25 * Math.sin(f.warn * 0.03);
+        ctx.strokeStyle = '#ff7675';
+        ctx.setLineDash([6, 10]);
+        ctx.beginPath();
+        ctx.moveTo(f.x, fy);
+        ctx.lineTo(f.x, playerY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.restore();
+      }
+      this._drawFeather(ctx, f.x, fy);
+    }
+
+    this._drawOwl(ctx, lerp(this.prevX, this.x, alpha), lerp(this.prevY, this.y, alpha));
+  }
+
+  _drawOwl(ctx, x, y) {
+    const rearing = this.state === 'telegraph';
+    const flap = Math.sin(this.wingPhase) * (rearing ? 0.5 : 0.25);
+    ctx.save();
+
+    // Wings
+    ctx.fillStyle = '#c8d2de';
+    for (const side of [-1, 1]) {
+      ctx.save();
+      ctx.translate(x + side * 24, y - 10);
+      ctx.rotate(side * (rearing ? -0.5 : 0.2) + side * flap);
+      ctx.beginPath();
+      ctx.ellipse(side * 38, 0, 44, 15, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#8a96a8';
+      for (let i = 0; i < 4; i++) ctx.fillRect(side * (18 + i * 14) - 2, 4, 4, 9);
+      ctx.restore();
+    }
+
+    // Body and speckles
+    ctx.fillStyle = '#eef2f7';
+    ctx.beginPath();
+    ctx.ellipse(x, y, 30, 42, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#7f8c9d';
+    for (let i = 0; i < 6; i++) ctx.fillRect(x - 14 + (i % 3) * 12, y + 6 + Math.floor(i / 3) * 12, 4, 3);
+
+    // Ear tufts
+    ctx.fillStyle = '#dfe6ee';
+    for (const side of [-1, 1]) {
+      ctx.beginPath();
+      ctx.moveTo(x + side * 12, y - 34);
+      ctx.lineTo(x + side * 24, y - 54);
+      ctx.lineTo(x + side * 24, y - 30);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    // Eyes: amber, red once it's desperate, glowing while it rears up
+    const eye = this.phase >= BOSS_PHASES ? '#ff4d4d' : '#f5b82e';
+    if (rearing) {
+      ctx.shadowBlur = 18;
+      ctx.shadowColor = eye;
+    }
+    for (const side of [-1, 1]) {
+      ctx.fillStyle = eye;
+      ctx.beginPath();
+      ctx.arc(x + side * 11, y - 16, 8, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#000';
+      ctx.beginPath();
+      ctx.arc(x + side * 11, y - 16, 3.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.shadowBlur = 0;
+
+    // Beak
+    ctx.fillStyle = '#3d3d3d';
+    ctx.beginPath();
+    ctx.moveTo(x - 4, y - 8);
+    ctx.lineTo(x + 4, y - 8);
+    ctx.lineTo(x, y + 2);
+    ctx.closePath();
+    ctx.fill();
+
+    // Hit flash
+    if (this.hitFlash > 0) {
+      ctx.globalAlpha = clamp(this.hitFlash / 250, 0, 1) * 0.6;
+      ctx.fillStyle = '#ff7675';
+      ctx.beginPath();
+      ctx.ellipse(x, y, 34, 46, 0, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  _drawPinecone(ctx, x, y, spin) {
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(spin);
+    ctx.fillStyle = '#8b5a2b';
+    ctx.beginPath();
+    ctx.ellipse(0, 0, 8, 12, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = '#5c3a1a';
+    ctx.lineWidth = 1;
+    for (let i = -1; i <= 1; i++) {
+      ctx.beginPath();
+      ctx.moveTo(-7, i * 5);
+      ctx.lineTo(7, i * 5 + 3);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  _drawFeather(ctx, x, y) {
+    ctx.save();
+    ctx.fillStyle = '#e8eef5';
+    ctx.beginPath();
+    ctx.ellipse(x, y, 4, 13, 0.2, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = '#8a96a8';
+    ctx.beginPath();
+    ctx.moveTo(x - 2, y - 12);
+    ctx.lineTo(x + 2, y + 13);
+    ctx.stroke();
+    ctx.restore();
+  }
+}
@@ -0,0 +1,222 @@
+// ============================================================
+// OwlBrain.js - What the owl learns of the runner's habits, and its personality
+// ============================================================
+
+import { lerp, clamp, SeededRNG } from '../utils.js';
+
+export const DODGES = ['left', 'right', 'jump', 'dash'];
+
+const LANE_MEMORY = 30; // s: how long time spent in a lane keeps counting
+const LANE_CONFIDENT = 15; // s watched before lane habits are trusted fully
+const DODGE_CONFIDENT = 6; // dodges seen before dodge habits are trusted fully
+const REACTION_CONFIDENT = 4; // reactions timed before they're trusted fully
+const REACTION_BLEND = 0.3; // weight of the newest reaction in the running average
+const FAST_REACTION = 250; // ms; this quick or quicker gets the shortest warnings
+const SLOW_REACTION = 600; // ms; this slow or slower gets the full warning
+
+// Fairness limits on what the owl does with what it has learned
+export const MAX_LANE_SHARE = 0.45; // no lane is aimed at more often than this
+export const MAX_WARNING_CUT = 0.15; // warnings are never cut by more than this for a quick runner
+
+/**
+ * How an owl plays. habit is how far it leans on what it has learned (0
+ * ignores it). Decoy shadows come from difficulty fakeFrom: each extra
+ * shadow is one with fakeChance, and decoys more are added to every
+ * swoop. sizeMult scales shadows and how wide a strike catches.
+ */
+export const OWL_PERSONALITIES = [
+  {
+    id: 'stalker', name: 'Stalker', desc: 'hunts the lanes you favour and cuts off your escape',
+    color: '#e17055', habit: 0.9, fakeFrom: 4, fakeChance: 0.35, decoys: 0, sizeMult: 1,
+  },
+  {
+    id: 'trickster', name: 'Trickster', desc: 'more fake shadows, laid where you like to run',
+    color: '#a29bfe', habit: 0.5, fakeFrom: 2, fakeChance: 0.6, decoys: 1, sizeMult: 1,
+  },
+  {
+    id: 'brute', name: 'Brute', desc: 'bigger shadows, no tricks',
+    color: '#fdcb6e', habit: 0.3, fakeFrom: Infinity, fakeChance: 0, decoys: 0, sizeMult: 1.3,
+  },
+];
+
+/** A personality by id, or null */
+export function owlPersonality(id) {
+  return OWL_PERSONALITIES.find(p => p.id === id) || null;
+}
+
+/** The personality a run on this seed gets when none is chosen */
+export function personalityForSeed(seed) {
+  return new SeededRNG(seed).fork('personality').choice(OWL_PERSONALITIES).id;
+}
+
+/** A fresh memory: nothing seen yet */
+function newMemory(laneCount) {
+  return {
+    lanes: new Array(laneCount).fill(0), // s spent in each lane, fading over LANE_MEMORY
+    dodges: Object.fromEntries(DODGES.map(d => [d, 0])), // first move under a shadow, by kind
+    reaction: 0, // ms from a shadow falling on the runner to their first move, running average
+    reactions: 0, // reactions timed
+  };
+}
+
+const isMemory = (m) => m !== null && typeof m === 'object' &&
+  Array.isArray(m.lanes) && m.lanes.every(t => typeof t === 'number' && t >= 0) &&
+  m.dodges !== null && typeof m.dodges === 'object' && DODGES.every(d => Number.isInteger(m.dodges[d]) && m.dodges[d] >= 0) &&
+  typeof m.reaction === 'number' && m.reaction >= 0 && Number.isInteger(m.reactions) && m.reactions >= 0;
+
+/**
+ * The owl's read on the runner. It watches every tick (watch) and is asked
+ * where to aim (pickLane, escapeSide) and how long to warn (warningMult).
+ * What it has learned carries from level to level of a run as
+ * { personality, memory } (remember), the same shape the World takes.
+ */
+export class OwlBrain {
+  constructor({ personality, memory = null } = {}, laneCount = 5) {
+    this.personality = owlPersonality(personality) || OWL_PERSONALITIES[0];
+    this.memory = memory ? structuredClone(memory) : newMemory(laneCount);
+    // The runner as last seen; ms since a shadow fell on their lane (null
+    // when none is over it) and whether they've moved since
+    this.seen = null;
+    this.reactClock = null;
+    this.dodged = false;
+  }
+
+  /** True for a { personality, memory } a World can start from; null counts */
+  static isValid(data) {
+    if (data === null || data === undefined) return true;
+    return typeof data === 'object' && owlPersonality(data.personality) !== null &&
+      (data.memory === null || data.memory === undefined || isMemory(data.memory));
+  }
+
+  /** What the next level of the run starts from */
+  remember() {
+    return { personality: this.personality.id, memory: structuredClone(this.memory) };
+  }
+
+  /**
+   * Watch the runner for a tick. threatened: a shadow is over their lane.
+   * Their first move after one falls there is a dodge, timed from when it fell.
+   */
+  watch(dtMs, player, threatened) {
+    const mem = this.memory;
+    const fade = Math.exp(-dtMs / 1000 / LANE_MEMORY);
+    for (let i = 0; i < mem.lanes.length; i++) mem.lanes[i] *= fade;
+    mem.lanes[player.lane] += dtMs / 1000;
+
+    const seen = this.seen;
+    this.seen = { lane: player.targetLane, jumping: player.jumping, dashing: player.dashing };
+    if (!threatened) {
+      this.reactClock = null;
+      return;
+    }
+    if (this.reactClock === null) {
+      this.reactClock = 0;
+      this.dodged = false;
+      return;
+    }
+    this.reactClock += dtMs;
+    if (this.dodged) return;
+    let dodge = null;
+    if (player.targetLane < seen.lane) dodge = 'left';
+    else if (player.targetLane > seen.lane) dodge = 'right';
+    else if (player.jumping && !seen.jumping) dodge = 'jump';
+    else if (player.dashing && !seen.dashing) dodge = 'dash';
+    if (!dodge) return;
+
+    mem.dodges[dodge]++;
+    mem.reaction = mem.reactions === 0 ? this.reactClock : lerp(mem.reaction, this.reactClock, REACTION_BLEND);
+    mem.reactions++;
+    // One dodge per shadow; the next is timed once they're out from under it
+    this.dodged = true;
+  }
+
+  /** Lane for a shadow: the runner's favourite lanes, as far as habit and the cap allow */
+  pickLane(rng, currentLane) {
+    const lanes = this.memory.lanes;
+    const n = lanes.length;
+    const watched = lanes.reduce((sum, t) => sum + t, 0);
+    const lean = this.personality.habit * Math.min(1, watched / LANE_CONFIDENT);
+    // A runner who jumps or dashes rather than changing lanes is looked for where they are
+    const stay = this._share('jump') + this._share('dash');
+    let odds = lanes.map((t, i) => {
+      const favoured = watched > 0 ? t / watched : 1 / n;
+      const habit = lerp(favoured, i === currentLane ? 1 : 0, stay * this._dodgeConfidence());
+      return lerp(1 / n, habit, lean);
+    });
+    // Blend towards even odds just enough to bring every lane under the cap
+    const top = Math.max(...odds);
+    if (top > MAX_LANE_SHARE) {
+      const keep = (MAX_LANE_SHARE - 1 / n) / (top - 1 / n);
+      odds = odds.map(p => lerp(1 / n, p, keep));
+    }
+    let roll = rng.next();
+    const lane = odds.findIndex(p => (roll -= p) < 0);
+    return lane >= 0 ? lane : n - 1;
+  }
+
+  /**
+   * Which way the runner is expected to flee a shadow on their lane: -1
+   * left, 1 right, or 0 when the owl has no read on them (or they stay
+   * put and jump or dash). Habit and experience make it likelier to guess.
+   */
+  escapeSide(rng, lane, laneCount) {
+    if (rng.next() >= this.personality.habit * this._dodgeConfidence()) return 0;
+    const { left, right, jump, dash } = this.memory.dodges;
+    if (jump + dash > left + right) return 0;
+    let side = left > right ? -1 : left < right ? 1 : 0;
+    // Against a wall there's only one way to go
+    if (lane + side < 0 || lane + side >= laneCount) side = -side;
+    return side;
+  }
+
+  /** Shadow warning multiplier: shorter for a quick runner, within MAX_WARNING_CUT */
+  get warningMult() {
+    const { reaction, reactions } = this.memory;
+    if (reactions === 0) return 1;
+    const quickness = clamp((SLOW_REACTION - reaction) / (SLOW_REACTION - FAST_REACTION), 0, 1);
+    return 1 - MAX_WARNING_CUT * this.personality.habit * Math.min(1, reactions / REACTION_CONFIDENT) * quickness;
+  }
+
+  /** What the owl has picked up on, in words for the player ('' before it has a read) */
+  describe() {
+    const { lanes, reaction, reactions } = this.memory;
+    const notes = [];
+    const watched = lanes.reduce((sum, t) => sum + t, 0);
+    const top = lanes.indexOf(Math.max(...lanes));
+    if (watched >= LANE_CONFIDENT && lanes[top] / watched > 0.35) {
+      const side = top < (lanes.length - 1) / 2 ? 'left' : top > (lanes.length - 1) / 2 ? 'right' : 'middle';
+      notes.push(`keep to the ${side}`);
+    }
+    const kind = DODGES.reduce((best, d) => (this._share(d) > this._share(best) ? d : best));
+    if (this._dodgeConfidence() >= 0.5 && this._share(kind) >= 0.5) {
+      notes.push(kind === 'left' || kind === 'right' ? `dodge ${kind}` : `${kind} out of trouble`);
+    }
+    if (reactions >= REACTION_CONFIDENT) notes.push(`react in ${(reaction / 1000).toFixed(2)}s`);
+    return notes.join(', ');
+  }
+
+  /** Share of dodges of one kind, 0 before any */
+  _share(kind) {
+    const total = DODGES.reduce((sum, d) => sum + this.memory.dodges[d], 0);
+    return total > 0 ? this.memory.dodges[kind] / total : 0;
+  }
+
+  _dodgeConfidence() {
+    const total = DODGES.reduce((sum, d) => sum + this.memory.dodges[d], 0);
+    return Math.min(1, total / DODGE_CONFIDENT);
+  }
+
+  /** Plain-data copy for a suspended run */
+  serialize() {
+    return structuredClone({ personality: this.personality.id, memory: this.memory,
+      seen: this.seen, reactClock: this.reactClock, dodged: this.dodged });
+  }
+
+  static deserialize(data) {
+    const brain = new OwlBrain(data, data.memory.lanes.length);
+    brain.seen = data.seen;
+    brain.reactClock = data.reactClock;
+    brain.dodged = data.dodged;
+    return brain;
+  }
+}
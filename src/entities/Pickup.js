@@ -2,7 +2,7 @@
 // Pickup.js - Collectible pickups
 // ============================================================
 
-import { aabbCollide } from '../utils.js';
+import { aabbCollide, lerp, SeededRNG } from '../utils.js';
 
 export const PICKUP_TYPES = {
   FEATHER_AXE: 'feather_axe',
@@ -12,25 +12,48 @@ export const PICKUP_TYPES = {
   LUCKY_BELL: 'lucky_bell',
 };
 
+// Every pickup type, built-ins first; the World applies the built-ins
+// itself and registered ones through their apply/effect
 export const PICKUP_INFO = {
-  [PICKUP_TYPES.FEATHER_AXE]: { label: 'Feather Axe', color: '#f1c40f', bg: '#e67e22', desc: 'Chop one tree obstacle' },
-  [PICKUP_TYPES.WIND_GUST]: { label: 'Wind Gust', color: '#74b9ff', bg: '#0984e3', desc: 'Speed boost' },
-  [PICKUP_TYPES.HOT_COCOA]: { label: 'Hot Cocoa', color: '#e17055', bg: '#d63031', desc: 'Reduce stun once' },
-  [PICKUP_TYPES.LANTERN_CHARM]: { label: 'Lantern', color: '#ffeaa7', bg: '#fdcb6e', desc: 'Shorter shadow warning' },
-  [PICKUP_TYPES.LUCKY_BELL]: { label: 'Lucky Bell', color: '#a29bfe', bg: '#6c5ce7', desc: 'Fewer hard obstacles' },
+  [PICKUP_TYPES.FEATHER_AXE]: { label: 'Feather Axe', icon: '🪓', color: '#f1c40f', bg: '#e67e22', desc: 'Chop one tree obstacle' },
+  [PICKUP_TYPES.WIND_GUST]: { label: 'Wind Gust', icon: '💨', color: '#74b9ff', bg: '#0984e3', desc: 'Speed boost' },
+  [PICKUP_TYPES.HOT_COCOA]: { label: 'Hot Cocoa', icon: '☕', color: '#e17055', bg: '#d63031', desc: 'Reduce stun once' },
+  [PICKUP_TYPES.LANTERN_CHARM]: { label: 'Lantern', icon: '🏮', color: '#ffeaa7', bg: '#fdcb6e', desc: 'Shorter shadow warning' },
+  [PICKUP_TYPES.LUCKY_BELL]: { label: 'Lucky Bell', icon: '🔔', color: '#a29bfe', bg: '#6c5ce7', desc: 'Fewer hard obstacles' },
 };
 
+/**
+ * Add a pickup type: { type, label, icon, color, bg, desc } plus what it
+ * does - apply(world) at once and/or effect, a timed effect
+ * ({ duration, stacking, maxStacks, onApply(world), onExpire(world, stacks) },
+ * see Effects.js). Returns a function that removes it again. Throws if the
+ * type is taken or the definition is incomplete.
+ */
+export function registerPickup(def) {
+  if (!def || typeof def.type !== 'string' || !def.type) throw new Error('Pickup definition needs a type');
+  if (PICKUP_INFO[def.type]) throw new Error(`Pickup type '${def.type}' is already registered`);
+  for (const field of ['label', 'icon', 'color', 'bg']) {
+    if (typeof def[field] !== 'string') throw new Error(`Pickup '${def.type}' needs a ${field}`);
+  }
+  if (typeof def.apply !== 'function' && !def.effect) throw new Error(`Pickup '${def.type}' needs an apply or an effect`);
+  const { type, ...info } = def;
+  PICKUP_INFO[type] = { desc: '', ...info };
+  return () => { delete PICKUP_INFO[type]; };
+}
+
 export class Pickup {
-  constructor(type, lane, x, y, speed) {
+  constructor(type, lane, x, y, speed, rng) {
+    rng = rng || new SeededRNG(Date.now());
     this.type = type;
     this.lane = lane;
     this.x = x;
     this.y = y;
+    this.prevY = y; // previous tick (render interpolation)
     this.speed = speed;
     this.w = 28;
     this.h = 28;
     this.active = true;
-    this.bobPhase = Math.random() * Math.PI * 2;
+    this.bobPhase = rng.next() * Math.PI * 2; // affects the collect hitbox
     this.collected = false;
     this.collectTimer = 0;
     this.collectDuration = 400;
@@ -58,6 +81,21 @@ export class Pickup {
     return aabbCollide(playerHitbox, phb);
   }
 
+  /** Remember current position as the previous tick's (render interpolation) */
+  snapshot() {
+    this.prevY = this.y;
+  }
+
+  /** Plain-data copy for a suspended run */
+  serialize() {
+    return structuredClone({ ...this });
+  }
+
+  static deserialize(data) {
+    if (!PICKUP_INFO[data.type]) throw new Error(`Unknown pickup type: ${data.type}`);
+    return Object.assign(Object.create(Pickup.prototype), structuredClone(data));
+  }
+
   collect() {
     this.collected = true;
     this.collectTimer = 0;
@@ -67,11 +105,11 @@ export class Pickup {
     return this.y < -50;
   }
 
-  draw(ctx) {
+  draw(ctx, alpha = 1) {
     if (!this.active) return;
     const info = PICKUP_INFO[this.type];
     const cx = this.x;
-    const cy = this.y + Math.sin(this.bobPhase) * 4;
+    const cy = lerp(this.prevY, this.y, alpha) + Math.sin(this.bobPhase) * 4;
 
     ctx.save();
 
@@ -106,18 +144,8 @@ export class Pickup {
     ctx.font = 'bold 14px serif';
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
-    ctx.fillText(this._icon(), 0, 0);
+    ctx.fillText(info.icon, 0, 0);
 
     ctx.restore();
   }
-
-  _icon() {
-    switch (this.type) {
-      case PICKUP_TYPES.FEATHER_AXE: return '🪓';
-      case PICKUP_TYPES.WIND_GUST: return '💨';
-      case PICKUP_TYPES.HOT_COCOA: return '☕';
-      case PICKUP_TYPES.LANTERN_CHARM: return '🏮';
-      case PICKUP_TYPES.LUCKY_BELL: return '🔔';
-    }
-  }
 }
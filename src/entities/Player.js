@@ -86,6 +86,27 @@ export const CHARACTERS = [
   }
 ];
 
+/**
+ * Add a runner after the built-in ones: { id, name, perk, tradeoff, color,
+ * scarfColor, hatType (beanie, tophat, hood or cap), stats } where stats
+ * holds the multipliers above (missing ones are 1). Runs refer to runners
+ * by position, so the built-ins keep theirs. Returns a function that
+ * removes it again. Throws if the id is taken or the definition is incomplete.
+ */
+export function registerCharacter(def) {
+  if (!def || typeof def.id !== 'string' || !def.id) throw new Error('Character definition needs an id');
+  if (CHARACTERS.some(c => c.id === def.id)) throw new Error(`Character '${def.id}' is already registered`);
+  if (typeof def.name !== 'string' || typeof def.color !== 'string') {
+    throw new Error(`Character '${def.id}' needs a name and a color`);
+  }
+  const character = { perk: '', tradeoff: '', scarfColor: def.color, hatType: 'beanie', ...def, stats: { ...def.stats } };
+  CHARACTERS.push(character);
+  return () => {
+    const i = CHARACTERS.indexOf(character);
+    if (i >= 0) CHARACTERS.splice(i, 1);
+  };
+}
+
 export class Player {
   constructor(x, y, character, attributesMode) {
     this.character = character;
@@ -104,6 +125,10 @@ export class Player {
     this.laneX = x; // actual pixel x target
     this.lerpSpeed = 8; // how fast we lerp between lanes
 
+    // Previous tick position (render interpolation)
+    this.prevX = x;
+    this.prevJumpY = 0;
+
     // Speed
     this.baseSpeed = 280 * (stats.speedMult || 1);
     this.speed = this.baseSpeed;
@@ -144,6 +169,7 @@ export class Player {
     this.scarfColor = (character && character.scarfColor) || '#e74c3c';
     this.hatType = (character && character.hatType) || 'beanie';
     this.footprintTimer = 0;
+    this.ghost = false; // drawn faded (personal-best ghost)
 
     // State
     this.dead = false;
@@ -159,6 +185,23 @@ export class Player {
     this.lanePositions = lanePositions;
     this.laneX = lanePositions[this.lane];
     this.x = this.laneX;
+    this.prevX = this.x;
+  }
+
+  /** Remember current position as the previous tick's (render interpolation) */
+  snapshot() {
+    this.prevX = this.x;
+    this.prevJumpY = this.jumpY;
+  }
+
+  /** Plain-data copy for a suspended run; the character and lanes come from the run itself */
+  serialize() {
+    const { character, lanePositions, ...state } = this;
+    return structuredClone(state);
+  }
+
+  static deserialize(data, character, lanePositions) {
+    return Object.assign(Object.create(Player.prototype), structuredClone(data), { character, lanePositions });
   }
 
   moveLeft() {
@@ -171,22 +214,22 @@ export class Player {
     this.targetLane = clamp(this.targetLane + 1, 0, 4);
   }
 
-  jump(audio) {
+  jump(events) {
     if (!this.jumping && !this.stunned && this.jumpCooldown <= 0) {
       this.jumping = true;
       this.jumpVY = this.jumpPower;
       this.jumpCooldown = 100;
-      if (audio) audio.playJump();
+      if (events) events.emit('jump', { lane: this.lane });
     }
   }
 
-  dash(audio) {
+  dash(events) {
     if (this.dashCooldown <= 0 && !this.stunned && !this.dashing) {
       this.dashing = true;
       this.dashTimer = this.dashDuration;
       this.dashCooldown = this.dashCooldownMax;
       this.speed = this.baseSpeed * 1.8 * this.dashDistMult;
-      if (audio) audio.playDash();
+      if (events) events.emit('dash', { lane: this.lane });
     }
   }
 
@@ -198,17 +241,18 @@ export class Player {
     return false;
   }
 
-  stun(durationMs, audio) {
-    if (this.invulTimer > 0 || this.stunned) return;
+  /** Returns whether it took: a stunned or recovering player shrugs it off */
+  stun(durationMs) {
+    if (this.invulTimer > 0 || this.stunned) return false;
     this.stunned = true;
     this.stunDuration = durationMs * this.stunMult;
     this.stunTimer = this.stunDuration;
     this.speed = this.baseSpeed * 0.4;
     this.stunCount++;
-    if (audio) audio.playStun();
+    return true;
   }
 
-  update(dt, lanePositions) {
+  update(dt, lanePositions, events) {
     this.lanePositions = lanePositions;
     const dtMs = dt * 1000;
 
@@ -257,6 +301,7 @@ export class Player {
         this.jumpY = 0;
         this.jumping = false;
         this.jumpVY = 0;
+        if (events) events.emit('land', { lane: this.lane });
       }
     }
 
@@ -297,30 +342,33 @@ export class Player {
     };
   }
 
-  draw(ctx) {
-    const cx = this.x;
-    const cy = this.y + this.jumpY;
+  draw(ctx, alpha = 1) {
+    const cx = lerp(this.prevX, this.x, alpha);
+    const jumpY = lerp(this.prevJumpY, this.jumpY, alpha);
+    const cy = this.y + jumpY;
 
     // Blink if invulnerable
     if (this.invulTimer > 0 && Math.floor(this.invulTimer / 80) % 2 === 0) return;
 
     ctx.save();
+    const baseAlpha = this.ghost ? 0.35 : 1;
+    ctx.globalAlpha = baseAlpha;
 
     // Shadow on ground
-    if (this.jumping && this.jumpY < -10) {
-      ctx.globalAlpha = 0.2 + (Math.abs(this.jumpY) / 200) * 0.1;
+    if (this.jumping && jumpY < -10) {
+      ctx.globalAlpha = baseAlpha * (0.2 + (Math.abs(jumpY) / 200) * 0.1);
       ctx.fillStyle = '#000';
       ctx.beginPath();
       ctx.ellipse(cx, this.y, this.w * 0.6, 6, 0, 0, Math.PI * 2);
       ctx.fill();
-      ctx.globalAlpha = 1;
+      ctx.globalAlpha = baseAlpha;
     }
 
     // Stun effect
     if (this.stunned) {
       const shake = Math.sin(Date.now() * 0.04) * 3;
       ctx.translate(shake, 0);
-      ctx.globalAlpha = 0.7 + Math.sin(Date.now() * 0.02) * 0.3;
+      ctx.globalAlpha = baseAlpha * (0.7 + Math.sin(Date.now() * 0.02) * 0.3);
     }
 
     // Legs
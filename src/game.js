@@ -1,266 +1,294 @@
 // ============================================================
-// game.js - Core game state, rendering, and game loop
+// game.js - Core game state, level flow and world rendering
 // ============================================================
 
-import { Player, CHARACTERS } from './entities/Player.js';
-import { Owl } from './entities/Owl.js';
-import { Spawner } from './systems/Spawner.js';
-import { CollisionSystem } from './systems/Collision.js';
 import { HUD } from './ui/HUD.js';
-import { Pickup, PICKUP_TYPES, PICKUP_INFO } from './entities/Pickup.js';
-import { SeededRNG, getDailySeed, lerp, clamp, saveData, loadData, formatTime, rgba } from './utils.js';
-
-const LANE_COUNT = 5;
-const LEVEL_LENGTHS = [600, 900, 1200, 1600, 2000, 2500, 3000]; // meters per level
-const BASE_SPEED = 280;
-
-// Upgrade options for between-level screen
-const UPGRADES = [
-  { id: 'long_jump', name: 'Spring Legs', desc: '+20% jump hang time', icon: '🦘' },
-  { id: 'fast_recovery', name: 'Quick Feet', desc: '-25% stun duration', icon: '⚡' },
-  { id: 'dash_cooldown', name: 'Tailwind', desc: '-20% dash cooldown', icon: '💨' },
-  { id: 'small_hitbox', name: 'Nimble Frame', desc: 'Smaller hitbox', icon: '🎯' },
-  { id: 'more_pickups', name: 'Sharp Eyes', desc: '+30% more pickups', icon: '👁️' },
-];
+import { ScreenManager } from './ui/ScreenManager.js';
+import { ProfileScreen } from './ui/screens/ProfileScreen.js';
+import { TitleScreen } from './ui/screens/TitleScreen.js';
+import { AttractScreen } from './ui/screens/AttractScreen.js';
+import { CharSelectScreen } from './ui/screens/CharSelectScreen.js';
+import { HowToPlayScreen } from './ui/screens/HowToPlayScreen.js';
+import { SettingsScreen } from './ui/screens/SettingsScreen.js';
+import { PlayingScreen } from './ui/screens/PlayingScreen.js';
+import { PauseScreen } from './ui/screens/PauseScreen.js';
+import { LevelCompleteScreen } from './ui/screens/LevelCompleteScreen.js';
+import { UpgradeScreen } from './ui/screens/UpgradeScreen.js';
+import { GameOverScreen } from './ui/screens/GameOverScreen.js';
+import { ReplaysScreen } from './ui/screens/ReplaysScreen.js';
+import { LeaderboardScreen } from './ui/screens/LeaderboardScreen.js';
+import { StatsScreen } from './ui/screens/StatsScreen.js';
+import { AchievementsScreen } from './ui/screens/AchievementsScreen.js';
+import { EditorScreen } from './ui/screens/EditorScreen.js';
+import { ReplayViewerScreen } from './ui/screens/ReplayViewerScreen.js';
+import { World, LANE_COUNT, OWL_TIERS, ENDLESS_MILESTONE_DISTANCE } from './sim/World.js';
+import { CHARACTERS } from './entities/Player.js';
+import { OWL_PERSONALITIES, owlPersonality, personalityForSeed } from './entities/OwlBrain.js';
+import { PX_PER_METER } from './systems/Spawner.js';
+import { LEVEL_THEMES } from './sim/Levels.js';
+import { ReplayRecorder, ReplayPlayer, encodeReplay, decodeReplay, replayToJSON, replayFromJSON } from './systems/Replay.js';
+import { SaveStore } from './systems/Save.js';
+import { AchievementTracker, tierName } from './systems/Achievements.js';
+import { Leaderboards, boardsForRun } from './systems/Leaderboard.js';
+import { MAX_RUN_HISTORY, newLifetime, summarizeLevel, makeRunRecord, addToLifetime } from './systems/Stats.js';
+import { SeededRNG, deriveSeed, getDailySeed, lerp, downloadText, promptText } from './utils.js';
+
+const MAX_SAVED_REPLAYS = 10;
+const MAX_SAVED_GHOSTS = 20; // level seeds; the ones with the oldest best runs go first
+
+// Snow on screens outside a level
+const DEFAULT_SNOW = { color: '#ffffff', alpha: 1, drift: 0 };
+
+// Which screens each screen may change to or push. Popping an overlay is
+// always allowed.
+const SCREEN_TRANSITIONS = {
+  profiles: ['title'],
+  title: ['playing', 'attract', 'profiles', 'charselect', 'howtoplay', 'settings', 'replays', 'leaderboards', 'stats', 'achievements', 'editor'],
+  attract: ['title'],
+  charselect: ['title'],
+  howtoplay: ['title'],
+  settings: ['title'],
+  playing: ['paused', 'upgrade', 'levelcomplete', 'gameover', 'editor'],
+  paused: ['playing', 'title', 'editor'],
+  levelcomplete: ['upgrade'],
+  upgrade: ['playing'],
+  gameover: ['playing', 'title', 'replays', 'leaderboards'],
+  replays: ['replay', 'title', 'gameover'],
+  replay: [],
+  leaderboards: ['title', 'gameover'],
+  stats: ['title'],
+  achievements: ['title'],
+  editor: ['title', 'playing'],
+};
 
 export class Game {
-  constructor(canvas, input, audio) {
+  constructor(canvas, input, audio, mods = null) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
     this.input = input;
     this.audio = audio;
+    this.mods = mods; // a ModLoader, whose mods listen to every level played
 
     this.cw = canvas.width;
     this.ch = canvas.height;
 
-    // Lane positions
-    this.lanePositions = this._computeLanes();
-
-    // Game state
-    this.state = 'title'; // title | charselect | playing | paused | levelcomplete | gameover | upgrade | howtoplay | settings | endless
+    // Everything persisted lives in one versioned save document
+    this.save = new SaveStore();
+    this.save.load();
 
     // Progression
     this.level = 1;
-    this.selectedCharIdx = loadData('selectedChar', 0);
-    this.attributesMode = loadData('attributesMode', true);
-    this.upgrades = loadData('upgrades', []);
-    this.achievements = loadData('achievements', {});
-    this.bestScore = loadData('bestScore', 0);
-    this.totalChopped = loadData('totalChopped', 0);
-    this.totalSwoopsDodged = loadData('totalSwoopsDodged', 0);
-
-    // Daily seed
+
+    // Daily seed / fixed custom seed (daily wins when both are set)
     this.dailySeed = getDailySeed();
     this.useDailySeed = false;
+    this.continuedDailySeed = null; // a continued Daily Seed run's own date, until it ends or is left
 
-    // Entities (initialized in startLevel)
-    this.player = null;
-    this.owl = null;
-    this.obstacles = [];
-    this.pickups = [];
-    this.npcs = [];
-    this.spawner = null;
-    this.collision = new CollisionSystem();
+    // The level being played (a World, created in startLevel)
+    this.world = null;
     this.hud = new HUD(this.cw, this.ch);
 
+    // Cosmetic randomness (menu snow and scenery) - never touches gameplay streams
+    this.fxRng = new SeededRNG(Date.now());
+
     // Background
     this.snowflakes = this._initSnow();
-    this.bgTrees = this._initBgTrees();
-    this.bgScrollY = 0;
-    this.footprintsWorld = [];
-
-    // Game metrics
-    this.distance = 0;
-    this.score = 0;
-    this.streak = 1;
-    this.cleanStreak = 0;
-    this.time = 0;
-    this.swoopsDodged = 0;
-    this.npcsSaved = 0;
-    this.runScore = 0;
-    this.runHits = 0;
-
-    // Special events
-    this.auroraActive = false;
-    this.auroraTimer = 0;
-    this.blizzardActive = false;
-    this.blizzardTimer = 0;
-    this.eventCooldown = 15000;
-    this.eventTimer = 20000;
-
-    // Screen shake
-    this.shakeX = 0;
-    this.shakeY = 0;
-    this.shakeMag = 0;
-    this.shakeDuration = 0;
-
-    // Stun overlay
-    this.stunOverlayAlpha = 0;
+    this.scenery = new Map(); // biome id -> background layer positions
 
-    // UI state
-    this.selectedUpgradeIdx = 1;
-    this.upgradeOptions = [];
-    this.pauseMenuIdx = 0;
-    this.charSelectIdx = this.selectedCharIdx;
-
-    // Rng for current level
-    this.rng = new SeededRNG(this.dailySeed + this.level * 7);
+    // Endless mode: one long run with its own records
+    this.isEndless = false;
+    this.newRecords = { distance: false, score: false }; // set by the last Endless game over
+
+    // Campaign runs are ranked on what all their levels add up to
+    this.runLevels = []; // summarizeLevel() of each level cleared in the campaign run
+    // What the owl has learned of the runner this run, for the next level: { personality, memory }
+    this.owlBrain = null;
+    this.lastRun = null; // run record of the last game over (see Stats.js)
+    this.lastEntry = null; // leaderboard entry of the last game over
+    this.placements = []; // where it placed: [{ board, rank, own }]
+
+    // Replays: every level attempt is recorded; saved ones are watched
+    // back through a World of their own
+    this.recorder = new ReplayRecorder();
+
+    // Ghost: best run on the current fixed seed, simulated alongside the player
+    this.ghost = null; // ReplayPlayer while racing one
+
+    // Level editor: { layout, startAt } while playing a level from it
+    this.testRun = null;
+
+    this._applySave();
+
+    // Screens: each owns its input, update, drawing and enter/exit effects
+    this.screens = new ScreenManager({
+      profiles: new ProfileScreen(this),
+      title: new TitleScreen(this),
+      attract: new AttractScreen(this),
+      charselect: new CharSelectScreen(this),
+      howtoplay: new HowToPlayScreen(this),
+      settings: new SettingsScreen(this),
+      playing: new PlayingScreen(this),
+      paused: new PauseScreen(this),
+      levelcomplete: new LevelCompleteScreen(this),
+      upgrade: new UpgradeScreen(this),
+      gameover: new GameOverScreen(this),
+      replays: new ReplaysScreen(this),
+      replay: new ReplayViewerScreen(this),
+      leaderboards: new LeaderboardScreen(this),
+      stats: new StatsScreen(this),
+      achievements: new AchievementsScreen(this),
+      editor: new EditorScreen(this),
+    }, SCREEN_TRANSITIONS);
+    this.screens.change('profiles');
+  }
 
-    // NPC snatch timer
-    this.npcSnatchTimer = 5000 + Math.random() * 5000;
+  /** Name of the profile whose progress is being played and saved */
+  get profileName() {
+    return this.save.activeProfile.name;
+  }
 
-    // Shadow dodge tracking
-    this.wasInShadow = false;
-    this.shadowDodgeTimer = 0;
+  /** Play as another profile from now on */
+  switchProfile(id) {
+    this.save.selectProfile(id);
+    this.level = 1;
+    this._applySave();
+  }
 
-    // Endless mode
-    this.isEndless = false;
+  /** Take every persisted value from the save (at startup, on a profile switch and after an import) */
+  _applySave() {
+    const save = this.save;
+    // A runner from a mod that is no longer loaded falls back to the first
+    this.selectedCharIdx = CHARACTERS[save.get('selectedChar')] ? save.get('selectedChar') : 0;
+    this.attributesMode = save.get('attributesMode');
+    this.owlPersonality = owlPersonality(save.get('owlPersonality')) ? save.get('owlPersonality') : 'random';
+    this.customSeed = save.get('customSeed');
+    this.volume = save.get('volume');
+    this.audio.setSFXVolume(this.volume.sfx);
+    this.audio.setMusicVolume(this.volume.music);
+    this.upgrades = save.get('upgrades');
+    this.achievements = new AchievementTracker(save.get('achievements'), save.get('achievementProgress'));
+    this.bestScore = save.get('bestScore');
+    this.totalChopped = save.get('totalChopped');
+    this.totalSwoopsDodged = save.get('totalSwoopsDodged');
+    this.endlessBest = save.get('endlessBest');
+    this.ghosts = save.get('ghosts'); // level seed -> encoded replay
+    this.replays = this._loadReplays();
+    this.leaderboards = new Leaderboards(save.get('leaderboards'));
+    this.runHistory = save.get('runHistory'); // run records, newest first
+    this.lifetime = { ...newLifetime(), ...save.get('lifetime') };
+    this.customLevels = save.get('levels'); // level editor's levels
   }
 
-  _computeLanes() {
-    const margin = 80;
-    const usableW = this.cw - margin * 2;
-    const laneW = usableW / (LANE_COUNT - 1);
-    const positions = [];
-    for (let i = 0; i < LANE_COUNT; i++) {
-      positions.push(margin + i * laneW);
-    }
-    return positions;
+  /** Name of the top screen (title, playing, paused...) */
+  get state() {
+    return this.screens.name;
   }
 
   _initSnow() {
     const flakes = [];
     for (let i = 0; i < 120; i++) {
       flakes.push({
-        x: Math.random() * this.cw,
-        y: Math.random() * this.ch,
-        r: 0.5 + Math.random() * 2.5,
-        vy: 30 + Math.random() * 80,
-        vx: (Math.random() - 0.5) * 20,
-        alpha: 0.4 + Math.random() * 0.6,
-        wobble: Math.random() * Math.PI * 2,
+        x: this.fxRng.next() * this.cw,
+        y: this.fxRng.next() * this.ch,
+        r: 0.5 + this.fxRng.next() * 2.5,
+        vy: 30 + this.fxRng.next() * 80,
+        vx: (this.fxRng.next() - 0.5) * 20,
+        alpha: 0.4 + this.fxRng.next() * 0.6,
+        wobble: this.fxRng.next() * Math.PI * 2,
       });
     }
     return flakes;
   }
 
-  _initBgTrees() {
-    const trees = [];
-    // Far background
-    for (let i = 0; i < 12; i++) {
-      trees.push({
-        x: Math.random() * this.cw,
-        y: Math.random() * this.ch,
-        scale: 0.3 + Math.random() * 0.3,
-        layer: 0,
-        speed: 0.15,
-      });
+  /** Where a biome's background layers stand, scattered on first use */
+  _sceneryFor(biome) {
+    if (!this.scenery.has(biome.id)) {
+      this.scenery.set(biome.id, biome.layers.map(layer => {
+        const [min, max] = layer.scale;
+        return Array.from({ length: layer.count }, () => {
+          // Flanking layers keep to the edges
+          const side = this.fxRng.next() < 0.5 ? -1 : 1;
+          const x = !layer.sides ? this.fxRng.next() * this.cw
+            : side < 0 ? this.fxRng.next() * 60 : this.cw - this.fxRng.next() * 60;
+          return { x, y: this.fxRng.next() * this.ch, scale: min + this.fxRng.next() * (max - min) };
+        });
+      }));
     }
-    // Near sides (flanking)
-    for (let i = 0; i < 8; i++) {
-      const side = Math.random() < 0.5 ? -1 : 1;
-      trees.push({
-        x: side < 0 ? Math.random() * 60 : this.cw - Math.random() * 60,
-        y: Math.random() * this.ch,
-        scale: 0.6 + Math.random() * 0.5,
-        layer: 1,
-        speed: 0.4,
-      });
-    }
-    return trees;
+    return this.scenery.get(biome.id);
   }
 
-  startLevel(levelNum, endless = false) {
+  /** Start a level; pass seed to replay a specific run instead of picking one */
+  startLevel(levelNum, endless = false, seed = null) {
     this.isEndless = endless;
-    this.level = levelNum;
-    const seed = this.useDailySeed ? this.dailySeed + levelNum * 7 : Date.now() + levelNum;
-    this.rng = new SeededRNG(seed);
-
-    const levelIdx = Math.min(levelNum - 1, LEVEL_LENGTHS.length - 1);
-    this.levelLength = endless ? 99999 : (LEVEL_LENGTHS[levelIdx] || 3000);
-
-    const character = CHARACTERS[this.selectedCharIdx];
-    const playerX = this.lanePositions[2];
-    const playerY = this.ch - 100;
-
-    this.player = new Player(playerX, playerY, character, this.attributesMode);
-    this.player.applyLanePositions(this.lanePositions);
-
-    // Apply upgrades
-    this._applyUpgrades();
-
-    this.owl = new Owl(this.cw, this.ch);
-    this.owl.threat = 0.1;
-
-    const difficulty = Math.min(levelNum, 8);
-    this.spawner = new Spawner(this.cw, this.ch, this.lanePositions, this.rng);
-    this.spawner.spawnY = -80;
-
-    this.obstacles = [];
-    this.pickups = [];
-    this.npcs = [];
-    this.footprintsWorld = [];
-
-    this.distance = 0;
-    this.score = 0;
-    this.streak = 1;
-    this.cleanStreak = 0;
-    this.time = 0;
-    this.swoopsDodged = 0;
-    this.npcsSaved = 0;
-    this.runHits = 0;
-
-    this.shakeX = 0;
-    this.shakeY = 0;
-    this.shakeMag = 0;
-
-    this.stunOverlayAlpha = 0;
-    this.wasInShadow = false;
-    this.shadowDodgeTimer = 0;
-
-    this.eventTimer = 20000 + Math.random() * 10000;
-    this.auroraActive = false;
-    this.blizzardActive = false;
-    this.auroraTimer = 0;
-    this.blizzardTimer = 0;
-
-    this.npcSnatchTimer = 6000 + Math.random() * 6000;
-
-    this.state = 'playing';
-    this.audio.resume();
-    this.audio.startAmbientMusic();
-  }
-
-  _applyUpgrades() {
-    if (!this.player) return;
-    for (const upg of this.upgrades) {
-      switch (upg) {
-        case 'long_jump':
-          this.player.hangMultiplier *= 1.2;
-          break;
-        case 'fast_recovery':
-          this.player.stunMult *= 0.75;
-          break;
-        case 'dash_cooldown':
-          this.player.dashCooldownMax *= 0.8;
-          break;
-        case 'small_hitbox':
-          this.player.w -= 4;
-          break;
-        case 'more_pickups':
-          this.spawner.pickupInterval *= 0.7;
-          break;
-      }
+    if (!endless) this.level = levelNum; // Endless leaves campaign progress alone
+    if (!endless && levelNum === 1) this.runLevels = [];
+    if (seed === null) {
+      const base = this._fixedSeedBase();
+      // Hashed with the mode, so no two levels (or days) share a seed or a ghost
+      seed = base !== null ? deriveSeed(base, `${endless ? 'endless' : 'campaign'}:${levelNum}`) : Date.now() + levelNum;
     }
+    // A new run meets an owl that knows nothing of the runner yet
+    if (endless || levelNum === 1 || !this.owlBrain) this.owlBrain = this._newOwlBrain(seed);
+
+    const run = {
+      seed,
+      level: levelNum,
+      endless,
+      charIdx: this.selectedCharIdx,
+      attributesMode: this.attributesMode,
+      upgrades: endless ? [] : this.upgrades, // Endless drafts its own
+      owlBrain: this.owlBrain,
+    };
+    this.recorder.begin(run);
+    this._playWorld(new World({ ...run, width: this.cw, height: this.ch }));
+    // A new run replaces any suspended one
+    this.suspendRun();
   }
 
-  update(dt) {
-    if (dt > 0.1) dt = 0.1; // Cap delta
+  /** Make world the live level and switch to playing it */
+  _playWorld(world) {
+    this.world = world;
+    this._listen(world.events);
+    this.achievements.startLevel();
 
-    switch (this.state) {
-      case 'playing': this._updatePlaying(dt); break;
-      case 'paused': this._updatePaused(); break;
+    // A restored level starts part-way through; its ghost catches up first
+    this.ghost = this.testRun ? null : this._createGhost(world.seed);
+    while (this.ghost && !this.ghost.ended && this.ghost.tick < world.tick) this.ghost.step();
+    this.screens.change('playing');
+  }
+
+  /** Start an Endless run: no finish line, upgrades are drafted at milestones */
+  startEndless() {
+    this.startLevel(1, true);
+  }
+
+  /** Start over after a game over, in whichever mode was being played */
+  retry() {
+    if (this.isEndless) {
+      this.startEndless();
+      return;
     }
+    this.upgrades = []; // reset upgrades on game over
+    this.save.set('upgrades', this.upgrades);
+    this.startLevel(1);
+  }
+
+  /** Seed that levels derive from, or null when every run is random */
+  _fixedSeedBase() {
+    if (this.useDailySeed) return this._runDailySeed();
+    return this.customSeed;
+  }
+
+  /** The Daily Seed the run in progress is on (not today's, for a continued run), or null */
+  _runDailySeed() {
+    if (!this.useDailySeed) return null;
+    return this.continuedDailySeed !== null ? this.continuedDailySeed : this.dailySeed;
+  }
+
+  /** Advance one simulation tick; dt is TICK_DT (the loop in main.js clamps frame time) */
+  update(dt) {
+    // Input is polled per tick so each press is seen exactly once
+    this.screens.update(dt, this.input);
 
     this.hud.update(dt);
 
@@ -268,463 +296,568 @@ export class Game {
     this._updateSnow(dt);
   }
 
-  _updatePlaying(dt) {
-    const dtMs = dt * 1000;
-    const inp = this.input;
+  /** Mouse click / tap in canvas coordinates */
+  handleClick(x, y) {
+    this.screens.click(x, y);
+  }
 
-    if (inp.wasPressed('Escape')) {
-      this.state = 'paused';
-      this.pauseMenuIdx = 0;
-      return;
-    }
+  /** Pointer position for hover states */
+  handlePointerMove(x, y) {
+    this.screens.pointerMove(x, y);
+  }
 
-    const player = this.player;
-    const difficulty = Math.min(this.level, 8);
+  /**
+   * Subscribe the game to a live World's events: sound, score popups,
+   * lifetime counters, achievements, the replay recorder and mods
+   */
+  _listen(events) {
+    this.audio.listen(events);
+    if (this.mods) this.mods.attach(events);
+    events.on('popup', (e) => this.hud.addScorePopup(e.x, e.y, e.text, e.color));
+    if (this.testRun) return; // a level being tested counts for nothing
+    events.on('chop', () => {
+      this.totalChopped++;
+      this.save.set('totalChopped', this.totalChopped);
+    });
+    events.onAny((e) => {
+      const unlocks = this.achievements.handle(e, { world: this.world, game: this });
+      for (const { def, tier } of unlocks) {
+        this.hud.addToast({ icon: def.icon, title: 'ACHIEVEMENT UNLOCKED', text: tierName(def, tier), color: def.color });
+        this.audio.playAchievement();
+      }
+      if (unlocks.length > 0) this._saveAchievements();
+    });
+    events.on('levelComplete', () => this._finishRecording('complete'));
+    events.on('gameOver', (e) => this._finishRecording(e.reason));
+  }
 
-// --- Input ---
-// Lane movement (buffered)
-const leftPressed = inp.consumeAnyBuffer('KeyA', 'ArrowLeft', 'TouchLeft');
-const rightPressed = inp.consumeAnyBuffer('KeyD', 'ArrowRight', 'TouchRight');
-if (leftPressed) player.moveLeft();
-if (rightPressed) player.moveRight();
+  /** Store achievement progress; it is kept in memory between checkpoints */
+  _saveAchievements() {
+    if (!this.achievements.dirty) return;
+    this.save.set('achievements', this.achievements.unlocked);
+    this.save.set('achievementProgress', this.achievements.progress);
+    this.achievements.dirty = false;
+  }
 
-// Jump
-if (inp.consumeAnyBuffer('Space', 'TouchUp')) {
-  player.jump(this.audio);
-}
+  /** The World reached the finish line */
+  completeLevel() {
+    this.runLevels.push(summarizeLevel(this.world));
+    this.owlBrain = this.world.owl.brain.remember();
 
-// Dash
-if (inp.anyPressed('ShiftLeft', 'ShiftRight')) {
-  player.dash(this.audio);
-}
+    // Save best score
+    if (this.world.score > this.bestScore) {
+      this.bestScore = this.world.score;
+      this.save.set('bestScore', this.bestScore);
+    }
 
-    // Axe (already handled during collision, but consumed here if pressed manually)
-    // Pre-arm axe is automatic in collision system
+    this._saveAchievements();
 
-    // --- Player update ---
-    player.update(dt, this.lanePositions);
+    this.screens.change('levelcomplete');
+    this.suspendRun();
+  }
 
-    // Footprints in world
-    if (!player.jumping && player.footprints.length > 0) {
-      const lastFP = player.footprints[player.footprints.length - 1];
-      this.footprintsWorld.push({
-        x: lastFP.x,
-        y: this.ch - 110 + Math.random() * 5,
-        alpha: 0.5,
-        lane: player.lane,
-      });
-      if (this.footprintsWorld.length > 30) this.footprintsWorld.shift();
-    }
-    for (const fp of this.footprintsWorld) {
-      fp.alpha -= dt * 0.5;
-      fp.y -= player.speed * dt; // Scroll with world
-    }
-    this.footprintsWorld = this.footprintsWorld.filter(fp => fp.alpha > 0);
-
-    // --- Scroll world ---
-    // Player stays fixed near bottom (y = ch-100). Obstacles spawn at top (y = -80) 
-    // and scroll DOWN toward player as the world moves.
-    const scrollAmt = player.speed * dt;
-    this.distance += scrollAmt / 3; // ~3px per meter
-    this.time += dtMs;
-
-    // Obstacles: scroll down + update projectiles/state
-    for (const obs of this.obstacles) {
-      obs.y += scrollAmt; // Move toward player (down the screen)
-      obs.updateProjectiles(dt, player.y);
-    }
-    this.obstacles = this.obstacles.filter(obs => obs.active && obs.y < this.ch + 120);
-
-    // Pickups: scroll down
-    for (const p of this.pickups) {
-      if (!p.collected) p.y += scrollAmt;
-      p.bobPhase += dt * 2;
-      if (p.collected) {
-        p.collectTimer += dt * 1000;
-        if (p.collectTimer >= p.collectDuration) p.active = false;
-      }
+  /** The run ended: the World was captured or caught */
+  gameOver() {
+    if (this.isEndless) {
+      this._saveEndlessRecords();
+    } else if (this.world.score > this.bestScore) {
+      this.bestScore = this.world.score;
+      this.save.set('bestScore', this.bestScore);
     }
-    this.pickups = this.pickups.filter(p => p.active && p.y < this.ch + 80);
 
-    // NPCs: scroll down
-    for (const npc of this.npcs) {
-      if (!npc.snatched) npc.y += scrollAmt;
-      npc.update(dt);
-    }
-    this.npcs = this.npcs.filter(n => n.active);
-
-    // --- Spawning ---
-    const hasShadow = this.owl.shadows.length > 0;
-    const pickupFreq = this.attributesMode ? (CHARACTERS[this.selectedCharIdx].stats.pickupFreqMult || 1) : 1;
-    this.spawner.update(dt, difficulty, this.obstacles, this.pickups, this.npcs,
-      player.speed, player.y, pickupFreq, hasShadow);
-
-    // --- Owl ---
-    const shadowWarnMult = this.attributesMode ? (CHARACTERS[this.selectedCharIdx].stats.shadowWarningMult || 1) : 1;
-    this.owl.update(dt, player.x, player.y, player.lane, this.lanePositions, difficulty, shadowWarnMult, this.audio);
-
-    // Owl threat based on player performance
-    if (player.stunned) {
-      this.owl.increaseThreat(dt * 0.08);
-    } else if (!player.dashing) {
-      this.owl.decreaseThreat(dt * 0.012);
-    } else {
-      this.owl.decreaseThreat(dt * 0.025);
-    }
+    this._saveAchievements();
+    const record = this._recordRun();
+    this._enterLeaderboards(record);
+    this.save.set('suspendedRun', null);
+    this.continuedDailySeed = null;
+    this.screens.change('gameover');
+  }
 
-    // Track shadow zone
-    const playerHB = player.getHitbox();
-    const inShadow = this.owl.isPlayerInShadow(playerHB);
-    if (inShadow) {
-      this.owl.increaseThreat(dt * 0.06);
-      this.shadowDodgeTimer += dtMs;
-    }
-    if (this.wasInShadow && !inShadow && this.shadowDodgeTimer > 200) {
-      // Successfully dodged shadow
-      this.swoopsDodged++;
-      this.player.swoopsDodged++;
-      this.streak = Math.min(this.streak + 0.2, 8);
-      this.hud.addScorePopup(player.x, player.y - 60, 'SWOOP DODGED! +50', '#74b9ff');
-      this.score += 50;
-      this.shadowDodgeTimer = 0;
-    }
-    this.wasInShadow = inShadow;
-
-    // --- Collisions ---
-    const hits = this.collision.checkObstacles(player, this.obstacles, this.audio);
-    for (const hit of hits) {
-      if (hit.type === 'stun') {
-        this.runHits++;
-        this.streak = Math.max(1, this.streak - 0.5);
-        this.cleanStreak = 0;
-        this.owl.increaseThreat(0.12);
-        this.shakeMag = 6;
-        this.shakeDuration = 400;
-        this.stunOverlayAlpha = 0.4;
-      } else if (hit.type === 'chop') {
-        this.totalChopped++;
-        saveData('totalChopped', this.totalChopped);
-        this.hud.addScorePopup(player.x, player.y - 50, 'CHOPPED! +25', '#f1c40f');
-        this.score += 25;
-      } else if (hit.type === 'ice') {
-        // Slow steering - already handled in player
-        this.player.lerpSpeed = 4; // Reduced temporarily
-        setTimeout(() => { if (this.player) this.player.lerpSpeed = 8; }, 1500);
-      }
-    }
+  /**
+   * Add the run that just ended to the history and lifetime totals; sets
+   * and returns lastRun. A campaign run's levels end with it.
+   */
+  _recordRun() {
+    const world = this.world;
+    const level = summarizeLevel(world);
+    const record = makeRunRecord({
+      endless: this.isEndless,
+      charIdx: world.charIdx,
+      attributesMode: world.attributesMode,
+      levels: this.isEndless ? [level] : [...this.runLevels, level],
+    });
+    if (!this.isEndless) this.runLevels = [];
+    this.lastRun = record;
+    this.runHistory.unshift(record);
+    this.runHistory.length = Math.min(this.runHistory.length, MAX_RUN_HISTORY);
+    addToLifetime(this.lifetime, record);
+    this.save.set('runHistory', this.runHistory);
+    this.save.set('lifetime', this.lifetime);
+    return record;
+  }
 
-    // Pickups
-    const collected = this.collision.checkPickups(player, this.pickups, this.audio);
-    for (const p of collected) {
-      this._applyPickup(p.type);
-      this.hud.addScorePopup(player.x, player.y - 55, `+${PICKUP_INFO[p.type].label}!`, PICKUP_INFO[p.type].color);
-    }
+  /** Rank the run that just ended; sets lastEntry and placements */
+  _enterLeaderboards(record) {
+    const world = this.world;
+    this.lastEntry = {
+      name: this.profileName,
+      charIdx: record.charIdx,
+      attributesMode: record.attributesMode,
+      score: record.score,
+      distance: record.distance,
+      hits: record.hits,
+      swoopsDodged: record.swoopsDodged,
+      level: this.isEndless ? world.difficulty : world.level,
+      date: record.date,
+    };
+    const dailySeed = this._runDailySeed();
+    this.placements = this.leaderboards.submit(boardsForRun({ endless: this.isEndless, dailySeed }), this.lastEntry);
+    this.save.set('leaderboards', this.leaderboards.boards);
+  }
 
-    // Swoop capture check
-    if (this.collision.checkOwlCapture(player, this.owl)) {
-      this._gameOver('captured');
-      return;
+  /** Open the leaderboards on a board; ESC goes back to fromState */
+  openLeaderboards(fromState, board = 'campaign') {
+    this.screens.change('leaderboards', { returnTo: fromState, board });
+  }
+
+  _saveEndlessRecords() {
+    const distance = Math.floor(this.world.distance);
+    const best = this.endlessBest;
+    this.newRecords = { distance: distance > best.distance, score: this.world.score > best.score };
+    if (this.newRecords.distance) best.distance = distance;
+    if (this.newRecords.score) best.score = this.world.score;
+    if (this.newRecords.distance || this.newRecords.score) this.save.set('endlessBest', best);
+  }
+
+  // ============================================================
+  // SUSPENDED RUNS
+  // ============================================================
+
+  /**
+   * Store the run in progress so the title can offer to continue it:
+   * between levels the campaign position, mid-level the whole World and
+   * its recording. One run per profile; starting another replaces it.
+   */
+  suspendRun() {
+    this._saveAchievements();
+    const run = this._snapshotRun();
+    if (run) this.save.set('suspendedRun', run);
+  }
+
+  /** The stored run, or null when there is nothing to continue */
+  get suspendedRun() {
+    return this.save.get('suspendedRun');
+  }
+
+  _snapshotRun() {
+    if (this.testRun) return null; // the run a test interrupted stays suspended
+    const state = this.state;
+    const midLevel = state === 'playing' || state === 'paused' || (state === 'upgrade' && this.isEndless);
+    const betweenLevels = state === 'levelcomplete' || (state === 'upgrade' && !this.isEndless);
+    if (!midLevel && !betweenLevels) return null;
+
+    const run = {
+      endless: this.isEndless,
+      level: betweenLevels ? this.level + 1 : this.level,
+      charIdx: midLevel ? this.world.charIdx : this.selectedCharIdx,
+      attributesMode: midLevel ? this.world.attributesMode : this.attributesMode,
+      upgrades: [...this.upgrades],
+      levels: structuredClone(this.runLevels),
+      owlBrain: structuredClone(this.owlBrain),
+      dailySeed: this._runDailySeed(),
+      savedAt: Date.now(),
+      world: null,
+      recording: null,
+    };
+    if (midLevel) {
+      run.world = this.world.serialize();
+      // A draft left on screen is offered again on continuing
+      if (state === 'upgrade') run.world.state.draftPending = true;
+      run.recording = structuredClone(this.recorder.recording);
     }
+    return run;
+  }
 
-    // Owl capture: threat reaches 1
-    if (this.owl.threat >= 1.0) {
-      this._gameOver('caught');
+  /** Pick the suspended run back up; a level left part-way resumes paused */
+  continueRun() {
+    const run = this.suspendedRun;
+    if (!run) return;
+    this.selectCharacter(run.charIdx);
+    this.setAttributesMode(run.attributesMode);
+    this.upgrades = [...run.upgrades];
+    this.save.set('upgrades', this.upgrades);
+    this.level = run.level;
+    this.runLevels = [...run.levels];
+    // An owl from a run saved before it learned starts over
+    this.owlBrain = run.owlBrain || null;
+    this.useDailySeed = run.dailySeed !== null;
+    this.continuedDailySeed = run.dailySeed;
+
+    let world = null;
+    if (run.world) {
+      try {
+        world = World.deserialize(run.world, { width: this.cw, height: this.ch });
+      } catch (e) {
+        console.warn(`Suspended level could not be restored (${e.message}); starting it over`);
+      }
+    }
+    if (!world) {
+      if (run.endless) this.startEndless();
+      else this.startLevel(run.level);
       return;
     }
 
-    // NPC snatch
-    this.npcSnatchTimer -= dtMs;
-    if (this.npcSnatchTimer <= 0) {
-      this._trySnatchNPC();
-      this.npcSnatchTimer = 5000 + Math.random() * 8000;
-    }
+    this.isEndless = run.endless;
+    if (run.recording) this.recorder.resume(run.recording);
+    this._playWorld(world);
+    this.screens.push('paused');
+  }
 
-    // Screen shake
-    if (this.shakeDuration > 0) {
-      this.shakeDuration -= dtMs;
-      this.shakeX = (Math.random() - 0.5) * this.shakeMag;
-      this.shakeY = (Math.random() - 0.5) * this.shakeMag;
-    } else {
-      this.shakeX = 0;
-      this.shakeY = 0;
-    }
+  /** Leave the level for the title; the run stays suspended to continue later */
+  quitRun() {
+    this.suspendRun();
+    this.continuedDailySeed = null; // a new run from the title is on today's seed
+    this.screens.change('title');
+  }
 
-    // Stun overlay fade
-    this.stunOverlayAlpha -= dt * 1.5;
-    this.stunOverlayAlpha = Math.max(0, this.stunOverlayAlpha);
+  /** The page was hidden or is being unloaded: pause play and keep the run */
+  handlePageHidden() {
+    if (this.state === 'playing') this.screens.push('paused');
+    this.suspendRun();
+  }
 
-    // Score update
-    const scoreMult = this.attributesMode ? (CHARACTERS[this.selectedCharIdx].stats.scoreMult || 1) : 1;
-    this.score += Math.floor(player.speed * dt * 0.1 * this.streak * scoreMult);
+  // ============================================================
+  // LEVEL EDITOR
+  // ============================================================
 
-    // Clean run streak
-    if (hits.length === 0 && !player.stunned) {
-      this.cleanStreak += dt;
-      if (this.cleanStreak > 3) {
-        this.streak = Math.min(this.streak + dt * 0.05, 8);
-      }
-    }
+  /** Keep the editor's levels (plain level format data) */
+  saveCustomLevels(levels) {
+    this.customLevels = levels;
+    this.save.set('levels', levels);
+  }
 
-    // Special events
-    this.eventTimer -= dtMs;
-    if (this.eventTimer <= 0 && !this.auroraActive && !this.blizzardActive) {
-      this._triggerEvent();
-      this.eventTimer = 20000 + Math.random() * 20000;
-    }
-    if (this.auroraActive) {
-      this.auroraTimer -= dtMs;
-      if (this.auroraTimer <= 0) this.auroraActive = false;
-      this.score += Math.floor(dt * 20);
-    }
-    if (this.blizzardActive) {
-      this.blizzardTimer -= dtMs;
-      if (this.blizzardTimer <= 0) this.blizzardActive = false;
-    }
+  /**
+   * Play a parsed level from the editor, starting startAt meters in. Tests
+   * aren't recorded, ranked or counted, and end back in the editor.
+   */
+  startTest(layout, startAt = 0) {
+    this.testRun = { layout, startAt };
+    this.isEndless = false;
+    this.recorder.cancel();
+    const seed = Date.now();
+    this._playWorld(new World({
+      seed,
+      level: 1,
+      charIdx: this.selectedCharIdx,
+      attributesMode: this.attributesMode,
+      owlBrain: this._newOwlBrain(seed),
+      layout,
+      startAt,
+      width: this.cw,
+      height: this.ch,
+    }));
+  }
+
+  /** Leave a test for the editor, saying how it went if it ended */
+  endTest() {
+    const world = this.world;
+    let result = null;
+    if (world.outcome === 'complete') result = 'Test cleared the finish line';
+    else if (world.outcome) result = `Test ended ${world.outcome} at ${Math.floor(world.distance)}m`;
+    this.testRun = null;
+    this.screens.change('editor', { fromTest: true, result });
+  }
 
-    // Background scroll
-    this.bgScrollY += player.speed * dt * 0.5;
+  // ============================================================
+  // REPLAYS
+  // ============================================================
 
-    // Level complete
-    if (this.distance >= this.levelLength) {
-      this._levelComplete();
+  _finishRecording(outcome) {
+    const rec = this.recorder.finish({
+      outcome,
+      ticks: this.world.tick,
+      score: this.world.score,
+      distance: this.world.distance,
+    });
+    if (!rec) return;
+    this._storeReplay(rec);
+    if (this._fixedSeedBase() !== null) this._updateGhostRecord(rec);
+  }
+
+  _createGhost(seed) {
+    if (this._fixedSeedBase() === null || !this.ghosts[seed]) return null;
+    try {
+      const rec = decodeReplay(this.ghosts[seed]);
+      return new ReplayPlayer(rec, { cosmetics: false });
+    } catch (e) {
+      return null;
     }
   }
 
-  _applyPickup(type) {
-    const p = this.player;
-    switch (type) {
-      case PICKUP_TYPES.FEATHER_AXE:
-        p.hasAxe = true;
-        break;
-      case PICKUP_TYPES.WIND_GUST:
-        p.speed = p.baseSpeed * 1.5;
-        p.dashing = true;
-        p.dashTimer = 2000;
-        this.owl.decreaseThreat(0.1);
-        break;
-      case PICKUP_TYPES.HOT_COCOA:
-        p.stunMult = Math.max(0.3, p.stunMult * 0.6);
-        break;
-      case PICKUP_TYPES.LANTERN_CHARM:
-        // Shorten next shadow (handled in owl)
-        this.owl.shadowWarningDuration = Math.min(this.owl.shadowWarningDuration, 1200);
-        setTimeout(() => { if (this.owl) this.owl.shadowWarningDuration = 2000; }, 10000);
-        break;
-      case PICKUP_TYPES.LUCKY_BELL:
-        this.spawner.obstacleInterval *= 1.3;
-        setTimeout(() => { if (this.spawner) this.spawner.obstacleInterval /= 1.3; }, 8000);
-        break;
+  /** Keep rec as this seed's ghost if it beats the stored one */
+  _updateGhostRecord(rec) {
+    let best = null;
+    try {
+      if (this.ghosts[rec.seed]) best = decodeReplay(this.ghosts[rec.seed]);
+    } catch (e) {
+      best = null;
     }
+    if (best && !this._isBetterRun(rec, best)) return;
+    this.ghosts[rec.seed] = encodeReplay(rec);
+    this._pruneGhosts();
+    this.save.set('ghosts', this.ghosts);
   }
 
-  _trySnatchNPC() {
-    const activeNPCs = this.npcs.filter(n => n.active && !n.snatched);
-    if (activeNPCs.length === 0) return;
-    const victim = activeNPCs[Math.floor(Math.random() * activeNPCs.length)];
-    victim.snatch(this.audio);
-    this.audio.playOwlScreech(0.8);
-    // Visual swoop line
-    this.owl.swoopLines.push({
-      x: victim.x,
-      y: victim.y - 300,
-      x2: victim.x,
-      y2: victim.y,
-      alpha: 0.8
-    });
+  /** Keep the MAX_SAVED_GHOSTS most recently recorded ghosts (seeds are keys, so key order won't do) */
+  _pruneGhosts() {
+    const date = (seed) => {
+      const ghost = this.ghosts[seed];
+      return ghost && typeof ghost.d === 'number' ? ghost.d : 0;
+    };
+    const seeds = Object.keys(this.ghosts).sort((a, b) => date(b) - date(a));
+    for (const seed of seeds.slice(MAX_SAVED_GHOSTS)) delete this.ghosts[seed];
   }
 
-  _triggerEvent() {
-    if (Math.random() < 0.5) {
-      this.auroraActive = true;
-      this.auroraTimer = 12000;
-    } else {
-      this.blizzardActive = true;
-      this.blizzardTimer = 10000;
-      // Blizzard: faster pickups
-      this.spawner.pickupInterval *= 0.5;
-      setTimeout(() => { if (this.spawner) this.spawner.pickupInterval *= 2; }, 10000);
+  /** Clearing beats not clearing; then fewer ticks to clear, or more distance */
+  _isBetterRun(a, b) {
+    const aDone = a.outcome === 'complete';
+    const bDone = b.outcome === 'complete';
+    if (aDone !== bDone) return aDone;
+    return aDone ? a.ticks < b.ticks : a.distance > b.distance;
+  }
+
+  _loadReplays() {
+    const replays = [];
+    for (const data of this.save.get('replays')) {
+      try {
+        replays.push(decodeReplay(data));
+      } catch (e) {
+        // Skip recordings from an incompatible version
+      }
     }
+    return replays;
   }
 
-  _levelComplete() {
-    this.state = 'levelcomplete';
-    this.audio.playLevelComplete();
-    this.audio.stopAmbientMusic();
-    this.owl.cancelSwoop();
+  _storeReplay(rec) {
+    this.replays.unshift(rec);
+    this.replays.length = Math.min(this.replays.length, MAX_SAVED_REPLAYS);
+    this.save.set('replays', this.replays.map(encodeReplay));
+  }
 
-    // Save best score
-    if (this.score > this.bestScore) {
-      this.bestScore = this.score;
-      saveData('bestScore', this.bestScore);
-    }
+  /** Open the replay list; ESC goes back to fromState */
+  openReplays(fromState) {
+    this.screens.change('replays', { returnTo: fromState });
+  }
 
-    // Check achievements
-    this._checkAchievements();
+  exportReplay(rec) {
+    const stamp = new Date(rec.date).toISOString().slice(0, 10);
+    downloadText(`snow-owl-replay-${stamp}-L${rec.level}.json`, replayToJSON(rec));
+  }
 
-    // Prepare upgrade options
-    const available = [...UPGRADES].filter(u => !this.upgrades.includes(u.id) || true);
-    const shuffled = available.sort(() => Math.random() - 0.5);
-    this.upgradeOptions = shuffled.slice(0, 3);
-    this.selectedUpgradeIdx = 0;
+  /** Add a replay from JSON text; throws if it isn't a valid recording */
+  importReplay(text) {
+    this._storeReplay(replayFromJSON(text));
+  }
 
-    setTimeout(() => {
-      if (this.state === 'levelcomplete') this.state = 'upgrade';
-    }, 2000);
+  deleteReplay(idx) {
+    if (!this.replays[idx]) return;
+    this.replays.splice(idx, 1);
+    this.save.set('replays', this.replays.map(encodeReplay));
   }
 
-  _gameOver(reason) {
-    this.state = 'gameover';
-    this.audio.playOwlCapture();
-    this.audio.stopAmbientMusic();
-    this.owl.cancelSwoop();
+  /** kind: 'sfx' or 'music'; value 0..1 */
+  setVolume(kind, value) {
+    this.volume[kind] = value;
+    if (kind === 'sfx') this.audio.setSFXVolume(value);
+    else this.audio.setMusicVolume(value);
+    this.save.set('volume', this.volume);
+  }
 
-    if (this.score > this.bestScore) {
-      this.bestScore = this.score;
-      saveData('bestScore', this.bestScore);
-    }
+  /** The owl a run starts against: the chosen personality, or one picked by the seed */
+  _newOwlBrain(seed) {
+    const personality = this.owlPersonality === 'random' ? personalityForSeed(seed) : this.owlPersonality;
+    return { personality, memory: null };
+  }
 
-    this._checkAchievements();
+  /** Step the owl personality setting on: random, then each personality in turn */
+  cycleOwlPersonality() {
+    const options = ['random', ...OWL_PERSONALITIES.map(p => p.id)];
+    this.owlPersonality = options[(options.indexOf(this.owlPersonality) + 1) % options.length];
+    this.save.set('owlPersonality', this.owlPersonality);
   }
 
-  _checkAchievements() {
-    const achs = this.achievements;
-    if (this.runHits === 0 && !achs.no_stun) {
-      achs.no_stun = true;
-    }
-    if (this.swoopsDodged >= 10) achs.shadow_dancer = true;
-    if (this.totalChopped >= 20) achs.lumberjack = true;
-    saveData('achievements', achs);
+  /** Turn Attribute Mode (equal stats for every runner) on or off */
+  setAttributesMode(on) {
+    this.attributesMode = on;
+    this.save.set('attributesMode', on);
   }
 
-  _updatePaused() {
-    const inp = this.input;
-    if (inp.wasPressed('Escape')) {
-      this.state = 'playing';
-      return;
-    }
-    if (inp.wasPressed('ArrowUp') || inp.wasPressed('KeyW')) {
-      this.pauseMenuIdx = Math.max(0, this.pauseMenuIdx - 1);
-    }
-    if (inp.wasPressed('ArrowDown') || inp.wasPressed('KeyS')) {
-      this.pauseMenuIdx = Math.min(2, this.pauseMenuIdx + 1);
-    }
-    if (inp.wasPressed('Enter') || inp.wasPressed('Space')) {
-      switch (this.pauseMenuIdx) {
-        case 0: this.state = 'playing'; break;
-        case 1: this.startLevel(this.level); break;
-        case 2: this.state = 'title'; break;
-      }
-    }
+  selectCharacter(idx) {
+    this.selectedCharIdx = idx;
+    this.save.set('selectedChar', idx);
+  }
+
+  /** Download the whole save document */
+  exportSave() {
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadText(`snow-owl-save-${stamp}.json`, this.save.exportJSON());
+  }
+
+  /** Replace all progress with an exported save; throws if it isn't valid */
+  importSave(text) {
+    this.save.importJSON(text);
+    this._applySave();
+  }
+
+  /** Ask for a custom seed; blank clears it */
+  promptCustomSeed() {
+    const text = promptText('Custom seed (number, leave blank for random runs):',
+      this.customSeed !== null ? String(this.customSeed) : '');
+    if (text === null) return;
+    const seed = parseInt(text.trim(), 10);
+    this.customSeed = Number.isFinite(seed) && seed >= 0 ? seed : null;
+    this.save.set('customSeed', this.customSeed);
   }
 
   // ============================================================
   // DRAWING
   // ============================================================
 
-  draw() {
+  /**
+   * Render the screen stack. alpha (0..1) is how far the real clock is
+   * between the previous and the current simulation tick; only screens
+   * that advance a simulation use it.
+   */
+  draw(alpha = 1) {
     const ctx = this.ctx;
     ctx.clearRect(0, 0, this.cw, this.ch);
+    this.screens.draw(ctx, alpha);
+    this.hud.drawToasts(ctx);
+  }
 
-    switch (this.state) {
-      case 'title': this._drawTitle(ctx); break;
-      case 'charselect': this._drawCharSelect(ctx); break;
-      case 'howtoplay': this._drawHowToPlay(ctx); break;
-      case 'settings': this._drawSettings(ctx); break;
-      case 'playing':
-      case 'paused':
-        this._drawGame(ctx);
-        if (this.state === 'paused') this._drawPauseMenu(ctx);
-        break;
-      case 'levelcomplete':
-        this._drawGame(ctx);
-        this._drawLevelComplete(ctx);
-        break;
-      case 'upgrade': this._drawUpgrade(ctx); break;
-      case 'gameover': this._drawGameOver(ctx); break;
-    }
+  /** Plain vertical gradient behind menu screens */
+  drawBackdrop(ctx, top, bottom) {
+    const grad = ctx.createLinearGradient(0, 0, 0, this.ch);
+    grad.addColorStop(0, top);
+    grad.addColorStop(1, bottom);
+    ctx.fillStyle = grad;
+    ctx.fillRect(0, 0, this.cw, this.ch);
   }
 
-  _drawGame(ctx) {
+  /** Draw a World (the live level, or a replay's) with its HUD */
+  drawWorld(ctx, world, alpha = 1, ghost = null) {
+    const scrollY = lerp(world.prevBgScrollY, world.bgScrollY, alpha);
     ctx.save();
-    if (this.shakeMag > 0 && this.shakeDuration > 0) {
-      ctx.translate(this.shakeX, this.shakeY);
+    if (world.shakeMag > 0 && world.shakeDuration > 0) {
+      ctx.translate(world.shakeX, world.shakeY);
     }
 
     // Sky gradient
-    this._drawSky(ctx);
+    this._drawSky(ctx, world.blizzardActive, world.theme ? LEVEL_THEMES[world.theme].sky : world.biome.sky);
 
     // Aurora
-    if (this.auroraActive) this._drawAurora(ctx);
+    if (world.auroraActive) this._drawAurora(ctx);
 
-    // Background trees
-    this._drawBgTrees(ctx);
+    // Background scenery
+    this._drawScenery(ctx, world.biome, scrollY);
 
     // Snow ground
-    this._drawGround(ctx);
+    this._drawGround(ctx, scrollY, world.biome.ground);
 
     // Lane cues (subtle)
-    this._drawLaneCues(ctx);
+    this._drawLaneCues(ctx, world.lanePositions);
 
     // Footprints
-    this._drawFootprints(ctx);
+    this._drawFootprints(ctx, world.footprintsWorld);
+
+    // Biome hazards
+    this._drawHazards(ctx, world);
 
     // Owl effects
-    this.owl.draw(ctx, this.cw, this.ch);
+    world.owl.draw(ctx, this.cw, this.ch, alpha);
 
     // NPCs
-    for (const npc of this.npcs) npc.draw(ctx);
+    for (const npc of world.npcs) npc.draw(ctx, alpha);
 
     // Obstacles
-    for (const obs of this.obstacles) obs.draw(ctx);
+    for (const obs of world.obstacles) obs.draw(ctx, alpha);
 
     // Pickups
-    for (const p of this.pickups) p.draw(ctx);
+    for (const p of world.pickups) p.draw(ctx, alpha);
+
+    // The owl in person, with its pinecones and feathers
+    if (world.boss) world.boss.draw(ctx, alpha, world.player.y);
+
+    // Ghost of the best run on this seed
+    if (ghost) this._drawGhost(ctx, world, ghost.world, alpha);
 
     // Player
-    this.player.draw(ctx);
+    world.player.draw(ctx, alpha);
 
     // Blizzard overlay
-    if (this.blizzardActive) this._drawBlizzard(ctx);
+    if (world.blizzardActive) this._drawBlizzard(ctx);
 
     // Snow
-    this._drawSnow(ctx);
+    this.drawSnow(ctx, world.blizzardActive, world.biome.snow);
 
     // Stun overlay
-    if (this.stunOverlayAlpha > 0) {
-      ctx.fillStyle = `rgba(100,150,255,${this.stunOverlayAlpha})`;
+    if (world.stunOverlayAlpha > 0) {
+      ctx.fillStyle = `rgba(100,150,255,${world.stunOverlayAlpha})`;
       ctx.fillRect(0, 0, this.cw, this.ch);
     }
 
     // Vignette
-    this._drawVignette(ctx);
+    this.drawVignette(ctx);
 
     ctx.restore();
 
     // HUD (no shake)
     this.hud.draw(ctx, {
-      distance: this.distance,
-      levelLength: this.levelLength,
-      speed: this.player.speed,
-      score: this.score,
-      streak: this.streak,
-      owl: this.owl,
-      player: this.player,
-      level: this.level,
-      swoopsDodged: this.swoopsDodged,
-      auroraActive: this.auroraActive,
-      blizzardActive: this.blizzardActive,
+      distance: world.distance,
+      levelLength: world.levelLength,
+      speed: world.player.speed,
+      score: world.score,
+      streak: world.streak,
+      owl: world.owl,
+      player: world.player,
+      level: world.level,
+      levelName: world.layout ? world.layout.name : world.biome.name,
+      swoopsDodged: world.swoopsDodged,
+      auroraActive: world.auroraActive,
+      blizzardActive: world.blizzardActive,
+      effects: world.effects.list(),
+      ghostDistance: ghost ? ghost.world.distance : null,
+      boss: world.boss,
+      endless: world.isEndless ? {
+        milestoneStart: world.milestone * ENDLESS_MILESTONE_DISTANCE,
+        nextMilestone: world.nextMilestone,
+        owlTierName: OWL_TIERS[world.owlTier].name,
+      } : null,
     });
   }
 
-  _drawSky(ctx) {
+  _drawGhost(ctx, world, ghostWorld, alpha) {
+    // A ghost ahead of us is further up the screen
+    const offsetY = (ghostWorld.distance - world.distance) * PX_PER_METER;
+    if (Math.abs(offsetY) > this.ch) return;
+
+    ctx.save();
+    ctx.translate(0, -offsetY);
+    ghostWorld.player.ghost = true;
+    ghostWorld.player.draw(ctx, alpha);
+    ctx.restore();
+  }
+
+  _drawSky(ctx, blizzard, sky) {
     const grad = ctx.createLinearGradient(0, 0, 0, this.ch);
-    if (this.blizzardActive) {
+    if (blizzard) {
       grad.addColorStop(0, '#1a2a3a');
       grad.addColorStop(1, '#2a3a4a');
     } else {
-      grad.addColorStop(0, '#0a0e1a');
-      grad.addColorStop(0.4, '#1a2040');
-      grad.addColorStop(1, '#2a3050');
+      const [top, middle, bottom] = sky;
+      grad.addColorStop(0, top);
+      grad.addColorStop(0.4, middle);
+      grad.addColorStop(1, bottom);
     }
     ctx.fillStyle = grad;
     ctx.fillRect(0, 0, this.cw, this.ch);
@@ -747,55 +880,35 @@ if (inp.anyPressed('ShiftLeft', 'ShiftRight')) {
     ctx.restore();
   }
 
-  _drawBgTrees(ctx) {
-    const scrollFar = (this.bgScrollY * 0.08) % this.ch;
-    const scrollNear = (this.bgScrollY * 0.25) % this.ch;
-
-    for (const tree of this.bgTrees) {
-      const scroll = tree.layer === 0 ? scrollFar : scrollNear;
-      const ty = ((tree.y + scroll) % this.ch);
-      this._drawBgTree(ctx, tree.x, ty, tree.scale, tree.layer);
-    }
-  }
-
-  _drawBgTree(ctx, x, y, scale, layer) {
-    ctx.save();
-    ctx.globalAlpha = layer === 0 ? 0.25 : 0.45;
-    ctx.translate(x, y);
-    ctx.scale(scale, scale);
-
-    // Trunk
-    ctx.fillStyle = '#3a2010';
-    ctx.fillRect(-5, -20, 10, 20);
-
-    // Tiers
-    const color = '#1a3510';
-    [[30, 24], [24, 20], [18, 16]].forEach(([w, h], i) => {
-      ctx.fillStyle = color;
-      ctx.beginPath();
-      ctx.moveTo(0, -40 - i * 16 - h);
-      ctx.lineTo(-w / 2, -40 - i * 16);
-      ctx.lineTo(w / 2, -40 - i * 16);
-      ctx.closePath();
-      ctx.fill();
+  _drawScenery(ctx, biome, scrollY) {
+    const scenery = this._sceneryFor(biome);
+    biome.layers.forEach((layer, i) => {
+      // Nearer layers scroll faster
+      const scroll = (scrollY * layer.parallax) % this.ch;
+      for (const item of scenery[i]) {
+        ctx.save();
+        ctx.globalAlpha = layer.alpha;
+        ctx.translate(item.x, (item.y + scroll) % this.ch);
+        ctx.scale(item.scale, item.scale);
+        layer.draw(ctx);
+        ctx.restore();
+      }
     });
-
-    ctx.restore();
   }
 
-  _drawGround(ctx) {
+  _drawGround(ctx, scrollY, ground) {
     // Snow ground
     const grad = ctx.createLinearGradient(0, this.ch - 140, 0, this.ch);
-    grad.addColorStop(0, '#d0e8f4');
-    grad.addColorStop(1, '#e8f4fb');
+    grad.addColorStop(0, ground.top);
+    grad.addColorStop(1, ground.bottom);
     ctx.fillStyle = grad;
     ctx.fillRect(0, this.ch - 130, this.cw, 130);
 
     // Ground edge (snowbank)
-    ctx.fillStyle = '#f0f8ff';
+    ctx.fillStyle = ground.bank;
     ctx.beginPath();
     for (let x = 0; x <= this.cw; x += 20) {
-      const h = 8 + Math.sin(x * 0.05 + this.bgScrollY * 0.01) * 4;
+      const h = 8 + Math.sin(x * 0.05 + scrollY * 0.01) * 4;
       if (x === 0) ctx.moveTo(x, this.ch - 130 + h);
       else ctx.lineTo(x, this.ch - 130 + h);
     }
@@ -805,10 +918,10 @@ if (inp.anyPressed('ShiftLeft', 'ShiftRight')) {
     ctx.fill();
   }
 
-  _drawLaneCues(ctx) {
+  _drawLaneCues(ctx, lanePositions) {
     // Subtle lane cues: fence posts at lane positions
     for (let i = 0; i < LANE_COUNT; i++) {
-      const lx = this.lanePositions[i];
+      const lx = lanePositions[i];
 
       // Far background "post" markers (very faint)
       ctx.save();
@@ -826,8 +939,8 @@ if (inp.anyPressed('ShiftLeft', 'ShiftRight')) {
 
     // Lane snow texture: slightly different brightness per lane area
     for (let i = 0; i < LANE_COUNT - 1; i++) {
-      const x1 = this.lanePositions[i];
-      const x2 = this.lanePositions[i + 1];
+      const x1 = lanePositions[i];
+      const x2 = lanePositions[i + 1];
       const mid = (x1 + x2) / 2;
       ctx.save();
       ctx.globalAlpha = i % 2 === 0 ? 0.04 : 0.0;
@@ -837,8 +950,8 @@ if (inp.anyPressed('ShiftLeft', 'ShiftRight')) {
     }
   }
 
-  _drawFootprints(ctx) {
-    for (const fp of this.footprintsWorld) {
+  _drawFootprints(ctx, footprints) {
+    for (const fp of footprints) {
       ctx.save();
       ctx.globalAlpha = fp.alpha * 0.5;
       ctx.fillStyle = '#b8d4e8';
@@ -853,6 +966,19 @@ if (inp.anyPressed('ShiftLeft', 'ShiftRight')) {
     }
   }
 
+  /** Each biome hazard on its lanes: a warning while it builds, then the strike */
+  _drawHazards(ctx, world) {
+    const hazard = world.biome.hazard;
+    for (const h of world.hazards) {
+      const progress = Math.min(1, h.timer / hazard.warning);
+      for (const lane of h.lanes) {
+        ctx.save();
+        hazard.draw(ctx, h, world.lanePositions[lane], world.player.y, progress);
+        ctx.restore();
+      }
+    }
+  }
+
   _drawBlizzard(ctx) {
     ctx.save();
     ctx.globalAlpha = 0.35;
@@ -861,11 +987,11 @@ if (inp.anyPressed('ShiftLeft', 'ShiftRight')) {
     ctx.restore();
   }
 
-  _drawSnow(ctx) {
+  drawSnow(ctx, blizzard = false, snow = DEFAULT_SNOW) {
     for (const flake of this.snowflakes) {
       ctx.save();
-      ctx.globalAlpha = flake.alpha * (this.blizzardActive ? 1.5 : 1);
-      ctx.fillStyle = '#ffffff';
+      ctx.globalAlpha = Math.min(1, flake.alpha * snow.alpha * (blizzard ? 1.5 : 1));
+      ctx.fillStyle = snow.color;
       ctx.beginPath();
       ctx.arc(flake.x, flake.y, flake.r, 0, Math.PI * 2);
       ctx.fill();
@@ -873,7 +999,7 @@ if (inp.anyPressed('ShiftLeft', 'ShiftRight')) {
     }
   }
 
-  _drawVignette(ctx) {
+  drawVignette(ctx) {
     const grad = ctx.createRadialGradient(
       this.cw / 2, this.ch / 2, this.ch * 0.3,
       this.cw / 2, this.ch / 2, this.ch * 0.8
@@ -885,650 +1011,19 @@ if (inp.anyPressed('ShiftLeft', 'ShiftRight')) {
   }
 
   _updateSnow(dt) {
+    const playing = this.state === 'playing';
+    const blizzard = playing && this.world.blizzardActive;
+    const drift = playing ? this.world.biome.snow.drift : 0;
     for (const flake of this.snowflakes) {
       flake.wobble += dt * 1.5;
-      flake.y += flake.vy * dt * (this.blizzardActive ? 2 : 1);
-      flake.x += flake.vx * dt + Math.sin(flake.wobble) * 0.5;
-      if (this.blizzardActive) {
+      flake.y += flake.vy * dt * (blizzard ? 2 : 1);
+      flake.x += (flake.vx + drift) * dt + Math.sin(flake.wobble) * 0.5;
+      if (blizzard) {
         flake.x -= 60 * dt;
       }
-      if (flake.y > this.ch) { flake.y = -5; flake.x = Math.random() * this.cw; }
+      if (flake.y > this.ch) { flake.y = -5; flake.x = this.fxRng.next() * this.cw; }
       if (flake.x > this.cw) flake.x = 0;
       if (flake.x < 0) flake.x = this.cw;
     }
   }
-
-  // ============================================================
-  // UI SCREENS
-  // ============================================================
-
-  _drawTitle(ctx) {
-    // Background
-    const grad = ctx.createLinearGradient(0, 0, 0, this.ch);
-    grad.addColorStop(0, '#050810');
-    grad.addColorStop(1, '#0f1828');
-    ctx.fillStyle = grad;
-    ctx.fillRect(0, 0, this.cw, this.ch);
-    this._drawSnow(ctx);
-    this._drawAuroraStatic(ctx);
-
-    // Title
-    ctx.textAlign = 'center';
-    ctx.shadowBlur = 30;
-    ctx.shadowColor = '#a0c8ff';
-    ctx.fillStyle = '#e8f4ff';
-    ctx.font = 'bold 52px "Courier New"';
-    ctx.fillText('SNOW OWL CHASE', this.cw / 2, 160);
-    ctx.shadowBlur = 0;
-
-    ctx.fillStyle = 'rgba(200,230,255,0.6)';
-    ctx.font = '16px "Courier New"';
-    ctx.fillText('survive the hunt', this.cw / 2, 195);
-
-    // Owl silhouette
-    this._drawOwlSilhouette(ctx, this.cw / 2, 280, 1.2 + Math.sin(Date.now() * 0.001) * 0.05);
-
-    // Menu
-    const items = ['▶  PLAY', '◆  CHARACTER SELECT', '?  HOW TO PLAY', '⚙  SETTINGS'];
-    items.forEach((item, i) => {
-      const y = 380 + i * 52;
-      ctx.fillStyle = 'rgba(0,0,0,0.4)';
-      ctx.beginPath();
-      ctx.roundRect(this.cw / 2 - 150, y - 26, 300, 40, 8);
-      ctx.fill();
-      ctx.fillStyle = 'rgba(150,210,255,0.9)';
-      ctx.font = '18px "Courier New"';
-      ctx.fillText(item, this.cw / 2, y);
-    });
-
-    ctx.fillStyle = 'rgba(150,180,220,0.5)';
-    ctx.font = '12px "Courier New"';
-    ctx.fillText('[ CLICK TO SELECT ]', this.cw / 2, this.ch - 30);
-
-    this._drawVignette(ctx);
-  }
-
-  _drawAuroraStatic(ctx) {
-    const t = Date.now() * 0.0003;
-    ctx.save();
-    ctx.globalAlpha = 0.12;
-    for (let i = 0; i < 3; i++) {
-      const grad = ctx.createLinearGradient(0, 60 + i * 30, this.cw, 120 + i * 30);
-      grad.addColorStop(0, 'rgba(0,200,150,0)');
-      grad.addColorStop(0.5, 'rgba(0,255,200,0.8)');
-      grad.addColorStop(1, 'rgba(100,150,255,0)');
-      ctx.fillStyle = grad;
-      ctx.fillRect(0, 50 + i * 30 + Math.sin(t + i) * 15, this.cw, 50);
-    }
-    ctx.restore();
-  }
-
-  _drawOwlSilhouette(ctx, cx, cy, scale = 1) {
-    ctx.save();
-    ctx.translate(cx, cy);
-    ctx.scale(scale, scale);
-
-    // Body
-    ctx.fillStyle = 'rgba(200,220,255,0.15)';
-    ctx.beginPath();
-    ctx.ellipse(0, 0, 45, 60, 0, 0, Math.PI * 2);
-    ctx.fill();
-
-    // Wings
-    const wingFlap = Math.sin(Date.now() * 0.002) * 20;
-    ctx.fillStyle = 'rgba(180,210,255,0.12)';
-    ctx.beginPath();
-    ctx.ellipse(-70, wingFlap, 50, 20, -0.3, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.beginPath();
-    ctx.ellipse(70, wingFlap, 50, 20, 0.3, 0, Math.PI * 2);
-    ctx.fill();
-
-    // Eyes
-    ctx.globalAlpha = 0.6 + Math.sin(Date.now() * 0.003) * 0.2;
-    ctx.fillStyle = 'rgba(255,200,50,0.8)';
-    ctx.beginPath();
-    ctx.arc(-16, -10, 10, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.beginPath();
-    ctx.arc(16, -10, 10, 0, Math.PI * 2);
-    ctx.fill();
-
-    ctx.restore();
-  }
-
-  _drawCharSelect(ctx) {
-    const grad = ctx.createLinearGradient(0, 0, 0, this.ch);
-    grad.addColorStop(0, '#050810');
-    grad.addColorStop(1, '#0a1420');
-    ctx.fillStyle = grad;
-    ctx.fillRect(0, 0, this.cw, this.ch);
-    this._drawSnow(ctx);
-
-    ctx.textAlign = 'center';
-    ctx.fillStyle = '#e8f4ff';
-    ctx.font = 'bold 28px "Courier New"';
-    ctx.fillText('SELECT RUNNER', this.cw / 2, 50);
-
-    ctx.fillStyle = 'rgba(150,200,255,0.6)';
-    ctx.font = '11px "Courier New"';
-    ctx.fillText('each character has unique perks', this.cw / 2, 72);
-
-    const cardW = 140;
-    const cardH = 240;
-    const gap = 16;
-    const totalW = CHARACTERS.length * cardW + (CHARACTERS.length - 1) * gap;
-    const startX = (this.cw - totalW) / 2;
-
-    CHARACTERS.forEach((char, i) => {
-      const cx = startX + i * (cardW + gap) + cardW / 2;
-      const cy = 190;
-      const selected = i === this.charSelectIdx;
-
-      ctx.save();
-      if (selected) {
-        ctx.shadowBlur = 20;
-        ctx.shadowColor = char.color;
-        ctx.translate(0, -10);
-      }
-
-      // Card background
-      ctx.fillStyle = selected ? 'rgba(255,255,255,0.12)' : 'rgba(255,255,255,0.05)';
-      ctx.strokeStyle = selected ? char.color : 'rgba(255,255,255,0.15)';
-      ctx.lineWidth = selected ? 2 : 1;
-      ctx.beginPath();
-      ctx.roundRect(cx - cardW / 2, cy - cardH / 2, cardW, cardH, 10);
-      ctx.fill();
-      ctx.stroke();
-
-      // Character preview
-      this._drawCharPreview(ctx, char, cx, cy - 30);
-
-      // Name
-      ctx.fillStyle = char.color;
-      ctx.font = 'bold 12px "Courier New"';
-      ctx.textAlign = 'center';
-      ctx.shadowBlur = 0;
-      ctx.fillText(char.name.replace('The ', ''), cx, cy + 65);
-
-      // Perk
-      ctx.fillStyle = 'rgba(150,230,150,0.8)';
-      ctx.font = '9px "Courier New"';
-      const perkLines = this._wrapText(char.perk, 13);
-      perkLines.forEach((line, li) => ctx.fillText(line, cx, cy + 82 + li * 13));
-
-      // Tradeoff
-      ctx.fillStyle = 'rgba(255,150,150,0.7)';
-      const tradeLines = this._wrapText(char.tradeoff, 13);
-      tradeLines.forEach((line, li) => ctx.fillText(line, cx, cy + 108 + li * 13));
-
-      ctx.restore();
-    });
-
-    // Attributes mode toggle
-    const attrY = this.ch - 90;
-    ctx.fillStyle = 'rgba(0,0,0,0.5)';
-    ctx.beginPath();
-    ctx.roundRect(this.cw / 2 - 160, attrY - 15, 320, 32, 8);
-    ctx.fill();
-    ctx.fillStyle = 'rgba(200,230,255,0.8)';
-    ctx.font = '12px "Courier New"';
-    ctx.textAlign = 'center';
-    ctx.fillText(`ATTRIBUTE MODE: ${this.attributesMode ? 'ON ✓' : 'OFF ✗'}  [TAB to toggle]`, this.cw / 2, attrY + 4);
-
-    // Confirm button
-    const btnY = this.ch - 45;
-    ctx.fillStyle = CHARACTERS[this.charSelectIdx].color;
-    ctx.beginPath();
-    ctx.roundRect(this.cw / 2 - 100, btnY - 18, 200, 34, 8);
-    ctx.fill();
-    ctx.fillStyle = '#fff';
-    ctx.font = 'bold 14px "Courier New"';
-    ctx.fillText('CONFIRM [ENTER]', this.cw / 2, btnY + 2);
-
-    this._drawVignette(ctx);
-  }
-
-  _drawCharPreview(ctx, char, cx, cy) {
-    ctx.save();
-    ctx.scale(1.4, 1.4);
-    const sx = cx / 1.4;
-    const sy = cy / 1.4;
-
-    // Legs
-    ctx.fillStyle = char.color;
-    ctx.fillRect(sx - 9, sy - 8, 7, 16);
-    ctx.fillRect(sx + 2, sy - 8, 7, 16);
-    // Body
-    ctx.beginPath();
-    ctx.roundRect(sx - 12, sy - 34, 24, 28, 4);
-    ctx.fill();
-    // Scarf
-    ctx.fillStyle = char.scarfColor;
-    ctx.fillRect(sx - 13, sy - 24, 26, 7);
-    // Head
-    ctx.fillStyle = char.color;
-    ctx.beginPath();
-    ctx.arc(sx, sy - 42, 11, 0, Math.PI * 2);
-    ctx.fill();
-
-    // Hat (reuse player hat logic)
-    ctx.fillStyle = char.scarfColor;
-    switch (char.hatType) {
-      case 'beanie':
-        ctx.beginPath();
-        ctx.roundRect(sx - 10, sy - 55, 20, 12, [6, 6, 0, 0]);
-        ctx.fill();
-        ctx.fillStyle = '#fff';
-        ctx.beginPath();
-        ctx.arc(sx, sy - 55, 4, 0, Math.PI * 2);
-        ctx.fill();
-        break;
-      case 'tophat':
-        ctx.fillStyle = '#2c3e50';
-        ctx.fillRect(sx - 7, sy - 65, 14, 18);
-        ctx.fillRect(sx - 12, sy - 48, 24, 4);
-        break;
-      case 'hood':
-        ctx.beginPath();
-        ctx.arc(sx, sy - 47, 14, Math.PI, 0);
-        ctx.fill();
-        ctx.fillRect(sx - 14, sy - 47, 28, 6);
-        break;
-      case 'cap':
-        ctx.beginPath();
-        ctx.roundRect(sx - 10, sy - 55, 20, 8, [4, 4, 0, 0]);
-        ctx.fill();
-        ctx.fillRect(sx - 14, sy - 48, 22, 3);
-        break;
-    }
-    // Eyes
-    ctx.fillStyle = '#1a1a2e';
-    ctx.fillRect(sx - 5, sy - 46, 3, 3);
-    ctx.fillRect(sx + 2, sy - 46, 3, 3);
-
-    ctx.restore();
-  }
-
-  _wrapText(text, maxLen) {
-    const words = text.split(' ');
-    const lines = [];
-    let cur = '';
-    for (const w of words) {
-      if ((cur + w).length > maxLen) {
-        if (cur) lines.push(cur.trim());
-        cur = w + ' ';
-      } else {
-        cur += w + ' ';
-      }
-    }
-    if (cur.trim()) lines.push(cur.trim());
-    return lines;
-  }
-
-  _drawHowToPlay(ctx) {
-    const grad = ctx.createLinearGradient(0, 0, 0, this.ch);
-    grad.addColorStop(0, '#050810');
-    grad.addColorStop(1, '#0a1420');
-    ctx.fillStyle = grad;
-    ctx.fillRect(0, 0, this.cw, this.ch);
-
-    ctx.textAlign = 'center';
-    ctx.fillStyle = '#e8f4ff';
-    ctx.font = 'bold 24px "Courier New"';
-    ctx.fillText('HOW TO PLAY', this.cw / 2, 55);
-
-    const lines = [
-      ['MOVEMENT', 'A/D or ← → to swap lanes'],
-      ['JUMP', 'SPACE to jump over logs, branches, snowballs'],
-      ['DASH', 'SHIFT for speed dash (creates owl distance)'],
-      ['FEATHER AXE', '1 or F to chop a tree on collision'],
-      ['', ''],
-      ['OWL THREAT', 'Hits and slow play increase the threat bar'],
-      ['SWOOP ATTACK', 'SHADOW WARNING appears - exit shadow zone fast!'],
-      ['CAPTURE', 'Swoop hit or threat bar maxes out = caught'],
-      ['', ''],
-      ['PICKUPS', '🪓 Feather Axe  💨 Wind Gust  ☕ Hot Cocoa'],
-      ['', '🏮 Lantern Charm  🔔 Lucky Bell'],
-      ['', ''],
-      ['OBSTACLES', 'Logs: JUMP  Trees: dodge or AXE  Snowmen: dodge'],
-      ['', 'Rolling Snowballs: JUMP  Ice Patches: slow steering'],
-      ['', 'Thin Ice: cracks+slows  Branch: JUMP  Snowdrift: slow'],
-      ['', ''],
-      ['NPCs', 'Runner NPCs may get snatched by the owl (dramatic!)'],
-    ];
-
-    let y = 95;
-    ctx.textAlign = 'left';
-    for (const [label, text] of lines) {
-      if (!label && !text) { y += 4; continue; }
-      if (label) {
-        ctx.fillStyle = '#74b9ff';
-        ctx.font = 'bold 11px "Courier New"';
-        ctx.fillText(label, this.cw / 2 - 230, y);
-      }
-      ctx.fillStyle = 'rgba(200,230,255,0.8)';
-      ctx.font = '11px "Courier New"';
-      ctx.fillText(text, this.cw / 2 - 90, y);
-      y += 20;
-    }
-
-    ctx.textAlign = 'center';
-    ctx.fillStyle = '#74b9ff';
-    ctx.font = '13px "Courier New"';
-    ctx.fillText('[BACKSPACE / ESC to go back]', this.cw / 2, this.ch - 30);
-
-    this._drawVignette(ctx);
-  }
-
-  _drawSettings(ctx) {
-    const grad = ctx.createLinearGradient(0, 0, 0, this.ch);
-    grad.addColorStop(0, '#050810');
-    grad.addColorStop(1, '#0a1420');
-    ctx.fillStyle = grad;
-    ctx.fillRect(0, 0, this.cw, this.ch);
-
-    ctx.textAlign = 'center';
-    ctx.fillStyle = '#e8f4ff';
-    ctx.font = 'bold 24px "Courier New"';
-    ctx.fillText('SETTINGS', this.cw / 2, 55);
-
-    const settings = [
-      `AUDIO: ${this.audio.enabled ? 'ON ✓' : 'OFF ✗'}  [A]`,
-      `ATTRIBUTE MODE: ${this.attributesMode ? 'ON ✓' : 'OFF ✗'}  [M]`,
-      `DAILY SEED MODE: ${this.useDailySeed ? 'ON ✓' : 'OFF ✗'}  [D]`,
-      `TODAY'S SEED: ${this.dailySeed}`,
-      `BEST SCORE: ${this.bestScore.toLocaleString()}`,
-      '',
-      `ACHIEVEMENTS:`,
-      `  No Stun Run: ${this.achievements.no_stun ? '✓ UNLOCKED' : '○ locked'}`,
-      `  Shadow Dancer (10 dodges): ${this.achievements.shadow_dancer ? '✓ UNLOCKED' : '○ locked'}`,
-      `  Lumberjack (20 chops): ${this.achievements.lumberjack ? '✓ UNLOCKED' : '○ locked'}`,
-    ];
-
-    settings.forEach((line, i) => {
-      if (!line) return;
-      ctx.fillStyle = line.startsWith('  ') ? 'rgba(200,230,200,0.7)' : 'rgba(200,230,255,0.9)';
-      ctx.font = '13px "Courier New"';
-      ctx.fillText(line, this.cw / 2, 110 + i * 32);
-    });
-
-    ctx.fillStyle = '#74b9ff';
-    ctx.font = '13px "Courier New"';
-    ctx.fillText('[BACKSPACE / ESC to go back]', this.cw / 2, this.ch - 30);
-
-    this._drawVignette(ctx);
-  }
-
-  _drawPauseMenu(ctx) {
-    ctx.fillStyle = 'rgba(0,0,0,0.6)';
-    ctx.fillRect(0, 0, this.cw, this.ch);
-
-    ctx.textAlign = 'center';
-    ctx.fillStyle = '#e8f4ff';
-    ctx.font = 'bold 30px "Courier New"';
-    ctx.fillText('PAUSED', this.cw / 2, this.ch / 2 - 80);
-
-    const items = ['RESUME', 'RESTART', 'QUIT TO MENU'];
-    items.forEach((item, i) => {
-      const selected = i === this.pauseMenuIdx;
-      ctx.fillStyle = selected ? 'rgba(116,185,255,0.9)' : 'rgba(200,230,255,0.5)';
-      ctx.font = selected ? 'bold 20px "Courier New"' : '18px "Courier New"';
-      ctx.fillText(selected ? `> ${item} <` : item, this.cw / 2, this.ch / 2 - 20 + i * 44);
-    });
-  }
-
-  _drawLevelComplete(ctx) {
-    ctx.fillStyle = 'rgba(0,0,0,0.5)';
-    ctx.fillRect(0, 0, this.cw, this.ch);
-
-    ctx.textAlign = 'center';
-    ctx.shadowBlur = 20;
-    ctx.shadowColor = '#74b9ff';
-    ctx.fillStyle = '#e8f4ff';
-    ctx.font = 'bold 40px "Courier New"';
-    ctx.fillText('LEVEL COMPLETE!', this.cw / 2, this.ch / 2 - 40);
-    ctx.shadowBlur = 0;
-
-    ctx.fillStyle = 'rgba(200,230,255,0.7)';
-    ctx.font = '16px "Courier New"';
-    ctx.fillText(`Score: ${this.score.toLocaleString()}`, this.cw / 2, this.ch / 2 + 20);
-    ctx.fillText(`Distance: ${Math.floor(this.distance)}m`, this.cw / 2, this.ch / 2 + 45);
-  }
-
-  _drawUpgrade(ctx) {
-    const grad = ctx.createLinearGradient(0, 0, 0, this.ch);
-    grad.addColorStop(0, '#050810');
-    grad.addColorStop(1, '#0a1824');
-    ctx.fillStyle = grad;
-    ctx.fillRect(0, 0, this.cw, this.ch);
-    this._drawSnow(ctx);
-
-    ctx.textAlign = 'center';
-    ctx.fillStyle = '#e8f4ff';
-    ctx.font = 'bold 26px "Courier New"';
-    ctx.fillText('CHOOSE UPGRADE', this.cw / 2, 70);
-    ctx.fillStyle = 'rgba(150,200,255,0.6)';
-    ctx.font = '13px "Courier New"';
-    ctx.fillText('select one to enhance your next run', this.cw / 2, 95);
-
-    // Stats summary
-    ctx.fillStyle = 'rgba(200,230,255,0.6)';
-    ctx.font = '11px "Courier New"';
-    ctx.fillText(`Score: ${this.score.toLocaleString()} | Distance: ${Math.floor(this.distance)}m | Hits: ${this.runHits} | Swoops Dodged: ${this.swoopsDodged}`, this.cw / 2, 120);
-
-    const cardW = 200;
-    const cardH = 150;
-    const gap = 20;
-    const totalW = this.upgradeOptions.length * cardW + (this.upgradeOptions.length - 1) * gap;
-    const startX = (this.cw - totalW) / 2;
-
-    this.upgradeOptions.forEach((upg, i) => {
-      const cx = startX + i * (cardW + gap) + cardW / 2;
-      const cy = this.ch / 2;
-      const selected = i === this.selectedUpgradeIdx;
-
-      ctx.save();
-      if (selected) {
-        ctx.shadowBlur = 15;
-        ctx.shadowColor = '#74b9ff';
-        ctx.translate(0, -8);
-      }
-
-      ctx.fillStyle = selected ? 'rgba(116,185,255,0.15)' : 'rgba(255,255,255,0.05)';
-      ctx.strokeStyle = selected ? '#74b9ff' : 'rgba(255,255,255,0.2)';
-      ctx.lineWidth = selected ? 2 : 1;
-      ctx.beginPath();
-      ctx.roundRect(cx - cardW / 2, cy - cardH / 2, cardW, cardH, 12);
-      ctx.fill();
-      ctx.stroke();
-
-      ctx.font = '28px serif';
-      ctx.textAlign = 'center';
-      ctx.shadowBlur = 0;
-      ctx.fillText(upg.icon, cx, cy - 30);
-      ctx.fillStyle = '#e8f4ff';
-      ctx.font = 'bold 14px "Courier New"';
-      ctx.fillText(upg.name, cx, cy);
-      ctx.fillStyle = 'rgba(180,230,180,0.8)';
-      ctx.font = '11px "Courier New"';
-      const descLines = this._wrapText(upg.desc, 20);
-      descLines.forEach((l, li) => ctx.fillText(l, cx, cy + 22 + li * 15));
-
-      ctx.restore();
-    });
-
-    ctx.textAlign = 'center';
-    ctx.fillStyle = '#74b9ff';
-    ctx.font = '13px "Courier New"';
-    ctx.fillText('← → to select   [ENTER] to confirm', this.cw / 2, this.ch - 60);
-
-    ctx.fillStyle = 'rgba(200,230,255,0.6)';
-    ctx.font = '11px "Courier New"';
-    ctx.fillText(`[N] Skip upgrade and continue`, this.cw / 2, this.ch - 35);
-
-    this._drawVignette(ctx);
-  }
-
-  _drawGameOver(ctx) {
-    const grad = ctx.createLinearGradient(0, 0, 0, this.ch);
-    grad.addColorStop(0, '#0a0000');
-    grad.addColorStop(1, '#1a0808');
-    ctx.fillStyle = grad;
-    ctx.fillRect(0, 0, this.cw, this.ch);
-    this._drawSnow(ctx);
-
-    ctx.textAlign = 'center';
-    ctx.shadowBlur = 25;
-    ctx.shadowColor = '#ff4444';
-    ctx.fillStyle = '#ffd0d0';
-    ctx.font = 'bold 44px "Courier New"';
-    ctx.fillText('CAUGHT!', this.cw / 2, 130);
-    ctx.shadowBlur = 0;
-
-    ctx.fillStyle = 'rgba(255,200,200,0.6)';
-    ctx.font = '16px "Courier New"';
-    ctx.fillText('The snow owl got you...', this.cw / 2, 165);
-
-    // Stats card
-    const stats = [
-      ['Score', this.score.toLocaleString()],
-      ['Best Score', this.bestScore.toLocaleString()],
-      ['Distance', `${Math.floor(this.distance)}m`],
-      ['Time', formatTime(this.time)],
-      ['Hits Taken', this.runHits],
-      ['Swoops Dodged', this.swoopsDodged],
-      ['Character', CHARACTERS[this.selectedCharIdx].name],
-    ];
-
-    ctx.fillStyle = 'rgba(0,0,0,0.4)';
-    ctx.beginPath();
-    ctx.roundRect(this.cw / 2 - 180, 200, 360, stats.length * 32 + 20, 12);
-    ctx.fill();
-
-    stats.forEach(([label, value], i) => {
-      ctx.fillStyle = 'rgba(200,230,255,0.6)';
-      ctx.font = '13px "Courier New"';
-      ctx.textAlign = 'left';
-      ctx.fillText(label, this.cw / 2 - 160, 228 + i * 32);
-      ctx.fillStyle = '#e8f4ff';
-      ctx.font = 'bold 13px "Courier New"';
-      ctx.textAlign = 'right';
-      ctx.fillText(value, this.cw / 2 + 160, 228 + i * 32);
-    });
-
-    const btnY = this.ch - 80;
-    ctx.textAlign = 'center';
-
-    ctx.fillStyle = '#e74c3c';
-    ctx.beginPath();
-    ctx.roundRect(this.cw / 2 - 110, btnY - 18, 100, 34, 8);
-    ctx.fill();
-    ctx.fillStyle = '#fff';
-    ctx.font = 'bold 13px "Courier New"';
-    ctx.fillText('[R] RETRY', this.cw / 2 - 60, btnY + 2);
-
-    ctx.fillStyle = '#3498db';
-    ctx.beginPath();
-    ctx.roundRect(this.cw / 2 + 10, btnY - 18, 100, 34, 8);
-    ctx.fill();
-    ctx.fillStyle = '#fff';
-    ctx.fillText('[M] MENU', this.cw / 2 + 60, btnY + 2);
-
-    this._drawVignette(ctx);
-  }
-
-  // ============================================================
-  // INPUT HANDLING FOR UI SCREENS
-  // ============================================================
-
-  handleUIInput() {
-    const inp = this.input;
-    switch (this.state) {
-      case 'title':
-        if (inp.wasPressed('Enter') || inp.wasPressed('Space') || inp.wasPressed('Digit1') || inp.wasPressed('KeyP')) {
-          this.startLevel(this.level);
-        }
-        if (inp.wasPressed('Digit2') || inp.wasPressed('KeyC')) {
-          this.state = 'charselect';
-        }
-        if (inp.wasPressed('Digit3') || inp.wasPressed('KeyH')) {
-          this.state = 'howtoplay';
-        }
-        if (inp.wasPressed('Digit4') || inp.wasPressed('KeyS')) {
-          this.state = 'settings';
-        }
-        break;
-
-      case 'charselect':
-        if (inp.wasPressed('ArrowLeft') || inp.wasPressed('KeyA')) {
-          this.charSelectIdx = Math.max(0, this.charSelectIdx - 1);
-        }
-        if (inp.wasPressed('ArrowRight') || inp.wasPressed('KeyD')) {
-          this.charSelectIdx = Math.min(CHARACTERS.length - 1, this.charSelectIdx + 1);
-        }
-        if (inp.wasPressed('Tab')) {
-          this.attributesMode = !this.attributesMode;
-          saveData('attributesMode', this.attributesMode);
-        }
-        if (inp.wasPressed('Enter') || inp.wasPressed('Space')) {
-          this.selectedCharIdx = this.charSelectIdx;
-          saveData('selectedChar', this.selectedCharIdx);
-          this.state = 'title';
-        }
-        if (inp.wasPressed('Escape') || inp.wasPressed('Backspace')) {
-          this.state = 'title';
-        }
-        break;
-
-      case 'howtoplay':
-      case 'settings':
-        if (inp.wasPressed('Escape') || inp.wasPressed('Backspace') || inp.wasPressed('Enter')) {
-          this.state = 'title';
-        }
-        if (this.state === 'settings') {
-          if (inp.wasPressed('KeyA')) {
-            this.audio.toggleEnabled();
-          }
-          if (inp.wasPressed('KeyM')) {
-            this.attributesMode = !this.attributesMode;
-            saveData('attributesMode', this.attributesMode);
-          }
-          if (inp.wasPressed('KeyD')) {
-            this.useDailySeed = !this.useDailySeed;
-          }
-        }
-        break;
-
-      case 'upgrade':
-        if (inp.wasPressed('ArrowLeft') || inp.wasPressed('KeyA')) {
-          this.selectedUpgradeIdx = Math.max(0, this.selectedUpgradeIdx - 1);
-        }
-        if (inp.wasPressed('ArrowRight') || inp.wasPressed('KeyD')) {
-          this.selectedUpgradeIdx = Math.min(this.upgradeOptions.length - 1, this.selectedUpgradeIdx + 1);
-        }
-        if (inp.wasPressed('Enter') || inp.wasPressed('Space')) {
-          const chosen = this.upgradeOptions[this.selectedUpgradeIdx];
-          this.upgrades.push(chosen.id);
-          saveData('upgrades', this.upgrades);
-          this.startLevel(this.level + 1);
-        }
-        if (inp.wasPressed('KeyN')) {
-          this.startLevel(this.level + 1);
-        }
-        break;
-
-      case 'gameover':
-        if (inp.wasPressed('KeyR') || inp.wasPressed('Enter')) {
-          this.upgrades = []; // reset upgrades on game over
-          saveData('upgrades', this.upgrades);
-          this.level = 1;
-          this.startLevel(1);
-        }
-        if (inp.wasPressed('KeyM') || inp.wasPressed('Escape')) {
-          this.state = 'title';
-        }
-        break;
-    }
-  }
 }
@@ -2,16 +2,145 @@
 // input.js - Input handling with key buffering + mobile touch
 // ============================================================
 
-export class InputHandler {
-  constructor(canvas = null) {
+/**
+ * Input source interface: anything the game reads keys from. The
+ * simulation itself only sees the per-tick actions from readActions, so a
+ * keyboard, touch swipes, a script or a bot all drive it the same way.
+ */
+export function readActions(input) {
+  return {
+    left: !!input.consumeAnyBuffer('KeyA', 'ArrowLeft', 'TouchLeft', 'PadLeft'),
+    right: !!input.consumeAnyBuffer('KeyD', 'ArrowRight', 'TouchRight', 'PadRight'),
+    jump: !!input.consumeAnyBuffer('Space', 'TouchUp', 'PadA'),
+    dash: input.anyPressed('ShiftLeft', 'ShiftRight', 'PadX'),
+  };
+}
+
+/**
+ * Key state, edge detection and press buffering shared by every input
+ * source. Subclasses feed it presses; the game only ever queries it.
+ */
+export class InputState {
+  constructor() {
     this.keys = {};
     this.justPressed = {};
     this.justReleased = {};
-    this._buffer = {};
+    this._buffer = {}; // code -> ms of buffer remaining
     this._bufferDuration = 150; // ms
-    this._bufferTimers = {};
     this._touchBuffer = {};
-    this._touchBufferTimers = {};
+  }
+
+  /** Register a press: edge flag plus buffer */
+  press(code) {
+    if (code.startsWith('Touch')) {
+      this.justPressed[code] = true;
+      this._bufferTouch(code);
+      return;
+    }
+    if (!this.keys[code]) {
+      this.justPressed[code] = true;
+      this._bufferPress(code);
+    }
+    this.keys[code] = true;
+  }
+
+  release(code) {
+    this.keys[code] = false;
+    this.justReleased[code] = true;
+  }
+
+  // Buffers expire in simulation time (see update), not wall-clock time,
+  // so a press lasts the same number of ticks on every machine.
+  _bufferPress(code) {
+    this._buffer[code] = this._bufferDuration;
+  }
+
+  _bufferTouch(code) {
+    this._touchBuffer[code] = this._bufferDuration;
+  }
+
+  /** Hook for sources that feed themselves (scripts, bots); called before each tick */
+  apply(tick) {}
+
+  /** Called once per simulation tick: clears edge state and ages buffers */
+  update(dt = 0) {
+    this.justPressed = {};
+    this.justReleased = {};
+    const dtMs = dt * 1000;
+    for (const code in this._buffer) {
+      this._buffer[code] = Math.max(0, this._buffer[code] - dtMs);
+    }
+    for (const code in this._touchBuffer) {
+      this._touchBuffer[code] = Math.max(0, this._touchBuffer[code] - dtMs);
+    }
+  }
+
+  /** Forget pending buffered presses (e.g. the key that started a level) */
+  clearBuffers() {
+    this._buffer = {};
+    this._touchBuffer = {};
+  }
+
+  isDown(code) {
+    return !!this.keys[code];
+  }
+
+  wasPressed(code) {
+    return !!this.justPressed[code];
+  }
+
+  consumeBuffer(code) {
+    // Keyboard buffer
+    if (this._buffer[code] > 0) {
+      this._buffer[code] = 0;
+      return true;
+    }
+
+    // Touch buffer
+    if (this._touchBuffer[code] > 0) {
+      this._touchBuffer[code] = 0;
+      return true;
+    }
+
+    return false;
+  }
+
+  anyDown(...codes) {
+    return codes.some(c => this.isDown(c));
+  }
+
+  anyPressed(...codes) {
+    return codes.some(c => this.wasPressed(c));
+  }
+
+  /** True if any key or gesture was pressed this tick */
+  anyKeyPressed() {
+    for (const code in this.justPressed) {
+      if (this.justPressed[code]) return true;
+    }
+    return false;
+  }
+
+  anyBuffered(...codes) {
+    return codes.some(c => this._buffer[c] > 0 || this._touchBuffer[c] > 0);
+  }
+
+  consumeAnyBuffer(...codes) {
+    for (const c of codes) {
+      if (this.consumeBuffer(c)) return c;
+    }
+    return null;
+  }
+}
+
+// Standard-mapping gamepad buttons, fed in as ordinary codes ('PadA' ...)
+const PAD_BUTTONS = { 0: 'PadA', 1: 'PadB', 2: 'PadX', 3: 'PadY', 9: 'PadStart', 12: 'PadUp', 13: 'PadDown', 14: 'PadLeft', 15: 'PadRight' };
+const PAD_CODES = Object.values(PAD_BUTTONS);
+const PAD_STICK_DEADZONE = 0.5;
+
+export class InputHandler extends InputState {
+  constructor(canvas = null) {
+    super();
     this._touchStartX = 0;
     this._touchStartY = 0;
     this._touchStartT = 0;
@@ -33,11 +162,7 @@ export class InputHandler {
   }
 
   _onKeyDown(e) {
-    if (!this.keys[e.code]) {
-      this.justPressed[e.code] = true;
-      this._bufferPress(e.code);
-    }
-    this.keys[e.code] = true;
+    this.press(e.code);
 
     if (['Space','ArrowUp','ArrowDown','ArrowLeft','ArrowRight','KeyA','KeyD','KeyW','KeyS','ShiftLeft','ShiftRight','KeyF','Digit1'].includes(e.code)) {
       e.preventDefault();
@@ -45,26 +170,9 @@ export class InputHandler {
   }
 
   _onKeyUp(e) {
-    this.keys[e.code] = false;
-    this.justReleased[e.code] = true;
+    this.release(e.code);
   }
 
-  _bufferPress(code) {
-    this._buffer[code] = true;
-    if (this._bufferTimers[code]) clearTimeout(this._bufferTimers[code]);
-    this._bufferTimers[code] = setTimeout(() => {
-      this._buffer[code] = false;
-    }, this._bufferDuration);
-  }
- 
- _bufferTouch(code) {
-  this._touchBuffer[code] = true;
-  if (this._touchBufferTimers[code]) clearTimeout(this._touchBufferTimers[code]);
-  this._touchBufferTimers[code] = setTimeout(() => {
-    this._touchBuffer[code] = false;
-  }, this._bufferDuration);
-}
-
   _onTouchStart(e) {
     if (!e.touches || e.touches.length === 0) return;
     const t = e.touches[0];
@@ -92,7 +200,7 @@ export class InputHandler {
     // If we cannot read changedTouches, treat as a tap
     const ct = (e.changedTouches && e.changedTouches[0]) ? e.changedTouches[0] : null;
     if (!ct) {
-      this._bufferTouch('TouchTap');
+      this.press('TouchTap');
       e.preventDefault();
       return;
     }
@@ -107,82 +215,71 @@ export class InputHandler {
 
     if (isSwipe) {
       if (adx > ady) {
-        if (dx > 0) this._bufferTouch('TouchRight');
-        else this._bufferTouch('TouchLeft');
+        if (dx > 0) this.press('TouchRight');
+        else this.press('TouchLeft');
       } else {
-        if (dy < 0) this._bufferTouch('TouchUp');
-        else this._bufferTouch('TouchDown');
+        if (dy < 0) this.press('TouchUp');
+        else this.press('TouchDown');
       }
     } else {
       // Tap
-      this._bufferTouch('TouchTap');
+      this.press('TouchTap');
     }
 
     e.preventDefault();
   }
 
+  /**
+   * Gamepads have no events for buttons: poll once per frame and turn
+   * changes into press/release like keys. The left stick acts as the D-pad.
+   */
+  pollGamepads() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return;
+    const held = {};
+    for (const pad of navigator.getGamepads()) {
+      if (!pad) continue;
+      pad.buttons.forEach((b, i) => {
+        if (b.pressed && PAD_BUTTONS[i]) held[PAD_BUTTONS[i]] = true;
+      });
+      const [ax = 0, ay = 0] = pad.axes;
+      if (ax < -PAD_STICK_DEADZONE) held.PadLeft = true;
+      if (ax > PAD_STICK_DEADZONE) held.PadRight = true;
+      if (ay < -PAD_STICK_DEADZONE) held.PadUp = true;
+      if (ay > PAD_STICK_DEADZONE) held.PadDown = true;
+    }
+    for (const code of PAD_CODES) {
+      if (held[code] && !this.keys[code]) this.press(code);
+      else if (!held[code] && this.keys[code]) this.release(code);
+    }
+  }
+
   _onPointerDown(e) {
     // Optional fallback: treat pointer as tap on mobile
     // Avoid interfering with mouse clicks on desktop by only applying when touch is primary
     if (e.pointerType === 'touch') {
-      this._bufferTouch('TouchTap');
+      this.press('TouchTap');
       e.preventDefault();
     }
   }
-
-  update() {
-    this.justPressed = {};
-    this.justReleased = {};
-  }
-
-  isDown(code) {
-    return !!this.keys[code];
-  }
-
-  wasPressed(code) {
-    return !!this.justPressed[code];
-  }
-
-  consumeBuffer(code) {
-    // Keyboard buffer
-    if (this._buffer[code]) {
-      this._buffer[code] = false;
-      if (this._bufferTimers[code]) {
-        clearTimeout(this._bufferTimers[code]);
-        this._bufferTimers[code] = null;
-      }
-      return true;
-    }
-
-    // Touch buffer
-    if (this._touchBuffer[code]) {
-      this._touchBuffer[code] = false;
-      if (this._touchBufferTimers[code]) {
-  clearTimeout(this._touchBufferTimers[code]);
-  this._touchBufferTimers[code] = null;
 }
-      return true;
-    }
-
-    return false;
-  }
-
-  anyDown(...codes) {
-    return codes.some(c => this.isDown(c));
-  }
 
-  anyPressed(...codes) {
-    return codes.some(c => this.wasPressed(c));
+/**
+ * Input source driven by a list of [tick, code] presses instead of the DOM.
+ * Call apply(tick) before each simulation tick.
+ */
+export class ScriptedInput extends InputState {
+  constructor(presses = []) {
+    super();
+    this.presses = presses;
+    this._cursor = 0;
   }
 
-  anyBuffered(...codes) {
-    return codes.some(c => this._buffer[c] || this._touchBuffer[c]);
-  }
-
-  consumeAnyBuffer(...codes) {
-    for (const c of codes) {
-      if (this.consumeBuffer(c)) return c;
+  apply(tick) {
+    while (this._cursor < this.presses.length && this.presses[this._cursor][0] <= tick) {
+      const code = this.presses[this._cursor][1];
+      this.press(code);
+      this.release(code);
+      this._cursor++;
     }
-    return null;
   }
 }
@@ -5,6 +5,8 @@
 import { InputHandler } from './input.js';
 import { AudioSystem } from './systems/Audio.js';
 import { Game } from './game.js';
+import { TICK_DT } from './sim/World.js';
+import { ModLoader, modUrls } from './systems/Mods.js';
 
 // Canvas setup
 const canvas = document.getElementById('gameCanvas');
@@ -33,131 +35,79 @@ const input = new InputHandler(canvas);
 const audio = new AudioSystem();
 audio.init();
 
+// Mods register their content before the game builds its screens
+const mods = new ModLoader();
+await mods.loadAll(await modUrls(window.location.href));
+
 // Game
-const game = new Game(canvas, input, audio);
+const game = new Game(canvas, input, audio, mods);
 function updateCursor() {
-  const menuStates = new Set([
-    'title',
-    'charselect',
-    'howtoplay',
-    'settings',
-    'gameover',
-    'upgrade',
-    'paused'
-  ]);
-
-  canvas.style.cursor = menuStates.has(game.state)
-    ? 'default'
-    : 'none';
+  const screen = game.screens.current;
+  canvas.style.cursor = screen && screen.showCursor ? 'default' : 'none';
 }
 
-// Interaction to resume audio context
-document.addEventListener('click', (e) => {
-  audio.resume();
-  handleCanvasClick(e);
-}, { once: false });
-
 document.addEventListener('keydown', () => audio.resume(), { once: true });
 
-// Canvas click handling for title screen buttons
-function handleCanvasClick(e) {
+// Switching away or closing the tab pauses play and suspends the run, so
+// it can be continued from the title next time
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') game.handlePageHidden();
+});
+window.addEventListener('pagehide', () => game.handlePageHidden());
+
+// Mouse and touch both arrive as pointer events. A press that ends close to
+// where it started is a click/tap for whichever screen is on top; anything
+// longer is a swipe, which the input handler already turned into a gesture.
+const TAP_SLOP = 12; // canvas px
+let pointerStart = null;
+
+function toCanvas(e) {
   const rect = canvas.getBoundingClientRect();
-  const scaleX = canvas.width / rect.width;
-  const scaleY = canvas.height / rect.height;
-  const mx = (e.clientX - rect.left) * scaleX;
-  const my = (e.clientY - rect.top) * scaleY;
-
-  const cw = canvas.width;
-  const ch = canvas.height;
-
-  if (game.state === 'title') {
-    // Check button clicks
-    const items = [
-      { action: () => game.startLevel(game.level) },
-      { action: () => { game.state = 'charselect'; } },
-      { action: () => { game.state = 'howtoplay'; } },
-      { action: () => { game.state = 'settings'; } },
-    ];
-    items.forEach((item, i) => {
-      const by = 354 + i * 52;
-      if (mx >= cw / 2 - 150 && mx <= cw / 2 + 150 && my >= by && my <= by + 40) {
-        item.action();
-      }
-    });
-  } else if (game.state === 'charselect') {
-    const cardW = 140;
-    const cardH = 240;
-    const gap = 16;
-    const totalW = 4 * cardW + 3 * gap;
-    const startX = (cw - totalW) / 2;
-
-    for (let i = 0; i < 4; i++) {
-      const cx = startX + i * (cardW + gap);
-      if (mx >= cx && mx <= cx + cardW && my >= 70 && my <= 70 + cardH + 10) {
-        game.charSelectIdx = i;
-      }
-    }
-
-    // Confirm button
-    if (mx >= cw / 2 - 100 && mx <= cw / 2 + 100 && my >= ch - 63 && my <= ch - 11) {
-      game.selectedCharIdx = game.charSelectIdx;
-      localStorage.setItem('snow_owl_selectedChar', JSON.stringify(game.charSelectIdx));
-      game.state = 'title';
-    }
-
-    // Attr toggle
-    if (mx >= cw / 2 - 160 && mx <= cw / 2 + 160 && my >= ch - 105 && my <= ch - 75) {
-      game.attributesMode = !game.attributesMode;
-      localStorage.setItem('snow_owl_attributesMode', JSON.stringify(game.attributesMode));
-    }
-  } else if (game.state === 'gameover') {
-    // Retry
-    if (mx >= cw / 2 - 110 && mx <= cw / 2 - 10 && my >= ch - 98 && my <= ch - 46) {
-      game.upgrades = [];
-      localStorage.setItem('snow_owl_upgrades', JSON.stringify([]));
-      game.level = 1;
-      game.startLevel(1);
-    }
-    // Menu
-    if (mx >= cw / 2 + 10 && mx <= cw / 2 + 110 && my >= ch - 98 && my <= ch - 46) {
-      game.state = 'title';
-    }
-  } else if (game.state === 'upgrade') {
-    const cardW = 200;
-    const gap = 20;
-    const totalW = game.upgradeOptions.length * cardW + (game.upgradeOptions.length - 1) * gap;
-    const startX = (cw - totalW) / 2;
-    const cy = ch / 2;
-
-    game.upgradeOptions.forEach((_, i) => {
-      const cx = startX + i * (cardW + gap);
-      if (mx >= cx && mx <= cx + cardW && my >= cy - 75 && my <= cy + 75) {
-        game.selectedUpgradeIdx = i;
-        // Double click = confirm
-      }
-    });
-  }
+  return {
+    x: (e.clientX - rect.left) * (canvas.width / rect.width),
+    y: (e.clientY - rect.top) * (canvas.height / rect.height),
+  };
 }
 
-// Game loop
+canvas.addEventListener('pointerdown', (e) => {
+  audio.resume();
+  pointerStart = toCanvas(e);
+});
+
+canvas.addEventListener('pointerup', (e) => {
+  if (!pointerStart) return;
+  const p = toCanvas(e);
+  if (Math.hypot(p.x - pointerStart.x, p.y - pointerStart.y) <= TAP_SLOP) game.handleClick(p.x, p.y);
+  pointerStart = null;
+});
+
+canvas.addEventListener('pointermove', (e) => {
+  const p = toCanvas(e);
+  game.handlePointerMove(p.x, p.y);
+});
+
+// Game loop: the simulation advances in fixed TICK_DT steps, rendering
+// interpolates between the last two ticks.
+const MAX_FRAME_DT = 0.25; // s - drop time after long hitches instead of spiralling
 let lastTime = 0;
+let accumulator = 0;
 let frameId;
 
 function loop(timestamp) {
-  const dt = Math.min((timestamp - lastTime) / 1000, 0.1);
+  const frameDt = Math.min((timestamp - lastTime) / 1000, MAX_FRAME_DT);
   lastTime = timestamp;
+  accumulator += frameDt;
 
-   updateCursor();   // ADD THIS LINE
-  
-  // Handle non-playing state input
-  if (game.state !== 'playing' && game.state !== 'paused') {
-    game.handleUIInput();
-  }
+  updateCursor();
+  input.pollGamepads();
 
-  game.update(dt);
-  game.draw();
+  while (accumulator >= TICK_DT) {
+    game.update(TICK_DT);
+    input.update(TICK_DT);
+    accumulator -= TICK_DT;
+  }
 
-  input.update();
+  game.draw(accumulator / TICK_DT);
   frameId = requestAnimationFrame(loop);
 }
 
@@ -166,6 +116,14 @@ requestAnimationFrame((t) => {
   loop(t);
 });
 
+// ?selftest: replay one level twice from the same seed and inputs, compare logs
+if (new URLSearchParams(window.location.search).has('selftest')) {
+  import('./debug/determinism.js').then(({ checkDeterminism }) => {
+    const result = checkDeterminism({ seed: game.dailySeed });
+    console[result.ok ? 'log' : 'error']('Determinism check:', result);
+  });
+}
+
 // Global error handler
 window.addEventListener('error', (e) => {
   console.error('Game error:', e.error);
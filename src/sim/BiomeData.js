@@ -0,0 +1,267 @@
+// ============================================================
+// BiomeData.js - The built-in biomes
+// ============================================================
+
+/**
+ * One entry per biome, registered in this order (see registerBiome in
+ * Biomes.js for every field). id is stored with levels - never rename one.
+ * Background layers draw at their origin, the base of the shape, at unit
+ * scale; hazards draw around the player's line at lane x.
+ */
+export const BIOME_DEFS = [
+  {
+    id: 'pine-forest',
+    name: 'Pine Forest',
+    fromLevel: 1,
+    sky: ['#0a0e1a', '#1a2040', '#2a3050'],
+    ground: { top: '#d0e8f4', bottom: '#e8f4fb', bank: '#f0f8ff' },
+    snow: { color: '#ffffff', alpha: 1, drift: 0 },
+    layers: [
+      { count: 12, scale: [0.3, 0.6], alpha: 0.25, parallax: 0.08, draw: pine('#3a2010', '#1a3510') },
+      { count: 8, sides: true, scale: [0.6, 1.1], alpha: 0.45, parallax: 0.25, draw: pine('#3a2010', '#1a3510') },
+    ],
+    music: { wave: 'sine', notes: [130, 110, 98, 87, 110, 130, 87, 98], beat: 2.0, volume: 0.08 },
+    obstacleWeights: { tree: 2, branch: 1.5, log: 1.5, ice_patch: 0.4, thin_ice: 0.3 },
+    hazard: {
+      id: 'snow_dump',
+      name: 'Snow Dump',
+      hint: 'a bough sheds its snow - leave the lane',
+      every: [6000, 10000],
+      warning: 1400,
+      lanes: 2,
+      jumpable: false,
+      hit: { stun: 700 },
+      draw(ctx, hazard, x, y, progress) {
+        if (!hazard.struck) {
+          // Flakes trickling down onto a growing patch of shade
+          ctx.fillStyle = `rgba(40,60,90,${0.15 + progress * 0.3})`;
+          ctx.beginPath();
+          ctx.ellipse(x, y, 20 + progress * 26, 8 + progress * 6, 0, 0, Math.PI * 2);
+          ctx.fill();
+          ctx.fillStyle = 'rgba(255,255,255,0.8)';
+          for (let i = 0; i < 6; i++) {
+            const fy = y - 160 + ((progress * 400 + i * 37) % 160);
+            ctx.fillRect(x - 24 + i * 9, fy, 3, 3);
+          }
+        } else {
+          ctx.fillStyle = 'rgba(240,248,255,0.9)';
+          ctx.beginPath();
+          ctx.ellipse(x, y - 6, 46, 18, 0, 0, Math.PI * 2);
+          ctx.fill();
+        }
+      },
+    },
+  },
+
+  {
+    id: 'frozen-lake',
+    name: 'Frozen Lake',
+    fromLevel: 3,
+    sky: ['#0b1224', '#1c3456', '#5a7a98'],
+    ground: { top: '#c4e0f0', bottom: '#dff0fa', bank: '#e6f6ff' },
+    snow: { color: '#e0f4ff', alpha: 0.7, drift: 20 },
+    layers: [
+      { count: 7, scale: [0.6, 1.2], alpha: 0.3, parallax: 0.06, draw: iceRidge },
+      { count: 8, sides: true, scale: [0.5, 0.9], alpha: 0.4, parallax: 0.25, draw: pine('#4a3828', '#6a8ca0') },
+    ],
+    music: { wave: 'triangle', notes: [262, 247, 196, 220, 262, 294, 196, 220], beat: 1.6, volume: 0.05 },
+    obstacleWeights: { ice_patch: 2.5, thin_ice: 2, snowdrift: 1.2, log: 0.6, tree: 0.3, branch: 0.4 },
+    hazard: {
+      id: 'ice_crack',
+      name: 'Cracking Ice',
+      hint: 'the lane gives way - leave it or jump',
+      every: [5000, 9000],
+      warning: 1600,
+      lanes: 2,
+      jumpable: true,
+      hit: { stun: 1100 },
+      draw(ctx, hazard, x, y, progress) {
+        ctx.strokeStyle = hazard.struck ? '#0a3d62' : `rgba(30,90,140,${0.4 + progress * 0.5})`;
+        ctx.lineWidth = hazard.struck ? 3 : 1.5;
+        const reach = 12 + progress * 40;
+        ctx.beginPath();
+        for (let i = 0; i < 5; i++) {
+          const a = (i / 5) * Math.PI * 2 + 0.4;
+          ctx.moveTo(x, y);
+          ctx.lineTo(x + Math.cos(a) * reach, y + Math.sin(a) * reach * 0.4);
+        }
+        ctx.stroke();
+        ctx.lineWidth = 1;
+        if (hazard.struck) {
+          ctx.fillStyle = 'rgba(10,61,98,0.75)';
+          ctx.beginPath();
+          ctx.ellipse(x, y, 40, 14, 0, 0, Math.PI * 2);
+          ctx.fill();
+        }
+      },
+    },
+  },
+
+  {
+    id: 'mountain-pass',
+    name: 'Mountain Pass',
+    fromLevel: 5,
+    sky: ['#0d0d1c', '#2a2a4a', '#6a6888'],
+    ground: { top: '#d8e0ea', bottom: '#eef2f8', bank: '#f4f6fb' },
+    snow: { color: '#ffffff', alpha: 1.2, drift: -60 },
+    layers: [
+      { count: 5, scale: [1.2, 2], alpha: 0.3, parallax: 0.04, draw: peak },
+      { count: 10, sides: true, scale: [0.5, 1], alpha: 0.5, parallax: 0.25, draw: rock },
+    ],
+    music: { wave: 'triangle', notes: [65, 73, 65, 58, 65, 82, 73, 65], beat: 2.4, volume: 0.09 },
+    obstacleWeights: { snowball: 2.5, snowdrift: 2, log: 1, tree: 0.5, branch: 0.6, ice_patch: 0.7 },
+    hazard: {
+      id: 'crosswind',
+      name: 'Crosswind',
+      hint: 'a gust shoves you a lane - stay clear',
+      every: [4500, 8000],
+      warning: 1300,
+      lanes: 2,
+      jumpable: false,
+      hit: { push: true },
+      draw(ctx, hazard, x, y, progress) {
+        const alpha = hazard.struck ? 0.8 : 0.25 + progress * 0.5;
+        ctx.strokeStyle = `rgba(230,240,255,${alpha})`;
+        ctx.lineWidth = 2;
+        for (let i = 0; i < 3; i++) {
+          const ly = y - 30 + i * 18;
+          const shift = ((progress * 3 + i * 0.3) % 1) * 30 * hazard.dir;
+          ctx.beginPath();
+          ctx.moveTo(x - 30 * hazard.dir + shift, ly);
+          ctx.lineTo(x + 20 * hazard.dir + shift, ly);
+          ctx.lineTo(x + 12 * hazard.dir + shift, ly - 6);
+          ctx.stroke();
+        }
+        ctx.lineWidth = 1;
+      },
+    },
+  },
+
+  {
+    id: 'owls-roost',
+    name: "Owl's Roost",
+    fromLevel: 7,
+    sky: ['#05040c', '#160e24', '#2a1c34'],
+    ground: { top: '#b8c4d4', bottom: '#d0d8e4', bank: '#dce2ec' },
+    snow: { color: '#c8c0d8', alpha: 0.8, drift: 10 },
+    layers: [
+      { count: 10, scale: [0.4, 0.7], alpha: 0.3, parallax: 0.08, draw: deadTree('#1a1420') },
+      { count: 8, sides: true, scale: [0.7, 1.2], alpha: 0.55, parallax: 0.25, draw: deadTree('#241a2c') },
+    ],
+    music: { wave: 'sine', notes: [110, 104, 98, 92, 110, 123, 92, 87], beat: 1.4, volume: 0.08 },
+    obstacleWeights: { snowman: 1.3, branch: 1.5, tree: 1.5, log: 1, thin_ice: 0.5 },
+    hazard: {
+      id: 'watching_eyes',
+      name: 'Watching Eyes',
+      hint: 'eyes in the dark tell the owl where you are',
+      every: [5000, 9000],
+      warning: 1500,
+      lanes: 1,
+      jumpable: false,
+      hit: { threat: 0.06 },
+      draw(ctx, hazard, x, y, progress) {
+        const open = hazard.struck ? 1 : Math.min(1, progress * 1.4);
+        ctx.fillStyle = hazard.struck ? '#ff7675' : '#f1c40f';
+        for (const side of [-1, 1]) {
+          ctx.beginPath();
+          ctx.ellipse(x + side * 10, y - 70, 6, 6 * open + 0.5, 0, 0, Math.PI * 2);
+          ctx.fill();
+        }
+        ctx.fillStyle = `rgba(241,196,15,${0.08 + progress * 0.12})`;
+        ctx.beginPath();
+        ctx.moveTo(x - 12, y - 66);
+        ctx.lineTo(x + 12, y - 66);
+        ctx.lineTo(x + 40, y + 10);
+        ctx.lineTo(x - 40, y + 10);
+        ctx.closePath();
+        ctx.fill();
+      },
+    },
+  },
+];
+
+/** A snow-laden pine in trunk and foliage colours */
+function pine(trunk, foliage) {
+  return (ctx) => {
+    ctx.fillStyle = trunk;
+    ctx.fillRect(-5, -20, 10, 20);
+    ctx.fillStyle = foliage;
+    [[30, 24], [24, 20], [18, 16]].forEach(([w, h], i) => {
+      ctx.beginPath();
+      ctx.moveTo(0, -40 - i * 16 - h);
+      ctx.lineTo(-w / 2, -40 - i * 16);
+      ctx.lineTo(w / 2, -40 - i * 16);
+      ctx.closePath();
+      ctx.fill();
+    });
+  };
+}
+
+/** A bare, crooked tree */
+function deadTree(color) {
+  return (ctx) => {
+    ctx.strokeStyle = color;
+    ctx.lineCap = 'round';
+    ctx.lineWidth = 6;
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(2, -70);
+    ctx.stroke();
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(1, -40);
+    ctx.lineTo(-18, -60);
+    ctx.moveTo(2, -55);
+    ctx.lineTo(20, -78);
+    ctx.moveTo(2, -68);
+    ctx.lineTo(-10, -88);
+    ctx.stroke();
+    ctx.lineCap = 'butt';
+    ctx.lineWidth = 1;
+  };
+}
+
+function iceRidge(ctx) {
+  ctx.fillStyle = '#9cc4dc';
+  ctx.beginPath();
+  ctx.moveTo(-40, 0);
+  ctx.lineTo(-22, -18);
+  ctx.lineTo(-6, -10);
+  ctx.lineTo(14, -26);
+  ctx.lineTo(40, 0);
+  ctx.closePath();
+  ctx.fill();
+}
+
+function peak(ctx) {
+  ctx.fillStyle = '#3a3a5a';
+  ctx.beginPath();
+  ctx.moveTo(-60, 0);
+  ctx.lineTo(0, -90);
+  ctx.lineTo(60, 0);
+  ctx.closePath();
+  ctx.fill();
+  ctx.fillStyle = '#e8eef8';
+  ctx.beginPath();
+  ctx.moveTo(-20, -60);
+  ctx.lineTo(0, -90);
+  ctx.lineTo(20, -60);
+  ctx.lineTo(6, -66);
+  ctx.lineTo(-6, -58);
+  ctx.closePath();
+  ctx.fill();
+}
+
+function rock(ctx) {
+  ctx.fillStyle = '#4a4a5e';
+  ctx.beginPath();
+  ctx.moveTo(-22, 0);
+  ctx.lineTo(-16, -18);
+  ctx.lineTo(4, -26);
+  ctx.lineTo(22, -10);
+  ctx.lineTo(20, 0);
+  ctx.closePath();
+  ctx.fill();
+  ctx.fillStyle = '#eef2f8';
+  ctx.fillRect(-12, -22, 16, 4);
+}
@@ -0,0 +1,102 @@
+// ============================================================
+// Biomes.js - Where a level is run: its look, music, obstacle mix and hazard
+// ============================================================
+
+import { BIOME_DEFS } from './BiomeData.js';
+
+// A hazard strikes at most this many lanes at once, so two of the five stay clear
+export const MAX_HAZARD_LANES = 3;
+
+// The last biome never ends, so it is split into acts of this many levels
+const FINAL_ACT_LEVELS = 2;
+
+const registry = new Map(); // id -> definition, in registration order
+
+/**
+ * Add a biome. def:
+ *   id, name               id (stored with levels), display name
+ *   fromLevel              first campaign level run here (optional; without
+ *                          it only levels that name the biome use it)
+ *   sky                    [top, middle, bottom] gradient
+ *   ground                 { top, bottom, bank } snow colours
+ *   snow                   falling flakes: { color, alpha, drift (px/s sideways) }
+ *   layers                 background, far to near: { count, scale: [min, max],
+ *                          alpha, parallax, sides (hug the edges), draw(ctx) }
+ *   music                  ambient loop: { wave, notes (Hz), beat (s), volume }
+ *   obstacleWeights        type -> weight in random spawning (default 1, 0 = never)
+ *   hazard                 optional: { id, name, hint, every: [min, max] ms,
+ *                          warning (ms), lanes (most struck at once), jumpable,
+ *                          hit: { stun: ms } | { push: true } | { threat },
+ *                          draw(ctx, hazard, x, y, progress) }
+ * Returns a function that removes it again. Throws if the id is taken or
+ * the definition is incomplete.
+ */
+export function registerBiome(def) {
+  if (!def || typeof def.id !== 'string' || !def.id) throw new Error('Biome definition needs an id');
+  if (registry.has(def.id)) throw new Error(`Biome '${def.id}' is already registered`);
+  const fail = (msg) => { throw new Error(`Biome '${def.id}' ${msg}`); };
+  if (typeof def.name !== 'string') fail('needs a name');
+  if (!Array.isArray(def.sky) || def.sky.length !== 3) fail('needs a sky of 3 colours');
+  if (!def.ground || !def.snow || !def.music || !Array.isArray(def.music.notes)) fail('needs ground, snow and music');
+  if (!Array.isArray(def.layers) || !def.layers.every(l => typeof l.draw === 'function')) fail('needs layers with a draw');
+  const hazard = def.hazard;
+  if (hazard) {
+    if (typeof hazard.id !== 'string' || typeof hazard.name !== 'string' || typeof hazard.draw !== 'function') {
+      fail('needs a hazard id, name and draw');
+    }
+    if (!Array.isArray(hazard.every) || typeof hazard.warning !== 'number' || !hazard.hit) fail('needs hazard every, warning and hit');
+    if (!(Number.isInteger(hazard.lanes) && hazard.lanes >= 1 && hazard.lanes <= MAX_HAZARD_LANES)) {
+      fail(`needs hazard lanes of 1-${MAX_HAZARD_LANES}`);
+    }
+  }
+  registry.set(def.id, { fromLevel: null, obstacleWeights: {}, hazard: null, ...def });
+  return () => registry.delete(def.id);
+}
+
+/** The definition of a registered biome, or null */
+export function getBiome(id) {
+  return registry.get(id) || null;
+}
+
+/** Every registered biome, built-ins first */
+export function biomeDefs() {
+  return [...registry.values()];
+}
+
+/** The biome a campaign level is run in: the last one it has reached */
+export function campaignBiome(level) {
+  let found = null;
+  for (const def of registry.values()) {
+    if (def.fromLevel !== null && def.fromLevel <= level && (!found || def.fromLevel >= found.fromLevel)) found = def;
+  }
+  return found || biomeDefs()[0];
+}
+
+/**
+ * Where a campaign level falls in the acts, one act per biome (the last
+ * biome's split every FINAL_ACT_LEVELS levels): { act (from 1), finale
+ * (true on an act's last level, which ends with the owl boss) }.
+ */
+export function campaignAct(level) {
+  const starts = [...new Set(biomeDefs().map(def => def.fromLevel).filter(from => from !== null))].sort((a, b) => a - b);
+  const reached = starts.filter(from => from <= level);
+  const last = starts[starts.length - 1];
+  if (starts.length === 0 || level < last) {
+    return { act: Math.max(1, reached.length), finale: starts.includes(level + 1) };
+  }
+  const since = level - last;
+  return {
+    act: starts.length + Math.floor(since / FINAL_ACT_LEVELS),
+    finale: since % FINAL_ACT_LEVELS === FINAL_ACT_LEVELS - 1,
+  };
+}
+
+/** A biome's hazard by hazard id, or null */
+export function hazardDef(id) {
+  for (const def of registry.values()) {
+    if (def.hazard && def.hazard.id === id) return def.hazard;
+  }
+  return null;
+}
+
+for (const def of BIOME_DEFS) registerBiome(def);
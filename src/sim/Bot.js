@@ -0,0 +1,245 @@
+// ============================================================
+// Bot.js - Autopilot that plays a World through the action interface
+// ============================================================
+
+import { LANE_COUNT, NO_ACTIONS } from './World.js';
+import { SeededRNG, lerp, clamp } from '../utils.js';
+
+// Preset skill levels (0..1)
+export const BOT_SKILL = {
+  NOVICE: 0.3,
+  AVERAGE: 0.6,
+  EXPERT: 0.9,
+};
+
+// Lane cost weights
+const COST_BLOCK = 100;
+const COST_JUMP = 12;
+const COST_SLOW = 10;
+const COST_PROJECTILE = 60;
+const COST_SHADOW = 1000;
+const COST_HAZARD = 80;
+const COST_FEATHER = 200;
+const VALUE_PICKUP = 8;
+const VALUE_CHOP = 6;
+const VALUE_AIM = 5; // under the owl boss, pinecone in hand
+const COST_PER_LANE_MOVED = 3;
+
+/**
+ * Reads the same things a player can see - upcoming obstacles, owl shadows
+ * and feathers, biome hazard warnings, pickups and the owl boss's feathers
+ * and pinecones - and answers with { left, right, jump, dash } each tick,
+ * throwing at the boss when lined up under it and steering the other way
+ * while a screech has swapped the controls.
+ * Skill sets how far ahead it looks, how often it re-plans, how well it
+ * times jumps and how reliably it spots fake shadows. Deterministic for a
+ * given rng seed.
+ */
+export class Bot {
+  constructor({ skill = BOT_SKILL.AVERAGE, rng = null } = {}) {
+    this.skill = clamp(skill, 0, 1);
+    this.rng = rng || new SeededRNG(Date.now());
+
+    this.lookahead = lerp(160, 420, this.skill); // px up the screen
+    this.planTicks = Math.round(lerp(16, 2, this.skill)); // ticks between re-plans
+    this.jumpJitter = lerp(0.12, 0.02, this.skill); // s of jump timing error
+    this.fakeSpotChance = lerp(0.1, 0.95, this.skill);
+
+    this.targetLane = null;
+    this._planTimer = 0;
+    // Per-entity judgements, made once so the bot doesn't flip-flop
+    this._fakeCalls = new WeakMap(); // shadow -> seen as fake
+    this._jumpLeads = new WeakMap(); // obstacle -> s before contact to jump
+  }
+
+  /** Actions for this tick */
+  decide(world) {
+    const player = world.player;
+    if (player.stunned) return NO_ACTIONS;
+
+    this._planTimer--;
+    if (this.targetLane === null || this._planTimer <= 0) {
+      this._planTimer = this.planTicks;
+      this.targetLane = this._chooseLane(world);
+    }
+
+    // After an owl screech left steers right, as the HUD says
+    const flip = world.effects.has('owl_screech');
+    const left = this.targetLane < player.targetLane;
+    const right = this.targetLane > player.targetLane;
+    return {
+      left: flip ? right : left,
+      right: flip ? left : right,
+      jump: this._shouldJump(world) || this._shouldThrow(world),
+      dash: this._shouldDash(world),
+    };
+  }
+
+  // --- Perception ---
+
+  /** Pixels until the obstacle's bottom edge reaches the player's top edge */
+  _gap(world, y) {
+    return world.player.getHitbox().y - y;
+  }
+
+  /** How an obstacle affects a runner who meets it on the ground */
+  _classify(obs, player) {
+    const hit = obs.def.hit;
+    if (obs.decoy) return 'safe';
+    if (hit.slowSteering) return 'slow';
+    if (hit.chopable) return player.hasAxe ? 'chop' : 'block';
+    if (obs.canJump) return 'jump';
+    return hit.stun ? 'block' : 'slow';
+  }
+
+  _seesAsFake(shadow) {
+    if (!shadow.isFake) return false;
+    if (!this._fakeCalls.has(shadow)) {
+      this._fakeCalls.set(shadow, this.rng.next() < this.fakeSpotChance);
+    }
+    return this._fakeCalls.get(shadow);
+  }
+
+  _laneOf(world, x) {
+    let best = 0;
+    for (let i = 1; i < LANE_COUNT; i++) {
+      if (Math.abs(world.lanePositions[i] - x) < Math.abs(world.lanePositions[best] - x)) best = i;
+    }
+    return best;
+  }
+
+  /** Danger (positive) or reward (negative) of being in each lane soon */
+  _laneCosts(world) {
+    const player = world.player;
+    const costs = new Array(LANE_COUNT).fill(0);
+    const horizon = this.lookahead;
+    const urgency = (gap) => 1 - clamp(gap, 0, horizon) / horizon;
+
+    for (const obs of world.obstacles) {
+      if (!obs.active) continue;
+      const gap = this._gap(world, obs.y);
+      if (gap <= horizon && gap > -obs.h) {
+        const u = urgency(gap);
+        switch (this._classify(obs, player)) {
+          case 'block': costs[obs.lane] += COST_BLOCK * (0.3 + u); break;
+          case 'jump': costs[obs.lane] += COST_JUMP * u; break;
+          case 'slow': costs[obs.lane] += COST_SLOW * u; break;
+          case 'chop': costs[obs.lane] -= VALUE_CHOP; break;
+        }
+      }
+      for (const p of obs.projectiles) {
+        const pGap = this._gap(world, p.y);
+        if (p.active && pGap <= horizon && pGap > -p.h) {
+          costs[this._laneOf(world, p.x)] += COST_PROJECTILE * urgency(pGap);
+        }
+      }
+    }
+
+    for (const p of world.owl.projectiles) {
+      const pGap = this._gap(world, p.y);
+      if (pGap <= horizon && pGap > -p.h) costs[this._laneOf(world, p.x)] += COST_PROJECTILE * urgency(pGap);
+    }
+
+    for (const p of world.pickups) {
+      const gap = this._gap(world, p.y);
+      if (p.active && !p.collected && gap <= horizon && gap > -p.h) {
+        costs[p.lane] -= VALUE_PICKUP * (1 - urgency(gap) * 0.5);
+      }
+    }
+
+    for (const s of world.owl.shadows) {
+      if (!this._seesAsFake(s)) costs[s.lane] += COST_SHADOW;
+    }
+    // A dive that has just struck still catches anyone running into it
+    for (const sl of world.owl.swoopLines) {
+      if (sl.alpha > 0.7) costs[this._laneOf(world, sl.x)] += COST_SHADOW;
+    }
+
+    for (const h of world.hazards) {
+      if (h.struck) continue;
+      for (const lane of h.lanes) costs[lane] += COST_HAZARD;
+    }
+
+    const boss = world.boss;
+    if (boss) {
+      for (const f of boss.feathers) {
+        if (f.y < player.y) costs[f.lane] += COST_FEATHER;
+      }
+      for (const item of boss.items) {
+        const gap = this._gap(world, item.y);
+        if (gap <= horizon && gap > -20) costs[item.lane] -= VALUE_PICKUP * 2;
+      }
+      if (boss.fighting && boss.ammo > 0) costs[this._laneOf(world, boss.x)] -= VALUE_AIM;
+    }
+
+    return costs;
+  }
+
+  // --- Decisions ---
+
+  _chooseLane(world) {
+    const player = world.player;
+    const costs = this._laneCosts(world);
+    let best = player.targetLane;
+    let bestScore = Infinity;
+    for (let lane = 0; lane < LANE_COUNT; lane++) {
+      // Lanes crossed on the way count for half
+      let score = costs[lane] + Math.abs(lane - player.lane) * COST_PER_LANE_MOVED;
+      const step = Math.sign(lane - player.lane);
+      for (let l = player.lane + step; l !== lane; l += step) score += costs[l] * 0.5;
+      if (lane === player.targetLane) score -= 1; // Prefer committing to a plan
+      if (score < bestScore) {
+        bestScore = score;
+        best = lane;
+      }
+    }
+    return best;
+  }
+
+  _shouldJump(world) {
+    const player = world.player;
+    if (player.jumping) return false;
+    const hb = player.getHitbox();
+    for (const obs of world.obstacles) {
+      if (!obs.active || this._classify(obs, player) !== 'jump') continue;
+      if (Math.abs(obs.x - player.x) > (obs.w + hb.w) / 2) continue;
+      if (!this._jumpLeads.has(obs)) {
+        this._jumpLeads.set(obs, 0.12 + (this.rng.next() - 0.5) * 2 * this.jumpJitter);
+      }
+      const gap = this._gap(world, obs.y);
+      if (gap > 0 && gap <= player.speed * this._jumpLeads.get(obs)) return true;
+    }
+    // A hazard that can be jumped, about to strike this lane
+    const hazard = world.biome.hazard;
+    if (hazard && hazard.jumpable) {
+      for (const h of world.hazards) {
+        if (h.struck || !h.lanes.includes(player.lane)) continue;
+        const left = (hazard.warning - h.timer) / 1000;
+        if (left <= 0.12 + this.jumpJitter) return true;
+      }
+    }
+    return false;
+  }
+
+  /** Throw a pinecone when the owl boss is overhead and none is in the air */
+  _shouldThrow(world) {
+    const boss = world.boss;
+    if (!boss || !boss.fighting || boss.ammo <= 0 || boss.thrown.length > 0) return false;
+    return Math.abs(boss.x - world.player.x) < 30;
+  }
+
+  /** Dash to shake off the owl when the lane ahead is clear */
+  _shouldDash(world) {
+    const player = world.player;
+    if (player.dashCooldown > 0 || player.dashing) return false;
+    if (world.owl.threat < lerp(0.7, 0.4, this.skill)) return false;
+    const clearance = player.speed * 1.8 * 0.6;
+    for (const obs of world.obstacles) {
+      if (!obs.active || obs.lane !== player.lane) continue;
+      const kind = this._classify(obs, player);
+      const gap = this._gap(world, obs.y);
+      if ((kind === 'block' || kind === 'jump') && gap > -obs.h && gap < clearance) return false;
+    }
+    return true;
+  }
+}
@@ -0,0 +1,77 @@
+// ============================================================
+// LevelData.js - The built-in hand-authored levels
+// ============================================================
+
+/**
+ * Plain data in the JSON level format (see parseLevel in Levels.js).
+ * CAMPAIGN places them among the procedural levels. id is stored with
+ * saved runs - never rename one.
+ */
+export const LEVEL_DATA = [
+  {
+    format: 1,
+    id: 'first-tracks',
+    name: 'First Tracks',
+    length: 600,
+    theme: 'dawn',
+    script: [
+      { at: 230, row: [null, null, 'log', null, null] },
+      { at: 300, pickup: 'feather_axe', lane: 2 },
+      { at: 330, npc: true, lane: 4 },
+      { time: 2.5, swoop: [2] },
+      { at: 390, row: [null, 'tree', 'tree', 'tree', null] },
+      { at: 450, filler: 150, difficulty: 0 },
+    ],
+  },
+  {
+    format: 1,
+    id: 'frozen-crossing',
+    name: 'Frozen Crossing',
+    length: 1200,
+    theme: 'dusk',
+    script: [
+      { at: 220, row: ['ice_patch', null, 'ice_patch', null, 'ice_patch'] },
+      { at: 330, row: [null, 'thin_ice', null, 'thin_ice', null] },
+      { at: 380, pickup: 'lantern_charm', lane: 2 },
+      { at: 400, swoop: [1], fakes: [3] },
+      { at: 450, event: 'blizzard' },
+      { at: 480, filler: 250 },
+      { at: 780, row: ['snowdrift', 'snowdrift', null, 'snowdrift', 'snowdrift'] },
+      { at: 860, row: [null, 'ice_patch', 'thin_ice', 'ice_patch', null] },
+      { at: 900, npc: true, lane: 2 },
+      { time: 9, swoop: [0, 4] },
+      { at: 960, row: ['thin_ice', null, null, null, 'thin_ice'] },
+      { at: 1000, filler: 200 },
+      { at: 1050, pickup: 'hot_cocoa', lane: 2 },
+    ],
+  },
+  {
+    format: 1,
+    id: 'owl-alley',
+    name: "Owl's Alley",
+    length: 2500,
+    biome: 'owls-roost',
+    script: [
+      { at: 230, row: ['tree', null, 'log', null, 'tree'] },
+      { at: 250, swoop: [2] },
+      { at: 340, row: [null, 'snowman', null, 'snowman', null] },
+      { at: 420, pickup: 'wind_gust', lane: 0 },
+      { at: 450, swoop: [0, 4], fakes: [2] },
+      { at: 520, row: ['branch', 'branch', null, 'branch', 'branch'] },
+      { at: 600, event: 'aurora' },
+      { at: 620, filler: 500, difficulty: 6 },
+      { at: 1150, swoop: [1, 3] },
+      { at: 1160, row: ['snowman', null, null, null, 'snowman'] },
+      { at: 1250, npc: true, lane: 1 },
+      { at: 1250, npc: true, lane: 3 },
+      { at: 1300, swoop: [2], fakes: [4] },
+      { at: 1380, row: ['tree', null, null, 'tree', 'tree'] },
+      { at: 1400, pickup: 'lucky_bell', lane: 2 },
+      { at: 1450, filler: 700, difficulty: 6 },
+      { at: 2170, swoop: [0, 2, 4] },
+      { at: 2200, row: ['log', null, null, null, 'log'] },
+      { at: 2300, row: ['snowball', null, 'snowball', null, 'snowball'] },
+      { at: 2380, swoop: [1, 3], fakes: [2] },
+    ],
+  },
+];
@@ -0,0 +1,185 @@
+// ============================================================
+// LevelDraft.js - A level being edited: placing and erasing lane by lane
+// ============================================================
+
+import { LANE_COUNT } from './World.js';
+import { LEVEL_FORMAT, LEVEL_THEMES, parseLevel } from './Levels.js';
+import { biomeDefs } from './Biomes.js';
+
+// Meters between the rows the editor places on
+export const EDITOR_STEP = 10;
+export const MIN_LEVEL_LENGTH = 100;
+export const MAX_LEVEL_LENGTH = 10000;
+
+/**
+ * Level data in the JSON level format, edited one cell (distance and
+ * lane) at a time. A cell holds at most one thing - an obstacle, a pickup
+ * or a runner - and may also lie under a swoop shadow, real or decoy.
+ * Edits work on entries keyed by at; timed entries, events and fillers
+ * are kept as they are. Edits that would make the level invalid throw.
+ */
+export class LevelDraft {
+  constructor(data) {
+    this.data = structuredClone(data);
+  }
+
+  /** An empty level with a fresh id */
+  static blank(now = Date.now()) {
+    return new LevelDraft({
+      format: LEVEL_FORMAT,
+      id: `custom-${now.toString(36)}`,
+      name: 'New Level',
+      length: 600,
+      biome: biomeDefs()[0].id,
+      script: [],
+    });
+  }
+
+  get script() {
+    return this.data.script;
+  }
+
+  /** What's at a cell: { obstacle, pickup, npc } (each null or set) and swoop: null | 'real' | 'fake' */
+  cellAt(at, lane) {
+    const row = this._find(at, e => e.row);
+    const pickup = this._find(at, e => e.pickup && e.lane === lane);
+    const swoop = this._find(at, e => e.swoop);
+    let shadow = null;
+    if (swoop && swoop.swoop.includes(lane)) shadow = 'real';
+    else if (swoop && swoop.fakes.includes(lane)) shadow = 'fake';
+    return {
+      obstacle: row ? row.row[lane] : null,
+      pickup: pickup ? pickup.pickup : null,
+      npc: !!this._find(at, e => e.npc && e.lane === lane),
+      swoop: shadow,
+    };
+  }
+
+  /**
+   * Put tool at a cell. tool: { kind: 'obstacle' | 'pickup', type },
+   * { kind: 'npc' }, { kind: 'swoop' }, { kind: 'fake' } or { kind: 'erase' }.
+   */
+  place(tool, at, lane) {
+    switch (tool.kind) {
+      case 'obstacle': {
+        const row = this._find(at, e => e.row);
+        if (row && row.row.every((type, i) => i === lane || type !== null)) {
+          throw new Error('A row has to leave one lane open');
+        }
+        this._clearThing(at, lane);
+        if (row) row.row[lane] = tool.type;
+        else this._insert({ at, row: Array.from({ length: LANE_COUNT }, (_, i) => (i === lane ? tool.type : null)) });
+        break;
+      }
+      case 'pickup':
+        this._clearThing(at, lane);
+        this._insert({ at, pickup: tool.type, lane });
+        break;
+      case 'npc':
+        this._clearThing(at, lane);
+        this._insert({ at, npc: true, lane });
+        break;
+      case 'swoop':
+      case 'fake': {
+        const fake = tool.kind === 'fake';
+        let swoop = this._find(at, e => e.swoop);
+        if (fake && !swoop) throw new Error('Decoy shadows go with a swoop - place a swoop on this row first');
+        if (!fake && swoop && !swoop.swoop.includes(lane) && swoop.swoop.length === LANE_COUNT - 1) {
+          throw new Error('A swoop has to leave one lane safe');
+        }
+        if (fake && swoop.swoop.length === 1 && swoop.swoop[0] === lane) {
+          throw new Error("That is the swoop's only real shadow");
+        }
+        if (!swoop) swoop = this._insert({ at, swoop: [], fakes: [] });
+        swoop.swoop = swoop.swoop.filter(l => l !== lane);
+        swoop.fakes = swoop.fakes.filter(l => l !== lane);
+        (fake ? swoop.fakes : swoop.swoop).push(lane);
+        swoop.swoop.sort();
+        swoop.fakes.sort();
+        break;
+      }
+      case 'erase':
+        this.erase(at, lane);
+        break;
+      default:
+        throw new Error(`Unknown tool: ${tool.kind}`);
+    }
+  }
+
+  /** Clear a cell: its obstacle, pickup or runner, and its swoop shadow */
+  erase(at, lane) {
+    this._clearThing(at, lane);
+    const swoop = this._find(at, e => e.swoop);
+    if (!swoop) return;
+    swoop.swoop = swoop.swoop.filter(l => l !== lane);
+    swoop.fakes = swoop.fakes.filter(l => l !== lane);
+    if (swoop.swoop.length === 0) this._remove(swoop);
+  }
+
+  setName(name) {
+    const trimmed = String(name).trim();
+    if (!trimmed) throw new Error('The name is empty');
+    this.data.name = trimmed.slice(0, 32);
+  }
+
+  setLength(meters) {
+    const n = Math.round(Number(meters));
+    if (!(n >= MIN_LEVEL_LENGTH && n <= MAX_LEVEL_LENGTH)) {
+      throw new Error(`Length must be ${MIN_LEVEL_LENGTH}-${MAX_LEVEL_LENGTH}m`);
+    }
+    this.data.length = n;
+  }
+
+  /** Move to the next biome in registration order */
+  cycleBiome() {
+    const ids = biomeDefs().map(def => def.id);
+    this.data.biome = ids[(ids.indexOf(this.data.biome) + 1) % ids.length];
+  }
+
+  /** Move to the next theme in LEVEL_THEMES, then back to the biome's own sky */
+  cycleTheme() {
+    const themes = [undefined, ...Object.keys(LEVEL_THEMES)];
+    const theme = themes[(themes.indexOf(this.data.theme) + 1) % themes.length];
+    if (theme === undefined) delete this.data.theme;
+    else this.data.theme = theme;
+  }
+
+  /** The level, checked, as parseLevel returns it; throws if it isn't playable */
+  parsed() {
+    return parseLevel(this.data);
+  }
+
+  /** Shareable level JSON */
+  toJSON() {
+    return JSON.stringify(this.parsed(), null, 2);
+  }
+
+  /** First entry keyed at this distance that matches */
+  _find(at, match) {
+    return this.script.find(e => e.at === at && match(e)) || null;
+  }
+
+  /** Remove the obstacle, pickup or runner in a cell */
+  _clearThing(at, lane) {
+    const row = this._find(at, e => e.row);
+    if (row) {
+      row.row[lane] = null;
+      if (row.row.every(type => type === null)) this._remove(row);
+    }
+    for (const e of this.script.filter(e => e.at === at && (e.pickup || e.npc) && e.lane === lane)) {
+      this._remove(e);
+    }
+  }
+
+  /** Add an entry after the last one keyed at or before its distance */
+  _insert(entry) {
+    let i = this.script.length;
+    while (i > 0 && !(this.script[i - 1].at <= entry.at)) i--;
+    this.script.splice(i, 0, entry);
+    return entry;
+  }
+
+  _remove(entry) {
+    this.script.splice(this.script.indexOf(entry), 1);
+  }
+}
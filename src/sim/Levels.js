@@ -0,0 +1,167 @@
+// ============================================================
+// Levels.js - Hand-authored level format, the level registry and the campaign
+// ============================================================
+
+import { LANE_COUNT } from './World.js';
+import { getObstacleDef } from '../entities/Obstacle.js';
+import { PICKUP_INFO } from '../entities/Pickup.js';
+import { getBiome } from './Biomes.js';
+import { LEVEL_DATA } from './LevelData.js';
+
+// Version of the level format; levels declare it as "format"
+export const LEVEL_FORMAT = 1;
+
+// Skies a level can ask for in place of its biome's; sky is the gradient
+// from top to bottom
+export const LEVEL_THEMES = {
+  night: { name: 'Night', sky: ['#0a0e1a', '#1a2040', '#2a3050'] },
+  dusk: { name: 'Dusk', sky: ['#140c24', '#3a2248', '#6a3c58'] },
+  dawn: { name: 'Dawn', sky: ['#101a30', '#34506e', '#8a7088'] },
+};
+
+// Special events a script can start
+export const LEVEL_EVENTS = ['aurora', 'blizzard'];
+
+// What a script entry does; each entry has exactly one of these
+const ENTRY_KINDS = ['row', 'pickup', 'npc', 'swoop', 'event', 'filler'];
+
+// Campaign level number - 1 -> authored level id. Levels past the end of
+// the list, null slots and ids that aren't registered are procedural.
+export const CAMPAIGN = ['first-tracks', null, 'frozen-crossing', null, null, 'owl-alley'];
+
+/**
+ * Check a level in the JSON level format and return a clean copy. Takes
+ * the level as an object or as JSON text:
+ *   format, id, name     LEVEL_FORMAT, id (kept in saves), display name
+ *   length               meters to the finish line
+ *   biome                a registered biome id (optional; otherwise the
+ *                        campaign's biome for the level, see Biomes.js)
+ *   theme                a LEVEL_THEMES key (optional; otherwise the biome's sky)
+ *   script               entries keyed by at (meters) or time (seconds),
+ *                        each with one of:
+ *     row: [type or null per lane]   obstacles across the lanes
+ *     pickup: type, lane
+ *     npc: true, lane                a runner
+ *     swoop: [lanes], fakes: [lanes] an owl swoop (fakes optional)
+ *     event: 'aurora' | 'blizzard'
+ *     filler: amount, difficulty     procedural spawning for amount meters
+ *                                    or seconds (difficulty optional)
+ * Obstacles, pickups, runners and fillers keyed by at reach the player at
+ * that distance; timed ones appear at the top of the screen at that time.
+ * Swoops and events start at their key. Throws on the first problem found.
+ */
+export function parseLevel(data) {
+  if (typeof data === 'string') data = JSON.parse(data);
+  if (!data || typeof data !== 'object') throw new Error('Not a level');
+  if (data.format !== LEVEL_FORMAT) throw new Error(`Unsupported level format: ${data.format}`);
+  if (typeof data.id !== 'string' || !data.id) throw new Error('Level needs an id');
+  const fail = (msg) => { throw new Error(`Level '${data.id}' ${msg}`); };
+  if (typeof data.name !== 'string' || !data.name) fail('needs a name');
+  if (typeof data.length !== 'number' || !(data.length > 0)) fail('needs a length in meters');
+  if (data.biome !== undefined && !getBiome(data.biome)) fail(`has an unknown biome: ${data.biome}`);
+  if (data.theme !== undefined && !LEVEL_THEMES[data.theme]) fail(`has an unknown theme: ${data.theme}`);
+  if (!Array.isArray(data.script)) fail('needs a script list');
+
+  const level = { format: LEVEL_FORMAT, id: data.id, name: data.name, length: data.length };
+  if (data.biome !== undefined) level.biome = data.biome;
+  if (data.theme !== undefined) level.theme = data.theme;
+  level.script = data.script.map((entry, i) => parseEntry(entry, (msg) => fail(`script entry ${i + 1} ${msg}`)));
+  return level;
+}
+
+function parseEntry(entry, fail) {
+  if (!entry || typeof entry !== 'object') fail('is not an object');
+  const isKey = (n) => typeof n === 'number' && n >= 0;
+  const isLane = (n) => Number.isInteger(n) && n >= 0 && n < LANE_COUNT;
+  const isLaneList = (list) => Array.isArray(list) && list.every(isLane);
+
+  const out = {};
+  if ((entry.at === undefined) === (entry.time === undefined)) fail('needs either at or time');
+  if (entry.at !== undefined) {
+    if (!isKey(entry.at)) fail('has a bad at');
+    out.at = entry.at;
+  } else {
+    if (!isKey(entry.time)) fail('has a bad time');
+    out.time = entry.time;
+  }
+
+  const kinds = ENTRY_KINDS.filter(k => entry[k] !== undefined);
+  if (kinds.length !== 1) fail(`needs exactly one of ${ENTRY_KINDS.join(', ')}`);
+  switch (kinds[0]) {
+    case 'row':
+      if (!Array.isArray(entry.row) || entry.row.length !== LANE_COUNT) fail(`needs a row of ${LANE_COUNT} lanes`);
+      for (const type of entry.row) {
+        if (type !== null && !getObstacleDef(type)) fail(`has an unknown obstacle: ${type}`);
+      }
+      if (entry.row.every(type => type !== null)) fail('blocks every lane');
+      out.row = [...entry.row];
+      break;
+    case 'pickup':
+      if (!PICKUP_INFO[entry.pickup]) fail(`has an unknown pickup: ${entry.pickup}`);
+      if (!isLane(entry.lane)) fail('needs a lane');
+      out.pickup = entry.pickup;
+      out.lane = entry.lane;
+      break;
+    case 'npc':
+      if (entry.npc !== true || !isLane(entry.lane)) fail('needs npc: true and a lane');
+      out.npc = true;
+      out.lane = entry.lane;
+      break;
+    case 'swoop':
+      if (!isLaneList(entry.swoop) || entry.swoop.length === 0) fail('needs a list of swoop lanes');
+      if (entry.fakes !== undefined && !isLaneList(entry.fakes)) fail('has bad fake lanes');
+      if (new Set(entry.swoop).size >= LANE_COUNT) fail('swoops every lane');
+      out.swoop = [...entry.swoop];
+      out.fakes = [...(entry.fakes || [])];
+      break;
+    case 'event':
+      if (!LEVEL_EVENTS.includes(entry.event)) fail(`has an unknown event: ${entry.event}`);
+      out.event = entry.event;
+      break;
+    case 'filler':
+      if (typeof entry.filler !== 'number' || !(entry.filler > 0)) fail('needs a filler amount');
+      if (entry.difficulty !== undefined && !(Number.isInteger(entry.difficulty) && entry.difficulty >= 0)) {
+        fail('has a bad difficulty');
+      }
+      out.filler = entry.filler;
+      if (entry.difficulty !== undefined) out.difficulty = entry.difficulty;
+      break;
+  }
+  return out;
+}
+
+const registry = new Map(); // id -> parsed level, in registration order
+let builtInsAdded = false;
+
+// The built-in levels are registered on first use rather than at load:
+// this module and World.js import each other, and checking a level needs
+// LANE_COUNT
+function addBuiltIns() {
+  if (builtInsAdded) return;
+  builtInsAdded = true;
+  for (const data of LEVEL_DATA) registerLevel(data);
+}
+
+/**
+ * Add a level (anything parseLevel accepts). Returns a function that
+ * removes it again. Throws if the level is invalid or its id is taken.
+ */
+export function registerLevel(data) {
+  addBuiltIns();
+  const level = parseLevel(data);
+  if (registry.has(level.id)) throw new Error(`Level '${level.id}' is already registered`);
+  registry.set(level.id, level);
+  return () => registry.delete(level.id);
+}
+
+/** A registered level by id, or null */
+export function getLevel(id) {
+  addBuiltIns();
+  return registry.get(id) || null;
+}
+
+/** The authored level a campaign level plays, or null for a procedural one */
+export function campaignLevel(level) {
+  const id = CAMPAIGN[level - 1];
+  return id ? getLevel(id) : null;
+}
@@ -0,0 +1,924 @@
+// ============================================================
+// World.js - One level of simulation, free of canvas, DOM and storage
+// ============================================================
+
+import { Player, CHARACTERS } from '../entities/Player.js';
+import { Owl, SCREECH_DURATION } from '../entities/Owl.js';
+import { OwlBrain, personalityForSeed } from '../entities/OwlBrain.js';
+import { OwlBoss, BOSS_REWARD } from '../entities/OwlBoss.js';
+import { Obstacle } from '../entities/Obstacle.js';
+import { NPC } from '../entities/NPC.js';
+import { Spawner, PX_PER_METER } from '../systems/Spawner.js';
+import { CollisionSystem } from '../systems/Collision.js';
+import { EffectScheduler, STACKING } from '../systems/Effects.js';
+import { EventBus, GAME_EVENTS } from '../systems/EventBus.js';
+import { Pickup, PICKUP_TYPES, PICKUP_INFO } from '../entities/Pickup.js';
+import { SeededRNG } from '../utils.js';
+import { campaignLevel } from './Levels.js';
+import { getBiome, campaignBiome, campaignAct } from './Biomes.js';
+
+export const LANE_COUNT = 5;
+export const LEVEL_LENGTHS = [600, 900, 1200, 1600, 2000, 2500, 3000]; // meters per level
+const CAMPAIGN_MAX_DIFFICULTY = 8;
+
+// Endless: difficulty keeps climbing with distance, an upgrade draft is
+// offered at every milestone and the owl escalates through tiers
+export const ENDLESS_RAMP_DISTANCE = 400; // m per extra difficulty step
+export const ENDLESS_MILESTONE_DISTANCE = 750; // m between upgrade drafts
+export const OWL_TIERS = [
+  { distance: 0, name: 'Watching', cooldownMult: 1, extraShadows: 0 },
+  { distance: 1000, name: 'Hunting', cooldownMult: 0.85, extraShadows: 0 },
+  { distance: 2500, name: 'Relentless', cooldownMult: 0.7, extraShadows: 1 },
+  { distance: 4500, name: 'Apex', cooldownMult: 0.55, extraShadows: 2 },
+];
+
+// Fixed simulation rate. Every driver (browser loop, replays, headless
+// runs) steps a World by TICK_DT so runs play out identically anywhere.
+export const TICK_RATE = 60;
+export const TICK_DT = 1 / TICK_RATE;
+
+// Layout of World.serialize(). Bump it whenever a World or entity field
+// changes; older suspended levels are then refused rather than misread.
+export const WORLD_STATE_VERSION = 7;
+
+// A biome hazard catches the player this close to the middle of its lane (px)
+const HAZARD_REACH = 40;
+// ms a struck hazard stays on screen
+const HAZARD_LINGER = 500;
+
+/** X centre of each lane for a playfield of the given width */
+export function computeLanes(width) {
+  const margin = 80;
+  const usableW = width - margin * 2;
+  const laneW = usableW / (LANE_COUNT - 1);
+  const positions = [];
+  for (let i = 0; i < LANE_COUNT; i++) {
+    positions.push(margin + i * laneW);
+  }
+  return positions;
+}
+
+// Upgrade options for the between-level screen and Endless drafts
+export const UPGRADES = [
+  { id: 'long_jump', name: 'Spring Legs', desc: '+20% jump hang time', icon: '🦘' },
+  { id: 'fast_recovery', name: 'Quick Feet', desc: '-25% stun duration', icon: '⚡' },
+  { id: 'dash_cooldown', name: 'Tailwind', desc: '-20% dash cooldown', icon: '💨' },
+  { id: 'small_hitbox', name: 'Nimble Frame', desc: 'Smaller hitbox', icon: '🎯' },
+  { id: 'more_pickups', name: 'Sharp Eyes', desc: '+30% more pickups', icon: '👁️' },
+];
+
+/**
+ * Add an upgrade after the built-in ones: { id, name, desc, icon,
+ * apply(world) }. Returns a function that removes it again. Throws if the
+ * id is taken or the definition is incomplete.
+ */
+export function registerUpgrade(def) {
+  if (!def || typeof def.id !== 'string' || !def.id) throw new Error('Upgrade definition needs an id');
+  if (UPGRADES.some(u => u.id === def.id)) throw new Error(`Upgrade '${def.id}' is already registered`);
+  if (typeof def.name !== 'string' || typeof def.apply !== 'function') {
+    throw new Error(`Upgrade '${def.id}' needs a name and an apply`);
+  }
+  const upgrade = { desc: '', icon: '★', ...def };
+  UPGRADES.push(upgrade);
+  return () => {
+    const i = UPGRADES.indexOf(upgrade);
+    if (i >= 0) UPGRADES.splice(i, 1);
+  };
+}
+
+/** Actions for a tick when nothing is pressed */
+export const NO_ACTIONS = Object.freeze({ left: false, right: false, jump: false, dash: false });
+
+/**
+ * A single level attempt. Built from the same run description replays
+ * store ({ seed, level, endless, charIdx, attributesMode, upgrades,
+ * owlBrain }) and advanced with update(dt, actions) until `outcome` is
+ * set. owlBrain is what the owl has learned of the runner so far in the
+ * run, { personality, memory } (see OwlBrain.js); without one it starts
+ * knowing nothing, with a personality picked by the seed. A campaign
+ * level plays its authored level (see Levels.js) if it has one; layout
+ * overrides that with a parsed level, or null for a procedural one. The
+ * level is run in the layout's biome, or the campaign's for its number
+ * (see Biomes.js). The last campaign level of each act ends with the owl
+ * boss (see OwlBoss.js) instead of at the finish line. startAt (meters)
+ * starts an authored level part-way, for testing it.
+ */
+export class World {
+  constructor({
+    seed,
+    level = 1,
+    endless = false,
+    charIdx = 0,
+    attributesMode = true,
+    upgrades = [],
+    owlBrain = null,
+    layout,
+    startAt = 0,
+    width = 800,
+    height = 640,
+    cosmetics = true,
+  }) {
+    this.cw = width;
+    this.ch = height;
+    this.lanePositions = computeLanes(width);
+    // What happens, as it happens (see EventBus.js); the eventLog is its
+    // first listener so it records events before anyone reacts to them
+    this.events = new EventBus(() => this.tick);
+    this.events.onAny((e) => {
+      if (GAME_EVENTS[e.type].log !== false) this.eventLog.push(e);
+    });
+
+    this.seed = seed;
+    this.level = level;
+    this.isEndless = endless;
+    this.charIdx = charIdx;
+    this.character = CHARACTERS[charIdx] || CHARACTERS[0];
+    this.attributesMode = attributesMode;
+    this.upgrades = [];
+
+    // Every gameplay draw comes from a stream of this seed
+    this.rng = new SeededRNG(seed);
+    this.eventRng = this.rng.fork('events');
+    this.fxRng = this.rng.fork('fx');
+    // Endless drafts draw from their own stream so picking one mid-run
+    // doesn't shift anything else
+    this.draftRng = this.rng.fork('drafts');
+    this.hazardRng = this.rng.fork('hazards');
+    this.bossRng = this.rng.fork('boss');
+
+    // The hand-authored level being played, or null
+    this.layout = layout !== undefined ? layout : (endless ? null : campaignLevel(level));
+    this.biome = (this.layout && getBiome(this.layout.biome)) || campaignBiome(level);
+
+    const levelIdx = Math.min(level - 1, LEVEL_LENGTHS.length - 1);
+    if (endless) this.levelLength = Infinity;
+    else this.levelLength = this.layout ? this.layout.length : (LEVEL_LENGTHS[levelIdx] || 3000);
+    this.difficulty = endless ? level : Math.min(level, CAMPAIGN_MAX_DIFFICULTY);
+
+    // The act this level ends, if it ends one; the boss comes down at the finish
+    const { act, finale } = campaignAct(level);
+    this.bossAct = !endless && finale ? act : 0;
+    this.boss = null;
+    this.bossReward = 0; // points for driving it off, once it's gone
+
+    this.player = new Player(this.lanePositions[2], height - 100, this.character, attributesMode);
+    this.player.applyLanePositions(this.lanePositions);
+
+    const brain = new OwlBrain(owlBrain || { personality: personalityForSeed(seed) }, LANE_COUNT);
+    this.owl = new Owl(width, height, this.rng.fork('owl'), this.fxRng, brain);
+    this.owl.threat = 0.1;
+
+    this.spawner = new Spawner(width, height, this.lanePositions, this.rng, this.layout && this.layout.script,
+      this.biome.obstacleWeights);
+    this.spawner.spawnY = -80;
+
+    this.obstacles = [];
+    this.pickups = [];
+    this.npcs = [];
+    this.collision = new CollisionSystem();
+
+    // Timed buffs/penalties; runs on simulation time so it pauses with the game
+    this.effects = new EffectScheduler();
+
+    // Apply upgrades (after the spawner exists - Sharp Eyes modifies it)
+    for (const id of upgrades) this.applyUpgrade(id);
+
+    // Metrics
+    this.distance = 0;
+    this.score = 0;
+    this._scoreCarry = 0; // fractional points not yet added to score
+    this.streak = 1;
+    this.cleanStreak = 0;
+    this.time = 0;
+    this.swoopsDodged = 0;
+    this.npcsSaved = 0;
+    this.runHits = 0;
+
+    // Shadow dodge tracking
+    this.wasInShadow = false;
+    this.shadowDodgeTimer = 0;
+
+    // Special events; an authored level only has the ones its script starts
+    this.eventTimer = 20000 + this.eventRng.next() * 10000;
+    this.auroraActive = false;
+    this.auroraTimer = 0;
+    this.blizzardActive = false;
+    this.blizzardTimer = 0;
+
+    this.npcSnatchTimer = 6000 + this.eventRng.next() * 6000;
+
+    // Biome hazard: warnings counting down to a strike, { lanes, dir, timer, struck }
+    this.hazards = [];
+    this.hazardTimer = this.biome.hazard ? this._hazardInterval() : 0;
+
+    // Endless progression
+    this.milestone = 0;
+    this.draftPending = false; // set when a milestone is passed, cleared by the game
+    this.owlTier = 0;
+
+    // Presentation state; headless runs skip it (cosmetics: false)
+    this.cosmetics = cosmetics;
+    this.footprintsWorld = [];
+    this.bgScrollY = 0;
+    this.prevBgScrollY = 0;
+    this.shakeX = 0;
+    this.shakeY = 0;
+    this.shakeMag = 0;
+    this.shakeDuration = 0;
+    this.stunOverlayAlpha = 0;
+
+    // Simulation ticks played this level and what happened on them
+    this.tick = 0;
+    this.eventLog = [];
+
+    // null while running, then 'complete' | 'captured' | 'caught'
+    this.outcome = null;
+
+    if (startAt > 0 && this.layout) {
+      this.distance = startAt;
+      this.spawner.skipScript(startAt, this.player.y);
+    }
+  }
+
+  /** Apply an upgrade by id; Endless drafts call this mid-run */
+  applyUpgrade(id) {
+    this.upgrades.push(id);
+    switch (id) {
+      case 'long_jump':
+        this.player.hangMultiplier *= 1.2;
+        break;
+      case 'fast_recovery':
+        this.player.stunMult *= 0.75;
+        break;
+      case 'dash_cooldown':
+        this.player.dashCooldownMax *= 0.8;
+        break;
+      case 'small_hitbox':
+        this.player.w = Math.max(16, this.player.w - 4);
+        break;
+      case 'more_pickups':
+        this.spawner.pickupInterval *= 0.7;
+        break;
+      default: {
+        // A registered upgrade; ids from a mod that isn't loaded do nothing
+        const upgrade = UPGRADES.find(u => u.id === id);
+        if (upgrade && upgrade.apply) upgrade.apply(this);
+      }
+    }
+  }
+
+  /** Three upgrades to choose from at an Endless milestone */
+  draftUpgrades(count = 3) {
+    return this.draftRng.shuffle(UPGRADES).slice(0, count);
+  }
+
+  /** Sky the level asks for (a LEVEL_THEMES key), or null for its biome's */
+  get theme() {
+    return (this.layout && this.layout.theme) || null;
+  }
+
+  /** Distance at which the next Endless draft is offered */
+  get nextMilestone() {
+    return (this.milestone + 1) * ENDLESS_MILESTONE_DISTANCE;
+  }
+
+  /**
+   * The level as it stands, as plain JSON-safe data, for suspending a run.
+   * Random streams are stored by state, so a restored level plays on
+   * exactly as this one would have.
+   */
+  serialize() {
+    const {
+      events, character, lanePositions, cw, ch, levelLength, cosmetics, collision, biome,
+      rng, eventRng, fxRng, draftRng, hazardRng, bossRng, player, owl, boss, spawner, obstacles, pickups,
+      npcs, effects, ...state
+    } = this;
+    return {
+      v: WORLD_STATE_VERSION,
+      state: structuredClone(state),
+      rngs: {
+        root: rng.serialize(),
+        events: eventRng.serialize(),
+        fx: fxRng.serialize(),
+        drafts: draftRng.serialize(),
+        hazards: hazardRng.serialize(),
+        boss: bossRng.serialize(),
+        owl: owl.rng.serialize(),
+        entities: spawner.entityRng.serialize(),
+      },
+      player: player.serialize(),
+      owl: owl.serialize(),
+      boss: boss ? boss.serialize() : null,
+      spawner: spawner.serialize(),
+      obstacles: obstacles.map(o => o.serialize()),
+      pickups: pickups.map(p => p.serialize()),
+      npcs: npcs.map(n => n.serialize()),
+      effects: effects.serialize(),
+    };
+  }
+
+  /**
+   * Rebuild a World from serialize(). options are the constructor's
+   * presentation options (width, height, cosmetics). Throws on data
+   * from another WORLD_STATE_VERSION.
+   */
+  static deserialize(data, options = {}) {
+    if (!data || data.v !== WORLD_STATE_VERSION) throw new Error('Saved level is from another version');
+    const { seed, level, isEndless, charIdx, attributesMode, layout } = data.state;
+    const world = new World({ ...options, seed, level, endless: isEndless, charIdx, attributesMode, layout });
+    Object.assign(world, structuredClone(data.state));
+
+    // Streams shared between entities are rebuilt once and handed to each
+    const entityRng = SeededRNG.deserialize(data.rngs.entities);
+    world.rng = SeededRNG.deserialize(data.rngs.root);
+    world.eventRng = SeededRNG.deserialize(data.rngs.events);
+    world.fxRng = SeededRNG.deserialize(data.rngs.fx);
+    world.draftRng = SeededRNG.deserialize(data.rngs.drafts);
+    world.hazardRng = SeededRNG.deserialize(data.rngs.hazards);
+    world.bossRng = SeededRNG.deserialize(data.rngs.boss);
+
+    world.player = Player.deserialize(data.player, world.character, world.lanePositions);
+    world.owl = Owl.deserialize(data.owl, SeededRNG.deserialize(data.rngs.owl), world.fxRng);
+    world.boss = data.boss && OwlBoss.deserialize(data.boss, world.bossRng);
+    world.spawner = Spawner.deserialize(data.spawner, world.lanePositions, world.rng, entityRng,
+      world.layout && world.layout.script, world.biome.obstacleWeights);
+    world.obstacles = data.obstacles.map(o => Obstacle.deserialize(o, entityRng));
+    world.pickups = data.pickups.map(p => Pickup.deserialize(p));
+    world.npcs = data.npcs.map(n => NPC.deserialize(n, world.lanePositions, entityRng));
+    world.effects.restore(data.effects, (id) => world._effectDef(id));
+    return world;
+  }
+
+  /** Character stat multiplier, or 1 when Attribute Mode is off */
+  _stat(name) {
+    return this.attributesMode ? (this.character.stats[name] || 1) : 1;
+  }
+
+  /** Advance one tick. actions: { left, right, jump, dash } (see readActions) */
+  update(dt, actions = NO_ACTIONS) {
+    if (this.outcome) return;
+    this._step(dt, actions);
+    // Every tick ends with one, drawn or headless, including the one that ends the level
+    this._emit('tick');
+  }
+
+  _step(dt, actions) {
+    const dtMs = dt * 1000;
+    const player = this.player;
+    const difficulty = this.difficulty;
+
+    // Remember where everything was for render interpolation
+    this._snapshotPositions();
+    this.tick++;
+
+    // --- Input ---
+    // An owl screech swaps left and right for a moment
+    const inverted = this.effects.has('owl_screech');
+    if (inverted ? actions.right : actions.left) player.moveLeft();
+    if (inverted ? actions.left : actions.right) player.moveRight();
+    // With the owl down here, a jump throws a carried pinecone instead
+    if (actions.jump && !(this.boss && this.boss.throwFrom(player))) player.jump(this.events);
+    if (actions.dash) player.dash(this.events);
+
+    // Axe is pre-armed automatically by the collision system
+
+    // --- Player update ---
+    player.update(dt, this.lanePositions, this.events);
+
+    // --- Scroll world ---
+    // Player stays fixed near bottom (y = ch-100). Obstacles spawn at top (y = -80)
+    // and scroll DOWN toward player as the world moves.
+    const scrollAmt = player.speed * dt;
+    this.distance += scrollAmt / PX_PER_METER;
+    this.time += dtMs;
+
+    // Obstacles: scroll down + update projectiles/state
+    for (const obs of this.obstacles) {
+      obs.y += scrollAmt; // Move toward player (down the screen)
+      obs.update(dt, player.y);
+    }
+    this.obstacles = this.obstacles.filter(obs => obs.active && obs.y < this.ch + 120);
+
+    // Pickups: scroll down
+    for (const p of this.pickups) {
+      if (!p.collected) p.y += scrollAmt;
+      p.bobPhase += dt * 2;
+      if (p.collected) {
+        p.collectTimer += dt * 1000;
+        if (p.collectTimer >= p.collectDuration) p.active = false;
+      }
+    }
+    this.pickups = this.pickups.filter(p => p.active && p.y < this.ch + 80);
+
+    // NPCs: scroll down
+    for (const npc of this.npcs) {
+      if (!npc.snatched) npc.y += scrollAmt;
+      npc.update(dt);
+    }
+    this.npcs = this.npcs.filter(n => n.active);
+
+    // --- Spawning --- (the snow is cleared for a boss fight)
+    if (this.layout && !this.boss) {
+      const cues = this.spawner.playScript(this.distance, this.time, player.speed, player.y,
+        this.obstacles, this.pickups, this.npcs, this.events);
+      for (const cue of cues) this._runCue(cue);
+    }
+    const hasShadow = this.owl.shadows.length > 0;
+    if (!this.boss) {
+      this.spawner.update(dt, difficulty, this.obstacles, this.pickups, this.npcs,
+        player.speed, player.y, this._stat('pickupFreqMult'), hasShadow, this.events);
+    }
+
+    // --- Owl ---
+    this.owl.observe(dt, player);
+    const { screeched } = this.owl.update(dt, player.x, player.y, player.lane, this.lanePositions, difficulty,
+      this._stat('shadowWarningMult'), this.events);
+    if (screeched) {
+      this.effects.apply(this._effectDef('owl_screech'));
+      this._emit('screechHit', { duration: SCREECH_DURATION });
+      this._popup(player.x, player.y - 70, 'CONTROLS REVERSED!', '#ff7675');
+    }
+    if (this.boss) this._updateBoss(dt, scrollAmt);
+
+    // --- Biome hazard ---
+    if (!this.boss) this._updateHazards(dtMs);
+
+    // Owl threat based on player performance
+    if (player.stunned) {
+      this.owl.increaseThreat(dt * 0.08);
+    } else if (!player.dashing) {
+      this.owl.decreaseThreat(dt * 0.012);
+    } else {
+      this.owl.decreaseThreat(dt * 0.025);
+    }
+
+    // Track shadow zone
+    const playerHB = player.getHitbox();
+    const inShadow = this.owl.isPlayerInShadow(playerHB);
+    if (inShadow) {
+      this.owl.increaseThreat(dt * 0.06);
+      this.shadowDodgeTimer += dtMs;
+    }
+    if (this.wasInShadow && !inShadow && this.shadowDodgeTimer > 200) {
+      // Successfully dodged shadow
+      this.swoopsDodged++;
+      player.swoopsDodged++;
+      this.streak = Math.min(this.streak + 0.2, 8);
+      this._popup(player.x, player.y - 60, 'SWOOP DODGED! +50', '#74b9ff');
+      this.score += 50;
+      this.shadowDodgeTimer = 0;
+      this._emit('swoopDodged', { lane: player.lane });
+    }
+    this.wasInShadow = inShadow;
+
+    // --- Collisions ---
+    const hits = this.collision.checkObstacles(player, this.obstacles, this.events);
+    for (const hit of hits) {
+      if (hit.type !== 'projectile') hit.obs.hitPlayer = true;
+      if (hit.type === 'stun') {
+        this._onStunned();
+      } else if (hit.type === 'chop') {
+        this._popup(player.x, player.y - 50, 'CHOPPED! +25', '#f1c40f');
+        this.score += 25;
+      } else if (hit.type === 'ice') {
+        // Slow steering for a moment
+        this.effects.apply(this._effectDef('icy_steering'));
+      }
+    }
+    this.collision.checkOwlProjectiles(player, this.owl, this.events);
+
+    // Obstacles going by: note jumps in the player's lane, log each one
+    // that gets past the player there
+    for (const obs of this.obstacles) {
+      if (obs.passed || !obs.active) continue;
+      const top = obs.getHitbox().y;
+      if (top > player.y) {
+        obs.passed = true;
+        if (obs.lane === player.lane) {
+          this._emit('pass', { obstacle: obs.type, lane: obs.lane, jumped: obs.jumpedOver, hit: obs.hitPlayer });
+        }
+      } else if (player.jumping && obs.lane === player.lane && obs.y > player.y - player.h) {
+        obs.jumpedOver = true;
+      }
+    }
+
+    // Pickups
+    const collected = this.collision.checkPickups(player, this.pickups, this.events);
+    for (const p of collected) {
+      this._applyPickup(p.type);
+      this._popup(player.x, player.y - 55, `+${PICKUP_INFO[p.type].label}!`, PICKUP_INFO[p.type].color);
+    }
+
+    // Timed effects
+    this.effects.update(dtMs);
+
+    // Swoop capture check
+    if (this.collision.checkOwlCapture(player, this.owl)) {
+      this._finish('captured');
+      return;
+    }
+
+    // Owl capture: threat reaches 1
+    if (this.owl.threat >= 1.0) {
+      this._finish('caught');
+      return;
+    }
+
+    // NPC snatch
+    this.npcSnatchTimer -= dtMs;
+    if (this.npcSnatchTimer <= 0 && !this.boss) {
+      this._trySnatchNPC();
+      this.npcSnatchTimer = 5000 + this.eventRng.next() * 8000;
+    }
+
+    // Score update
+    this._addScore(player.speed * dt * 0.1 * this.streak * this._stat('scoreMult'));
+
+    // Clean run streak
+    if (hits.length === 0 && !player.stunned) {
+      this.cleanStreak += dt;
+      if (this.cleanStreak > 3) {
+        this.streak = Math.min(this.streak + dt * 0.05, 8);
+      }
+    }
+
+    // Special events
+    this.eventTimer -= dtMs;
+    if (!this.layout && !this.boss && this.eventTimer <= 0 && !this.auroraActive && !this.blizzardActive) {
+      this._triggerEvent();
+      this.eventTimer = 20000 + this.eventRng.next() * 20000;
+    }
+    if (this.auroraActive) {
+      this.auroraTimer -= dtMs;
+      if (this.auroraTimer <= 0) this.auroraActive = false;
+      this._addScore(dt * 20);
+    }
+    if (this.blizzardActive) {
+      this.blizzardTimer -= dtMs;
+      if (this.blizzardTimer <= 0) this.blizzardActive = false;
+    }
+
+    if (this.isEndless) this._updateEndless();
+
+    if (this.cosmetics) this._updateCosmetics(dt);
+
+    // Level complete, or the owl comes down to fight for it
+    if (this.boss ? this.boss.gone : this.distance >= this.levelLength) {
+      if (this.bossAct && !this.boss) this._startBoss();
+      else this._finish('complete');
+    }
+  }
+
+  _startBoss() {
+    this.boss = new OwlBoss(this.bossAct, this.bossRng, this.cw);
+    this.owl.inPerson = true;
+    this.owl.cancelSwoop();
+    this._emit('bossStart', { act: this.bossAct, health: this.boss.health });
+    this._popup(this.cw / 2, this.ch / 2 - 80, 'THE OWL COMES DOWN!', '#ff7675');
+  }
+
+  /** The fight's tick: feathers that hit count as stuns, driving the owl off pays out */
+  _updateBoss(dt, scrollAmt) {
+    const { stunned, drivenOff } = this.boss.update(dt, {
+      player: this.player,
+      owl: this.owl,
+      lanePositions: this.lanePositions,
+      difficulty: this.difficulty,
+      warnMult: this._stat('shadowWarningMult'),
+      scrollAmt,
+      height: this.ch,
+      events: this.events,
+    });
+    for (const lane of stunned) {
+      this._emit('featherHit', { lane });
+      this._onStunned();
+    }
+    if (drivenOff) {
+      // Knocking it out of the sky pays half as much again as holding out
+      const reward = Math.round(BOSS_REWARD * this.bossAct * (drivenOff === 'hits' ? 1.5 : 1));
+      this.score += reward;
+      this.bossReward = reward;
+      this._emit('bossDefeated', { by: drivenOff, reward });
+      this._popup(this.cw / 2, this.ch / 2 - 80, `OWL DRIVEN OFF! +${reward}`, '#f1c40f');
+    }
+  }
+
+  /** A hit that stunned the player costs streak and feeds the owl */
+  _onStunned() {
+    this.runHits++;
+    this.streak = Math.max(1, this.streak - 0.5);
+    this.cleanStreak = 0;
+    this.owl.increaseThreat(0.12);
+    this.shakeMag = 6;
+    this.shakeDuration = 400;
+    this.stunOverlayAlpha = 0.4;
+  }
+
+  /**
+   * The biome's hazard comes at random wherever spawning is random, never
+   * over an owl shadow or another hazard, on more lanes as the difficulty
+   * climbs. Each one warns first, then strikes its lanes once.
+   */
+  _updateHazards(dtMs) {
+    const hazard = this.biome.hazard;
+    if (!hazard) return;
+    if (!this.layout || this.spawner.filler) this.hazardTimer -= dtMs;
+    if (this.hazardTimer <= 0 && this.hazards.length === 0 && this.owl.shadows.length === 0) {
+      const count = Math.min(hazard.lanes, 1 + Math.floor(this.difficulty / 4));
+      const lanes = this.hazardRng.shuffle([...Array(LANE_COUNT).keys()]).slice(0, count).sort();
+      const dir = this.hazardRng.next() < 0.5 ? -1 : 1;
+      this.hazards.push({ lanes, dir, timer: 0, struck: false });
+      this.hazardTimer = this._hazardInterval();
+      this._emit('hazard', { hazard: hazard.id, lanes });
+    }
+
+    for (const h of this.hazards) {
+      h.timer += dtMs;
+      if (!h.struck && h.timer >= hazard.warning) {
+        h.struck = true;
+        this._strikeHazard(hazard, h);
+      }
+    }
+    this.hazards = this.hazards.filter(h => h.timer < hazard.warning + HAZARD_LINGER);
+  }
+
+  /** ms until the next random hazard */
+  _hazardInterval() {
+    const [min, max] = this.biome.hazard.every;
+    return min + this.hazardRng.next() * (max - min);
+  }
+
+  _strikeHazard(hazard, h) {
+    const player = this.player;
+    const lane = h.lanes.find(l => Math.abs(player.x - this.lanePositions[l]) < HAZARD_REACH);
+    if (lane === undefined || (hazard.jumpable && player.jumping)) return;
+
+    const hit = hazard.hit;
+    if (hit.stun) {
+      if (!player.stun(hit.stun)) return;
+      this._onStunned();
+    } else if (hit.push) {
+      if (h.dir < 0) player.moveLeft();
+      else player.moveRight();
+    } else if (hit.threat) {
+      this.owl.increaseThreat(hit.threat);
+    }
+    this._emit('hazardHit', { hazard: hazard.id, lane });
+    this._popup(player.x, player.y - 60, `${hazard.name.toUpperCase()}!`, '#ff7675');
+  }
+
+  /** Per-tick trickle of points; whole points are banked, the rest carried */
+  _addScore(points) {
+    this._scoreCarry += points;
+    const whole = Math.floor(this._scoreCarry);
+    this.score += whole;
+    this._scoreCarry -= whole;
+  }
+
+  _updateEndless() {
+    const difficulty = this.level + Math.floor(this.distance / ENDLESS_RAMP_DISTANCE);
+    if (difficulty !== this.difficulty) {
+      this.difficulty = difficulty;
+      // Past the campaign cap obstacles may come a little closer together
+      const extra = Math.max(0, difficulty - CAMPAIGN_MAX_DIFFICULTY);
+      this.spawner.minObstacleInterval = Math.max(650, 900 - extra * 25);
+    }
+
+    const milestone = Math.floor(this.distance / ENDLESS_MILESTONE_DISTANCE);
+    if (milestone > this.milestone) {
+      this.milestone = milestone;
+      this.draftPending = true;
+      this._emit('milestone', { milestone, distance: Math.floor(this.distance) });
+    }
+
+    const next = OWL_TIERS[this.owlTier + 1];
+    if (next && this.distance >= next.distance) {
+      this.owlTier++;
+      this.owl.swoopCooldownBase = 8000 * next.cooldownMult;
+      this.owl.extraShadows = next.extraShadows;
+      this._emit('owlTier', { tier: this.owlTier });
+      this._popup(this.cw / 2, this.ch / 2 - 80, `THE OWL IS ${next.name.toUpperCase()}`, '#ff7675');
+    }
+  }
+
+  /** Footprints, shake and overlays: only drawn, never read by gameplay */
+  _updateCosmetics(dt) {
+    const player = this.player;
+
+    // Footprints in world
+    if (!player.jumping && player.footprints.length > 0) {
+      const lastFP = player.footprints[player.footprints.length - 1];
+      this.footprintsWorld.push({
+        x: lastFP.x,
+        y: this.ch - 110 + this.fxRng.next() * 5,
+        alpha: 0.5,
+        lane: player.lane,
+      });
+      if (this.footprintsWorld.length > 30) this.footprintsWorld.shift();
+    }
+    for (const fp of this.footprintsWorld) {
+      fp.alpha -= dt * 0.5;
+      fp.y -= player.speed * dt; // Scroll with world
+    }
+    this.footprintsWorld = this.footprintsWorld.filter(fp => fp.alpha > 0);
+
+    // Screen shake
+    if (this.shakeDuration > 0) {
+      this.shakeDuration -= dt * 1000;
+      this.shakeX = (this.fxRng.next() - 0.5) * this.shakeMag;
+      this.shakeY = (this.fxRng.next() - 0.5) * this.shakeMag;
+    } else {
+      this.shakeX = 0;
+      this.shakeY = 0;
+    }
+
+    // Stun overlay fade
+    this.stunOverlayAlpha -= dt * 1.5;
+    this.stunOverlayAlpha = Math.max(0, this.stunOverlayAlpha);
+
+    // Background scroll
+    this.bgScrollY += player.speed * dt * 0.5;
+  }
+
+  _finish(outcome) {
+    this.outcome = outcome;
+    if (outcome === 'complete') {
+      this._emit('levelComplete', { score: this.score });
+    } else {
+      this._emit('gameOver', { reason: outcome, score: this.score });
+    }
+    this.owl.cancelSwoop();
+  }
+
+  /** Publish a gameplay event; it lands in the eventLog (used to verify determinism) */
+  _emit(type, data = {}) {
+    this.events.emit(type, data);
+  }
+
+  /** Floating text over the level, for whoever draws it */
+  _popup(x, y, text, color) {
+    this._emit('popup', { x, y, text, color });
+  }
+
+  _snapshotPositions() {
+    this.player.snapshot();
+    for (const obs of this.obstacles) obs.snapshot();
+    for (const p of this.pickups) p.snapshot();
+    for (const npc of this.npcs) npc.snapshot();
+    this.owl.snapshot();
+    if (this.boss) this.boss.snapshot();
+    this.prevBgScrollY = this.bgScrollY;
+  }
+
+  _applyPickup(type) {
+    const p = this.player;
+    switch (type) {
+      case PICKUP_TYPES.FEATHER_AXE:
+        p.hasAxe = true;
+        break;
+      case PICKUP_TYPES.WIND_GUST:
+        p.speed = p.baseSpeed * 1.5;
+        p.dashing = true;
+        p.dashTimer = 2000;
+        this.owl.decreaseThreat(0.1);
+        break;
+      case PICKUP_TYPES.HOT_COCOA:
+        p.stunMult = Math.max(0.3, p.stunMult * 0.6);
+        break;
+      case PICKUP_TYPES.LANTERN_CHARM:
+        // Shorten next shadow (handled in owl)
+        this.effects.apply(this._effectDef('lantern_charm'));
+        break;
+      case PICKUP_TYPES.LUCKY_BELL:
+        this.effects.apply(this._effectDef('lucky_bell'));
+        break;
+      default: {
+        // A registered pickup
+        const info = PICKUP_INFO[type];
+        if (info.apply) info.apply(this);
+        if (info.effect) this.effects.apply(this._effectDef(type));
+      }
+    }
+  }
+
+  /**
+   * Definition of a timed effect by id. Kept in one place so a restored
+   * level can rebuild the effects that were running.
+   */
+  _effectDef(id) {
+    switch (id) {
+      case 'icy_steering':
+        return {
+          id,
+          duration: 1500,
+          label: 'Icy',
+          icon: '🧊',
+          color: '#a8d8ea',
+          onApply: () => { this.player.lerpSpeed = 4; },
+          onExpire: () => { this.player.lerpSpeed = 8; },
+        };
+      case 'owl_screech':
+        // Checked where the World reads left and right
+        return {
+          id,
+          duration: SCREECH_DURATION,
+          label: 'Reversed',
+          icon: '🔀',
+          color: '#ff7675',
+        };
+      case 'lantern_charm':
+        return {
+          id,
+          duration: 10000,
+          label: PICKUP_INFO[PICKUP_TYPES.LANTERN_CHARM].label,
+          icon: '🏮',
+          color: PICKUP_INFO[PICKUP_TYPES.LANTERN_CHARM].color,
+          onApply: () => {
+            this.owl.shadowWarningDuration = Math.min(this.owl.shadowWarningDuration, 1200);
+          },
+          onExpire: () => { this.owl.shadowWarningDuration = 2000; },
+        };
+      case 'lucky_bell':
+        // A second bell refreshes the timer rather than compounding the spacing
+        return {
+          id,
+          duration: 8000,
+          stacking: STACKING.REFRESH,
+          label: PICKUP_INFO[PICKUP_TYPES.LUCKY_BELL].label,
+          icon: '🔔',
+          color: PICKUP_INFO[PICKUP_TYPES.LUCKY_BELL].color,
+          onApply: () => { this.spawner.obstacleInterval *= 1.3; },
+          onExpire: () => { this.spawner.obstacleInterval /= 1.3; },
+        };
+      case 'blizzard_pickups':
+        // Blizzard: faster pickups
+        return {
+          id,
+          duration: 10000,
+          label: 'Blizzard',
+          icon: '❄️',
+          color: '#96c8ff',
+          onApply: () => { this.spawner.pickupInterval *= 0.5; },
+          onExpire: () => { this.spawner.pickupInterval *= 2; },
+        };
+      default: {
+        // A registered pickup's effect goes by the pickup type
+        const info = PICKUP_INFO[id];
+        if (!info || !info.effect) throw new Error(`Unknown effect: ${id}`);
+        return {
+          ...info.effect,
+          id,
+          label: info.label,
+          icon: info.icon,
+          color: info.color,
+          onApply: () => { if (info.effect.onApply) info.effect.onApply(this); },
+          onExpire: (stacks) => { if (info.effect.onExpire) info.effect.onExpire(this, stacks); },
+        };
+      }
+    }
+  }
+
+  _trySnatchNPC() {
+    const activeNPCs = this.npcs.filter(n => n.active && !n.snatched);
+    if (activeNPCs.length === 0) return;
+    const victim = this.eventRng.choice(activeNPCs);
+    victim.snatch();
+    this._emit('npcSnatched', { lane: victim.targetLane });
+    // Visual swoop line
+    this.owl.swoopLines.push({
+      x: victim.x,
+      y: victim.y - 300,
+      x2: victim.x,
+      y2: victim.y,
+      alpha: 0.8
+    });
+  }
+
+  /** Start a swoop or special event from the level's script */
+  _runCue(cue) {
+    if (cue.swoop) {
+      this.owl.scriptSwoop(cue.swoop, cue.fakes, this.player.y, this.lanePositions, this.difficulty,
+        this._stat('shadowWarningMult'), this.events);
+    } else {
+      this._startEvent(cue.event);
+    }
+  }
+
+  _triggerEvent() {
+    this._startEvent(this.eventRng.next() < 0.5 ? 'aurora' : 'blizzard');
+  }
+
+  /** Start a special event: 'aurora' or 'blizzard' */
+  _startEvent(type) {
+    if (type === 'aurora') {
+      this.auroraActive = true;
+      this.auroraTimer = 12000;
+      this._emit('aurora');
+    } else {
+      this._emit('blizzard');
+      this.blizzardActive = true;
+      this.blizzardTimer = 10000;
+      this.effects.apply(this._effectDef('blizzard_pickups'));
+    }
+  }
+}
@@ -0,0 +1,39 @@
+// ============================================================
+// headless.js - Run levels with no page: no canvas, DOM or sound
+// ============================================================
+
+import { World, TICK_DT } from './World.js';
+import { ScriptedInput, readActions } from '../input.js';
+
+const DEFAULT_MAX_TICKS = 60 * 60 * 5; // 5 simulated minutes
+
+/** Advance a World one tick, reading actions from an input source */
+export function stepWorld(world, input, dt = TICK_DT) {
+  input.apply(world.tick);
+  world.update(dt, readActions(input));
+  input.update(dt);
+}
+
+/**
+ * Simulate one level until it ends or maxTicks pass. run is a World
+ * description ({ seed, level, endless, charIdx, attributesMode, upgrades });
+ * it is played by bot if given, else by input (any input source, idle by
+ * default).
+ */
+export function runLevel({ input = new ScriptedInput(), bot = null, maxTicks = DEFAULT_MAX_TICKS, ...run }) {
+  const world = new World({ cosmetics: false, ...run });
+  while (!world.outcome && world.tick < maxTicks) {
+    if (bot) world.update(TICK_DT, bot.decide(world));
+    else stepWorld(world, input);
+  }
+  return {
+    outcome: world.outcome || 'timeout',
+    ticks: world.tick,
+    distance: world.distance,
+    length: world.levelLength,
+    score: world.score,
+    hits: world.runHits,
+    swoopsDodged: world.swoopsDodged,
+    events: world.eventLog,
+  };
+}
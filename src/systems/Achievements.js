@@ -0,0 +1,186 @@
+// ============================================================
+// Achievements.js - Achievement definitions and the tracker that unlocks them
+// ============================================================
+
+import { CHARACTERS } from '../entities/Player.js';
+import { PICKUP_TYPES } from '../entities/Pickup.js';
+import { OWL_TIERS } from '../sim/World.js';
+
+const ROMAN = ['I', 'II', 'III', 'IV', 'V'];
+
+/** A 'pass' event for an obstacle of this type that didn't hit the player */
+const passedClean = (type) => (e) => e.obstacle === type && !e.hit;
+const jumpedOver = (type) => (e) => e.obstacle === type && e.jumped && !e.hit;
+const pickedUp = (type) => (e) => e.pickup === type;
+
+/**
+ * Every achievement. on: the game event type(s) that move it ('tick'
+ * once per simulation tick); count(e, ctx) is how much an event adds
+ * (default 1), or best(e, ctx) a value whose highest reading is the
+ * progress. ctx is { world, game }. target, or tiers (ascending targets,
+ * one unlock each); {n} in desc is the next target. scope 'level' starts
+ * progress over every level (the best level is kept); hidden ones show as
+ * ??? until unlocked. Ids are stored in saves - never rename one.
+ */
+export const ACHIEVEMENTS = [
+  // ---- Obstacles ----
+  { id: 'lumberjack', name: 'Lumberjack', icon: '🪓', desc: 'Chop {n} trees with the Feather Axe', on: 'chop', tiers: [20, 75, 200] },
+  { id: 'hurdler', name: 'Hurdler', icon: '🪵', desc: 'Jump over {n} logs', on: 'pass', count: jumpedOver('log'), tiers: [10, 50, 150] },
+  { id: 'branching_out', name: 'Branching Out', icon: '🌿', desc: 'Jump over {n} fallen branches', on: 'pass', count: jumpedOver('branch'), tiers: [10, 50] },
+  { id: 'snowball_fight', name: 'Snowball Fight', icon: '⚪', desc: 'Get past {n} rolling snowballs unhurt', on: 'pass', count: passedClean('snowball'), tiers: [10, 40] },
+  { id: 'cold_shoulder', name: 'Cold Shoulder', icon: '⛄', desc: 'Get past {n} snowmen unhurt', on: 'pass', count: passedClean('snowman'), target: 25 },
+  { id: 'light_feet', name: 'Light on Your Feet', icon: '🧊', desc: 'Cross {n} patches of thin ice without falling through', on: 'pass', count: passedClean('thin_ice'), target: 20 },
+  { id: 'figure_skater', name: 'Figure Skater', icon: '⛸', desc: 'Slide across {n} ice patches', on: 'pass', count: (e) => e.obstacle === 'ice_patch' && e.hit, target: 15 },
+  { id: 'powder_hopper', name: 'Powder Hopper', icon: '❄', desc: 'Jump over {n} snowdrifts', on: 'pass', count: jumpedOver('snowdrift'), target: 10 },
+  {
+    id: 'snow_angel', name: 'Snow Angel', icon: '😵', desc: 'Finish a level after being stunned 5 times in it', hidden: true,
+    on: 'levelComplete', count: (e, { world }) => world.runHits >= 5,
+  },
+
+  // ---- Pickups ----
+  { id: 'collector', name: 'Collector', icon: '🎒', desc: 'Collect {n} pickups', on: 'pickup', tiers: [25, 100, 300] },
+  { id: 'well_armed', name: 'Well Armed', icon: '🪶', desc: 'Pick up {n} Feather Axes', on: 'pickup', count: pickedUp(PICKUP_TYPES.FEATHER_AXE), target: 15 },
+  { id: 'tailwind', name: 'Tailwind', icon: '💨', desc: 'Catch {n} Wind Gusts', on: 'pickup', count: pickedUp(PICKUP_TYPES.WIND_GUST), target: 15 },
+  { id: 'cocoa_break', name: 'Cocoa Break', icon: '☕', desc: 'Drink {n} cups of Hot Cocoa', on: 'pickup', count: pickedUp(PICKUP_TYPES.HOT_COCOA), target: 15 },
+  { id: 'lamplighter', name: 'Lamplighter', icon: '🏮', desc: 'Carry {n} Lantern Charms', on: 'pickup', count: pickedUp(PICKUP_TYPES.LANTERN_CHARM), target: 10 },
+  { id: 'bell_ringer', name: 'Bell Ringer', icon: '🔔', desc: 'Ring {n} Lucky Bells', on: 'pickup', count: pickedUp(PICKUP_TYPES.LUCKY_BELL), target: 10 },
+  {
+    id: 'full_pantry', name: 'Full Pantry', icon: '🧺', desc: 'Collect every kind of pickup in one level',
+    scope: 'level', on: 'pickup', target: Object.keys(PICKUP_TYPES).length,
+    best: (e, { world }) => new Set(world.eventLog.filter(l => l.type === 'pickup').map(l => l.pickup)).size,
+  },
+
+  // ---- The owl ----
+  { id: 'shadow_dancer', name: 'Shadow Dancer', icon: '🌑', desc: 'Dodge {n} swoop attacks', on: 'swoopDodged', tiers: [10, 50, 200] },
+  { id: 'close_calls', name: 'Close Calls', icon: '💦', desc: 'Dodge {n} swoops in one level', scope: 'level', on: 'swoopDodged', target: 5 },
+  {
+    id: 'apex', name: 'Apex Prey', icon: '🦉', desc: `Keep running in Endless until the owl turns ${OWL_TIERS[OWL_TIERS.length - 1].name}`, hidden: true,
+    on: 'owlTier', count: (e) => e.tier === OWL_TIERS.length - 1,
+  },
+  { id: 'owl_food', name: 'Owl Food', icon: '🍗', desc: 'Get carried off by a swoop {n} times', hidden: true, on: 'gameOver', count: (e) => e.reason === 'captured', target: 10 },
+  { id: 'wrong_place', name: 'Wrong Place, Wrong Time', icon: '😱', desc: 'See the owl snatch another runner', hidden: true, on: 'npcSnatched' },
+
+  // ---- Special events ----
+  { id: 'northern_lights', name: 'Northern Lights', icon: '🌌', desc: 'Run under the aurora', on: 'aurora' },
+  {
+    id: 'whiteout', name: 'Whiteout', icon: '🌨', desc: 'Finish a level that had a blizzard',
+    on: 'levelComplete', count: (e, { world }) => world.eventLog.some(l => l.type === 'blizzard'),
+  },
+
+  // ---- Runners ----
+  ...CHARACTERS.map((c, i) => {
+    const short = c.name.replace('The ', '');
+    return {
+      id: `veteran_${short.toLowerCase()}`, name: `Veteran ${short}`, icon: '🏃', color: c.color,
+      desc: `Clear {n} campaign levels as ${c.name}`,
+      on: 'levelComplete', count: (e, { world }) => world.charIdx === i && !world.isEndless, target: 10,
+    };
+  }),
+
+  // ---- Modes ----
+  { id: 'no_stun', name: 'No Stun Run', icon: '✨', desc: 'Complete a level without getting stunned', on: 'levelComplete', count: (e, { world }) => world.runHits === 0 },
+  { id: 'deep_woods', name: 'Deep Woods', icon: '🌲', desc: 'Clear campaign level {n}', on: 'levelComplete', best: (e, { world }) => (world.isEndless ? 0 : world.level), tiers: [5, 10, 20] },
+  { id: 'long_haul', name: 'Long Haul', icon: '∞', desc: 'Run {n}m in one Endless run', on: 'tick', best: (e, { world }) => (world.isEndless ? Math.floor(world.distance) : 0), tiers: [1000, 2500, 5000] },
+  { id: 'high_roller', name: 'High Roller', icon: '💰', desc: 'Score {n} in one level', scope: 'level', on: 'tick', best: (e, { world }) => world.score, tiers: [2000, 5000, 10000] },
+  { id: 'on_fire', name: 'On Fire', icon: '🔥', desc: 'Build your streak to x8', hidden: true, scope: 'level', on: 'tick', best: (e, { world }) => Math.floor(world.streak), target: 8 },
+  { id: 'kitted_out', name: 'Kitted Out', icon: '🎽', desc: 'Carry {n} upgrades at once', on: 'tick', best: (e, { world }) => world.upgrades.length, target: 5 },
+  { id: 'level_field', name: 'Level Playing Field', icon: '⚖', desc: 'Clear a level with Attribute Mode off', on: 'levelComplete', count: (e, { world }) => !world.attributesMode },
+  { id: 'daily_dasher', name: 'Daily Dasher', icon: '📅', desc: 'Finish {n} Daily Seed runs', on: 'gameOver', count: (e, { game }) => game.useDailySeed, target: 7 },
+  { id: 'marathon', name: 'Marathon', icon: '🏁', desc: 'Finish {n} runs', on: 'gameOver', tiers: [10, 50, 100] },
+];
+
+/** Targets of an achievement, one per tier */
+export function tiersOf(def) {
+  return def.tiers || [def.target || 1];
+}
+
+/** Display name of a tier (1-based); untiered achievements have just the name */
+export function tierName(def, tier) {
+  return def.tiers ? `${def.name} ${ROMAN[tier - 1]}` : def.name;
+}
+
+/** Description with {n} filled in for the given tier (1-based) */
+export function tierDesc(def, tier) {
+  const tiers = tiersOf(def);
+  return def.desc.replace('{n}', tiers[Math.min(tier, tiers.length) - 1].toLocaleString());
+}
+
+/**
+ * Unlocks and progress for one profile. unlocked: { id: tiers unlocked }
+ * and progress: { id: count or best } are the saved records; the tracker
+ * updates them in place and sets dirty when they need saving.
+ */
+export class AchievementTracker {
+  constructor(unlocked = {}, progress = {}) {
+    this.unlocked = unlocked;
+    this.progress = progress;
+    this.levelProgress = {}; // level-scoped progress of the level being played
+    this.dirty = false;
+
+    this.byEvent = new Map(); // event type -> definitions
+    for (const def of ACHIEVEMENTS) {
+      for (const type of [].concat(def.on)) {
+        if (!this.byEvent.has(type)) this.byEvent.set(type, []);
+        this.byEvent.get(type).push(def);
+      }
+    }
+  }
+
+  /** A level started (or was picked back up): level-scoped progress starts over */
+  startLevel() {
+    this.levelProgress = {};
+  }
+
+  /** Feed one game event (see EventBus.js); returns the unlocks as [{ def, tier }] */
+  handle(event, ctx) {
+    const unlocks = [];
+    for (const def of this.byEvent.get(event.type) || []) {
+      const perLevel = def.scope === 'level';
+      const current = (perLevel ? this.levelProgress[def.id] : this.progress[def.id]) || 0;
+      const value = def.best
+        ? Math.max(current, def.best(event, ctx) || 0)
+        : current + Number(def.count ? def.count(event, ctx) : 1);
+      if (value === current) continue;
+
+      if (perLevel) {
+        this.levelProgress[def.id] = value;
+        if (value > (this.progress[def.id] || 0)) this.progress[def.id] = value;
+      } else {
+        this.progress[def.id] = value;
+      }
+      this.dirty = true;
+
+      const tiers = tiersOf(def);
+      while ((this.unlocked[def.id] || 0) < tiers.length && value >= tiers[this.unlocked[def.id] || 0]) {
+        this.unlocked[def.id] = (this.unlocked[def.id] || 0) + 1;
+        unlocks.push({ def, tier: this.unlocked[def.id] });
+      }
+    }
+    return unlocks;
+  }
+
+  /**
+   * Where an achievement stands: { tier, tiers, progress, target, done }.
+   * target is the next tier's (the last one's once done); progress is the
+   * best single level for level-scoped ones.
+   */
+  status(def) {
+    const tiers = tiersOf(def);
+    const tier = Math.min(this.unlocked[def.id] || 0, tiers.length);
+    const done = tier === tiers.length;
+    const target = tiers[done ? tiers.length - 1 : tier];
+    return { tier, tiers: tiers.length, progress: Math.min(this.progress[def.id] || 0, target), target, done };
+  }
+
+  /** [unlocked tiers, all tiers] over every achievement */
+  get totals() {
+    let got = 0;
+    let all = 0;
+    for (const def of ACHIEVEMENTS) {
+      const { tier, tiers } = this.status(def);
+      got += tier;
+      all += tiers;
+    }
+    return [got, all];
+  }
+}
@@ -2,6 +2,9 @@
 // Audio.js - WebAudio oscillator-based sound system
 // ============================================================
 
+// Ambient loop when nothing else is asked for (see a biome's music)
+const DEFAULT_MUSIC = { wave: 'sine', notes: [130, 110, 98, 87, 110, 130, 87, 98], beat: 2.0, volume: 0.08 };
+
 export class AudioSystem {
   constructor() {
     this.ctx = null;
@@ -40,6 +43,34 @@ export class AudioSystem {
     }
   }
 
+  /** Play the sound effects of a World's events; returns a function that stops listening */
+  listen(events) {
+    const stops = [
+      events.on('jump', () => this.playJump()),
+      events.on('dash', () => this.playDash()),
+      events.on('stun', () => this.playStun()),
+      events.on('chop', () => this.playAxeChop()),
+      events.on('pickup', () => this.playPickup()),
+      events.on('owlScreech', (e) => this.playOwlScreech(e.intensity)),
+      events.on('owlAttack', (e) => this.playOwlAttack(e.attack)),
+      events.on('screechHit', () => this.playOwlScreech(1)),
+      events.on('npcSnatched', () => {
+        this.playNPCScream();
+        this.playOwlScreech(0.8);
+      }),
+      events.on('hazard', () => this.playHazardWarning()),
+      events.on('hazardHit', () => this.playStun()),
+      events.on('gameOver', () => this.playOwlCapture()),
+      events.on('bossStart', () => this.playOwlScreech(1)),
+      events.on('bossPhase', () => this.playOwlScreech(0.7)),
+      events.on('bossAttack', () => this.playShadowWarning()),
+      events.on('bossHit', () => this.playBossHit()),
+      events.on('featherHit', () => this.playStun()),
+      events.on('bossDefeated', () => this.playLevelComplete()),
+    ];
+    return () => stops.forEach(stop => stop());
+  }
+
   _playTone(freq, type, duration, volume = 0.3, destination = null) {
     if (!this.enabled || !this.ctx) return;
     try {
@@ -102,6 +133,13 @@ export class AudioSystem {
     });
   }
 
+  playHazardWarning() {
+    if (!this.ctx) return;
+    const t = this.ctx.currentTime;
+    this._playNote(330, 'square', t, 0.12, 0.08);
+    this._playNote(262, 'square', t + 0.15, 0.2, 0.08);
+  }
+
   playShadowWarning() {
     if (!this.ctx) return;
     const t = this.ctx.currentTime;
@@ -109,12 +147,45 @@ export class AudioSystem {
     this._playNote(88, 'sawtooth', t + 0.3, 0.3, 0.2);
   }
 
+  /** The warning for each owl attack (see OWL_ATTACKS in Owl.js), so it can be told by ear */
+  playOwlAttack(attack) {
+    if (!this.ctx) return;
+    const t = this.ctx.currentTime;
+    switch (attack) {
+      case 'sliding_shadow':
+        [220, 196, 175, 165].forEach((f, i) => this._playNote(f, 'sawtooth', t + i * 0.08, 0.12, 0.12));
+        break;
+      case 'dive_chain':
+        for (let i = 0; i < 3; i++) this._playNote(330, 'square', t + i * 0.15, 0.1, 0.1);
+        break;
+      case 'row_sweep':
+        [110, 139, 165].forEach(f => this._playNote(f, 'sawtooth', t, 0.6, 0.08));
+        break;
+      case 'feather_barrage':
+        [880, 990, 880, 990].forEach((f, i) => this._playNote(f, 'triangle', t + i * 0.06, 0.08, 0.1));
+        break;
+      case 'screech':
+        [400, 520, 660, 800].forEach((f, i) => this._playNote(f, 'sawtooth', t + i * 0.1, 0.15, 0.12));
+        break;
+      default:
+        this.playShadowWarning();
+    }
+  }
+
   playOwlScreech(intensity = 0) {
     if (!this.ctx) return;
     const freq = 180 + intensity * 120;
     this._playTone(freq, 'sawtooth', 0.6, 0.25 + intensity * 0.15);
   }
 
+  /** A pinecone thumping into the owl boss, and its squawk */
+  playBossHit() {
+    if (!this.ctx) return;
+    const t = this.ctx.currentTime;
+    this._playNote(140, 'square', t, 0.08, 0.3);
+    this._playNote(420, 'sawtooth', t + 0.05, 0.25, 0.2);
+  }
+
   playOwlCapture() {
     if (!this.ctx) return;
     const t = this.ctx.currentTime;
@@ -140,6 +211,14 @@ export class AudioSystem {
     });
   }
 
+  playAchievement() {
+    if (!this.ctx) return;
+    const t = this.ctx.currentTime;
+    [784, 988, 1319].forEach((f, i) => {
+      this._playNote(f, 'sine', t + i * 0.09, 0.3, 0.25);
+    });
+  }
+
   playDash() {
     this._playTone(500, 'sine', 0.08, 0.2);
     this._playTone(700, 'sine', 0.06, 0.15);
@@ -152,23 +231,22 @@ export class AudioSystem {
 
   // --- Ambient Music ---
 
-  startAmbientMusic() {
+  /** Loop music: { wave, notes (Hz), beat (s per note), volume } */
+  startAmbientMusic(music = DEFAULT_MUSIC) {
     if (!this.ctx) return;
     this._stopAmbientMusic();
-    this._playAmbientLoop();
+    this._playAmbientLoop(music);
   }
 
-  _playAmbientLoop() {
+  _playAmbientLoop(music) {
     if (!this.enabled || !this.ctx) return;
     const t = this.ctx.currentTime;
-    // Slow, eerie ambient
-    const notes = [130, 110, 98, 87, 110, 130, 87, 98];
-    const interval = 2.0;
+    const { wave, notes, beat, volume } = music;
     notes.forEach((f, i) => {
-      this._playNote(f, 'sine', t + i * interval, interval * 0.8, 0.08);
+      this._playNote(f, wave, t + i * beat, beat * 0.8, volume);
     });
     // Schedule next loop
-    this._ambientInterval = setTimeout(() => this._playAmbientLoop(), notes.length * interval * 1000 - 200);
+    this._ambientInterval = setTimeout(() => this._playAmbientLoop(music), notes.length * beat * 1000 - 200);
   }
 
   _stopAmbientMusic() {
@@ -9,7 +9,7 @@ export class CollisionSystem {
    * Check all obstacle collisions against player
    * Returns array of hit results
    */
-  checkObstacles(player, obstacles, audio) {
+  checkObstacles(player, obstacles, events) {
     if (player.invulTimer > 0 || player.dead) return [];
 
     const playerHB = player.getHitbox();
@@ -26,13 +26,16 @@ export class CollisionSystem {
           if (result.chopable && player.hasAxe) {
             player.useAxe();
             obs.active = false;
-            if (audio) audio.playAxeChop();
+            if (events) events.emit('chop', { obstacle: obs.type, lane: obs.lane });
             hits.push({ type: 'chop', obs });
           } else {
-            player.stun(result.stunDur || 1000, audio);
+            if (player.stun(result.stunDur || 1000) && events) {
+              events.emit('stun', { obstacle: obs.type, lane: obs.lane, projectile: false });
+            }
             hits.push({ type: 'stun', obs });
           }
         } else if (result.slowSteering) {
+          if (events) events.emit('ice', { obstacle: obs.type, lane: obs.lane });
           hits.push({ type: 'ice', obs });
         } else if (result.slowSpeed) {
           player.speed = Math.max(player.speed * 0.7, player.baseSpeed * 0.5);
@@ -42,7 +45,9 @@ export class CollisionSystem {
       // Projectile collisions
       const projResult = obs.checkProjectileCollisions(playerHB);
       if (projResult && projResult.stun && player.invulTimer <= 0) {
-        player.stun(projResult.stunDur, audio);
+        if (player.stun(projResult.stunDur) && events) {
+          events.emit('stun', { obstacle: obs.type, lane: obs.lane, projectile: true });
+        }
         hits.push({ type: 'projectile', obs });
       }
     }
@@ -54,7 +59,7 @@ export class CollisionSystem {
    * Check pickup collisions
    * Returns array of collected pickups
    */
-  checkPickups(player, pickups, audio) {
+  checkPickups(player, pickups, events) {
     const playerHB = player.getHitbox();
     const collected = [];
 
@@ -63,13 +68,26 @@ export class CollisionSystem {
       if (pickup.checkCollect(playerHB)) {
         pickup.collect();
         collected.push(pickup);
-        if (audio) audio.playPickup();
+        if (events) events.emit('pickup', { pickup: pickup.type, lane: pickup.lane });
       }
     }
 
     return collected;
   }
 
+  /**
+   * Check the owl's barrage feathers against the player; like a snowman's
+   * snowballs they stun. Returns true when one did.
+   */
+  checkOwlProjectiles(player, owl, events) {
+    if (player.invulTimer > 0 || player.dead) return false;
+
+    const result = owl.checkProjectileCollisions(player.getHitbox());
+    if (!result || !player.stun(result.stunDur)) return false;
+    if (events) events.emit('stun', { obstacle: 'owl_feather', lane: player.lane, projectile: true });
+    return true;
+  }
+
   /**
    * Check if owl swoop hits player
    */
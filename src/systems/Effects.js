@@ -0,0 +1,130 @@
+// ============================================================
+// Effects.js - Timed effects driven by simulation time
+// ============================================================
+
+/**
+ * What happens when an effect is applied while it is already running:
+ *   refresh - restart the timer, effect stays applied once
+ *   extend  - add the new duration to the time remaining
+ *   stack   - apply once more (up to maxStacks) and restart the timer
+ *   ignore  - leave the running effect alone
+ */
+export const STACKING = {
+  REFRESH: 'refresh',
+  EXTEND: 'extend',
+  STACK: 'stack',
+  IGNORE: 'ignore',
+};
+
+export class EffectScheduler {
+  constructor() {
+    this.effects = new Map(); // id -> active effect
+  }
+
+  /**
+   * Start (or re-apply) a timed effect.
+   * def: { id, duration (ms), stacking, maxStacks, label, icon, color,
+   *        onApply(), onExpire(stacks) }
+   * onApply runs once per application that takes effect; onExpire runs once
+   * when the timer runs out and should undo every stack.
+   */
+  apply(def) {
+    const stacking = def.stacking || STACKING.REFRESH;
+    const current = this.effects.get(def.id);
+
+    if (!current) {
+      this.effects.set(def.id, {
+        ...def,
+        stacking,
+        stacks: 1,
+        remaining: def.duration,
+      });
+      if (def.onApply) def.onApply();
+      return;
+    }
+
+    switch (stacking) {
+      case STACKING.REFRESH:
+        current.remaining = Math.max(current.remaining, def.duration);
+        current.duration = def.duration;
+        break;
+      case STACKING.EXTEND:
+        current.remaining += def.duration;
+        current.duration = current.remaining;
+        break;
+      case STACKING.STACK:
+        if (current.stacks < (def.maxStacks || Infinity)) {
+          current.stacks++;
+          if (def.onApply) def.onApply();
+        }
+        current.remaining = def.duration;
+        current.duration = def.duration;
+        break;
+      case STACKING.IGNORE:
+        break;
+    }
+  }
+
+  /** Advance all timers; expired effects are reverted */
+  update(dtMs) {
+    for (const [id, effect] of this.effects) {
+      effect.remaining -= dtMs;
+      if (effect.remaining <= 0) {
+        this.effects.delete(id);
+        if (effect.onExpire) effect.onExpire(effect.stacks);
+      }
+    }
+  }
+
+  has(id) {
+    return this.effects.has(id);
+  }
+
+  /** End an effect early, reverting it */
+  cancel(id) {
+    const effect = this.effects.get(id);
+    if (!effect) return;
+    this.effects.delete(id);
+    if (effect.onExpire) effect.onExpire(effect.stacks);
+  }
+
+  /** Drop every effect without reverting (the things they touched are being rebuilt) */
+  clear() {
+    this.effects.clear();
+  }
+
+  /** Running effects as plain data, in the order they update */
+  serialize() {
+    return [...this.effects.values()].map(({ id, stacks, remaining, duration }) => ({ id, stacks, remaining, duration }));
+  }
+
+  /**
+   * Bring back serialized effects without applying them again - what they
+   * changed was saved along with them. defFor(id) rebuilds each definition.
+   */
+  restore(list, defFor) {
+    this.effects.clear();
+    for (const { id, stacks, remaining, duration } of list) {
+      const def = defFor(id);
+      this.effects.set(id, { ...def, stacking: def.stacking || STACKING.REFRESH, stacks, remaining, duration });
+    }
+  }
+
+  /** Active effects for display: { id, label, icon, color, remaining, duration, stacks } */
+  list() {
+    const out = [];
+    for (const e of this.effects.values()) {
+      if (!e.label) continue;
+      out.push({
+        id: e.id,
+        label: e.label,
+        icon: e.icon,
+        color: e.color,
+        remaining: e.remaining,
+        duration: e.duration,
+        stacks: e.stacks,
+      });
+    }
+    return out;
+  }
+}
@@ -0,0 +1,107 @@
+// ============================================================
+// EventBus.js - Typed gameplay events: the World and its parts publish, the game listens
+// ============================================================
+
+/**
+ * Every gameplay event and the fields it carries (besides type and tick).
+ * Publishers: the World (level flow, dodges, snatches, special events,
+ * biome hazards),
+ * CollisionSystem (hits and pickups), Player (movement), Owl (swoops),
+ * OwlBoss (the boss fight) and Spawner. log: false keeps an event out of
+ * the World's eventLog, for events that are only presentation or too
+ * frequent to keep.
+ */
+export const GAME_EVENTS = {
+  // Player
+  jump: { fields: ['lane'] },
+  land: { fields: ['lane'] },
+  dash: { fields: ['lane'] },
+  // Collisions; projectile marks a snowman's snowball or an owl's feather (obstacle 'owl_feather')
+  stun: { fields: ['obstacle', 'lane', 'projectile'] },
+  chop: { fields: ['obstacle', 'lane'] },
+  ice: { fields: ['obstacle', 'lane'] },
+  pickup: { fields: ['pickup', 'lane'] },
+  // An obstacle got past the player in their lane
+  pass: { fields: ['obstacle', 'lane', 'jumped', 'hit'] },
+  // Owl; attack is an OWL_ATTACKS id as it's telegraphed (see Owl.js), swoop
+  // lanes are -1 - lane for decoy shadows, screechHit is a screech swapping
+  // left and right
+  owlAttack: { fields: ['attack'] },
+  swoopStart: { fields: ['lanes'] },
+  swoopDodged: { fields: ['lane'] },
+  owlScreech: { fields: ['intensity'] },
+  screechHit: { fields: ['duration'] },
+  npcSnatched: { fields: ['lane'] },
+  // Biome hazard (see Biomes.js): its warning starts on lanes, later it may hit
+  hazard: { fields: ['hazard', 'lanes'] },
+  hazardHit: { fields: ['hazard', 'lane'] },
+  // Owl boss (see OwlBoss.js); bossHit is a pinecone landing, featherHit the runner being hit
+  bossStart: { fields: ['act', 'health'] },
+  bossPhase: { fields: ['phase'] },
+  bossAttack: { fields: ['attack'] },
+  bossHit: { fields: ['health'] },
+  featherHit: { fields: ['lane'] },
+  bossDefeated: { fields: ['by', 'reward'] },
+  // Spawner
+  spawn: { fields: ['kind', 'entity', 'lane'], log: false },
+  // Level
+  aurora: { fields: [] },
+  blizzard: { fields: [] },
+  milestone: { fields: ['milestone', 'distance'] },
+  owlTier: { fields: ['tier'] },
+  levelComplete: { fields: ['score'] },
+  gameOver: { fields: ['reason', 'score'] },
+  // Presentation
+  popup: { fields: ['x', 'y', 'text', 'color'], log: false },
+  tick: { fields: [], log: false }, // end of every simulation tick
+};
+
+/**
+ * Publish/subscribe for GAME_EVENTS. Listeners get the event as
+ * { type, tick, ...fields }; clock() supplies the tick. Emitting or
+ * listening for an undeclared type, or leaving out a field, throws.
+ */
+export class EventBus {
+  constructor(clock = () => 0) {
+    this.clock = clock;
+    this.listeners = new Map(); // type -> [fn]
+    this.anyListeners = [];
+  }
+
+  /** Call fn(event) for every event of type; returns a function that unsubscribes */
+  on(type, fn) {
+    checkType(type);
+    if (!this.listeners.has(type)) this.listeners.set(type, []);
+    const list = this.listeners.get(type);
+    list.push(fn);
+    return () => remove(list, fn);
+  }
+
+  /** Call fn(event) for every event; returns a function that unsubscribes */
+  onAny(fn) {
+    this.anyListeners.push(fn);
+    return () => remove(this.anyListeners, fn);
+  }
+
+  emit(type, fields = {}) {
+    const spec = checkType(type);
+    for (const field of spec.fields) {
+      if (fields[field] === undefined) throw new Error(`Game event '${type}' needs '${field}'`);
+    }
+    const event = { tick: this.clock(), type, ...fields };
+    // Copies, so a listener may unsubscribe while being called
+    for (const fn of [...this.anyListeners]) fn(event);
+    for (const fn of [...(this.listeners.get(type) || [])]) fn(event);
+  }
+}
+
+function checkType(type) {
+  const spec = GAME_EVENTS[type];
+  if (!spec) throw new Error(`Unknown game event: ${type}`);
+  return spec;
+}
+
+function remove(list, fn) {
+  const i = list.indexOf(fn);
+  if (i >= 0) list.splice(i, 1);
+}
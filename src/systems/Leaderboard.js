@@ -0,0 +1,96 @@
+// ============================================================
+// Leaderboard.js - Local top-10 tables per mode and Daily Seed date
+// ============================================================
+
+export const LEADERBOARD_SIZE = 10;
+const MAX_DAILY_DATES = 14; // most recent Daily Seed dates kept
+
+/**
+ * Boards a finished run is entered on: its mode's, plus that day's board
+ * when it was played on the Daily Seed. run: { endless, dailySeed }
+ */
+export function boardsForRun({ endless, dailySeed }) {
+  const ids = [endless ? 'endless' : 'campaign'];
+  if (dailySeed !== null) ids.push(`daily:${dailySeed}${endless ? ':endless' : ''}`);
+  return ids;
+}
+
+/** Display name of a board id */
+export function boardLabel(id) {
+  if (id === 'campaign') return 'Campaign';
+  if (id === 'endless') return 'Endless';
+  const [, seed, endless] = id.split(':');
+  const date = `${seed.slice(0, 4)}-${seed.slice(4, 6)}-${seed.slice(6, 8)}`;
+  return `Daily ${date}${endless ? ' · Endless' : ''}`;
+}
+
+/** Higher score first; ties go to the longer run, then the earlier one */
+const byScore = (a, b) => b.score - a.score || b.distance - a.distance || a.date - b.date;
+
+/** Daily ids newest date first, the campaign board before the endless one */
+const byDate = (a, b) => b.split(':')[1] - a.split(':')[1] || a.length - b.length;
+
+/**
+ * Every board on this device. An entry is { name, charIdx, attributesMode,
+ * score, distance, level, hits, swoopsDodged, date }. Boards keep the top
+ * entries of each runner / Attribute Mode pair, so a filtered table is as
+ * complete as the full one.
+ */
+export class Leaderboards {
+  /** boards: { [id]: entries, best first } as stored in the save */
+  constructor(boards = {}) {
+    this.boards = boards;
+  }
+
+  /** Ids to browse: the two standing boards, then Daily dates newest first */
+  get ids() {
+    const daily = Object.keys(this.boards).filter(id => id.startsWith('daily:')).sort(byDate);
+    return ['campaign', 'endless', ...daily];
+  }
+
+  /**
+   * Best entries of a board. charIdx and attributesMode narrow it to one
+   * runner or Attribute Mode setting; null means any.
+   */
+  top(id, { charIdx = null, attributesMode = null } = {}) {
+    return (this.boards[id] || [])
+      .filter(e => (charIdx === null || e.charIdx === charIdx) &&
+        (attributesMode === null || e.attributesMode === attributesMode))
+      .slice(0, LEADERBOARD_SIZE);
+  }
+
+  /**
+   * Enter a run on the given boards. Returns where it placed, as
+   * [{ board, rank, own }]: rank is 1-based, own is set when the run only
+   * made the table for its runner and Attribute Mode.
+   */
+  submit(ids, entry) {
+    const placements = [];
+    for (const id of ids) {
+      this.boards[id] = this._prune([...(this.boards[id] || []), entry].sort(byScore));
+      const rank = this.top(id).indexOf(entry);
+      const ownRank = this.top(id, { charIdx: entry.charIdx, attributesMode: entry.attributesMode }).indexOf(entry);
+      if (rank >= 0) placements.push({ board: id, rank: rank + 1, own: false });
+      else if (ownRank >= 0) placements.push({ board: id, rank: ownRank + 1, own: true });
+    }
+    this._dropOldDates();
+    return placements;
+  }
+
+  _prune(entries) {
+    const counts = new Map();
+    return entries.filter(e => {
+      const key = `${e.charIdx}/${e.attributesMode}`;
+      const n = counts.get(key) || 0;
+      counts.set(key, n + 1);
+      return n < LEADERBOARD_SIZE;
+    });
+  }
+
+  _dropOldDates() {
+    const dates = [...new Set(this.ids.slice(2).map(id => id.split(':')[1]))];
+    for (const id of this.ids.slice(2)) {
+      if (!dates.slice(0, MAX_DAILY_DATES).includes(id.split(':')[1])) delete this.boards[id];
+    }
+  }
+}
@@ -0,0 +1,198 @@
+// ============================================================
+// Mods.js - Loads plugins that add content and listen to game events
+// ============================================================
+
+import { registerObstacle } from '../entities/Obstacle.js';
+import { registerPickup } from '../entities/Pickup.js';
+import { registerCharacter } from '../entities/Player.js';
+import { registerUpgrade } from '../sim/World.js';
+import { registerBiome } from '../sim/Biomes.js';
+import { GAME_EVENTS } from './EventBus.js';
+
+// Module paths, relative to mods/, loaded on every start
+export const MOD_LIST = 'mods/index.json';
+export const MOD_LOAD_TIMEOUT = 5000; // ms a mod may take to load and set up before it's rejected
+
+/**
+ * URLs of the mods to load: those in MOD_LIST, then one per ?mod=<url>
+ * parameter. pageUrl resolves relative paths; a missing or unreadable
+ * list just means no listed mods.
+ */
+export async function modUrls(pageUrl) {
+  const page = new URL(pageUrl);
+  const urls = [];
+  try {
+    const res = await fetch(new URL(MOD_LIST, page));
+    if (res.ok) {
+      const list = await res.json();
+      if (!Array.isArray(list)) throw new Error(`${MOD_LIST} is not a list`);
+      const base = new URL('mods/', page);
+      for (const path of list) urls.push(new URL(path, base).href);
+    }
+  } catch (e) {
+    console.warn(`Mod list skipped: ${e.message}`);
+  }
+  for (const url of page.searchParams.getAll('mod')) urls.push(new URL(url, page).href);
+  return urls;
+}
+
+/**
+ * The loaded mods. A mod is an ES module whose default export is
+ * { id, name, setup(api) }; setup registers content and subscribes to
+ * events through api (see _api). A mod whose setup throws, that takes
+ * longer than MOD_LOAD_TIMEOUT to load and set up, or that registers an
+ * id already taken, is rejected and everything it registered is removed. Once running, a mod that
+ * throws is switched off: its listeners stop and its hooks fall back to
+ * doing nothing, and the run goes on.
+ */
+export class ModLoader {
+  constructor() {
+    // { id, name, url, status ('on', 'rejected' or 'off'), error, listeners: [[type, fn]] }
+    this.mods = [];
+  }
+
+  /** Load urls one after another, so content registers in list order */
+  async loadAll(urls) {
+    for (const url of urls) await this.load(url);
+  }
+
+  /** Load one mod; returns its record (also kept when it fails) */
+  async load(url) {
+    const mod = { id: url, name: url, url, status: 'on', error: null, listeners: [] };
+    this.mods.push(mod);
+    const undo = [];
+    try {
+      await withTimeout(this._start(mod, undo), MOD_LOAD_TIMEOUT,
+        `took longer than ${MOD_LOAD_TIMEOUT / 1000}s to load and set up`);
+    } catch (e) {
+      for (const remove of undo.reverse()) remove();
+      mod.listeners = [];
+      mod.status = 'rejected';
+      mod.error = e.message;
+      console.warn(`Mod rejected (${url}): ${e.message}`);
+    }
+    return mod;
+  }
+
+  /** Import the mod's module and run its setup */
+  async _start(mod, undo) {
+    const plugin = (await import(mod.url)).default;
+    if (mod.status === 'rejected') return; // timed out while loading
+    if (!plugin || typeof plugin.id !== 'string' || typeof plugin.setup !== 'function') {
+      throw new Error('default export needs an id and a setup function');
+    }
+    if (this.mods.some(m => m !== mod && m.status !== 'rejected' && m.id === plugin.id)) {
+      throw new Error(`mod id '${plugin.id}' is already loaded`);
+    }
+    mod.id = plugin.id;
+    mod.name = plugin.name || plugin.id;
+    await plugin.setup(this._api(mod, undo));
+  }
+
+  /** Subscribe every running mod's listeners to a World's events */
+  attach(events) {
+    for (const mod of this.mods) {
+      if (mod.status !== 'on') continue;
+      // A copy, so a mod can't change what lands in the World's eventLog
+      for (const [type, fn] of mod.listeners) events.on(type, this._guard(mod, (e) => fn(frozenCopy(e))));
+    }
+  }
+
+  /** [running, rejected or switched off] */
+  get totals() {
+    const on = this.mods.filter(m => m.status === 'on').length;
+    return [on, this.mods.length - on];
+  }
+
+  /**
+   * What setup(api) gets. register* take the same definitions as the
+   * built-in registries, with their hooks guarded; on(type, fn) listens
+   * for a game event (see EventBus.js) in every level played. Once the
+   * mod is rejected (a setup that timed out may still be running) they
+   * throw and register nothing.
+   */
+  _api(mod, undo) {
+    const keep = (remove) => {
+      undo.push(remove);
+      if (mod.status === 'rejected') {
+        remove();
+        throw new Error(`mod '${mod.id}' was rejected`);
+      }
+    };
+    const guardAll = (def, names, fallbacks = {}) => {
+      const out = { ...def };
+      for (const name of names) {
+        if (typeof def[name] === 'function') out[name] = this._guard(mod, def[name], fallbacks[name]);
+      }
+      return out;
+    };
+    return {
+      registerObstacle: (def) => {
+        const guarded = guardAll(def, ['init', 'update', 'onHit', 'draw'], { draw: drawPlaceholder });
+        keep(registerObstacle(guarded));
+      },
+      registerPickup: (def) => {
+        const guarded = guardAll(def, ['apply']);
+        if (def.effect) guarded.effect = guardAll(def.effect, ['onApply', 'onExpire']);
+        keep(registerPickup(guarded));
+      },
+      registerCharacter: (def) => {
+        keep(registerCharacter(def));
+      },
+      registerUpgrade: (def) => {
+        keep(registerUpgrade(guardAll(def, ['apply'])));
+      },
+      registerBiome: (def) => {
+        const guarded = { ...def };
+        if (Array.isArray(def.layers)) guarded.layers = def.layers.map(layer => guardAll(layer, ['draw']));
+        if (def.hazard) guarded.hazard = guardAll(def.hazard, ['draw']);
+        keep(registerBiome(guarded));
+      },
+      on: (type, fn) => {
+        if (!GAME_EVENTS[type]) throw new Error(`Unknown game event: ${type}`);
+        if (mod.status === 'rejected') throw new Error(`mod '${mod.id}' was rejected`);
+        mod.listeners.push([type, fn]);
+      },
+      log: (...args) => console.log(`[${mod.id}]`, ...args),
+    };
+  }
+
+  /** fn, unless the mod is off or fn throws - then fallback (if any) */
+  _guard(mod, fn, fallback = null) {
+    return (...args) => {
+      if (mod.status === 'on') {
+        try {
+          return fn(...args);
+        } catch (e) {
+          mod.status = 'off';
+          mod.error = e.message;
+          console.warn(`Mod '${mod.id}' threw and was switched off: ${e.message}`);
+        }
+      }
+      return fallback ? fallback(...args) : undefined;
+    };
+  }
+}
+
+/** promise, or a rejection with message if it hasn't settled within ms */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/** A deep copy of an event that can be read but not changed */
+function frozenCopy(value) {
+  if (value === null || typeof value !== 'object') return value;
+  const copy = Array.isArray(value) ? value.map(frozenCopy) : {};
+  if (!Array.isArray(value)) for (const key in value) copy[key] = frozenCopy(value[key]);
+  return Object.freeze(copy);
+}
+
+/** Stand-in look for an obstacle whose mod was switched off */
+function drawPlaceholder(ctx, obs, cx, cy) {
+  ctx.fillStyle = obs.color || '#888';
+  ctx.fillRect(cx - obs.w / 2, cy - obs.h, obs.w, obs.h);
+}
@@ -0,0 +1,234 @@
+// ============================================================
+// Replay.js - Input recording, compact encoding and playback
+// ============================================================
+
+import { ScriptedInput } from '../input.js';
+import { World, TICK_DT } from '../sim/World.js';
+import { OwlBrain } from '../entities/OwlBrain.js';
+import { stepWorld } from '../sim/headless.js';
+import { clamp } from '../utils.js';
+
+export const REPLAY_VERSION = 7;
+
+// Every code that can affect the simulation. Recordings store indexes into
+// this table, so only ever append to it.
+export const REPLAY_CODES = [
+  'KeyA', 'ArrowLeft', 'TouchLeft',
+  'KeyD', 'ArrowRight', 'TouchRight',
+  'Space', 'TouchUp',
+  'ShiftLeft', 'ShiftRight',
+  'PadLeft', 'PadRight', 'PadA', 'PadX',
+];
+const CODE_INDEX = new Map(REPLAY_CODES.map((c, i) => [c, i]));
+
+/**
+ * Records one level attempt: everything needed to rebuild it (seed,
+ * character, upgrades, what the owl had learned) plus every gameplay
+ * press keyed by simulation tick, and the upgrades drafted mid-run in
+ * Endless.
+ */
+export class ReplayRecorder {
+  constructor() {
+    this.recording = null;
+  }
+
+  /** meta: { seed, level, endless, charIdx, attributesMode, upgrades, owlBrain } */
+  begin(meta) {
+    this.recording = {
+      ...meta,
+      upgrades: [...meta.upgrades],
+      owlBrain: meta.owlBrain ? structuredClone(meta.owlBrain) : null,
+      date: Date.now(),
+      inputs: [],
+      picks: [],
+    };
+  }
+
+  /** Drop the recording in progress, for a level that isn't kept */
+  cancel() {
+    this.recording = null;
+  }
+
+  /** Carry on a recording taken from a suspended run */
+  resume(recording) {
+    this.recording = recording;
+  }
+
+  capture(tick, code) {
+    if (this.recording && CODE_INDEX.has(code)) {
+      this.recording.inputs.push([tick, code]);
+    }
+  }
+
+  /** An Endless draft pick, applied before the given tick on playback */
+  capturePick(tick, id) {
+    if (this.recording) this.recording.picks.push([tick, id]);
+  }
+
+  /** result: { outcome, ticks, score, distance }. Returns the finished recording */
+  finish(result) {
+    const rec = this.recording;
+    this.recording = null;
+    if (!rec) return null;
+    return { ...rec, ...result };
+  }
+}
+
+/** Compact, JSON-safe form: short keys and delta-encoded [tick, code] pairs */
+export function encodeReplay(rec) {
+  const inputs = [];
+  let last = 0;
+  for (const [tick, code] of rec.inputs) {
+    inputs.push(tick - last, CODE_INDEX.get(code));
+    last = tick;
+  }
+  return {
+    v: REPLAY_VERSION,
+    s: rec.seed,
+    l: rec.level,
+    e: rec.endless ? 1 : 0,
+    c: rec.charIdx,
+    a: rec.attributesMode ? 1 : 0,
+    u: rec.upgrades,
+    d: rec.date,
+    o: rec.outcome,
+    t: rec.ticks,
+    sc: rec.score,
+    m: Math.floor(rec.distance),
+    i: inputs,
+    ...(rec.picks && rec.picks.length ? { k: rec.picks } : {}),
+    ...(rec.owlBrain ? { b: rec.owlBrain } : {}),
+  };
+}
+
+/** Inverse of encodeReplay. Throws on anything that isn't a valid recording */
+export function decodeReplay(data) {
+  const isInt = (n) => Number.isInteger(n) && n >= 0;
+  if (!data || typeof data !== 'object') throw new Error('Not a replay');
+  if (data.v !== REPLAY_VERSION) throw new Error(`Unsupported replay version: ${data.v}`);
+  if (!isInt(data.s) || !isInt(data.l) || data.l < 1 || !isInt(data.c) || !isInt(data.t)) {
+    throw new Error('Replay header is incomplete');
+  }
+  if (!Array.isArray(data.u) || !data.u.every(u => typeof u === 'string')) {
+    throw new Error('Replay upgrades are invalid');
+  }
+  if (!Array.isArray(data.i) || data.i.length % 2 !== 0) {
+    throw new Error('Replay inputs are invalid');
+  }
+
+  const inputs = [];
+  let tick = 0;
+  for (let j = 0; j < data.i.length; j += 2) {
+    const delta = data.i[j];
+    const code = REPLAY_CODES[data.i[j + 1]];
+    if (!isInt(delta) || !code) throw new Error('Replay inputs are invalid');
+    tick += delta;
+    inputs.push([tick, code]);
+  }
+
+  if (!OwlBrain.isValid(data.b)) throw new Error('Replay owl is invalid');
+
+  const picks = data.k || [];
+  if (!Array.isArray(picks) || !picks.every(p => Array.isArray(p) && isInt(p[0]) && typeof p[1] === 'string')) {
+    throw new Error('Replay picks are invalid');
+  }
+
+  return {
+    seed: data.s,
+    level: data.l,
+    endless: !!data.e,
+    charIdx: data.c,
+    attributesMode: !!data.a,
+    upgrades: data.u,
+    date: data.d || 0,
+    outcome: data.o || 'unknown',
+    ticks: data.t,
+    score: data.sc || 0,
+    distance: data.m || 0,
+    inputs,
+    picks,
+    owlBrain: data.b || null,
+  };
+}
+
+export function replayToJSON(rec) {
+  return JSON.stringify(encodeReplay(rec));
+}
+
+export function replayFromJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Replay is not valid JSON');
+  }
+  return decodeReplay(data);
+}
+
+/**
+ * Plays a recording back through its own World, fed by a scripted input
+ * source. Seeking backwards re-simulates from the start - runs are
+ * deterministic.
+ */
+export class ReplayPlayer {
+  /** cosmetics: false skips footprints/shake when only the player is drawn */
+  constructor(recording, { tickDt = TICK_DT, cosmetics = true } = {}) {
+    this.recording = recording;
+    this.tickDt = tickDt;
+    this.cosmetics = cosmetics;
+    this.speed = 1;
+    this.paused = false;
+    this._acc = 0;
+    this.restart();
+  }
+
+  restart() {
+    this.input = new ScriptedInput(this.recording.inputs);
+    this.world = new World({ ...this.recording, cosmetics: this.cosmetics });
+    this._pickCursor = 0;
+    this._acc = 0;
+  }
+
+  get tick() {
+    return this.world.tick;
+  }
+
+  get totalTicks() {
+    return this.recording.ticks;
+  }
+
+  get ended() {
+    return this.world.outcome !== null || this.world.tick >= this.recording.ticks;
+  }
+
+  step() {
+    const picks = this.recording.picks || [];
+    while (this._pickCursor < picks.length && picks[this._pickCursor][0] <= this.world.tick) {
+      this.world.applyUpgrade(picks[this._pickCursor][1]);
+      this.world.draftPending = false;
+      this._pickCursor++;
+    }
+    stepWorld(this.world, this.input, this.tickDt);
+  }
+
+  /** Advance by real time dt (seconds) scaled by speed */
+  update(dt) {
+    if (this.paused || this.ended) return;
+    this._acc += dt * this.speed;
+    while (this._acc >= this.tickDt && !this.ended) {
+      this.step();
+      this._acc -= this.tickDt;
+    }
+  }
+
+  seek(tick) {
+    tick = clamp(Math.floor(tick), 0, this.totalTicks);
+    if (tick < this.world.tick) this.restart();
+    while (this.world.tick < tick && !this.ended) this.step();
+    this._acc = 0;
+  }
+
+  togglePause() {
+    this.paused = !this.paused;
+  }
+}
@@ -0,0 +1,334 @@
+// ============================================================
+// Save.js - Versioned save document with profiles, migrations and export/import
+// ============================================================
+
+import { readStorage, writeStorage, removeStorage } from '../utils.js';
+import { CHARACTERS } from '../entities/Player.js';
+import { OwlBrain } from '../entities/OwlBrain.js';
+
+export const SAVE_VERSION = 3;
+export const MAX_PROFILE_NAME = 16;
+export const MAX_PROFILES = 8;
+const SAVE_KEY = 'save';
+const BACKUP_KEY = 'save_backup';
+const DEFAULT_PROFILE_NAME = 'Player 1';
+const WRITE_FAILED = 'Progress could not be saved: browser storage is full or disabled';
+
+const isCount = (v) => Number.isInteger(v) && v >= 0;
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isVolume = (v) => typeof v === 'number' && v >= 0 && v <= 1;
+const isName = (v) => typeof v === 'string' && v.trim().length > 0 && v.length <= MAX_PROFILE_NAME;
+const isStrings = (v) => Array.isArray(v) && v.every(s => typeof s === 'string');
+
+/** A summarizeLevel() result (see Stats.js) */
+const isLevelSummary = (v) => isObject(v) &&
+  Number.isInteger(v.level) && v.level >= 1 && typeof v.outcome === 'string' &&
+  (v.killer === null || typeof v.killer === 'string') &&
+  ['score', 'distance', 'time', 'hits', 'swoopsDodged', 'npcsSaved'].every(k => isCount(v[k]));
+
+/** A ReplayRecorder recording in progress: [tick, code] inputs and [tick, id] picks */
+const isRecording = (v) => isObject(v) &&
+  Array.isArray(v.inputs) && v.inputs.every(i => Array.isArray(i) && isCount(i[0]) && typeof i[1] === 'string') &&
+  Array.isArray(v.picks) && v.picks.every(p => Array.isArray(p) && isCount(p[0]) && typeof p[1] === 'string');
+
+/**
+ * A run Game.continueRun can pick up. Its world is checked when restored
+ * (one that fails starts the level over); everything else is checked here.
+ */
+const isSuspendedRun = (v) => isObject(v) &&
+  typeof v.endless === 'boolean' && Number.isInteger(v.level) && v.level >= 1 &&
+  isCount(v.charIdx) && v.charIdx < CHARACTERS.length && typeof v.attributesMode === 'boolean' &&
+  isStrings(v.upgrades) && Array.isArray(v.levels) && v.levels.every(isLevelSummary) &&
+  OwlBrain.isValid(v.owlBrain) && (v.dailySeed === null || isCount(v.dailySeed)) &&
+  (v.world === null || isObject(v.world)) && (v.recording === null || isRecording(v.recording));
+
+/**
+ * Every persisted value: its default and a check for loaded/imported
+ * data. Add fields here; a new default needs no migration, a changed
+ * meaning or shape does. Settings belong to the device, shared fields to
+ * everyone playing on it, profile fields to whoever is playing.
+ */
+const SETTINGS_FIELDS = {
+  volume: { default: { sfx: 0.7, music: 0.3 }, valid: (v) => isObject(v) && isVolume(v.sfx) && isVolume(v.music) },
+};
+
+const SHARED_FIELDS = {
+  leaderboards: { default: {}, valid: (v) => isObject(v) && Object.values(v).every(Array.isArray) }, // board id -> entries
+  levels: { default: [], valid: Array.isArray }, // made in the level editor, in the level format
+};
+
+const PROFILE_FIELDS = {
+  selectedChar: { default: 0, valid: isCount },
+  attributesMode: { default: true, valid: (v) => typeof v === 'boolean' },
+  owlPersonality: { default: 'random', valid: (v) => typeof v === 'string' }, // 'random' or an OWL_PERSONALITIES id
+  customSeed: { default: null, valid: (v) => v === null || isCount(v) },
+  upgrades: { default: [], valid: isStrings },
+  achievements: { default: {}, valid: (v) => isObject(v) && Object.values(v).every(isCount) }, // id -> tiers unlocked
+  achievementProgress: { default: {}, valid: (v) => isObject(v) && Object.values(v).every(isCount) }, // id -> count or best
+  bestScore: { default: 0, valid: isCount },
+  totalChopped: { default: 0, valid: isCount },
+  totalSwoopsDodged: { default: 0, valid: isCount },
+  endlessBest: { default: { distance: 0, score: 0 }, valid: (v) => isObject(v) && isCount(v.distance) && isCount(v.score) },
+  ghosts: { default: {}, valid: isObject }, // level seed -> encoded replay
+  replays: { default: [], valid: Array.isArray }, // encoded replays, newest first
+  runHistory: { default: [], valid: Array.isArray }, // run records, newest first (see Stats.js)
+  lifetime: { default: {}, valid: isObject }, // totals over every finished run; missing counters start at zero
+  suspendedRun: { default: null, valid: (v) => v === null || isSuspendedRun(v) }, // see Game.suspendRun
+};
+
+// Keys that were stored loose before the save document (version 0)
+const LEGACY_FIELDS = { ...SETTINGS_FIELDS, ...PROFILE_FIELDS };
+
+// Forward migrations: MIGRATIONS[n] turns a version n document into
+// version n + 1. Never change a step that has shipped - add one and bump
+// SAVE_VERSION.
+const MIGRATIONS = [
+  // 0 -> 1: the loose snow_owl_<field> keys, gathered by _readLegacy
+  (doc) => ({ ...doc, version: 1 }),
+  // 1 -> 2: one set of fields becomes the first profile; volume moves to settings
+  ({ version, volume, ...data }) => ({
+    version: 2,
+    settings: volume === undefined ? {} : { volume },
+    profiles: [{ id: 1, name: DEFAULT_PROFILE_NAME, data }],
+    activeProfile: 1,
+    nextProfileId: 2,
+  }),
+  // 2 -> 3: achievements go from { id: true } to tiers unlocked; chops so
+  // far count towards the now tiered Lumberjack
+  (doc) => ({
+    ...doc,
+    version: 3,
+    profiles: (Array.isArray(doc.profiles) ? doc.profiles : []).map(p => {
+      if (!isObject(p) || !isObject(p.data)) return p;
+      const old = isObject(p.data.achievements) ? p.data.achievements : {};
+      const achievements = {};
+      for (const id in old) if (old[id] === true) achievements[id] = 1;
+      const chopped = isCount(p.data.totalChopped) ? p.data.totalChopped : 0;
+      return { ...p, data: { ...p.data, achievements, achievementProgress: { lumberjack: chopped } } };
+    }),
+  }),
+];
+
+/** Bring a document of any known version up to SAVE_VERSION */
+export function migrateSave(doc) {
+  if (!isObject(doc) || !Number.isInteger(doc.version) || doc.version < 0) {
+    throw new Error('Not a save file');
+  }
+  if (doc.version > SAVE_VERSION) {
+    throw new Error(`Save is from a newer version (${doc.version})`);
+  }
+  let out = doc;
+  while (out.version < SAVE_VERSION) out = MIGRATIONS[out.version](out);
+  return out;
+}
+
+/** Every field of the table from src, defaults for missing ones; onInvalid(key) for bad values */
+function pickFields(fields, src, onInvalid) {
+  const out = {};
+  for (const key in fields) {
+    if (key in src && fields[key].valid(src[key])) {
+      out[key] = src[key];
+    } else {
+      if (key in src) onInvalid(key);
+      out[key] = structuredClone(fields[key].default);
+    }
+  }
+  return out;
+}
+
+/**
+ * A complete current-version document from a migrated one. onInvalid(what)
+ * hears about every bad value; it may throw to reject the document.
+ */
+function normalize(doc, onInvalid) {
+  const profiles = [];
+  for (const p of Array.isArray(doc.profiles) ? doc.profiles : []) {
+    if (!isObject(p) || !isCount(p.id) || !isName(p.name) || !isObject(p.data) || profiles.some(q => q.id === p.id)) {
+      onInvalid('profile');
+      continue;
+    }
+    const data = pickFields(PROFILE_FIELDS, p.data, (key) => onInvalid(`${p.name}/${key}`));
+    profiles.push({ id: p.id, name: p.name, data });
+  }
+  if (profiles.length === 0) {
+    profiles.push({ id: 1, name: DEFAULT_PROFILE_NAME, data: pickFields(PROFILE_FIELDS, {}, onInvalid) });
+  }
+  const maxId = Math.max(...profiles.map(p => p.id));
+  return {
+    version: SAVE_VERSION,
+    settings: pickFields(SETTINGS_FIELDS, isObject(doc.settings) ? doc.settings : {}, onInvalid),
+    shared: pickFields(SHARED_FIELDS, isObject(doc.shared) ? doc.shared : {}, onInvalid),
+    profiles,
+    activeProfile: profiles.some(p => p.id === doc.activeProfile) ? doc.activeProfile : profiles[0].id,
+    nextProfileId: isCount(doc.nextProfileId) && doc.nextProfileId > maxId ? doc.nextProfileId : maxId + 1,
+  };
+}
+
+/**
+ * The save document: device settings and shared records plus named
+ * profiles, one of them active. Values are read with get and written with
+ * set (profile fields go to the active profile); every write persists the
+ * whole document under one versioned key.
+ */
+export class SaveStore {
+  constructor() {
+    this.doc = null;
+    this.warning = ''; // set when stored data had to be (partly) reset, or can't be stored
+  }
+
+  /** Read the stored document, migrating old saves and the legacy keys */
+  load() {
+    this.warning = '';
+    const raw = readStorage(SAVE_KEY);
+    let doc;
+    if (raw === null) {
+      doc = this._readLegacy();
+    } else {
+      try {
+        doc = migrateSave(JSON.parse(raw));
+      } catch (e) {
+        // Keep the unreadable save so it can be recovered by hand
+        writeStorage(BACKUP_KEY, raw);
+        this.warning = `Save data was unreadable (${e.message}); started fresh and kept a backup`;
+        doc = { version: SAVE_VERSION };
+      }
+    }
+
+    const reset = [];
+    this.doc = normalize(doc, (what) => reset.push(what));
+    if (reset.length > 0 && !this.warning) {
+      this.warning = `Some save data was invalid and was reset: ${reset.join(', ')}`;
+    }
+    if (this.warning) console.warn(this.warning);
+    // The legacy keys go only once the document holding them is stored
+    if (this._write() && raw === null) for (const key in LEGACY_FIELDS) removeStorage(key);
+  }
+
+  get(key) {
+    return this._fieldsOf(key)[key];
+  }
+
+  set(key, value) {
+    this._fieldsOf(key)[key] = value;
+    this._write();
+  }
+
+  _fieldsOf(key) {
+    if (key in SETTINGS_FIELDS) return this.doc.settings;
+    if (key in SHARED_FIELDS) return this.doc.shared;
+    if (key in PROFILE_FIELDS) return this.activeProfile.data;
+    throw new Error(`Unknown save field: ${key}`);
+  }
+
+  // ---- Profiles ----
+
+  /** [{ id, name }] in creation order */
+  get profiles() {
+    return this.doc.profiles.map(({ id, name }) => ({ id, name }));
+  }
+
+  get activeProfile() {
+    return this.doc.profiles.find(p => p.id === this.doc.activeProfile);
+  }
+
+  /** A profile's stored value without switching to it (e.g. for the picker) */
+  peek(id, key) {
+    if (!(key in PROFILE_FIELDS)) throw new Error(`Unknown profile field: ${key}`);
+    return this._profile(id).data[key];
+  }
+
+  selectProfile(id) {
+    this.doc.activeProfile = this._profile(id).id;
+    this._write();
+  }
+
+  /** Add an empty profile; returns its id. Throws on a bad or taken name */
+  createProfile(name) {
+    name = this._checkName(name);
+    if (this.doc.profiles.length >= MAX_PROFILES) throw new Error(`There can be at most ${MAX_PROFILES} profiles`);
+    const id = this.doc.nextProfileId++;
+    this.doc.profiles.push({ id, name, data: pickFields(PROFILE_FIELDS, {}, () => {}) });
+    this._write();
+    return id;
+  }
+
+  renameProfile(id, name) {
+    const profile = this._profile(id);
+    profile.name = this._checkName(name, id);
+    this._write();
+  }
+
+  /** Remove a profile and its progress; the last one can't go */
+  deleteProfile(id) {
+    const profile = this._profile(id);
+    if (this.doc.profiles.length === 1) throw new Error("Can't delete the only profile");
+    this.doc.profiles.splice(this.doc.profiles.indexOf(profile), 1);
+    if (this.doc.activeProfile === id) this.doc.activeProfile = this.doc.profiles[0].id;
+    this._write();
+  }
+
+  _profile(id) {
+    const profile = this.doc.profiles.find(p => p.id === id);
+    if (!profile) throw new Error(`Unknown profile: ${id}`);
+    return profile;
+  }
+
+  /** Trimmed name, or throws; exceptId is the profile being renamed */
+  _checkName(name, exceptId = null) {
+    name = String(name || '').trim();
+    if (!isName(name)) throw new Error(`Profile names need 1-${MAX_PROFILE_NAME} characters`);
+    const taken = this.doc.profiles.some(p => p.id !== exceptId && p.name.toLowerCase() === name.toLowerCase());
+    if (taken) throw new Error(`There is already a profile called ${name}`);
+    return name;
+  }
+
+  /** The whole document as a JSON file body */
+  exportJSON() {
+    return JSON.stringify({ ...this.doc, exportedAt: Date.now() });
+  }
+
+  /**
+   * Replace the save with an exported one. Throws, leaving the current
+   * save untouched, if the text isn't a valid save.
+   */
+  importJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error('Not valid JSON');
+    }
+    this.doc = normalize(migrateSave(data), (what) => {
+      throw new Error(`Save field '${what}' is invalid`);
+    });
+    this.warning = '';
+    this._write();
+  }
+
+  /** Store the document; false if it couldn't be, and the player is warned until a write gets through */
+  _write() {
+    const ok = writeStorage(SAVE_KEY, JSON.stringify(this.doc));
+    if (!ok && this.warning !== WRITE_FAILED) {
+      this.warning = WRITE_FAILED;
+      console.warn(this.warning);
+    } else if (ok && this.warning === WRITE_FAILED) {
+      this.warning = '';
+    }
+    return ok;
+  }
+
+  /** Version 0: one snow_owl_<field> key per value */
+  _readLegacy() {
+    const doc = { version: 0 };
+    for (const key in LEGACY_FIELDS) {
+      const raw = readStorage(key);
+      if (raw === null) continue;
+      try {
+        doc[key] = JSON.parse(raw);
+      } catch (e) {
+        doc[key] = undefined; // reported as reset
+      }
+    }
+    return migrateSave(doc);
+  }
+}
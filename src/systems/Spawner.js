@@ -2,32 +2,34 @@
 // Spawner.js - Procedural spawning with fairness validation
 // ============================================================
 
-import { Obstacle, OBSTACLE_TYPES } from '../entities/Obstacle.js';
-import { Pickup, PICKUP_TYPES } from '../entities/Pickup.js';
+import { Obstacle, obstaclePatterns } from '../entities/Obstacle.js';
+import { Pickup, PICKUP_INFO } from '../entities/Pickup.js';
 import { NPC } from '../entities/NPC.js';
 import { SeededRNG } from '../utils.js';
 
-const ALL_PICKUPS = Object.values(PICKUP_TYPES);
-const OBSTACLE_LIST = [
-  OBSTACLE_TYPES.LOG,
-  OBSTACLE_TYPES.SNOWMAN,
-  OBSTACLE_TYPES.TREE,
-  OBSTACLE_TYPES.SNOWBALL,
-  OBSTACLE_TYPES.ICE_PATCH,
-  OBSTACLE_TYPES.THIN_ICE,
-  OBSTACLE_TYPES.SNOWDRIFT,
-  OBSTACLE_TYPES.BRANCH,
-];
+// Pixels the world scrolls per meter run
+export const PX_PER_METER = 3;
 
+/**
+ * Spawns what comes down the lanes: at random from obstacle patterns, or
+ * as a hand-authored level's script dictates (see Levels.js), with random
+ * spawning only in the script's filler sections. weights (obstacle type ->
+ * weight, default 1) skew the random patterns towards a biome's mix.
+ */
 export class Spawner {
-  constructor(canvasW, canvasH, lanePositions, rng) {
+  constructor(canvasW, canvasH, lanePositions, rng, script = null, weights = {}) {
     this.cw = canvasW;
     this.ch = canvasH;
     this.lanePositions = lanePositions;
     this.rng = rng || new SeededRNG(Date.now());
+    this.weights = weights;
+    // Per-entity draws (snowman temperament, NPC wandering...) get their own
+    // stream so they don't reshuffle which patterns spawn
+    this.entityRng = this.rng.fork('entities');
 
     this.obstacleTimer = 0;
     this.obstacleInterval = 2200; // ms
+    this.minObstacleInterval = 900; // Endless lowers this past the campaign cap
     this.pickupTimer = 0;
     this.pickupInterval = 5000;
     this.npcTimer = 0;
@@ -36,19 +38,121 @@ export class Spawner {
     this.npcMax = 3;
 
     this.spawnY = -80; // Obstacles spawn above canvas, scroll DOWN toward player
+
+    // Script playback: how far into each queue (see scriptQueues) and the
+    // filler section being played, { key: 'at' | 'time', until, difficulty }
+    this.script = script ? scriptQueues(script) : null;
+    this.scriptPos = { ahead: 0, at: 0, timed: 0 };
+    this.filler = null;
+  }
+
+  /** Timers, intervals and script progress for a suspended run; the World saves the rng streams, script and weights */
+  serialize() {
+    const { rng, entityRng, lanePositions, script, weights, ...state } = this;
+    return structuredClone(state);
+  }
+
+  static deserialize(data, lanePositions, rng, entityRng, script = null, weights = {}) {
+    return Object.assign(Object.create(Spawner.prototype), structuredClone(data), {
+      lanePositions, rng, entityRng, script: script ? scriptQueues(script) : null, weights,
+    });
+  }
+
+  /**
+   * Spawn everything the script has due at this distance (m) and time (ms),
+   * and return its due swoops and events for the World to start. Entries
+   * keyed by distance are placed so they reach playerY exactly at it.
+   */
+  playScript(distance, time, playerSpeed, playerY, obstacles, pickups, npcs, events = null) {
+    const queues = this.script;
+    const pos = this.scriptPos;
+    const cues = [];
+    // Meters between the spawn line and the player
+    const lead = (playerY - this.spawnY) / PX_PER_METER;
+
+    if (this.filler && (this.filler.key === 'at' ? distance : time) >= this.filler.until) this.filler = null;
+
+    while (pos.ahead < queues.ahead.length && queues.ahead[pos.ahead].at - distance <= lead) {
+      const entry = queues.ahead[pos.ahead++];
+      if (entry.filler) {
+        this.filler = { key: 'at', until: entry.at + entry.filler - lead, difficulty: entry.difficulty };
+      } else {
+        const y = playerY - (entry.at - distance) * PX_PER_METER;
+        this._spawnEntry(entry, y, playerSpeed, obstacles, pickups, npcs, events);
+      }
+    }
+    while (pos.at < queues.at.length && queues.at[pos.at].at <= distance) {
+      cues.push(queues.at[pos.at++]);
+    }
+    while (pos.timed < queues.timed.length && queues.timed[pos.timed].time * 1000 <= time) {
+      const entry = queues.timed[pos.timed++];
+      if (entry.filler) {
+        this.filler = { key: 'time', until: time + entry.filler * 1000, difficulty: entry.difficulty };
+      } else if (entry.swoop || entry.event) {
+        cues.push(entry);
+      } else {
+        this._spawnEntry(entry, this.spawnY, playerSpeed, obstacles, pickups, npcs, events);
+      }
+    }
+    return cues;
+  }
+
+  /**
+   * Start the script part-way, with the player at distance: entries keyed
+   * before it are skipped, and a filler section it falls in is under way.
+   */
+  skipScript(distance, playerY) {
+    const queues = this.script;
+    const pos = this.scriptPos;
+    const lead = (playerY - this.spawnY) / PX_PER_METER;
+    while (pos.ahead < queues.ahead.length && queues.ahead[pos.ahead].at < distance) {
+      const entry = queues.ahead[pos.ahead++];
+      if (entry.filler && entry.at + entry.filler > distance) {
+        this.filler = { key: 'at', until: entry.at + entry.filler - lead, difficulty: entry.difficulty };
+      }
+    }
+    while (pos.at < queues.at.length && queues.at[pos.at].at < distance) pos.at++;
   }
 
-  update(dt, difficulty, obstacles, pickups, npcs, playerSpeed, playerY, pickupFreqMult = 1, hasActiveShadow = false) {
+  /** A script's row, pickup or runner, placed at y */
+  _spawnEntry(entry, y, playerSpeed, obstacles, pickups, npcs, events) {
+    const spawned = [];
+    if (entry.row) {
+      entry.row.forEach((type, lane) => {
+        if (!type) return;
+        const obs = new Obstacle(type, lane, this.lanePositions[lane], y, playerSpeed * 0.85, this.entityRng);
+        obstacles.push(obs);
+        spawned.push(['obstacle', type, lane]);
+      });
+    } else if (entry.pickup) {
+      const x = this.lanePositions[entry.lane];
+      pickups.push(new Pickup(entry.pickup, entry.lane, x, y, playerSpeed * 0.85, this.entityRng));
+      spawned.push(['pickup', entry.pickup, entry.lane]);
+    } else if (entry.npc) {
+      const x = this.lanePositions[entry.lane];
+      npcs.push(new NPC(x, y, playerSpeed, this.lanePositions, this.entityRng, entry.lane));
+      spawned.push(['npc', 'runner', entry.lane]);
+    }
+    if (events) for (const [kind, entity, lane] of spawned) events.emit('spawn', { kind, entity, lane });
+  }
+
+  update(dt, difficulty, obstacles, pickups, npcs, playerSpeed, playerY, pickupFreqMult = 1, hasActiveShadow = false, events = null) {
+    // A scripted level only spawns at random in its filler sections
+    if (this.script) {
+      if (!this.filler) return;
+      if (this.filler.difficulty !== undefined) difficulty = this.filler.difficulty;
+    }
     const dtMs = dt * 1000;
     const diffMult = 1 + difficulty * 0.15;
 
     // Obstacle spawning
     this.obstacleTimer += dtMs;
-    const interval = Math.max(900, this.obstacleInterval / diffMult);
+    const interval = Math.max(this.minObstacleInterval, this.obstacleInterval / diffMult);
     if (this.obstacleTimer >= interval) {
       this.obstacleTimer = 0;
       const newObs = this._spawnObstaclePattern(difficulty, playerSpeed, playerY, hasActiveShadow);
       obstacles.push(...newObs);
+      if (events) for (const o of newObs) events.emit('spawn', { kind: 'obstacle', entity: o.type, lane: o.lane });
     }
 
     // Pickup spawning
@@ -57,7 +161,10 @@ export class Spawner {
     if (this.pickupTimer >= pInterval) {
       this.pickupTimer = 0;
       const pickup = this._spawnPickup(playerSpeed);
-      if (pickup) pickups.push(pickup);
+      if (pickup) {
+        pickups.push(pickup);
+        if (events) events.emit('spawn', { kind: 'pickup', entity: pickup.type, lane: pickup.lane });
+      }
     }
 
     // NPC spawning
@@ -66,18 +173,21 @@ export class Spawner {
     if (this.npcTimer >= this.npcInterval && activeNPCs < this.npcMax) {
       this.npcTimer = 0;
       const npc = this._spawnNPC(playerSpeed, playerY);
-      if (npc) npcs.push(npc);
+      if (npc) {
+        npcs.push(npc);
+        if (events) events.emit('spawn', { kind: 'npc', entity: 'runner', lane: npc.lane });
+      }
     }
   }
 
   _spawnObstaclePattern(difficulty, playerSpeed, playerY, hasActiveShadow) {
-    const patterns = this._getPatterns(difficulty);
-    let pattern = this.rng.choice(patterns);
+    const patterns = obstaclePatterns(difficulty);
+    let pattern = this._pickPattern(patterns);
 
     // Fairness: if swoop active, pick a simpler pattern
     if (hasActiveShadow) {
       const safePatterns = patterns.filter(p => p.difficulty <= 1);
-      if (safePatterns.length > 0) pattern = this.rng.choice(safePatterns);
+      if (safePatterns.length > 0) pattern = this._pickPattern(safePatterns);
     }
 
     // Validate that at least one lane is safe
@@ -91,40 +201,17 @@ export class Spawner {
     return this._buildPattern(pattern, playerSpeed, playerY);
   }
 
-  _getPatterns(difficulty) {
-    const base = [
-      // Single obstacles
-      { type: OBSTACLE_TYPES.LOG, lanes: [this.rng.nextInt(0, 4)], difficulty: 0 },
-      { type: OBSTACLE_TYPES.SNOWMAN, lanes: [this.rng.nextInt(0, 4)], difficulty: 0 },
-      { type: OBSTACLE_TYPES.SNOWDRIFT, lanes: [this.rng.nextInt(0, 4)], difficulty: 0 },
-      { type: OBSTACLE_TYPES.ICE_PATCH, lanes: [this.rng.nextInt(0, 4)], difficulty: 0 },
-      { type: OBSTACLE_TYPES.BRANCH, lanes: [this.rng.nextInt(0, 4)], difficulty: 0 },
-      // Multi-lane
-      { type: OBSTACLE_TYPES.LOG, lanes: [0, 1, 2], difficulty: 1 },
-      { type: OBSTACLE_TYPES.LOG, lanes: [2, 3, 4], difficulty: 1 },
-      { type: OBSTACLE_TYPES.SNOWMAN, lanes: [0, 2, 4], difficulty: 1, gap: [1, 3] },
-      { type: OBSTACLE_TYPES.TREE, lanes: [this.rng.nextInt(0, 4)], difficulty: 1 },
-    ];
-
-    const medium = [
-      { type: OBSTACLE_TYPES.SNOWBALL, lanes: [this.rng.nextInt(0, 4)], difficulty: 2 },
-      { type: OBSTACLE_TYPES.LOG, lanes: [1, 2, 3], difficulty: 2 },
-      { type: OBSTACLE_TYPES.SNOWMAN, lanes: [0, 1, 3, 4], gap: [2], difficulty: 2 },
-      { type: OBSTACLE_TYPES.THIN_ICE, lanes: [this.rng.nextInt(0, 4)], difficulty: 2 },
-    ];
-
-    const hard = [
-      { type: OBSTACLE_TYPES.SNOWBALL, lanes: [0, 2, 4], difficulty: 3 },
-      { type: OBSTACLE_TYPES.SNOWMAN, lanes: [0, 1, 2, 4], gap: [3], difficulty: 3 },
-      { type: OBSTACLE_TYPES.LOG, lanes: [0, 1, 2, 3], gap: [4], difficulty: 3 },
-      { type: OBSTACLE_TYPES.TREE, lanes: [1, 3], difficulty: 3 },
-    ];
-
-    let available = [...base];
-    if (difficulty >= 2) available.push(...medium);
-    if (difficulty >= 4) available.push(...hard);
-
-    return available;
+  /** One pattern, drawn in proportion to its obstacle type's weight */
+  _pickPattern(patterns) {
+    const weightOf = (p) => (this.weights[p.type] !== undefined ? this.weights[p.type] : 1);
+    const total = patterns.reduce((sum, p) => sum + weightOf(p), 0);
+    if (!(total > 0)) return this.rng.choice(patterns);
+    let r = this.rng.next() * total;
+    for (const p of patterns) {
+      r -= weightOf(p);
+      if (r < 0) return p;
+    }
+    return patterns[patterns.length - 1];
   }
 
   _buildPattern(pattern, playerSpeed, playerY) {
@@ -138,7 +225,7 @@ export class Spawner {
     for (const lane of lanes) {
       if (gapLanes.has(lane)) continue;
       const x = this.lanePositions[lane];
-      const obs = new Obstacle(type, lane, x, this.spawnY, playerSpeed * 0.85);
+      const obs = new Obstacle(type, lane, x, this.spawnY, playerSpeed * 0.85, this.entityRng);
       obstacles.push(obs);
     }
 
@@ -148,8 +235,8 @@ export class Spawner {
   _spawnPickup(playerSpeed) {
     const lane = this.rng.nextInt(0, 4);
     const x = this.lanePositions[lane];
-    const type = this.rng.choice(ALL_PICKUPS);
-    return new Pickup(type, lane, x, this.spawnY, playerSpeed * 0.85);
+    const type = this.rng.choice(Object.keys(PICKUP_INFO));
+    return new Pickup(type, lane, x, this.spawnY, playerSpeed * 0.85, this.entityRng);
   }
 
   _spawnNPC(playerSpeed, playerY) {
@@ -158,7 +245,23 @@ export class Spawner {
       this.lanePositions[this.rng.nextInt(0, 4)],
       playerY - 80 - this.rng.nextInt(0, 120),
       playerSpeed,
-      this.lanePositions
+      this.lanePositions,
+      this.entityRng
     );
   }
 }
+
+/**
+ * A script's entries in the order they come due: ahead (placed ahead of
+ * the player by distance), at (swoops and events by distance) and timed.
+ * Entries with the same key keep their script order.
+ */
+function scriptQueues(script) {
+  const byKey = (key) => script.filter(e => e[key] !== undefined).sort((a, b) => a[key] - b[key]);
+  const placed = (e) => !e.swoop && !e.event;
+  return {
+    ahead: byKey('at').filter(placed),
+    at: byKey('at').filter(e => !placed(e)),
+    timed: byKey('time'),
+  };
+}
@@ -0,0 +1,157 @@
+// ============================================================
+// Stats.js - Per-run records, rolling run history and lifetime totals
+// ============================================================
+
+import { CHARACTERS } from '../entities/Player.js';
+import { getObstacleDef } from '../entities/Obstacle.js';
+import { hazardDef } from '../sim/Biomes.js';
+
+export const MAX_RUN_HISTORY = 50;
+
+/** What ended a level: an obstacle type, a hazard id, 'swoop' or 'owl' (threat with no hit to blame) */
+const KILLER_NAMES = {
+  swoop: 'Owl swoop',
+  owl: 'Owl (threat)',
+  owl_feather: 'Owl feather',
+};
+
+export function killerName(killer) {
+  if (KILLER_NAMES[killer]) return KILLER_NAMES[killer];
+  const def = getObstacleDef(killer) || hazardDef(killer);
+  if (def) return def.name;
+  // An obstacle type that is no longer registered
+  return killer.split('_').map(w => w[0].toUpperCase() + w.slice(1)).join(' ');
+}
+
+/** Lifetime totals as stored in the save; fields added later default to zero */
+export function newLifetime() {
+  return {
+    runs: 0,
+    levelsCleared: 0,
+    score: 0,
+    distance: 0,
+    time: 0, // ms
+    hits: 0,
+    swoopsDodged: 0,
+    npcsSaved: 0,
+    runsByChar: {}, // charIdx -> runs
+    killers: {}, // killer -> runs it ended
+    levels: {}, // campaign level -> { plays, clears, score, distance, time, hits }
+  };
+}
+
+/** One level of a run, from the World that played it */
+export function summarizeLevel(world) {
+  return {
+    level: world.level,
+    outcome: world.outcome,
+    killer: world.outcome && world.outcome !== 'complete' ? killerOf(world) : null,
+    score: world.score,
+    distance: Math.floor(world.distance),
+    time: Math.floor(world.time),
+    hits: world.runHits,
+    swoopsDodged: world.swoopsDodged,
+    npcsSaved: world.npcsSaved,
+  };
+}
+
+/**
+ * A swoop capture is the owl's doing. When threat ran out, blame the last
+ * obstacle, hazard or boss feather that hit (a snowman for its snowballs),
+ * or the owl if none did.
+ */
+function killerOf(world) {
+  if (world.outcome === 'captured') return 'swoop';
+  for (let i = world.eventLog.length - 1; i >= 0; i--) {
+    const e = world.eventLog[i];
+    if (e.type === 'stun') return e.obstacle;
+    if (e.type === 'hazardHit') return e.hazard;
+    if (e.type === 'featherHit') return 'owl_feather';
+  }
+  return 'owl';
+}
+
+/** Totals over a run's levels: { score, distance, time, hits, swoopsDodged, npcsSaved } */
+export function sumLevels(levels) {
+  const totals = { score: 0, distance: 0, time: 0, hits: 0, swoopsDodged: 0, npcsSaved: 0 };
+  for (const l of levels) {
+    for (const key in totals) totals[key] += l[key];
+  }
+  return totals;
+}
+
+/**
+ * The history record of a finished run. run: { endless, charIdx,
+ * attributesMode, levels } where levels are summarizeLevel() results, the
+ * last one being the level that ended it.
+ */
+export function makeRunRecord({ endless, charIdx, attributesMode, levels }) {
+  const last = levels[levels.length - 1];
+  return {
+    date: Date.now(),
+    endless,
+    charIdx,
+    attributesMode,
+    level: last.level,
+    outcome: last.outcome,
+    killer: last.killer,
+    ...sumLevels(levels),
+    levels,
+  };
+}
+
+/** Fold a finished run into the lifetime totals (mutates lifetime) */
+export function addToLifetime(lifetime, record) {
+  lifetime.runs++;
+  for (const key of ['score', 'distance', 'time', 'hits', 'swoopsDodged', 'npcsSaved']) {
+    lifetime[key] += record[key];
+  }
+  lifetime.runsByChar[record.charIdx] = (lifetime.runsByChar[record.charIdx] || 0) + 1;
+  if (record.killer) lifetime.killers[record.killer] = (lifetime.killers[record.killer] || 0) + 1;
+  for (const l of record.levels) {
+    if (l.outcome === 'complete') lifetime.levelsCleared++;
+    if (record.endless) continue;
+    const stats = lifetime.levels[l.level] || (lifetime.levels[l.level] = {
+      plays: 0, clears: 0, score: 0, distance: 0, time: 0, hits: 0,
+    });
+    stats.plays++;
+    if (l.outcome === 'complete') stats.clears++;
+    for (const key of ['score', 'distance', 'time', 'hits']) stats[key] += l[key];
+  }
+}
+
+/** Key of the largest count in a { key: count } table, or null */
+function mostOf(counts) {
+  let best = null;
+  for (const key in counts) {
+    if (best === null || counts[key] > counts[best]) best = key;
+  }
+  return best;
+}
+
+/** The runner picked for the most runs, or null before the first run */
+export function favouriteCharacter(lifetime) {
+  const idx = mostOf(lifetime.runsByChar);
+  return idx === null ? null : CHARACTERS[idx] || null;
+}
+
+/** The killer that ended the most runs, or null */
+export function mostCommonKiller(lifetime) {
+  return mostOf(lifetime.killers);
+}
+
+/** Campaign averages per level number: [{ level, plays, clearRate, score, distance, time, hits }] */
+export function levelAverages(lifetime) {
+  return Object.keys(lifetime.levels).map(Number).sort((a, b) => a - b).map(level => {
+    const s = lifetime.levels[level];
+    return {
+      level,
+      plays: s.plays,
+      clearRate: s.clears / s.plays,
+      score: s.score / s.plays,
+      distance: s.distance / s.plays,
+      time: s.time / s.plays,
+      hits: s.hits / s.plays,
+    };
+  });
+}
@@ -2,8 +2,13 @@
 // HUD.js - Heads-up display rendering
 // ============================================================
 
-import { roundRect, lerp } from '../utils.js';
+import { roundRect, lerp, clamp } from '../utils.js';
 import { PICKUP_INFO } from '../entities/Pickup.js';
+import { BOSS_PHASES, BOSS_AMMO_MAX, bossAttackDef } from '../entities/OwlBoss.js';
+import { owlAttackDef } from '../entities/Owl.js';
+
+const TOAST_DURATION = 3.2; // s each toast stays up
+const TOAST_SLIDE = 0.25; // s to slide in and out
 
 export class HUD {
   constructor(canvasW, canvasH) {
@@ -11,31 +16,81 @@ export class HUD {
     this.ch = canvasH;
     this.particles = [];
     this.scorePopups = [];
+    this.toasts = []; // queued notices, shown one at a time over any screen
   }
 
   addScorePopup(x, y, text, color = '#fff') {
     this.scorePopups.push({ x, y, text, color, alpha: 1, vy: -1 });
   }
 
+  /** Queue a notice (e.g. an achievement unlock): { icon, title, text, color } */
+  addToast({ icon = '', title, text, color = '#f1c40f' }) {
+    this.toasts.push({ icon, title, text, color, age: 0 });
+  }
+
   update(dt) {
     for (const p of this.scorePopups) {
       p.y += p.vy;
       p.alpha -= dt * 1.5;
     }
     this.scorePopups = this.scorePopups.filter(p => p.alpha > 0);
+
+    if (this.toasts.length > 0) {
+      this.toasts[0].age += dt;
+      if (this.toasts[0].age >= TOAST_DURATION) this.toasts.shift();
+    }
+  }
+
+  /** The current toast, sliding down from the top; drawn over every screen */
+  drawToasts(ctx) {
+    const toast = this.toasts[0];
+    if (!toast) return;
+    const slide = Math.min(toast.age, TOAST_DURATION - toast.age, TOAST_SLIDE) / TOAST_SLIDE;
+    const w = 340;
+    const h = 52;
+    const x = this.cw / 2 - w / 2;
+    const y = lerp(-h, 96, slide);
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(10,20,35,0.92)';
+    ctx.strokeStyle = toast.color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.roundRect(x, y, w, h, 10);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = toast.color;
+    ctx.font = '24px "Courier New"';
+    ctx.fillText(toast.icon, x + 30, y + 35);
+    ctx.textAlign = 'left';
+    ctx.font = 'bold 11px "Courier New"';
+    ctx.fillText(toast.title, x + 56, y + 20);
+    ctx.fillStyle = '#e8f4ff';
+    ctx.font = 'bold 15px "Courier New"';
+    ctx.fillText(toast.text, x + 56, y + 40);
+    ctx.restore();
   }
 
   draw(ctx, gameState) {
     const {
       distance, levelLength, speed, score, streak,
-      owl, player, level, levelComplete,
+      owl, player, level, levelName, levelComplete,
       pickupActive, activePickupType,
       swoopsDodged, dashCooldown, dashCooldownMax,
-      auroraActive, blizzardActive
+      auroraActive, blizzardActive, effects, ghostDistance, endless, boss
     } = gameState;
 
-    // Progress bar (top)
-    this._drawProgressBar(ctx, distance, levelLength);
+    // Progress bar (top): to the finish line, or in Endless to the next draft
+    const barStart = endless ? endless.milestoneStart : 0;
+    const barEnd = endless ? endless.nextMilestone : levelLength;
+    this._drawProgressBar(ctx, distance, barStart, barEnd, !!endless);
+
+    // Race against the personal-best ghost
+    if (ghostDistance !== null && ghostDistance !== undefined) {
+      this._drawGhostIndicator(ctx, distance, ghostDistance, barStart, barEnd);
+    }
 
     // Score and streak
     this._drawScore(ctx, score, streak);
@@ -46,6 +101,10 @@ export class HUD {
     ctx.font = '11px "Courier New"';
     ctx.textAlign = 'right';
     ctx.fillText('OWL THREAT', this.cw - 175, 60);
+    const { personality } = owl.brain;
+    ctx.fillStyle = personality.color;
+    ctx.font = '10px "Courier New"';
+    ctx.fillText(personality.name.toUpperCase(), this.cw - 175, 73);
 
     // Pickup indicators
     this._drawPickupIndicator(ctx, player);
@@ -57,7 +116,7 @@ export class HUD {
     ctx.fillStyle = 'rgba(255,255,255,0.6)';
     ctx.font = '12px "Courier New"';
     ctx.textAlign = 'left';
-    ctx.fillText(`LEVEL ${level}`, 20, 70);
+    ctx.fillText(endless ? `ENDLESS · OWL ${endless.owlTierName.toUpperCase()}` : (levelName ? `LEVEL ${level} · ${levelName.toUpperCase()}` : `LEVEL ${level}`), 20, 70);
 
     // Speed indicator
     const speedPct = Math.floor((speed / 400) * 100);
@@ -65,6 +124,9 @@ export class HUD {
     ctx.font = '11px "Courier New"';
     ctx.fillText(`${speedPct}km/h`, 20, 85);
 
+    // Active timed effects
+    if (effects && effects.length > 0) this._drawEffects(ctx, effects);
+
     // Special events
     if (auroraActive) {
       ctx.fillStyle = 'rgba(100,255,200,0.8)';
@@ -79,6 +141,13 @@ export class HUD {
       ctx.fillText('❄️ BLIZZARD ❄️', this.cw / 2, 75);
     }
 
+    // Owl boss: health, phase, time to hold out, pinecones and the attack it's rearing for
+    if (boss) this._drawBoss(ctx, boss);
+
+    // The owl's attack while it's telegraphed
+    const attack = owlAttackDef(owl.warning);
+    if (attack) this._drawOwlWarning(ctx, attack, owl.wingPhase);
+
     // Swoop dodge counter
     if (swoopsDodged > 0) {
       ctx.fillStyle = 'rgba(150,220,255,0.7)';
@@ -99,12 +168,12 @@ export class HUD {
     }
   }
 
-  _drawProgressBar(ctx, distance, levelLength) {
+  _drawProgressBar(ctx, distance, start, end, endless = false) {
     const bw = this.cw - 40;
     const bh = 12;
     const bx = 20;
     const by = 16;
-    const progress = Math.min(distance / levelLength, 1);
+    const progress = clamp((distance - start) / (end - start), 0, 1);
 
     // Background
     ctx.fillStyle = 'rgba(0,0,0,0.4)';
@@ -134,7 +203,25 @@ export class HUD {
     ctx.fillStyle = 'rgba(255,255,255,0.8)';
     ctx.font = '10px "Courier New"';
     ctx.textAlign = 'center';
-    ctx.fillText(`${Math.floor(distance)}m / ${levelLength}m`, this.cw / 2, by + bh + 14);
+    const label = endless ? `${Math.floor(distance)}m · next draft at ${end}m` : `${Math.floor(distance)}m / ${end}m`;
+    ctx.fillText(label, this.cw / 2, by + bh + 14);
+  }
+
+  _drawGhostIndicator(ctx, distance, ghostDistance, start, end) {
+    // Marker on the progress bar
+    const bw = this.cw - 40;
+    const gx = 20 + (bw - 2) * clamp((ghostDistance - start) / (end - start), 0, 1);
+    ctx.fillStyle = 'rgba(255,255,255,0.7)';
+    ctx.beginPath();
+    ctx.arc(gx, 22, 4, 0, Math.PI * 2);
+    ctx.fill();
+
+    const delta = Math.floor(distance - ghostDistance);
+    const ahead = delta >= 0;
+    ctx.fillStyle = ahead ? 'rgba(120,230,150,0.9)' : 'rgba(255,150,150,0.9)';
+    ctx.font = 'bold 11px "Courier New"';
+    ctx.textAlign = 'center';
+    ctx.fillText(`👻 ${ahead ? '▲' : '▼'} ${Math.abs(delta)}m ${ahead ? 'AHEAD OF' : 'BEHIND'} BEST`, this.cw / 2, 58);
   }
 
   _drawScore(ctx, score, streak) {
@@ -175,6 +262,101 @@ export class HUD {
     }
   }
 
+  _drawBoss(ctx, boss) {
+    const bw = 260;
+    const bx = this.cw / 2 - bw / 2;
+    const by = this.ch - 44;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0,0,0,0.45)';
+    ctx.beginPath();
+    ctx.roundRect(bx - 10, by - 18, bw + 20, 52, 8);
+    ctx.fill();
+
+    ctx.fillStyle = boss.phase >= BOSS_PHASES ? '#ff7675' : '#f5b82e';
+    ctx.font = 'bold 12px "Courier New"';
+    ctx.textAlign = 'center';
+    ctx.fillText(`THE SNOW OWL · PHASE ${boss.phase}/${BOSS_PHASES}`, this.cw / 2, by - 4);
+
+    // Health, a notch per pinecone hit
+    const segW = bw / boss.maxHealth;
+    for (let i = 0; i < boss.maxHealth; i++) {
+      ctx.fillStyle = i < boss.health ? '#e74c3c' : 'rgba(255,255,255,0.15)';
+      ctx.fillRect(bx + i * segW + 1, by + 2, segW - 2, 8);
+    }
+
+    // Holding out: the bar empties as the owl tires
+    const left = clamp(1 - boss.elapsed / boss.duration, 0, 1);
+    ctx.fillStyle = 'rgba(255,255,255,0.15)';
+    ctx.fillRect(bx, by + 14, bw, 4);
+    ctx.fillStyle = '#74b9ff';
+    ctx.fillRect(bx, by + 14, bw * left, 4);
+
+    ctx.font = '10px "Courier New"';
+    ctx.fillStyle = 'rgba(255,255,255,0.75)';
+    ctx.textAlign = 'left';
+    ctx.fillText(`HOLD OUT ${Math.ceil((boss.duration - boss.elapsed) / 1000)}s`, bx, by + 30);
+    ctx.textAlign = 'right';
+    ctx.fillStyle = boss.ammo > 0 ? '#e0a060' : 'rgba(255,255,255,0.4)';
+    ctx.fillText(`PINECONES ${boss.ammo}/${BOSS_AMMO_MAX}${boss.ammo > 0 ? ' [SPACE] THROW' : ''}`, bx + bw, by + 30);
+
+    if (boss.state === 'telegraph' && boss.attack) {
+      ctx.globalAlpha = 0.6 + 0.4 * Math.sin(boss.stateTimer * 0.02);
+      ctx.fillStyle = '#ff7675';
+      ctx.font = 'bold 16px "Courier New"';
+      ctx.textAlign = 'center';
+      ctx.fillText(`⚠ ${bossAttackDef(boss.attack.id).name.toUpperCase()} ⚠`, this.cw / 2, 98);
+    }
+    ctx.restore();
+  }
+
+  /** pulse: any steadily rising number to flash by */
+  _drawOwlWarning(ctx, attack, pulse) {
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.globalAlpha = 0.65 + 0.35 * Math.sin(pulse * 8);
+    ctx.fillStyle = '#ff7675';
+    ctx.font = 'bold 16px "Courier New"';
+    ctx.fillText(`⚠ ${attack.name.toUpperCase()} ⚠`, this.cw / 2, 98);
+    ctx.globalAlpha = 0.8;
+    ctx.fillStyle = 'rgba(255,220,220,0.9)';
+    ctx.font = '11px "Courier New"';
+    ctx.fillText(attack.hint, this.cw / 2, 114);
+    ctx.restore();
+  }
+
+  _drawEffects(ctx, effects) {
+    const x = 20;
+    let y = 104;
+
+    for (const e of effects) {
+      const pct = Math.max(0, Math.min(1, e.remaining / e.duration));
+
+      ctx.save();
+      ctx.font = '13px serif';
+      ctx.textAlign = 'left';
+      ctx.fillText(e.icon, x, y + 4);
+
+      // Countdown bar
+      ctx.fillStyle = 'rgba(0,0,0,0.4)';
+      ctx.beginPath();
+      ctx.roundRect(x + 20, y - 4, 60, 6, 3);
+      ctx.fill();
+      ctx.fillStyle = e.color || '#fff';
+      ctx.beginPath();
+      ctx.roundRect(x + 20, y - 4, Math.max(3, 60 * pct), 6, 3);
+      ctx.fill();
+
+      ctx.fillStyle = 'rgba(255,255,255,0.7)';
+      ctx.font = '10px "Courier New"';
+      const stacks = e.stacks > 1 ? ` x${e.stacks}` : '';
+      ctx.fillText(`${Math.ceil(e.remaining / 1000)}s${stacks}`, x + 86, y + 2);
+      ctx.restore();
+
+      y += 18;
+    }
+  }
+
   _drawDashIndicator(ctx, player) {
     const px = this.cw - 140;
     const py = 78;
@@ -0,0 +1,136 @@
+// ============================================================
+// ScreenManager.js - Screen stack with validated transitions
+// ============================================================
+
+/**
+ * One screen of the game (title, playing, pause...). Screens own their
+ * input, update, drawing and the side effects of entering and leaving.
+ */
+export class Screen {
+  constructor(game) {
+    this.game = game;
+    this.opaque = true; // false lets the screens below show through
+    this.showCursor = true;
+    this.ui = null; // UILayout, when the screen has widgets
+  }
+
+  get cw() {
+    return this.game.cw;
+  }
+
+  get ch() {
+    return this.game.ch;
+  }
+
+  /** Became the top screen via change() or push(); params come from the caller */
+  enter(params) {}
+
+  /** Removed from the stack */
+  exit() {}
+
+  /** An overlay above this screen was popped */
+  resume() {}
+
+  /** Read this tick's presses; called before update */
+  handleInput(input) {}
+
+  update(dt) {}
+
+  draw(ctx, alpha) {}
+
+  /** Mouse click / tap in canvas coordinates */
+  click(x, y) {
+    if (this.ui) this.ui.click(x, y);
+  }
+
+  /** Pointer moved over the canvas (hover) */
+  pointerMove(x, y) {
+    if (this.ui) this.ui.pointerMove(x, y);
+  }
+}
+
+/**
+ * Holds the stack of active screens. The top screen gets input, updates
+ * and clicks; every screen from the topmost opaque one upwards is drawn,
+ * so overlays like pause sit over a frozen game. Transitions not listed
+ * in the table throw, which catches flows that skip a screen's exit.
+ */
+export class ScreenManager {
+  /**
+   * screens: name -> Screen
+   * transitions: name -> names it may change to or push
+   */
+  constructor(screens, transitions) {
+    this.screens = screens;
+    this.transitions = transitions;
+    this.stack = []; // names, bottom first
+  }
+
+  get name() {
+    return this.stack[this.stack.length - 1] || null;
+  }
+
+  get current() {
+    return this.screens[this.name] || null;
+  }
+
+  /** Whether name is anywhere on the stack (e.g. playing under pause) */
+  has(name) {
+    return this.stack.includes(name);
+  }
+
+  /** Replace the whole stack with one screen */
+  change(name, params) {
+    this._validate(name);
+    while (this.stack.length > 0) this.screens[this.stack.pop()].exit();
+    this.stack.push(name);
+    this.screens[name].enter(params);
+  }
+
+  /** Put a screen over the current one without leaving it */
+  push(name, params) {
+    this._validate(name);
+    this.stack.push(name);
+    this.screens[name].enter(params);
+  }
+
+  /** Close the top screen and go back to the one below */
+  pop() {
+    if (this.stack.length < 2) throw new Error(`Nothing under screen '${this.name}' to return to`);
+    this.screens[this.stack.pop()].exit();
+    this.current.resume();
+  }
+
+  update(dt, input) {
+    const screen = this.current;
+    if (!screen) return;
+    screen.handleInput(input);
+    // Input may have moved on to another screen; it updates from next tick
+    if (screen === this.current) screen.update(dt);
+  }
+
+  /** alpha only goes to the top screen - the ones below are frozen */
+  draw(ctx, alpha) {
+    let first = this.stack.length - 1;
+    while (first > 0 && !this.screens[this.stack[first]].opaque) first--;
+    for (let i = first; i < this.stack.length; i++) {
+      this.screens[this.stack[i]].draw(ctx, i === this.stack.length - 1 ? alpha : 1);
+    }
+  }
+
+  click(x, y) {
+    if (this.current) this.current.click(x, y);
+  }
+
+  pointerMove(x, y) {
+    if (this.current) this.current.pointerMove(x, y);
+  }
+
+  _validate(to) {
+    if (!this.screens[to]) throw new Error(`Unknown screen: ${to}`);
+    const from = this.name;
+    if (from !== null && !(this.transitions[from] || []).includes(to)) {
+      throw new Error(`Invalid screen transition: ${from} -> ${to}`);
+    }
+  }
+}
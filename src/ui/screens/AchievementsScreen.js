@@ -0,0 +1,153 @@
+// ============================================================
+// AchievementsScreen.js - Every achievement with its tier and progress
+// ============================================================
+
+import { Screen } from '../ScreenManager.js';
+import { UILayout, UI_KEYS, Button } from '../widgets.js';
+import { ACHIEVEMENTS, tierName, tierDesc } from '../../systems/Achievements.js';
+
+const COLUMNS = 2;
+const ROWS = Math.ceil(ACHIEVEMENTS.length / COLUMNS);
+const GRID = { x: 30, y: 84, w: 740, rowH: 22, gap: 2 };
+const CELL_W = GRID.w / COLUMNS;
+const GOLD = '#f1c40f';
+
+export class AchievementsScreen extends Screen {
+  constructor(game) {
+    super(game);
+    this.selected = 0; // index into ACHIEVEMENTS; its details show below the grid
+
+    this.ui = new UILayout({
+      widgets: [
+        new Button({
+          label: 'BACK',
+          font: '12px "Courier New"',
+          x: this.cw / 2 - 80,
+          y: this.ch - 62,
+          w: 160,
+          h: 28,
+          onActivate: () => game.screens.change('title'),
+        }),
+      ],
+    });
+  }
+
+  enter() {
+    this.selected = 0;
+  }
+
+  handleInput(input) {
+    if (input.anyPressed(...UI_KEYS.back)) {
+      this.game.screens.change('title');
+      return;
+    }
+    // The grid fills down the first column, then the second
+    const row = this.selected % ROWS;
+    const col = Math.floor(this.selected / ROWS);
+    if (input.anyPressed(...UI_KEYS.up)) this._select(col, row - 1);
+    if (input.anyPressed(...UI_KEYS.down)) this._select(col, row + 1);
+    if (input.anyPressed(...UI_KEYS.left)) this._select(col - 1, row);
+    if (input.anyPressed(...UI_KEYS.right)) this._select(col + 1, row);
+    this.ui.handleInput(input);
+  }
+
+  _select(col, row) {
+    if (col < 0 || col >= COLUMNS || row < 0 || row >= ROWS) return;
+    this.selected = Math.min(col * ROWS + row, ACHIEVEMENTS.length - 1);
+  }
+
+  pointerMove(x, y) {
+    super.pointerMove(x, y);
+    const col = Math.floor((x - GRID.x) / CELL_W);
+    const row = Math.floor((y - GRID.y) / (GRID.rowH + GRID.gap));
+    if (x >= GRID.x && col < COLUMNS && y >= GRID.y && row < ROWS && col * ROWS + row < ACHIEVEMENTS.length) {
+      this.selected = col * ROWS + row;
+    }
+  }
+
+  draw(ctx) {
+    const game = this.game;
+    const tracker = game.achievements;
+    game.drawBackdrop(ctx, '#050810', '#0a1420');
+    game.drawSnow(ctx);
+
+    const [got, all] = tracker.totals;
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#e8f4ff';
+    ctx.font = 'bold 24px "Courier New"';
+    ctx.fillText('ACHIEVEMENTS', this.cw / 2, 45);
+    ctx.fillStyle = 'rgba(150,200,255,0.6)';
+    ctx.font = '11px "Courier New"';
+    ctx.fillText(`${game.profileName} · ${got} of ${all} unlocked (tiers count separately)`, this.cw / 2, 68);
+
+    ACHIEVEMENTS.forEach((def, i) => {
+      const x = GRID.x + Math.floor(i / ROWS) * CELL_W;
+      const y = GRID.y + (i % ROWS) * (GRID.rowH + GRID.gap);
+      this._drawCell(ctx, def, tracker.status(def), x, y, i === this.selected);
+    });
+    this._drawDetails(ctx, ACHIEVEMENTS[this.selected], tracker.status(ACHIEVEMENTS[this.selected]));
+
+    this.ui.draw(ctx);
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#74b9ff';
+    ctx.font = '12px "Courier New"';
+    ctx.fillText('arrows or point to look   [ESC] back', this.cw / 2, this.ch - 18);
+
+    game.drawVignette(ctx);
+  }
+
+  _drawCell(ctx, def, status, x, y, selected) {
+    const w = CELL_W - 8;
+    const h = GRID.rowH;
+    const secret = def.hidden && status.tier === 0;
+    ctx.fillStyle = selected ? 'rgba(116,185,255,0.18)' : 'rgba(255,255,255,0.05)';
+    ctx.beginPath();
+    ctx.roundRect(x, y, w, h, 4);
+    ctx.fill();
+
+    ctx.textAlign = 'center';
+    ctx.font = '13px "Courier New"';
+    ctx.fillStyle = status.tier > 0 ? (def.color || GOLD) : 'rgba(200,230,255,0.3)';
+    ctx.fillText(secret ? '?' : def.icon, x + 14, y + 16);
+
+    ctx.textAlign = 'left';
+    ctx.font = `${status.done ? 'bold ' : ''}12px "Courier New"`;
+    ctx.fillStyle = status.done ? GOLD : status.tier > 0 ? '#e8f4ff' : 'rgba(200,230,255,0.6)';
+    ctx.fillText(secret ? '???' : tierName(def, Math.max(1, status.tier)), x + 30, y + 15);
+
+    // Progress towards the next tier
+    const barX = x + w - 120;
+    const barW = 70;
+    ctx.fillStyle = 'rgba(255,255,255,0.1)';
+    ctx.fillRect(barX, y + 8, barW, 6);
+    ctx.fillStyle = status.done ? GOLD : '#74b9ff';
+    ctx.fillRect(barX, y + 8, barW * (status.progress / status.target), 6);
+
+    ctx.textAlign = 'right';
+    ctx.font = '10px "Courier New"';
+    ctx.fillStyle = 'rgba(200,230,255,0.7)';
+    const tiers = status.tiers > 1 ? ` ${status.tier}/${status.tiers}` : '';
+    ctx.fillText(status.done ? `✓${tiers}` : `${status.progress}/${status.target}`, x + w - 6, y + 15);
+  }
+
+  _drawDetails(ctx, def, status) {
+    const secret = def.hidden && status.tier === 0;
+    const y = GRID.y + ROWS * (GRID.rowH + GRID.gap) + 8;
+    ctx.fillStyle = 'rgba(0,0,0,0.4)';
+    ctx.beginPath();
+    ctx.roundRect(GRID.x, y, GRID.w - 8, 44, 8);
+    ctx.fill();
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = status.done ? GOLD : '#e8f4ff';
+    ctx.font = 'bold 13px "Courier New"';
+    const name = secret ? 'Hidden achievement' : tierName(def, Math.min(status.tier + 1, status.tiers));
+    ctx.fillText(name, this.cw / 2, y + 18);
+    ctx.fillStyle = 'rgba(200,230,255,0.8)';
+    ctx.font = '12px "Courier New"';
+    let text = secret ? 'Keep playing to find out.' : tierDesc(def, status.tier + 1);
+    if (!secret && def.scope === 'level' && !status.done) text += ` (best level so far: ${status.progress})`;
+    ctx.fillText(text, this.cw / 2, y + 36);
+  }
+}
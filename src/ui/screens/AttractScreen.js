@@ -0,0 +1,87 @@
+// ============================================================
+// AttractScreen.js - Bot-played demo runs shown after idling on the title
+// ============================================================
+
+import { Screen } from '../ScreenManager.js';
+import { CHARACTERS } from '../../entities/Player.js';
+import { World, TICK_RATE } from '../../sim/World.js';
+import { Bot, BOT_SKILL } from '../../sim/Bot.js';
+import { SeededRNG } from '../../utils.js';
+
+const ATTRACT_RESTART_TICKS = 2 * TICK_RATE; // pause between demo runs
+
+export class AttractScreen extends Screen {
+  constructor(game) {
+    super(game);
+    this.world = null;
+    this.bot = null;
+    this.endTicks = 0;
+  }
+
+  enter() {
+    this._startDemo();
+  }
+
+  exit() {
+    this.world = null;
+    this.bot = null;
+  }
+
+  /** A demo run played by the bot on a random level and character */
+  _startDemo() {
+    const game = this.game;
+    const seed = Date.now();
+    this.world = new World({
+      seed,
+      level: game.fxRng.nextInt(1, 4),
+      charIdx: game.fxRng.nextInt(0, CHARACTERS.length - 1),
+      width: game.cw,
+      height: game.ch,
+    });
+    this.world.events.on('popup', (e) => game.hud.addScorePopup(e.x, e.y, e.text, e.color));
+    this.bot = new Bot({ skill: BOT_SKILL.EXPERT, rng: new SeededRNG(seed).fork('bot') });
+    this.endTicks = 0;
+  }
+
+  handleInput(input) {
+    if (input.anyKeyPressed()) this.game.screens.change('title');
+  }
+
+  click() {
+    this.game.screens.change('title');
+  }
+
+  update(dt) {
+    const world = this.world;
+    if (!world.outcome) {
+      world.update(dt, this.bot.decide(world));
+    } else if (++this.endTicks >= ATTRACT_RESTART_TICKS) {
+      this._startDemo();
+    }
+  }
+
+  draw(ctx, alpha) {
+    const world = this.world;
+    this.game.drawWorld(ctx, world, alpha);
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = 'rgba(0,0,0,0.45)';
+    ctx.fillRect(0, this.ch / 2 - 70, this.cw, 100);
+
+    ctx.shadowBlur = 20;
+    ctx.shadowColor = '#a0c8ff';
+    ctx.fillStyle = '#e8f4ff';
+    ctx.font = 'bold 36px "Courier New"';
+    ctx.fillText('SNOW OWL CHASE', this.cw / 2, this.ch / 2 - 25);
+    ctx.shadowBlur = 0;
+
+    ctx.fillStyle = `rgba(160,200,255,${0.6 + Math.sin(Date.now() * 0.004) * 0.4})`;
+    ctx.font = 'bold 16px "Courier New"';
+    ctx.fillText('DEMO · PRESS ANY KEY TO PLAY', this.cw / 2, this.ch / 2 + 8);
+
+    const char = CHARACTERS[world.charIdx] || CHARACTERS[0];
+    ctx.fillStyle = 'rgba(200,230,255,0.6)';
+    ctx.font = '11px "Courier New"';
+    ctx.fillText(`Autopilot · Level ${world.level} · ${char.name}`, this.cw / 2, this.ch / 2 + 24);
+  }
+}
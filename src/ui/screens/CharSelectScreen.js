@@ -0,0 +1,186 @@
+// ============================================================
+// CharSelectScreen.js - Pick a runner and toggle Attribute Mode
+// ============================================================
+
+import { Screen } from '../ScreenManager.js';
+import { UILayout, UI_KEYS, Button, Card, Toggle } from '../widgets.js';
+import { CHARACTERS } from '../../entities/Player.js';
+import { wrapText } from '../../utils.js';
+
+const CARD_W = 140;
+const CARD_H = 240;
+const CARD_GAP = 16;
+
+export class CharSelectScreen extends Screen {
+  constructor(game) {
+    super(game);
+    // Cards narrow when mods add runners, so every one still fits
+    const n = CHARACTERS.length;
+    const cardW = Math.min(CARD_W, (this.cw - 40 - (n - 1) * CARD_GAP) / n);
+    const startX = (this.cw - (n * cardW + (n - 1) * CARD_GAP)) / 2;
+
+    // Focused card = highlighted runner; confirm or double click picks it
+    this.ui = new UILayout({ axis: 'horizontal', wasd: true });
+    this.cards = CHARACTERS.map((char, i) => this.ui.add(new Card({
+      x: startX + i * (cardW + CARD_GAP),
+      y: 70,
+      w: cardW,
+      h: CARD_H,
+      accent: char.color,
+      lift: 10,
+      drawContent: (ctx, card) => this._drawCard(ctx, char, card),
+      onActivate: () => this._confirm(),
+    })));
+    this.ui.add(new Toggle({
+      label: 'ATTRIBUTE MODE',
+      hint: 'TAB',
+      get: () => game.attributesMode,
+      set: (on) => game.setAttributesMode(on),
+      x: this.cw / 2 - 160,
+      y: this.ch - 105,
+      w: 320,
+      h: 30,
+      focusable: false,
+    }));
+    this.ui.add(new Button({
+      label: 'CONFIRM [ENTER]',
+      color: () => CHARACTERS[this.idx].color,
+      textColor: '#fff',
+      font: 'bold 14px "Courier New"',
+      x: this.cw / 2 - 100,
+      y: this.ch - 63,
+      w: 200,
+      h: 34,
+      focusable: false,
+      onActivate: () => this._confirm(),
+    }));
+  }
+
+  /** Highlighted card */
+  get idx() {
+    return this.ui.focusIdx;
+  }
+
+  enter() {
+    this.ui.focus(this.cards[this.game.selectedCharIdx]);
+  }
+
+  handleInput(input) {
+    if (input.wasPressed('Tab')) {
+      this.game.setAttributesMode(!this.game.attributesMode);
+    }
+    if (input.anyPressed(...UI_KEYS.back)) {
+      this.game.screens.change('title');
+      return;
+    }
+    this.ui.handleInput(input);
+  }
+
+  _confirm() {
+    this.game.selectCharacter(this.idx);
+    this.game.screens.change('title');
+  }
+
+  draw(ctx) {
+    this.game.drawBackdrop(ctx, '#050810', '#0a1420');
+    this.game.drawSnow(ctx);
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#e8f4ff';
+    ctx.font = 'bold 28px "Courier New"';
+    ctx.fillText('SELECT RUNNER', this.cw / 2, 50);
+
+    ctx.fillStyle = 'rgba(150,200,255,0.6)';
+    ctx.font = '11px "Courier New"';
+    ctx.fillText('each character has unique perks', this.cw / 2, 72);
+
+    this.ui.draw(ctx);
+    this.game.drawVignette(ctx);
+  }
+
+  _drawCard(ctx, char, card) {
+    const cx = card.x + card.w / 2;
+    const cy = card.y + card.h / 2;
+
+    // Character preview
+    this._drawCharPreview(ctx, char, cx, cy - 30);
+
+    // Name
+    ctx.fillStyle = char.color;
+    ctx.font = 'bold 12px "Courier New"';
+    ctx.textAlign = 'center';
+    ctx.fillText(char.name.replace('The ', ''), cx, cy + 65);
+
+    // Perk
+    ctx.fillStyle = 'rgba(150,230,150,0.8)';
+    ctx.font = '9px "Courier New"';
+    const perkLines = wrapText(char.perk, 13);
+    perkLines.forEach((line, li) => ctx.fillText(line, cx, cy + 82 + li * 13));
+
+    // Tradeoff
+    ctx.fillStyle = 'rgba(255,150,150,0.7)';
+    const tradeLines = wrapText(char.tradeoff, 13);
+    tradeLines.forEach((line, li) => ctx.fillText(line, cx, cy + 108 + li * 13));
+  }
+
+  _drawCharPreview(ctx, char, cx, cy) {
+    ctx.save();
+    ctx.scale(1.4, 1.4);
+    const sx = cx / 1.4;
+    const sy = cy / 1.4;
+
+    // Legs
+    ctx.fillStyle = char.color;
+    ctx.fillRect(sx - 9, sy - 8, 7, 16);
+    ctx.fillRect(sx + 2, sy - 8, 7, 16);
+    // Body
+    ctx.beginPath();
+    ctx.roundRect(sx - 12, sy - 34, 24, 28, 4);
+    ctx.fill();
+    // Scarf
+    ctx.fillStyle = char.scarfColor;
+    ctx.fillRect(sx - 13, sy - 24, 26, 7);
+    // Head
+    ctx.fillStyle = char.color;
+    ctx.beginPath();
+    ctx.arc(sx, sy - 42, 11, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Hat (reuse player hat logic)
+    ctx.fillStyle = char.scarfColor;
+    switch (char.hatType) {
+      case 'beanie':
+        ctx.beginPath();
+        ctx.roundRect(sx - 10, sy - 55, 20, 12, [6, 6, 0, 0]);
+        ctx.fill();
+        ctx.fillStyle = '#fff';
+        ctx.beginPath();
+        ctx.arc(sx, sy - 55, 4, 0, Math.PI * 2);
+        ctx.fill();
+        break;
+      case 'tophat':
+        ctx.fillStyle = '#2c3e50';
+        ctx.fillRect(sx - 7, sy - 65, 14, 18);
+        ctx.fillRect(sx - 12, sy - 48, 24, 4);
+        break;
+      case 'hood':
+        ctx.beginPath();
+        ctx.arc(sx, sy - 47, 14, Math.PI, 0);
+        ctx.fill();
+        ctx.fillRect(sx - 14, sy - 47, 28, 6);
+        break;
+      case 'cap':
+        ctx.beginPath();
+        ctx.roundRect(sx - 10, sy - 55, 20, 8, [4, 4, 0, 0]);
+        ctx.fill();
+        ctx.fillRect(sx - 14, sy - 48, 22, 3);
+        break;
+    }
+    // Eyes
+    ctx.fillStyle = '#1a1a2e';
+    ctx.fillRect(sx - 5, sy - 46, 3, 3);
+    ctx.fillRect(sx + 2, sy - 46, 3, 3);
+
+    ctx.restore();
+  }
+}
@@ -0,0 +1,554 @@
+// ============================================================
+// EditorScreen.js - Level editor: place things lane by lane, test, share
+// ============================================================
+
+import { Screen } from '../ScreenManager.js';
+import { UILayout, Button } from '../widgets.js';
+import { Obstacle, obstacleDefs, getObstacleDef } from '../../entities/Obstacle.js';
+import { Pickup, PICKUP_INFO } from '../../entities/Pickup.js';
+import { NPC } from '../../entities/NPC.js';
+import { computeLanes } from '../../sim/World.js';
+import { PX_PER_METER } from '../../systems/Spawner.js';
+import { LEVEL_THEMES, parseLevel } from '../../sim/Levels.js';
+import { getBiome, biomeDefs } from '../../sim/Biomes.js';
+import { LevelDraft, EDITOR_STEP } from '../../sim/LevelDraft.js';
+import { SeededRNG, clamp, downloadText, pickTextFile, promptText } from '../../utils.js';
+
+const PLAYER_Y_OFFSET = 100; // the player runs this far above the bottom edge, as in a World
+const FIELD_TOP = 84; // the level shows between the top and bottom bars
+const FIELD_BOTTOM_GAP = 74;
+const CELL_W = 150;
+const CELL_H = 26;
+const BIG_STEP = 5; // rows moved with Shift held
+const PAGE_STEP = 100; // meters moved by Page Up / Page Down
+const LABEL_EVERY = 50; // meters between distance labels
+
+const EVENT_LABELS = { aurora: '✦ AURORA', blizzard: '❄ BLIZZARD' };
+
+/**
+ * The level being edited scrolls under a cursor that sits where the
+ * player runs: the cursor's distance is where a test starts. Edits are
+ * saved as they are made (see Game.saveCustomLevels).
+ */
+export class EditorScreen extends Screen {
+  constructor(game) {
+    super(game);
+    this.lanePositions = computeLanes(this.cw);
+    this.drafts = []; // LevelDraft per saved level
+    this.index = 0;
+    this.at = 0; // cursor distance (meters)
+    this.lane = 2;
+    this.tools = [];
+    this.toolIdx = 0;
+    this.hover = null; // { at, lane } under the pointer
+    this.message = '';
+    this.messageIsError = false;
+    this.confirmDelete = false;
+    this._previews = new Map(); // what a cell holds -> entity drawn for it
+
+    this.ui = new UILayout({
+      widgets: [
+        this._button('‹', 20, 12, 36, 30, () => this._switch(-1), '20px "Courier New"'),
+        this._button('›', this.cw - 56, 12, 36, 30, () => this._switch(1), '20px "Courier New"'),
+        this._button(() => `TOOL: ${this.tool.label}  [Q/E]`, this.cw / 2 - 150, 54, 300, 24, () => this._cycleTool(1)),
+      ],
+    });
+    const actions = [
+      ['▲', () => this._scroll(BIG_STEP * EDITOR_STEP)],
+      ['▼', () => this._scroll(-BIG_STEP * EDITOR_STEP)],
+      ['[T] TEST', () => this._test()],
+      ['[N] NEW', () => this._new()],
+      ['[R] NAME', () => this._rename()],
+      ['[L] LENGTH', () => this._setLength()],
+      ['[G] BIOME', () => this._edit(draft => draft.cycleBiome())],
+      ['[H] THEME', () => this._edit(draft => draft.cycleTheme())],
+      ['[X] EXPORT', () => this._export()],
+      ['[I] IMPORT', () => this._importFile()],
+      ['[K] DELETE', () => this._delete()],
+      ['[ESC] BACK', () => game.screens.change('title')],
+    ];
+    const widths = actions.map(([label]) => (label.length === 1 ? 30 : 66));
+    let x = (this.cw - widths.reduce((a, b) => a + b + 4, -4)) / 2;
+    actions.forEach(([label, action], i) => {
+      this.ui.add(this._button(label, x, this.ch - 44, widths[i], 24, action));
+      x += widths[i] + 4;
+    });
+  }
+
+  _button(label, x, y, w, h, onActivate, font = '11px "Courier New"') {
+    return new Button({ label, font, x, y, w, h, focusable: false, onActivate });
+  }
+
+  get draft() {
+    return this.drafts[this.index];
+  }
+
+  get tool() {
+    return this.tools[this.toolIdx];
+  }
+
+  /** Back from a test (result says how it went) or fresh from the title */
+  enter({ fromTest = false, result = null } = {}) {
+    this._buildTools();
+    this.hover = null;
+    this.confirmDelete = false;
+    if (fromTest) {
+      this._say(result || '');
+      return;
+    }
+    // Saved levels are checked like imported ones; any that fail are dropped
+    const problems = [];
+    this.drafts = [];
+    for (const data of this.game.customLevels) {
+      try {
+        this.drafts.push(new LevelDraft(parseLevel(data)));
+      } catch (e) {
+        problems.push(e.message);
+      }
+    }
+    if (this.drafts.length === 0) this.drafts.push(LevelDraft.blank());
+    this.index = clamp(this.index, 0, this.drafts.length - 1);
+    this.at = 0;
+    if (problems.length > 0) {
+      this._save();
+      this._say(`Dropped ${problems.length} unreadable saved level(s): ${problems[0]}`, true);
+    } else {
+      this._say('');
+    }
+  }
+
+  /** Every obstacle and pickup on offer, mods' included, then the rest */
+  _buildTools() {
+    this.tools = [
+      ...obstacleDefs().map(def => ({ kind: 'obstacle', type: def.type, label: def.name })),
+      ...Object.keys(PICKUP_INFO).map(type => ({ kind: 'pickup', type, label: PICKUP_INFO[type].label })),
+      { kind: 'npc', label: 'Runner' },
+      { kind: 'swoop', label: 'Owl Swoop' },
+      { kind: 'fake', label: 'Decoy Shadow' },
+      { kind: 'erase', label: 'Erase' },
+    ];
+    this.toolIdx = clamp(this.toolIdx, 0, this.tools.length - 1);
+  }
+
+  handleInput(input) {
+    if (input.anyPressed('Escape', 'PadB')) {
+      this.game.screens.change('title');
+      return;
+    }
+    const rows = input.anyDown('ShiftLeft', 'ShiftRight') ? BIG_STEP : 1;
+    if (input.anyPressed('ArrowUp', 'KeyW', 'PadUp')) this._scroll(rows * EDITOR_STEP);
+    if (input.anyPressed('ArrowDown', 'KeyS', 'PadDown')) this._scroll(-rows * EDITOR_STEP);
+    if (input.wasPressed('PageUp')) this._scroll(PAGE_STEP);
+    if (input.wasPressed('PageDown')) this._scroll(-PAGE_STEP);
+    if (input.anyPressed('ArrowLeft', 'KeyA', 'PadLeft')) this.lane = Math.max(0, this.lane - 1);
+    if (input.anyPressed('ArrowRight', 'KeyD', 'PadRight')) this.lane = Math.min(this.lanePositions.length - 1, this.lane + 1);
+    if (input.wasPressed('KeyQ')) this._cycleTool(-1);
+    if (input.wasPressed('KeyE')) this._cycleTool(1);
+    if (input.anyPressed('Space', 'Enter', 'PadA')) this._place(this.tool, this.at, this.lane);
+    if (input.anyPressed('Delete', 'Backspace')) this._place({ kind: 'erase' }, this.at, this.lane);
+    if (input.wasPressed('Comma')) this._switch(-1);
+    if (input.wasPressed('Period')) this._switch(1);
+    if (input.wasPressed('KeyG')) this._edit(draft => draft.cycleBiome());
+    if (input.wasPressed('KeyH')) this._edit(draft => draft.cycleTheme());
+    if (input.wasPressed('KeyR')) this._rename();
+    if (input.wasPressed('KeyL')) this._setLength();
+    if (input.wasPressed('KeyN')) this._new();
+    if (input.wasPressed('KeyX')) this._export();
+    if (input.wasPressed('KeyI')) this._importFile();
+    if (input.wasPressed('KeyV')) this._import(promptText('Paste level JSON:'));
+    if (input.wasPressed('KeyK')) this._delete();
+    if (input.wasPressed('KeyT')) this._test();
+  }
+
+  click(x, y) {
+    if (this.ui.click(x, y)) return;
+    const cell = this._cellUnder(x, y);
+    if (!cell) return;
+    this.lane = cell.lane;
+    this._place(this.tool, cell.at, cell.lane);
+  }
+
+  pointerMove(x, y) {
+    super.pointerMove(x, y);
+    this.hover = this._cellUnder(x, y);
+  }
+
+  /** The row and lane at a canvas point, or null outside the level */
+  _cellUnder(x, y) {
+    if (y < FIELD_TOP || y > this.ch - FIELD_BOTTOM_GAP) return null;
+    const lane = this.lanePositions.findIndex(lx => Math.abs(x - lx) <= CELL_W / 2);
+    const at = Math.round((this.at + (this._lineY - y) / PX_PER_METER) / EDITOR_STEP) * EDITOR_STEP;
+    if (lane < 0 || at < 0 || at > this.draft.data.length) return null;
+    return { at, lane };
+  }
+
+  get _lineY() {
+    return this.ch - PLAYER_Y_OFFSET;
+  }
+
+  /** Canvas y of a distance */
+  _rowY(at) {
+    return this._lineY - (at - this.at) * PX_PER_METER;
+  }
+
+  _scroll(meters) {
+    this.at = clamp(this.at + meters, 0, this._lastRow());
+  }
+
+  /** The furthest row a cursor can sit on: the last one before the finish */
+  _lastRow() {
+    return Math.max(0, Math.ceil(this.draft.data.length / EDITOR_STEP) * EDITOR_STEP - EDITOR_STEP);
+  }
+
+  _cycleTool(dir) {
+    this.toolIdx = (this.toolIdx + dir + this.tools.length) % this.tools.length;
+  }
+
+  _place(tool, at, lane) {
+    this._edit(draft => draft.place(tool, at, lane));
+  }
+
+  /** Apply a change to the level and save, or show why it can't be made */
+  _edit(change) {
+    try {
+      change(this.draft);
+    } catch (e) {
+      this._say(e.message, true);
+      return false;
+    }
+    this.confirmDelete = false;
+    this._say('');
+    this._save();
+    return true;
+  }
+
+  _save() {
+    this.game.saveCustomLevels(this.drafts.map(draft => draft.data));
+  }
+
+  _say(message, isError = false) {
+    this.message = message;
+    this.messageIsError = isError;
+  }
+
+  _switch(dir) {
+    this.index = (this.index + dir + this.drafts.length) % this.drafts.length;
+    this.at = Math.min(this.at, this._lastRow());
+    this.confirmDelete = false;
+    this._say('');
+  }
+
+  _new() {
+    this.drafts.push(LevelDraft.blank());
+    this.index = this.drafts.length - 1;
+    this.at = 0;
+    this._save();
+    this._say('New level started');
+  }
+
+  _rename() {
+    const name = promptText('Level name:', this.draft.data.name);
+    if (name !== null) this._edit(draft => draft.setName(name));
+  }
+
+  _setLength() {
+    const meters = promptText('Level length in meters:', String(this.draft.data.length));
+    if (meters === null) return;
+    if (this._edit(draft => draft.setLength(meters))) this.at = Math.min(this.at, this._lastRow());
+  }
+
+  /** Second press confirms; the last level left is emptied instead */
+  _delete() {
+    if (!this.confirmDelete) {
+      this.confirmDelete = true;
+      this._say(`Press [K] again to delete '${this.draft.data.name}'`, true);
+      return;
+    }
+    this.confirmDelete = false;
+    const name = this.draft.data.name;
+    this.drafts.splice(this.index, 1);
+    if (this.drafts.length === 0) this.drafts.push(LevelDraft.blank());
+    this.index = Math.min(this.index, this.drafts.length - 1);
+    this.at = Math.min(this.at, this._lastRow());
+    this._save();
+    this._say(`Deleted '${name}'`);
+  }
+
+  /** Play the level with the player dropped in at the cursor */
+  _test() {
+    let level;
+    try {
+      level = this.draft.parsed();
+    } catch (e) {
+      this._say(`Can't test: ${e.message}`, true);
+      return;
+    }
+    this.game.startTest(level, this.at);
+  }
+
+  _export() {
+    try {
+      downloadText(`${this.draft.data.id}.json`, this.draft.toJSON());
+      this._say('Level exported');
+    } catch (e) {
+      this._say(`Export failed: ${e.message}`, true);
+    }
+  }
+
+  _importFile() {
+    pickTextFile().then(text => this._import(text));
+  }
+
+  /** Add a level from JSON text; one with the same id is replaced */
+  _import(text) {
+    if (!text) return;
+    let level;
+    try {
+      level = parseLevel(text);
+    } catch (e) {
+      this._say(`Import failed: ${e.message}`, true);
+      return;
+    }
+    const existing = this.drafts.findIndex(draft => draft.data.id === level.id);
+    if (existing >= 0) this.drafts[existing] = new LevelDraft(level);
+    else this.drafts.push(new LevelDraft(level));
+    this.index = existing >= 0 ? existing : this.drafts.length - 1;
+    this.at = 0;
+    this._save();
+    this._say(`Imported '${level.name}'`);
+  }
+
+  draw(ctx) {
+    const draft = this.draft;
+    // Levels without a biome run in the campaign's; show the first
+    const biome = getBiome(draft.data.biome) || biomeDefs()[0];
+    const theme = LEVEL_THEMES[draft.data.theme];
+    const sky = theme ? theme.sky : biome.sky;
+    this.game.drawBackdrop(ctx, sky[0], sky[2]);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, FIELD_TOP, this.cw, this.ch - FIELD_BOTTOM_GAP - FIELD_TOP);
+    ctx.clip();
+    this._drawGrid(ctx, draft);
+    this._drawScript(ctx, draft);
+    this._drawCursor(ctx);
+    ctx.restore();
+
+    this._drawTopBar(ctx, draft, biome, theme);
+    this._drawBottomBar(ctx);
+    this.ui.draw(ctx);
+    this.game.drawVignette(ctx);
+  }
+
+  /** Rows that are on screen: [first, last] in meters */
+  _visibleRows() {
+    const first = Math.max(0, this.at - (this.ch - FIELD_BOTTOM_GAP - this._lineY) / PX_PER_METER);
+    const last = this.at + (this._lineY - FIELD_TOP) / PX_PER_METER;
+    return [Math.floor(first / EDITOR_STEP) * EDITOR_STEP, Math.ceil(last / EDITOR_STEP) * EDITOR_STEP];
+  }
+
+  _drawGrid(ctx, draft) {
+    const length = draft.data.length;
+    const [first, last] = this._visibleRows();
+
+    // Past the finish line
+    const finishY = this._rowY(length);
+    if (finishY > FIELD_TOP) {
+      ctx.fillStyle = 'rgba(0,0,0,0.45)';
+      ctx.fillRect(0, FIELD_TOP, this.cw, finishY - FIELD_TOP);
+    }
+
+    ctx.strokeStyle = 'rgba(200,230,255,0.12)';
+    ctx.lineWidth = 1;
+    for (const x of this.lanePositions) {
+      ctx.beginPath();
+      ctx.moveTo(x, FIELD_TOP);
+      ctx.lineTo(x, this.ch - FIELD_BOTTOM_GAP);
+      ctx.stroke();
+    }
+
+    ctx.font = '10px "Courier New"';
+    ctx.textAlign = 'left';
+    for (let at = first; at <= Math.min(last, length); at += EDITOR_STEP) {
+      const y = this._rowY(at);
+      const labelled = at % LABEL_EVERY === 0;
+      ctx.strokeStyle = labelled ? 'rgba(200,230,255,0.22)' : 'rgba(200,230,255,0.07)';
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(this.cw, y);
+      ctx.stroke();
+      if (labelled) {
+        ctx.fillStyle = 'rgba(200,230,255,0.5)';
+        ctx.fillText(`${at}m`, 4, y - 3);
+      }
+    }
+
+    // Finish line, checkered
+    if (finishY >= FIELD_TOP - 10) {
+      const size = 10;
+      for (let x = 0; x < this.cw; x += size) {
+        for (let row = 0; row < 2; row++) {
+          ctx.fillStyle = (x / size + row) % 2 === 0 ? '#e8f4ff' : '#2d3436';
+          ctx.fillRect(x, finishY - size * 2 + row * size, size, size);
+        }
+      }
+      ctx.fillStyle = '#e8f4ff';
+      ctx.font = 'bold 12px "Courier New"';
+      ctx.textAlign = 'center';
+      ctx.fillText(`FINISH · ${length}m`, this.cw / 2, finishY - 26);
+    }
+  }
+
+  _drawScript(ctx, draft) {
+    const [first, last] = this._visibleRows();
+    const margin = 10 * EDITOR_STEP; // fillers and tall sprites reach in from off screen
+    const onScreen = (e) => e.at !== undefined && e.at >= first - margin && e.at <= last + margin;
+    const entries = draft.script.filter(onScreen);
+
+    // Fillers and events first, under the things placed on rows
+    ctx.textAlign = 'right';
+    ctx.font = 'bold 11px "Courier New"';
+    for (const e of draft.script) {
+      if (e.filler === undefined || e.at === undefined) continue;
+      const top = this._rowY(e.at + e.filler);
+      const bottom = this._rowY(e.at);
+      if (bottom < FIELD_TOP || top > this.ch) continue;
+      ctx.fillStyle = 'rgba(116,185,255,0.1)';
+      ctx.fillRect(0, top, this.cw, bottom - top);
+      ctx.fillStyle = 'rgba(116,185,255,0.7)';
+      const difficulty = e.difficulty !== undefined ? ` · difficulty ${e.difficulty}` : '';
+      ctx.fillText(`RANDOM ${e.filler}m${difficulty}`, this.cw - 6, clamp(bottom - 4, FIELD_TOP + 12, this.ch));
+    }
+    for (const e of entries.filter(e => e.event)) {
+      const y = this._rowY(e.at);
+      ctx.strokeStyle = e.event === 'aurora' ? '#55efc4' : '#dfe6e9';
+      ctx.setLineDash([6, 6]);
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(this.cw, y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = ctx.strokeStyle;
+      ctx.fillText(EVENT_LABELS[e.event], this.cw - 6, y - 4);
+    }
+
+    // Swoop shadows, then what sits on the rows
+    for (const e of entries.filter(e => e.swoop)) {
+      const y = this._rowY(e.at);
+      for (const lane of e.swoop) this._drawShadow(ctx, this.lanePositions[lane], y, false);
+      for (const lane of e.fakes) this._drawShadow(ctx, this.lanePositions[lane], y, true);
+    }
+    for (const e of entries) {
+      const y = this._rowY(e.at);
+      if (e.row) {
+        e.row.forEach((type, lane) => {
+          if (type !== null) this._drawThing(ctx, { obstacle: type }, lane, y);
+        });
+      } else if (e.pickup) {
+        this._drawThing(ctx, { pickup: e.pickup }, e.lane, y);
+      } else if (e.npc) {
+        this._drawThing(ctx, { npc: true }, e.lane, y);
+      }
+    }
+  }
+
+  _drawShadow(ctx, x, y, fake) {
+    ctx.fillStyle = fake ? 'rgba(162,155,254,0.35)' : 'rgba(0,0,0,0.55)';
+    ctx.strokeStyle = fake ? '#a29bfe' : '#d63031';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.ellipse(x, y, 46, 14, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.lineWidth = 1;
+  }
+
+  /** An obstacle, pickup or runner drawn as it looks in play */
+  _drawThing(ctx, thing, lane, y) {
+    const entity = this._preview(thing, lane);
+    if (!entity) {
+      // A type from a mod that isn't loaded
+      ctx.fillStyle = '#ff7675';
+      ctx.font = 'bold 16px "Courier New"';
+      ctx.textAlign = 'center';
+      ctx.fillText('?', this.lanePositions[lane], y - 4);
+      return;
+    }
+    entity.x = entity.prevX = this.lanePositions[lane];
+    entity.y = entity.prevY = y;
+    entity.draw(ctx, 1);
+  }
+
+  _preview(thing, lane) {
+    const key = thing.obstacle ? `obstacle:${thing.obstacle}` : thing.pickup ? `pickup:${thing.pickup}` : 'npc';
+    if (!this._previews.has(key)) {
+      const rng = new SeededRNG(1);
+      const x = this.lanePositions[lane];
+      let entity = null;
+      if (thing.obstacle) entity = getObstacleDef(thing.obstacle) ? new Obstacle(thing.obstacle, lane, x, 0, 0, rng) : null;
+      else if (thing.pickup) entity = PICKUP_INFO[thing.pickup] ? new Pickup(thing.pickup, lane, x, 0, 0, rng) : null;
+      else entity = new NPC(x, 0, 0, this.lanePositions, rng, lane);
+      this._previews.set(key, entity);
+    }
+    return this._previews.get(key);
+  }
+
+  _drawCursor(ctx) {
+    const y = this._lineY;
+    ctx.fillStyle = 'rgba(116,185,255,0.08)';
+    ctx.fillRect(0, y - CELL_H / 2, this.cw, CELL_H);
+
+    if (this.hover) {
+      ctx.strokeStyle = 'rgba(232,244,255,0.35)';
+      ctx.strokeRect(this.lanePositions[this.hover.lane] - CELL_W / 2, this._rowY(this.hover.at) - CELL_H / 2, CELL_W, CELL_H);
+    }
+
+    ctx.strokeStyle = '#74b9ff';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(this.lanePositions[this.lane] - CELL_W / 2, y - CELL_H / 2, CELL_W, CELL_H);
+    ctx.lineWidth = 1;
+
+    ctx.fillStyle = '#74b9ff';
+    ctx.font = 'bold 11px "Courier New"';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${this.at}m ▸ TEST STARTS HERE`, this.cw - 6, y + CELL_H / 2 + 12);
+  }
+
+  _drawTopBar(ctx, draft, biome, theme) {
+    ctx.fillStyle = 'rgba(5,8,16,0.8)';
+    ctx.fillRect(0, 0, this.cw, FIELD_TOP);
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#e8f4ff';
+    ctx.font = 'bold 20px "Courier New"';
+    ctx.fillText(draft.data.name.toUpperCase(), this.cw / 2, 30);
+
+    const timed = draft.script.filter(e => e.time !== undefined).length;
+    const notes = [
+      `level ${this.index + 1} of ${this.drafts.length}`,
+      `${draft.data.length}m`,
+      draft.data.biome ? biome.name : 'campaign biome',
+      theme ? `${theme.name} sky` : 'biome sky',
+      ...(timed > 0 ? [`${timed} timed ${timed === 1 ? 'entry' : 'entries'}`] : []),
+    ];
+    ctx.fillStyle = 'rgba(150,200,255,0.7)';
+    ctx.font = '11px "Courier New"';
+    ctx.fillText(notes.join(' · '), this.cw / 2, 47);
+  }
+
+  _drawBottomBar(ctx) {
+    ctx.fillStyle = 'rgba(5,8,16,0.8)';
+    ctx.fillRect(0, this.ch - FIELD_BOTTOM_GAP, this.cw, FIELD_BOTTOM_GAP);
+
+    ctx.textAlign = 'center';
+    if (this.message) {
+      ctx.fillStyle = this.messageIsError ? '#ff7675' : '#2ecc71';
+      ctx.font = '12px "Courier New"';
+      ctx.fillText(this.message, this.cw / 2, this.ch - 56);
+    }
+    ctx.fillStyle = 'rgba(150,200,255,0.6)';
+    ctx.font = '10px "Courier New"';
+    ctx.fillText('↑↓ distance (SHIFT ×5, PGUP/PGDN 100m)  ←→ lane  SPACE place  DEL erase  , . switch level  [V] paste', this.cw / 2, this.ch - 8);
+  }
+}
@@ -0,0 +1,131 @@
+// ============================================================
+// GameOverScreen.js - Run summary with retry, replays and menu
+// ============================================================
+
+import { Screen } from '../ScreenManager.js';
+import { UILayout, Button } from '../widgets.js';
+import { CHARACTERS } from '../../entities/Player.js';
+import { boardLabel } from '../../systems/Leaderboard.js';
+import { formatTime } from '../../utils.js';
+
+export class GameOverScreen extends Screen {
+  constructor(game) {
+    super(game);
+    const buttons = [
+      ['[R] RETRY', '#e74c3c', () => game.retry()],
+      ['[V] REPLAY', '#8e44ad', () => game.openReplays('gameover')],
+      ['[L] BOARDS', '#d68910', () => this._openBoards()],
+      ['[M] MENU', '#3498db', () => game.screens.change('title')],
+    ];
+    this.ui = new UILayout({
+      axis: 'horizontal',
+      widgets: buttons.map(([label, color, action], i) => new Button({
+        label,
+        color,
+        textColor: '#fff',
+        font: 'bold 13px "Courier New"',
+        x: this.cw / 2 - (buttons.length * 115 - 15) / 2 + i * 115,
+        y: this.ch - 98,
+        w: 100,
+        h: 34,
+        onActivate: action,
+      })),
+    });
+  }
+
+  enter() {
+    this.ui.focusIdx = 0;
+  }
+
+  handleInput(input) {
+    const game = this.game;
+    if (input.wasPressed('KeyR')) {
+      game.retry();
+    } else if (input.anyPressed('KeyM', 'Escape', 'PadB')) {
+      game.screens.change('title');
+    } else if (input.wasPressed('KeyV')) {
+      game.openReplays('gameover');
+    } else if (input.wasPressed('KeyL')) {
+      this._openBoards();
+    } else {
+      this.ui.handleInput(input);
+    }
+  }
+
+  /** Leaderboards, opened on the first board this run placed on */
+  _openBoards() {
+    const placed = this.game.placements[0];
+    this.game.openLeaderboards('gameover', placed ? placed.board : undefined);
+  }
+
+  draw(ctx) {
+    const game = this.game;
+    game.drawBackdrop(ctx, '#0a0000', '#1a0808');
+    game.drawSnow(ctx);
+
+    ctx.textAlign = 'center';
+    ctx.shadowBlur = 25;
+    ctx.shadowColor = '#ff4444';
+    ctx.fillStyle = '#ffd0d0';
+    ctx.font = 'bold 44px "Courier New"';
+    ctx.fillText('CAUGHT!', this.cw / 2, 130);
+    ctx.shadowBlur = 0;
+
+    ctx.fillStyle = 'rgba(255,200,200,0.6)';
+    ctx.font = '16px "Courier New"';
+    ctx.fillText('The snow owl got you...', this.cw / 2, 165);
+
+    // Stats card
+    const world = game.world;
+    const newMark = (isNew) => (isNew ? '★ NEW  ' : '');
+    const stats = game.isEndless ? [
+      ['Score', world.score.toLocaleString()],
+      ['Endless Best Score', newMark(game.newRecords.score) + game.endlessBest.score.toLocaleString()],
+      ['Distance', `${Math.floor(world.distance)}m`],
+      ['Endless Best Distance', `${newMark(game.newRecords.distance)}${game.endlessBest.distance}m`],
+    ] : [
+      ['Score', world.score.toLocaleString()],
+      ['Run Score', `${game.lastRun.score.toLocaleString()} over ${world.level} level${world.level > 1 ? 's' : ''}`],
+      ['Best Score', game.bestScore.toLocaleString()],
+      ['Distance', `${Math.floor(world.distance)}m`],
+    ];
+    stats.push(
+      ['Time', formatTime(world.time)],
+      ['Hits Taken', world.runHits],
+      ['Swoops Dodged', world.swoopsDodged],
+      ['Character', CHARACTERS[game.selectedCharIdx].name],
+      ['Profile', game.profileName],
+    );
+
+    ctx.fillStyle = 'rgba(0,0,0,0.4)';
+    ctx.beginPath();
+    ctx.roundRect(this.cw / 2 - 180, 190, 360, stats.length * 28 + 16, 12);
+    ctx.fill();
+
+    stats.forEach(([label, value], i) => {
+      ctx.fillStyle = 'rgba(200,230,255,0.6)';
+      ctx.font = '13px "Courier New"';
+      ctx.textAlign = 'left';
+      ctx.fillText(label, this.cw / 2 - 160, 214 + i * 28);
+      ctx.fillStyle = '#e8f4ff';
+      ctx.font = 'bold 13px "Courier New"';
+      ctx.textAlign = 'right';
+      ctx.fillText(value, this.cw / 2 + 160, 214 + i * 28);
+    });
+
+    // Leaderboard placings, under the card
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#f1c40f';
+    ctx.font = 'bold 14px "Courier New"';
+    game.placements.forEach((p, i) => {
+      const entry = game.lastEntry;
+      const who = p.own
+        ? ` among ${CHARACTERS[entry.charIdx].name.replace('The ', '')} runs${entry.attributesMode ? '' : ' (equal stats)'}`
+        : '';
+      ctx.fillText(`★ #${p.rank} on the ${boardLabel(p.board)} board${who}!`, this.cw / 2, 226 + stats.length * 28 + i * 20);
+    });
+
+    this.ui.draw(ctx);
+    game.drawVignette(ctx);
+  }
+}
@@ -0,0 +1,121 @@
+// ============================================================
+// HowToPlayScreen.js - Controls and rules reference
+// ============================================================
+
+import { Screen } from '../ScreenManager.js';
+import { UILayout, UI_KEYS, Button } from '../widgets.js';
+import { obstacleDefs } from '../../entities/Obstacle.js';
+import { biomeDefs } from '../../sim/Biomes.js';
+import { OWL_ATTACKS } from '../../entities/Owl.js';
+
+const OBSTACLES_PER_LINE = 2;
+const ATTACKS_PER_LINE = 3;
+
+export class HowToPlayScreen extends Screen {
+  constructor(game) {
+    super(game);
+    this.ui = new UILayout({
+      widgets: [new Button({
+        label: 'BACK',
+        font: '14px "Courier New"',
+        x: this.cw / 2 - 80,
+        y: this.ch - 62,
+        w: 160,
+        h: 32,
+        onActivate: () => game.screens.change('title'),
+      })],
+    });
+  }
+
+  handleInput(input) {
+    if (input.anyPressed(...UI_KEYS.back)) {
+      this.game.screens.change('title');
+      return;
+    }
+    this.ui.handleInput(input);
+  }
+
+  draw(ctx) {
+    this.game.drawBackdrop(ctx, '#050810', '#0a1420');
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#e8f4ff';
+    ctx.font = 'bold 24px "Courier New"';
+    ctx.fillText('HOW TO PLAY', this.cw / 2, 55);
+
+    const lines = [
+      ['MOVEMENT', 'A/D or ← → to swap lanes'],
+      ['JUMP', 'SPACE to jump over logs, branches, snowballs'],
+      ['DASH', 'SHIFT for speed dash (creates owl distance)'],
+      ['FEATHER AXE', '1 or F to chop a tree on collision'],
+      ['', ''],
+      ['OWL THREAT', 'Hits and slow play increase the threat bar'],
+      ['SWOOP ATTACK', 'SHADOW WARNING appears - exit shadow zone fast!'],
+      ['CAPTURE', 'Swoop hit or threat bar maxes out = caught'],
+      ...this._attackLines(),
+      ['OWL', 'Learns your habits; a Stalker, Trickster or Brute'],
+      ['OWL BOSS', 'Ends each act: hold out, or SPACE to throw pinecones'],
+      ['', ''],
+      ['PICKUPS', '🪓 Feather Axe  💨 Wind Gust  ☕ Hot Cocoa'],
+      ['', '🏮 Lantern Charm  🔔 Lucky Bell'],
+      ['', ''],
+      ...this._obstacleLines(),
+      ['', ''],
+      ['NPCs', 'Runner NPCs may get snatched by the owl (dramatic!)'],
+      ['', ''],
+      ...this._hazardLines(),
+    ];
+
+    let y = 95;
+    ctx.textAlign = 'left';
+    for (const [label, text] of lines) {
+      if (!label && !text) { y += 4; continue; }
+      if (label) {
+        ctx.fillStyle = '#74b9ff';
+        ctx.font = 'bold 11px "Courier New"';
+        ctx.fillText(label, this.cw / 2 - 230, y);
+      }
+      ctx.fillStyle = 'rgba(200,230,255,0.8)';
+      ctx.font = '11px "Courier New"';
+      ctx.fillText(text, this.cw / 2 - 90, y);
+      y += 20;
+    }
+
+    this.ui.draw(ctx);
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#74b9ff';
+    ctx.font = '12px "Courier New"';
+    ctx.fillText('[BACKSPACE / ESC to go back]', this.cw / 2, this.ch - 12);
+
+    this.game.drawVignette(ctx);
+  }
+
+  /** Every registered obstacle with its tip, a few to a line */
+  _obstacleLines() {
+    const tips = obstacleDefs().map(def => `${def.name}: ${def.hint || 'dodge'}`);
+    const lines = [];
+    for (let i = 0; i < tips.length; i += OBSTACLES_PER_LINE) {
+      lines.push([i === 0 ? 'OBSTACLES' : '', tips.slice(i, i + OBSTACLES_PER_LINE).join('   ')]);
+    }
+    return lines;
+  }
+
+  /** The owl's attacks beyond the plain swoop, warned on screen as they come */
+  _attackLines() {
+    const names = OWL_ATTACKS.filter(def => def.id !== 'swoop').map(def => def.name);
+    const lines = [];
+    for (let i = 0; i < names.length; i += ATTACKS_PER_LINE) {
+      lines.push([i === 0 ? 'OWL ATTACKS' : '', names.slice(i, i + ATTACKS_PER_LINE).join(' · ')]);
+    }
+    return lines;
+  }
+
+  /** Each biome's hazard with its tip */
+  _hazardLines() {
+    return biomeDefs().filter(def => def.hazard).map((def, i) => [
+      i === 0 ? 'BIOME HAZARDS' : '',
+      `${def.name} - ${def.hazard.name}: ${def.hazard.hint}`,
+    ]);
+  }
+}
@@ -0,0 +1,177 @@
+// ============================================================
+// LeaderboardScreen.js - Top-10 tables per board, filtered by runner and Attribute Mode
+// ============================================================
+
+import { Screen } from '../ScreenManager.js';
+import { UILayout, UI_KEYS, Button } from '../widgets.js';
+import { CHARACTERS } from '../../entities/Player.js';
+import { boardLabel, LEADERBOARD_SIZE } from '../../systems/Leaderboard.js';
+
+const TABLE_Y = 176;
+const ROW_H = 30;
+
+// Runner filter cycles All -> each character -> All; Attribute Mode Any -> On -> Off
+const MODE_FILTERS = [null, true, false];
+
+export class LeaderboardScreen extends Screen {
+  constructor(game) {
+    super(game);
+    this.returnTo = 'title';
+    this.boardIdx = 0;
+    // Built here rather than at import so runners added by mods are listed
+    this.runnerFilters = [null, ...CHARACTERS.map((c, i) => i)];
+    this.runner = 0; // index into runnerFilters
+    this.mode = 0; // index into MODE_FILTERS
+
+    const button = (label, x, y, w, onActivate, focusable = false) => new Button({
+      label, font: '12px "Courier New"', x, y, w, h: 28, focusable, onActivate,
+    });
+    this.ui = new UILayout({
+      widgets: [
+        button('◀', this.cw / 2 - 220, 70, 40, () => this._cycleBoard(-1)),
+        button('▶', this.cw / 2 + 180, 70, 40, () => this._cycleBoard(1)),
+        button(() => `[C] RUNNER: ${this._runnerLabel()}`, this.cw / 2 - 230, 112, 220, () => this._cycleRunner()),
+        button(() => `[M] ATTRIBUTES: ${this._modeLabel()}`, this.cw / 2 + 10, 112, 220, () => this._cycleMode()),
+        button('BACK', this.cw / 2 - 80, this.ch - 62, 160, () => game.screens.change(this.returnTo), true),
+      ],
+    });
+  }
+
+  /** returnTo: the screen ESC goes back to; board: the id to open on */
+  enter({ returnTo = 'title', board = 'campaign' } = {}) {
+    this.returnTo = returnTo;
+    this.boardIdx = Math.max(0, this.game.leaderboards.ids.indexOf(board));
+    this.runner = 0;
+    this.mode = 0;
+  }
+
+  get board() {
+    return this.game.leaderboards.ids[this.boardIdx];
+  }
+
+  handleInput(input) {
+    if (input.anyPressed(...UI_KEYS.back)) {
+      this.game.screens.change(this.returnTo);
+      return;
+    }
+    if (input.anyPressed(...UI_KEYS.left)) this._cycleBoard(-1);
+    if (input.anyPressed(...UI_KEYS.right)) this._cycleBoard(1);
+    if (input.anyPressed('KeyC', 'PadX')) this._cycleRunner();
+    if (input.anyPressed('KeyM', 'PadY')) this._cycleMode();
+    this.ui.handleInput(input);
+  }
+
+  _cycleBoard(dir) {
+    const count = this.game.leaderboards.ids.length;
+    this.boardIdx = (this.boardIdx + dir + count) % count;
+  }
+
+  _cycleRunner() {
+    this.runner = (this.runner + 1) % this.runnerFilters.length;
+  }
+
+  _cycleMode() {
+    this.mode = (this.mode + 1) % MODE_FILTERS.length;
+  }
+
+  _runnerLabel() {
+    const idx = this.runnerFilters[this.runner];
+    return idx === null ? 'ALL' : CHARACTERS[idx].name.replace('The ', '').toUpperCase();
+  }
+
+  _modeLabel() {
+    const on = MODE_FILTERS[this.mode];
+    return on === null ? 'ANY' : on ? 'ON' : 'OFF';
+  }
+
+  draw(ctx) {
+    const game = this.game;
+    game.drawBackdrop(ctx, '#050810', '#0a1420');
+    game.drawSnow(ctx);
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#e8f4ff';
+    ctx.font = 'bold 24px "Courier New"';
+    ctx.fillText('LEADERBOARDS', this.cw / 2, 45);
+    ctx.fillStyle = '#f1c40f';
+    ctx.font = 'bold 16px "Courier New"';
+    ctx.fillText(boardLabel(this.board).toUpperCase(), this.cw / 2, 90);
+
+    this.ui.draw(ctx);
+
+    const entries = game.leaderboards.top(this.board, {
+      charIdx: this.runnerFilters[this.runner],
+      attributesMode: MODE_FILTERS[this.mode],
+    });
+    this._drawTable(ctx, entries);
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#74b9ff';
+    ctx.font = '12px "Courier New"';
+    ctx.fillText('← → board   [C] runner   [M] Attribute Mode   [ESC] back', this.cw / 2, this.ch - 18);
+
+    game.drawVignette(ctx);
+  }
+
+  _drawTable(ctx, entries) {
+    // [header, x, align]
+    const columns = [
+      ['#', 52, 'right'],
+      ['NAME', 66, 'left'],
+      ['RUNNER', 220, 'left'],
+      ['SCORE', 420, 'right'],
+      ['DIST', 490, 'right'],
+      ['LVL', 536, 'right'],
+      ['HITS', 586, 'right'],
+      ['DODGED', 650, 'right'],
+      ['DATE', 748, 'right'],
+    ];
+    ctx.font = 'bold 11px "Courier New"';
+    ctx.fillStyle = 'rgba(150,200,255,0.7)';
+    for (const [header, x, align] of columns) {
+      ctx.textAlign = align;
+      ctx.fillText(header, x, TABLE_Y - 12);
+    }
+
+    if (entries.length === 0) {
+      ctx.textAlign = 'center';
+      ctx.fillStyle = 'rgba(200,230,255,0.6)';
+      ctx.font = '13px "Courier New"';
+      ctx.fillText('No runs on this board yet.', this.cw / 2, TABLE_Y + 2 * ROW_H);
+      return;
+    }
+
+    entries.forEach((e, i) => {
+      const y = TABLE_Y + i * ROW_H;
+      const mine = e === this.game.lastEntry;
+      ctx.fillStyle = mine ? 'rgba(241,196,15,0.25)' : i % 2 === 0 ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0)';
+      ctx.fillRect(36, y, this.cw - 72, ROW_H - 4);
+
+      const char = CHARACTERS[e.charIdx] || CHARACTERS[0];
+      const date = new Date(e.date);
+      const cells = [
+        `${i + 1}`,
+        e.name,
+        `${char.name.replace('The ', '')}${e.attributesMode ? '' : ' (=)'}`,
+        e.score.toLocaleString(),
+        `${e.distance}m`,
+        `${e.level}`,
+        `${e.hits}`,
+        `${e.swoopsDodged}`,
+        `${date.getMonth() + 1}/${date.getDate()}/${String(date.getFullYear()).slice(2)}`,
+      ];
+      ctx.font = `${mine ? 'bold ' : ''}12px "Courier New"`;
+      cells.forEach((text, c) => {
+        const [, x, align] = columns[c];
+        ctx.textAlign = align;
+        ctx.fillStyle = c === 2 ? char.color : mine ? '#f1c40f' : '#e8f4ff';
+        ctx.fillText(text, x, y + 18);
+      });
+    });
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = 'rgba(150,200,255,0.5)';
+    ctx.font = '11px "Courier New"';
+    ctx.fillText('(=) Attribute Mode off: every runner had equal stats', this.cw / 2, TABLE_Y + LEADERBOARD_SIZE * ROW_H + 16);
+  }
+}
@@ -0,0 +1,62 @@
+// ============================================================
+// LevelCompleteScreen.js - Short celebration before the upgrade choice (two after a boss)
+// ============================================================
+
+import { Screen } from '../ScreenManager.js';
+import { TICK_RATE } from '../../sim/World.js';
+
+const LEVEL_COMPLETE_TICKS = 2 * TICK_RATE; // how long the banner shows
+
+export class LevelCompleteScreen extends Screen {
+  constructor(game) {
+    super(game);
+    this.showCursor = false;
+    this.ticks = 0;
+  }
+
+  enter() {
+    this.ticks = 0;
+    this.game.audio.playLevelComplete();
+  }
+
+  update() {
+    if (++this.ticks >= LEVEL_COMPLETE_TICKS) {
+      const world = this.game.world;
+      this.game.screens.change('upgrade', { options: world.draftUpgrades(), picks: world.boss ? 2 : 1 });
+    }
+  }
+
+  draw(ctx) {
+    const world = this.game.world;
+    this.game.drawWorld(ctx, world, 1, this.game.ghost);
+
+    ctx.fillStyle = 'rgba(0,0,0,0.5)';
+    ctx.fillRect(0, 0, this.cw, this.ch);
+
+    ctx.textAlign = 'center';
+    ctx.shadowBlur = 20;
+    ctx.shadowColor = '#74b9ff';
+    ctx.fillStyle = '#e8f4ff';
+    ctx.font = 'bold 40px "Courier New"';
+    ctx.fillText(world.boss ? 'THE OWL IS DRIVEN OFF!' : 'LEVEL COMPLETE!', this.cw / 2, this.ch / 2 - 40);
+    ctx.shadowBlur = 0;
+
+    ctx.fillStyle = 'rgba(200,230,255,0.7)';
+    ctx.font = '16px "Courier New"';
+    ctx.fillText(`Score: ${world.score.toLocaleString()}`, this.cw / 2, this.ch / 2 + 20);
+    ctx.fillText(`Distance: ${Math.floor(world.distance)}m`, this.cw / 2, this.ch / 2 + 45);
+    if (world.boss) {
+      ctx.fillStyle = '#f1c40f';
+      ctx.fillText(`Owl bounty +${world.bossReward.toLocaleString()} · pick two upgrades`, this.cw / 2, this.ch / 2 + 75);
+    }
+
+    // The owl takes what it has learned into the next level
+    const { brain } = world.owl;
+    const read = brain.describe();
+    if (read) {
+      ctx.fillStyle = brain.personality.color;
+      ctx.font = '13px "Courier New"';
+      ctx.fillText(`The ${brain.personality.name} has noticed you ${read}`, this.cw / 2, this.ch / 2 + 105);
+    }
+  }
+}
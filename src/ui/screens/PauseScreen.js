@@ -0,0 +1,65 @@
+// ============================================================
+// PauseScreen.js - Pause menu drawn over the frozen level
+// ============================================================
+
+import { Screen } from '../ScreenManager.js';
+import { UILayout, Button } from '../widgets.js';
+
+export class PauseScreen extends Screen {
+  constructor(game) {
+    super(game);
+    this.opaque = false;
+    const items = [
+      ['RESUME', () => game.screens.pop()],
+      ['RESTART', () => this._restart()],
+      [() => (game.testRun ? 'BACK TO EDITOR' : 'QUIT TO MENU'), () => (game.testRun ? game.endTest() : game.quitRun())],
+    ];
+    this.ui = new UILayout({
+      wasd: true,
+      widgets: items.map(([label, action], i) => new Button({
+        label,
+        x: this.cw / 2 - 120,
+        y: this.ch / 2 - 42 + i * 44,
+        w: 240,
+        h: 36,
+        onActivate: action,
+      })),
+    });
+  }
+
+  enter() {
+    this.ui.focusIdx = 0;
+  }
+
+  _restart() {
+    const game = this.game;
+    if (game.testRun) game.startTest(game.testRun.layout, game.testRun.startAt);
+    else if (game.isEndless) game.startEndless();
+    else game.startLevel(game.level);
+  }
+
+  handleInput(input) {
+    if (input.anyPressed('Escape', 'PadStart', 'PadB')) {
+      this.game.screens.pop();
+      return;
+    }
+    this.ui.handleInput(input);
+  }
+
+  draw(ctx) {
+    ctx.fillStyle = 'rgba(0,0,0,0.6)';
+    ctx.fillRect(0, 0, this.cw, this.ch);
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#e8f4ff';
+    ctx.font = 'bold 30px "Courier New"';
+    ctx.fillText('PAUSED', this.cw / 2, this.ch / 2 - 80);
+
+    this.ui.draw(ctx);
+
+    ctx.fillStyle = 'rgba(200,230,255,0.6)';
+    ctx.font = '12px "Courier New"';
+    const note = this.game.testRun ? 'testing a level - nothing is recorded' : 'quitting keeps the run - continue it from the title';
+    ctx.fillText(note, this.cw / 2, this.ch / 2 + 110);
+  }
+}
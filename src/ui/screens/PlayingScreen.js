@@ -0,0 +1,62 @@
+// ============================================================
+// PlayingScreen.js - The live level: steps the World and hands off when it ends
+// ============================================================
+
+import { Screen } from '../ScreenManager.js';
+import { readActions } from '../../input.js';
+
+export class PlayingScreen extends Screen {
+  constructor(game) {
+    super(game);
+    this.showCursor = false;
+  }
+
+  enter() {
+    // The key that started the level must not also jump/dash on tick one
+    this.game.input.clearBuffers();
+    this.game.audio.resume();
+    this.game.audio.startAmbientMusic(this.game.world.biome.music);
+  }
+
+  exit() {
+    this.game.audio.stopAmbientMusic();
+  }
+
+  resume() {
+    this.game.input.clearBuffers();
+  }
+
+  handleInput(input) {
+    if (input.anyPressed('Escape', 'PadStart')) this.game.screens.push('paused');
+  }
+
+  update(dt) {
+    const game = this.game;
+    const inp = game.input;
+    const world = game.world;
+
+    // Record this tick's presses for replays
+    for (const code in inp.justPressed) game.recorder.capture(world.tick, code);
+
+    world.update(dt, readActions(inp));
+
+    // Ghost runs its recorded tick in lockstep with ours
+    if (game.ghost && !game.ghost.ended) game.ghost.step();
+
+    if (world.outcome && game.testRun) {
+      game.endTest();
+    } else if (world.outcome === 'complete') {
+      game.completeLevel();
+    } else if (world.outcome) {
+      game.gameOver();
+    } else if (world.draftPending) {
+      // Endless milestone: the draft sits over the frozen run
+      world.draftPending = false;
+      game.screens.push('upgrade', { options: world.draftUpgrades(), draft: true });
+    }
+  }
+
+  draw(ctx, alpha) {
+    this.game.drawWorld(ctx, this.game.world, alpha, this.game.ghost);
+  }
+}
@@ -0,0 +1,171 @@
+// ============================================================
+// ProfileScreen.js - Pick who's playing; create, rename and delete profiles
+// ============================================================
+
+import { Screen } from '../ScreenManager.js';
+import { UILayout, UI_KEYS, Button, List } from '../widgets.js';
+import { CHARACTERS } from '../../entities/Player.js';
+import { MAX_PROFILE_NAME } from '../../systems/Save.js';
+import { promptText } from '../../utils.js';
+
+export class ProfileScreen extends Screen {
+  constructor(game) {
+    super(game);
+    this.message = '';
+    this.pendingDelete = null; // profile id waiting for a second DELETE
+
+    // Click a row to select it, click the selected row to play as it
+    this.list = new List({
+      items: () => game.save.profiles,
+      drawRow: (ctx, profile, i, row) => this._drawRow(ctx, profile, row),
+      rowHeight: 36,
+      rowGap: 8,
+      x: this.cw / 2 - 260,
+      y: 120,
+      w: 520,
+      h: 396,
+      onActivate: (list) => this._play(list.selectedItem),
+    });
+
+    const actions = [
+      ['[N] NEW', () => this._create()],
+      ['[R] RENAME', () => this._rename()],
+      ['[DEL] DELETE', () => this._delete()],
+    ];
+    this.ui = new UILayout({ wasd: true, widgets: [this.list] });
+    actions.forEach(([label, action], i) => this.ui.add(new Button({
+      label,
+      font: '12px "Courier New"',
+      x: this.cw / 2 - 200 + i * 140,
+      y: this.ch - 72,
+      w: 120,
+      h: 28,
+      focusable: false,
+      onActivate: action,
+    })));
+  }
+
+  enter() {
+    const save = this.game.save;
+    this.list.selected = save.profiles.findIndex(p => p.id === save.activeProfile.id);
+    this.message = save.warning;
+    this.pendingDelete = null;
+  }
+
+  handleInput(input) {
+    if (input.wasPressed('KeyN')) this._create();
+    if (input.wasPressed('KeyR')) this._rename();
+    if (input.wasPressed('Delete')) this._delete();
+    if (input.anyPressed(...UI_KEYS.back)) {
+      this.game.screens.change('title');
+      return;
+    }
+    this.ui.handleInput(input);
+  }
+
+  _play(profile) {
+    if (!profile) return;
+    this.game.switchProfile(profile.id);
+    this.game.screens.change('title');
+  }
+
+  _create() {
+    this._tryEdit(() => {
+      const name = promptText(`New profile name (up to ${MAX_PROFILE_NAME} characters):`);
+      if (name === null) return;
+      this.game.save.createProfile(name);
+      this.list.selected = this.game.save.profiles.length - 1;
+      this.message = 'Profile created';
+    });
+  }
+
+  _rename() {
+    const profile = this.list.selectedItem;
+    if (!profile) return;
+    this._tryEdit(() => {
+      const name = promptText(`Rename ${profile.name} to:`, profile.name);
+      if (name === null) return;
+      this.game.save.renameProfile(profile.id, name);
+      this.message = 'Profile renamed';
+    });
+  }
+
+  /** Asks for a second press first: deleting drops all of that profile's progress */
+  _delete() {
+    const profile = this.list.selectedItem;
+    if (!profile) return;
+    if (this.pendingDelete !== profile.id) {
+      this._tryEdit(() => {
+        if (this.game.save.profiles.length === 1) throw new Error("Can't delete the only profile");
+        this.pendingDelete = profile.id;
+        this.message = `Press DELETE again to erase ${profile.name} and all their progress`;
+      });
+      return;
+    }
+    this._tryEdit(() => {
+      const wasActive = profile.id === this.game.save.activeProfile.id;
+      this.game.save.deleteProfile(profile.id);
+      if (wasActive) this.game.switchProfile(this.game.save.activeProfile.id);
+      this.list.clampSelection();
+      this.message = `Deleted ${profile.name}`;
+    });
+  }
+
+  /** Run a profile edit, showing any error it throws */
+  _tryEdit(fn) {
+    this.pendingDelete = null;
+    try {
+      fn();
+    } catch (e) {
+      this.message = e.message;
+    }
+  }
+
+  draw(ctx) {
+    this.game.drawBackdrop(ctx, '#050810', '#0a1420');
+    this.game.drawSnow(ctx);
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#e8f4ff';
+    ctx.font = 'bold 28px "Courier New"';
+    ctx.fillText("WHO'S PLAYING?", this.cw / 2, 62);
+    ctx.fillStyle = 'rgba(150,200,255,0.6)';
+    ctx.font = '11px "Courier New"';
+    ctx.fillText('each profile keeps its own scores, achievements, replays and runner', this.cw / 2, 86);
+
+    this.ui.draw(ctx);
+
+    if (this.message) {
+      ctx.textAlign = 'center';
+      ctx.fillStyle = this.pendingDelete !== null ? '#ff7675' : 'rgba(200,230,255,0.8)';
+      ctx.font = '12px "Courier New"';
+      ctx.fillText(this.message, this.cw / 2, this.ch - 86);
+    }
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#74b9ff';
+    ctx.font = '12px "Courier New"';
+    ctx.fillText('↑ ↓ select   [ENTER] or click again to play', this.cw / 2, this.ch - 18);
+
+    this.game.drawVignette(ctx);
+  }
+
+  _drawRow(ctx, profile, row) {
+    const save = this.game.save;
+    const active = profile.id === save.activeProfile.id;
+    const char = CHARACTERS[save.peek(profile.id, 'selectedChar')] || CHARACTERS[0];
+    const endless = save.peek(profile.id, 'endlessBest');
+    const y = row.y + row.h / 2 + 5;
+
+    ctx.textAlign = 'left';
+    ctx.font = 'bold 14px "Courier New"';
+    ctx.fillStyle = '#e8f4ff';
+    ctx.fillText(`${active ? '● ' : '  '}${profile.name}`, row.x + 12, y);
+    ctx.font = '11px "Courier New"';
+    ctx.fillStyle = char.color;
+    ctx.fillText(char.name.replace('The ', ''), row.x + 230, y);
+    ctx.textAlign = 'right';
+    ctx.fillStyle = 'rgba(200,230,255,0.8)';
+    ctx.fillText(`best ${save.peek(profile.id, 'bestScore').toLocaleString()} · endless ${endless.distance}m`, row.x + row.w - 12, y);
+  }
+}
@@ -0,0 +1,110 @@
+// ============================================================
+// ReplayViewerScreen.js - Plays a recording back with pause, speed and scrubbing
+// ============================================================
+
+import { Screen } from '../ScreenManager.js';
+import { UILayout, UI_KEYS, Widget } from '../widgets.js';
+import { CHARACTERS } from '../../entities/Player.js';
+import { TICK_DT } from '../../sim/World.js';
+import { ReplayPlayer } from '../../systems/Replay.js';
+import { formatTime } from '../../utils.js';
+
+const REPLAY_SCRUB_TICKS = 300; // 5s at 60 ticks/s
+
+/** Progress bar of a ReplayPlayer; clicking it seeks there */
+class Timeline extends Widget {
+  constructor(getReplay, rect) {
+    super({ ...rect, focusable: false });
+    this.getReplay = getReplay;
+  }
+
+  clickAt(px) {
+    const r = this.getReplay();
+    r.seek(((px - this.x) / this.w) * r.totalTicks);
+  }
+
+  draw(ctx, state) {
+    const r = this.getReplay();
+    const barY = this.y + 14;
+    ctx.fillStyle = state.hovered ? 'rgba(255,255,255,0.3)' : 'rgba(255,255,255,0.2)';
+    ctx.beginPath();
+    ctx.roundRect(this.x, barY, this.w, 8, 4);
+    ctx.fill();
+    const progress = r.totalTicks > 0 ? Math.min(1, r.tick / r.totalTicks) : 1;
+    ctx.fillStyle = '#e74c3c';
+    ctx.beginPath();
+    ctx.roundRect(this.x, barY, Math.max(8, this.w * progress), 8, 4);
+    ctx.fill();
+
+    const status = r.ended ? 'END' : (r.paused ? '❚❚' : '▶');
+    ctx.fillStyle = '#e8f4ff';
+    ctx.font = 'bold 12px "Courier New"';
+    ctx.textAlign = 'left';
+    ctx.fillText(`${status}  x${r.speed}`, this.x, barY - 8);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${formatTime(r.tick * TICK_DT * 1000)} / ${formatTime(r.totalTicks * TICK_DT * 1000)}`, this.x + this.w, barY - 8);
+  }
+}
+
+export class ReplayViewerScreen extends Screen {
+  constructor(game) {
+    super(game);
+    this.replay = null; // ReplayPlayer while watching
+    this.ui = new UILayout({
+      widgets: [new Timeline(() => this.replay, { x: 40, y: this.ch - 56, w: this.cw - 80, h: 30 })],
+    });
+  }
+
+  enter({ recording }) {
+    this.replay = new ReplayPlayer(recording);
+    this.game.audio.stopAmbientMusic();
+  }
+
+  exit() {
+    this.replay = null;
+  }
+
+  handleInput(input) {
+    const r = this.replay;
+    if (input.anyPressed(...UI_KEYS.back)) {
+      this.game.screens.pop();
+      return;
+    }
+    if (input.anyPressed('Space', 'KeyP', 'PadA')) r.togglePause();
+    if (input.wasPressed('Digit1')) r.speed = 1;
+    if (input.wasPressed('Digit2')) r.speed = 2;
+    if (input.wasPressed('Digit4')) r.speed = 4;
+    if (input.anyPressed(...UI_KEYS.left, 'KeyA')) r.seek(r.tick - REPLAY_SCRUB_TICKS);
+    if (input.anyPressed(...UI_KEYS.right, 'KeyD')) r.seek(r.tick + REPLAY_SCRUB_TICKS);
+    if (input.wasPressed('Home') || input.wasPressed('KeyR')) r.seek(0);
+  }
+
+  update(dt) {
+    this.replay.update(dt);
+  }
+
+  draw(ctx) {
+    const r = this.replay;
+    this.game.drawWorld(ctx, r.world, 1);
+
+    // Banner
+    const char = CHARACTERS[r.recording.charIdx] || CHARACTERS[0];
+    ctx.textAlign = 'left';
+    ctx.fillStyle = `rgba(255,80,80,${0.6 + Math.sin(Date.now() * 0.005) * 0.3})`;
+    ctx.font = 'bold 13px "Courier New"';
+    ctx.fillText('● REPLAY', 20, 110);
+    ctx.fillStyle = 'rgba(255,255,255,0.6)';
+    ctx.font = '11px "Courier New"';
+    ctx.fillText(`Level ${r.recording.level} · ${char.name}`, 20, 125);
+
+    // Transport bar; click the timeline to scrub
+    ctx.fillStyle = 'rgba(0,0,0,0.6)';
+    ctx.fillRect(0, this.ch - 64, this.cw, 64);
+    this.ui.draw(ctx);
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = 'rgba(200,230,255,0.7)';
+    ctx.font = '11px "Courier New"';
+    ctx.fillText('[SPACE] pause  [1/2/4] speed  [← →] scrub 5s  [R] restart  [ESC] back', this.cw / 2, this.ch - 12);
+  }
+}
@@ -0,0 +1,159 @@
+// ============================================================
+// ReplaysScreen.js - Saved replay list: watch, export, import, delete
+// ============================================================
+
+import { Screen } from '../ScreenManager.js';
+import { UILayout, UI_KEYS, Button, List } from '../widgets.js';
+import { CHARACTERS } from '../../entities/Player.js';
+import { TICK_DT } from '../../sim/World.js';
+import { formatTime, pickTextFile, promptText } from '../../utils.js';
+
+export class ReplaysScreen extends Screen {
+  constructor(game) {
+    super(game);
+    this.message = '';
+    this.returnTo = 'title';
+
+    // Click a row to select it, click the selected row to watch it
+    this.list = new List({
+      items: () => game.replays,
+      drawRow: (ctx, rec, i, row) => this._drawRow(ctx, rec, row),
+      rowHeight: 32,
+      x: this.cw / 2 - 300,
+      y: 110,
+      w: 600,
+      h: 400,
+      onActivate: (list) => this._watch(list.selectedItem),
+    });
+
+    // The rest are click targets; the keys on their labels do the same
+    const actions = [
+      ['[E] EXPORT', () => this._export()],
+      ['[I] IMPORT', () => this._importFile()],
+      ['[V] PASTE', () => this._import(promptText('Paste replay JSON:'))],
+      ['[DEL] DELETE', () => this._delete()],
+      ['[ESC] BACK', () => game.screens.change(this.returnTo)],
+    ];
+    this.ui = new UILayout({ wasd: true, widgets: [this.list] });
+    actions.forEach(([label, action], i) => this.ui.add(new Button({
+      label,
+      font: '12px "Courier New"',
+      x: this.cw / 2 - 300 + i * 122,
+      y: this.ch - 72,
+      w: 112,
+      h: 28,
+      focusable: false,
+      onActivate: action,
+    })));
+  }
+
+  /** returnTo: the screen ESC goes back to */
+  enter({ returnTo = 'title' } = {}) {
+    this.returnTo = returnTo;
+    this.list.selected = 0;
+    this.message = '';
+  }
+
+  handleInput(input) {
+    if (input.wasPressed('KeyE')) this._export();
+    if (input.wasPressed('Delete')) this._delete();
+    if (input.wasPressed('KeyI')) this._importFile();
+    if (input.wasPressed('KeyV')) {
+      this._import(promptText('Paste replay JSON:'));
+    }
+    if (input.anyPressed(...UI_KEYS.back)) {
+      this.game.screens.change(this.returnTo);
+      return;
+    }
+    this.ui.handleInput(input);
+  }
+
+  _watch(rec) {
+    if (rec) this.game.screens.push('replay', { recording: rec });
+  }
+
+  _export() {
+    const rec = this.list.selectedItem;
+    if (!rec) return;
+    this.game.exportReplay(rec);
+    this.message = 'Replay exported';
+  }
+
+  _delete() {
+    this.game.deleteReplay(this.list.selected);
+    this.list.clampSelection();
+  }
+
+  _importFile() {
+    pickTextFile().then(text => this._import(text));
+  }
+
+  _import(text) {
+    if (!text) return;
+    try {
+      this.game.importReplay(text);
+      this.list.selected = 0;
+      this.message = 'Replay imported';
+    } catch (e) {
+      this.message = `Import failed: ${e.message}`;
+    }
+  }
+
+  draw(ctx) {
+    this.game.drawBackdrop(ctx, '#050810', '#0a1420');
+    this.game.drawSnow(ctx);
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#e8f4ff';
+    ctx.font = 'bold 24px "Courier New"';
+    ctx.fillText('REPLAYS', this.cw / 2, 55);
+    ctx.fillStyle = 'rgba(150,200,255,0.6)';
+    ctx.font = '11px "Courier New"';
+    ctx.fillText('every level you play is recorded - watch, export or import runs', this.cw / 2, 77);
+
+    if (this.game.replays.length === 0) {
+      ctx.fillStyle = 'rgba(200,230,255,0.6)';
+      ctx.font = '13px "Courier New"';
+      ctx.fillText('No replays yet. Finish or lose a level to record one.', this.cw / 2, this.ch / 2);
+    }
+
+    this.ui.draw(ctx);
+
+    ctx.textAlign = 'center';
+    if (this.message) {
+      ctx.fillStyle = this.message.startsWith('Import failed') ? '#ff7675' : '#2ecc71';
+      ctx.font = '12px "Courier New"';
+      ctx.fillText(this.message, this.cw / 2, this.ch - 86);
+    }
+
+    ctx.fillStyle = '#74b9ff';
+    ctx.font = '12px "Courier New"';
+    ctx.fillText('↑ ↓ select   [ENTER] or click again to watch', this.cw / 2, this.ch - 18);
+
+    this.game.drawVignette(ctx);
+  }
+
+  _drawRow(ctx, rec, row) {
+    const y = row.y;
+    const char = CHARACTERS[rec.charIdx] || CHARACTERS[0];
+    const d = new Date(rec.date);
+    const when = `${d.getMonth() + 1}/${d.getDate()} ${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+    const outcome = rec.outcome === 'complete' ? 'CLEARED' : 'CAUGHT';
+
+    ctx.font = '12px "Courier New"';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = 'rgba(200,230,255,0.6)';
+    ctx.fillText(when, this.cw / 2 - 288, y + 21);
+    ctx.fillStyle = char.color;
+    ctx.fillText(char.name.replace('The ', ''), this.cw / 2 - 190, y + 21);
+    ctx.fillStyle = '#e8f4ff';
+    ctx.fillText(`LV ${rec.level}`, this.cw / 2 - 90, y + 21);
+    ctx.fillStyle = rec.outcome === 'complete' ? '#2ecc71' : '#e74c3c';
+    ctx.fillText(outcome, this.cw / 2 - 30, y + 21);
+    ctx.fillStyle = 'rgba(200,230,255,0.8)';
+    ctx.fillText(`${Math.floor(rec.distance)}m`, this.cw / 2 + 60, y + 21);
+    ctx.textAlign = 'right';
+    ctx.fillText(rec.score.toLocaleString(), this.cw / 2 + 200, y + 21);
+    ctx.fillText(formatTime(rec.ticks * TICK_DT * 1000), this.cw / 2 + 288, y + 21);
+  }
+}
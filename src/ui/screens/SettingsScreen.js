@@ -0,0 +1,179 @@
+// ============================================================
+// SettingsScreen.js - Audio, Attribute Mode, the owl, seeds, save transfer and records
+// ============================================================
+
+import { Screen } from '../ScreenManager.js';
+import { UILayout, UI_KEYS, Button, Toggle, Slider } from '../widgets.js';
+import { pickTextFile, promptText } from '../../utils.js';
+import { owlPersonality } from '../../entities/OwlBrain.js';
+
+const ROW_W = 420;
+const ROW_H = 30;
+const ROW_SPACING = 38;
+const MAX_INFO_CHARS = 96; // as many as fit across the screen
+
+export class SettingsScreen extends Screen {
+  constructor(game) {
+    super(game);
+    this.message = '';
+    this.messageOk = true; // green for done, red for problems
+    const x = this.cw / 2 - ROW_W / 2;
+    const row = (i) => ({ x, y: 80 + i * ROW_SPACING, w: ROW_W, h: ROW_H });
+
+    this.ui = new UILayout({
+      widgets: [
+        new Toggle({
+          label: 'AUDIO', hint: 'A', ...row(0),
+          get: () => game.audio.enabled,
+          set: (on) => { if (on !== game.audio.enabled) game.audio.toggleEnabled(); },
+        }),
+        new Slider({
+          label: 'SOUND EFFECTS', ...row(1),
+          get: () => game.volume.sfx,
+          set: (v) => game.setVolume('sfx', v),
+        }),
+        new Slider({
+          label: 'MUSIC', ...row(2),
+          get: () => game.volume.music,
+          set: (v) => game.setVolume('music', v),
+        }),
+        new Toggle({
+          label: 'ATTRIBUTE MODE', hint: 'M', ...row(3),
+          get: () => game.attributesMode,
+          set: (on) => game.setAttributesMode(on),
+        }),
+        new Toggle({
+          label: 'DAILY SEED MODE', hint: 'D', ...row(4),
+          get: () => game.useDailySeed,
+          set: (on) => { game.useDailySeed = on; },
+        }),
+        new Button({
+          label: () => `CUSTOM SEED: ${game.customSeed !== null ? game.customSeed : 'OFF'}  [C]`,
+          font: '13px "Courier New"', ...row(5),
+          onActivate: () => game.promptCustomSeed(),
+        }),
+        new Button({
+          label: () => `OWL: ${game.owlPersonality === 'random' ? 'RANDOM EACH RUN' : owlPersonality(game.owlPersonality).name.toUpperCase()}  [O]`,
+          font: '13px "Courier New"', ...row(6),
+          onActivate: () => game.cycleOwlPersonality(),
+        }),
+        new Button({
+          label: 'EXPORT SAVE',
+          font: '12px "Courier New"', ...row(7), w: 132,
+          onActivate: () => this._export(),
+        }),
+        new Button({
+          label: 'IMPORT FILE',
+          font: '12px "Courier New"', ...row(7), x: x + 144, w: 132,
+          onActivate: () => pickTextFile().then(text => this._import(text)),
+        }),
+        new Button({
+          label: 'PASTE SAVE',
+          font: '12px "Courier New"', ...row(7), x: x + 288, w: 132,
+          onActivate: () => this._import(promptText('Paste save JSON (replaces all progress):')),
+        }),
+        new Button({
+          label: 'BACK',
+          font: '14px "Courier New"',
+          x: this.cw / 2 - 80, y: this.ch - 62, w: 160, h: 32,
+          onActivate: () => game.screens.change('title'),
+        }),
+      ],
+    });
+  }
+
+  enter() {
+    this.ui.focusIdx = 0;
+    this.message = this.game.save.warning;
+    this.messageOk = false;
+  }
+
+  _export() {
+    this.game.exportSave();
+    this.message = 'Save exported';
+    this.messageOk = true;
+  }
+
+  _import(text) {
+    if (!text) return;
+    try {
+      this.game.importSave(text);
+      this.message = 'Save imported';
+      this.messageOk = true;
+    } catch (e) {
+      this.message = `Import failed: ${e.message}`;
+      this.messageOk = false;
+    }
+  }
+
+  handleInput(input) {
+    const game = this.game;
+    if (input.anyPressed(...UI_KEYS.back)) {
+      game.screens.change('title');
+      return;
+    }
+    if (input.wasPressed('KeyA')) {
+      game.audio.toggleEnabled();
+    }
+    if (input.wasPressed('KeyM')) {
+      game.setAttributesMode(!game.attributesMode);
+    }
+    if (input.wasPressed('KeyD')) {
+      game.useDailySeed = !game.useDailySeed;
+    }
+    if (input.wasPressed('KeyC')) {
+      game.promptCustomSeed();
+    }
+    if (input.wasPressed('KeyO')) {
+      game.cycleOwlPersonality();
+    }
+    this.ui.handleInput(input);
+  }
+
+  draw(ctx) {
+    const game = this.game;
+    game.drawBackdrop(ctx, '#050810', '#0a1420');
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#e8f4ff';
+    ctx.font = 'bold 24px "Courier New"';
+    ctx.fillText('SETTINGS', this.cw / 2, 55);
+
+    this.ui.draw(ctx);
+
+    const owl = owlPersonality(game.owlPersonality);
+    const info = [
+      owl ? `THE ${owl.name.toUpperCase()}: ${owl.desc}` : 'A Stalker, Trickster or Brute owl, picked by the seed',
+      `TODAY'S SEED: ${game.dailySeed}`,
+      `BEST SCORE: ${game.bestScore.toLocaleString()}`,
+      `ENDLESS BEST: ${game.endlessBest.distance}m · ${game.endlessBest.score.toLocaleString()} pts`,
+      `ACHIEVEMENTS: ${game.achievements.totals.join(' / ')} unlocked`,
+    ];
+    if (game.mods && game.mods.mods.length > 0) {
+      // Each mod by name when they fit on the line, else just the counts
+      const [on, off] = game.mods.totals;
+      const more = off ? ' - see console' : '';
+      const each = `MODS: ${game.mods.mods.map(m => `${m.name} ${m.status}`).join(' · ')}${more}`;
+      info.push(each.length <= MAX_INFO_CHARS ? each : `MODS: ${on} running${off ? `, ${off} rejected or switched off` : ''}${more}`);
+    }
+
+    ctx.textAlign = 'center';
+    info.forEach((line, i) => {
+      ctx.fillStyle = 'rgba(200,230,255,0.9)';
+      ctx.font = '13px "Courier New"';
+      ctx.fillText(line, this.cw / 2, 405 + i * 22);
+    });
+
+    if (this.message) {
+      ctx.fillStyle = this.messageOk ? '#2ecc71' : '#ff7675';
+      ctx.font = '12px "Courier New"';
+      ctx.fillText(this.message, this.cw / 2, this.ch - 76);
+    }
+
+    ctx.fillStyle = '#74b9ff';
+    ctx.font = '12px "Courier New"';
+    ctx.fillText('↑ ↓ select   ← → change   [ENTER] toggle   [ESC] back', this.cw / 2, this.ch - 12);
+
+    game.drawVignette(ctx);
+  }
+}
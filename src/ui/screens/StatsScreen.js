@@ -0,0 +1,269 @@
+// ============================================================
+// StatsScreen.js - Lifetime totals, per-level averages and a chart of recent runs
+// ============================================================
+
+import { Screen } from '../ScreenManager.js';
+import { UILayout, UI_KEYS, Button } from '../widgets.js';
+import { CHARACTERS } from '../../entities/Player.js';
+import { killerName, favouriteCharacter, mostCommonKiller, levelAverages } from '../../systems/Stats.js';
+import { formatTime } from '../../utils.js';
+
+const CARD_Y = 88;
+const CARD_H = 250;
+const ROW_H = 20;
+const MAX_LEVEL_ROWS = 10;
+
+const CHART = { x: 60, y: 380, w: 680, h: 150 };
+const CHART_RUNS = 25; // most recent runs drawn
+const CAMPAIGN_COLOR = '#74b9ff';
+const ENDLESS_COLOR = '#a29bfe';
+
+export class StatsScreen extends Screen {
+  constructor(game) {
+    super(game);
+    this.hovered = null; // index into the charted runs under the pointer
+
+    this.ui = new UILayout({
+      widgets: [
+        new Button({
+          label: 'BACK',
+          font: '12px "Courier New"',
+          x: this.cw / 2 - 80,
+          y: this.ch - 62,
+          w: 160,
+          h: 28,
+          onActivate: () => game.screens.change('title'),
+        }),
+      ],
+    });
+  }
+
+  enter() {
+    this.hovered = null;
+  }
+
+  handleInput(input) {
+    if (input.anyPressed(...UI_KEYS.back)) {
+      this.game.screens.change('title');
+      return;
+    }
+    this.ui.handleInput(input);
+  }
+
+  pointerMove(x, y) {
+    super.pointerMove(x, y);
+    this.hovered = null;
+    const runs = this._chartedRuns();
+    if (runs.length === 0 || x < CHART.x || x >= CHART.x + CHART.w || y < CHART.y || y > CHART.y + CHART.h) return;
+    this.hovered = Math.floor((x - CHART.x) / (CHART.w / CHART_RUNS));
+    if (this.hovered >= runs.length) this.hovered = null;
+  }
+
+  /** Recent runs, oldest first */
+  _chartedRuns() {
+    return this.game.runHistory.slice(0, CHART_RUNS).reverse();
+  }
+
+  draw(ctx) {
+    const game = this.game;
+    game.drawBackdrop(ctx, '#050810', '#0a1420');
+    game.drawSnow(ctx);
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#e8f4ff';
+    ctx.font = 'bold 24px "Courier New"';
+    ctx.fillText('STATS', this.cw / 2, 45);
+    ctx.fillStyle = 'rgba(150,200,255,0.6)';
+    ctx.font = '11px "Courier New"';
+    ctx.fillText(`${game.profileName} · ${game.lifetime.runs} finished run${game.lifetime.runs === 1 ? '' : 's'}`, this.cw / 2, 68);
+
+    this._drawTotals(ctx, 40, CARD_Y, 340);
+    this._drawLevels(ctx, 400, CARD_Y, 360);
+    this._drawChart(ctx);
+
+    this.ui.draw(ctx);
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#74b9ff';
+    ctx.font = '12px "Courier New"';
+    ctx.fillText('point at a bar for that run   [ESC] back', this.cw / 2, this.ch - 18);
+
+    game.drawVignette(ctx);
+  }
+
+  _card(ctx, x, y, w, title) {
+    ctx.fillStyle = 'rgba(0,0,0,0.4)';
+    ctx.beginPath();
+    ctx.roundRect(x, y, w, CARD_H, 12);
+    ctx.fill();
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#f1c40f';
+    ctx.font = 'bold 13px "Courier New"';
+    ctx.fillText(title, x + 16, y + 24);
+  }
+
+  _drawTotals(ctx, x, y, w) {
+    const game = this.game;
+    const life = game.lifetime;
+    const favourite = favouriteCharacter(life);
+    const killer = mostCommonKiller(life);
+    const rows = [
+      ['Runs', life.runs],
+      ['Levels Cleared', life.levelsCleared],
+      ['Total Score', life.score.toLocaleString()],
+      ['Distance Run', `${life.distance.toLocaleString()}m`],
+      ['Time Played', formatTime(life.time)],
+      ['Hits Taken', life.hits],
+      ['Swoops Dodged', life.swoopsDodged],
+      ['Runners Saved', life.npcsSaved],
+      ['Trees Chopped', game.totalChopped],
+      ['Favourite Runner', favourite ? favourite.name : '-'],
+      ['Most Common Killer', killer ? `${killerName(killer)} (${life.killers[killer]})` : '-'],
+    ];
+
+    this._card(ctx, x, y, w, 'LIFETIME');
+    rows.forEach(([label, value], i) => {
+      const rowY = y + 48 + i * ROW_H;
+      ctx.fillStyle = 'rgba(200,230,255,0.6)';
+      ctx.font = '12px "Courier New"';
+      ctx.textAlign = 'left';
+      ctx.fillText(label, x + 16, rowY);
+      ctx.fillStyle = label === 'Favourite Runner' && favourite ? favourite.color : '#e8f4ff';
+      ctx.font = 'bold 12px "Courier New"';
+      ctx.textAlign = 'right';
+      ctx.fillText(String(value), x + w - 16, rowY);
+    });
+  }
+
+  _drawLevels(ctx, x, y, w) {
+    const levels = levelAverages(this.game.lifetime);
+    this._card(ctx, x, y, w, 'CAMPAIGN AVERAGES PER LEVEL');
+
+    // [header, x offset, align]
+    const columns = [
+      ['LVL', 36, 'right'],
+      ['PLAYS', 90, 'right'],
+      ['CLEAR', 144, 'right'],
+      ['SCORE', 212, 'right'],
+      ['DIST', 266, 'right'],
+      ['TIME', 310, 'right'],
+      ['HITS', 344, 'right'],
+    ];
+    ctx.font = 'bold 10px "Courier New"';
+    ctx.fillStyle = 'rgba(150,200,255,0.7)';
+    for (const [header, cx, align] of columns) {
+      ctx.textAlign = align;
+      ctx.fillText(header, x + cx, y + 46);
+    }
+
+    if (levels.length === 0) {
+      ctx.textAlign = 'center';
+      ctx.fillStyle = 'rgba(200,230,255,0.6)';
+      ctx.font = '12px "Courier New"';
+      ctx.fillText('Finish a campaign run to see these.', x + w / 2, y + 110);
+      return;
+    }
+
+    ctx.font = '12px "Courier New"';
+    levels.slice(0, MAX_LEVEL_ROWS).forEach((l, i) => {
+      const cells = [
+        `${l.level}`,
+        `${l.plays}`,
+        `${Math.round(l.clearRate * 100)}%`,
+        Math.round(l.score).toLocaleString(),
+        `${Math.round(l.distance)}m`,
+        formatTime(l.time),
+        l.hits.toFixed(1),
+      ];
+      cells.forEach((text, c) => {
+        const [, cx, align] = columns[c];
+        ctx.textAlign = align;
+        ctx.fillStyle = c === 0 ? '#f1c40f' : '#e8f4ff';
+        ctx.fillText(text, x + cx, y + 66 + i * ROW_H);
+      });
+    });
+    if (levels.length > MAX_LEVEL_ROWS) {
+      ctx.textAlign = 'center';
+      ctx.fillStyle = 'rgba(150,200,255,0.5)';
+      ctx.font = '11px "Courier New"';
+      ctx.fillText(`+ ${levels.length - MAX_LEVEL_ROWS} deeper levels`, x + w / 2, y + CARD_H - 10);
+    }
+  }
+
+  /** Score of each recent run as a bar, campaign and Endless coloured apart */
+  _drawChart(ctx) {
+    const runs = this._chartedRuns();
+    const { x, y, w, h } = CHART;
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#f1c40f';
+    ctx.font = 'bold 13px "Courier New"';
+    ctx.fillText('SCORE OVER RECENT RUNS', x, y - 16);
+    ctx.font = '11px "Courier New"';
+    ctx.textAlign = 'right';
+    ctx.fillStyle = ENDLESS_COLOR;
+    ctx.fillText('■ endless', x + w, y - 16);
+    ctx.fillStyle = CAMPAIGN_COLOR;
+    ctx.fillText('■ campaign', x + w - 80, y - 16);
+
+    ctx.strokeStyle = 'rgba(150,200,255,0.4)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x, y + h);
+    ctx.lineTo(x + w, y + h);
+    ctx.stroke();
+
+    if (runs.length === 0) {
+      ctx.textAlign = 'center';
+      ctx.fillStyle = 'rgba(200,230,255,0.6)';
+      ctx.font = '12px "Courier New"';
+      ctx.fillText('No finished runs yet.', x + w / 2, y + h / 2);
+      return;
+    }
+
+    const max = Math.max(1, ...runs.map(r => r.score));
+    ctx.textAlign = 'right';
+    ctx.fillStyle = 'rgba(150,200,255,0.6)';
+    ctx.font = '10px "Courier New"';
+    ctx.fillText(max.toLocaleString(), x - 4, y + 8);
+    ctx.fillText('0', x - 4, y + h);
+
+    const slot = w / CHART_RUNS;
+    runs.forEach((run, i) => {
+      const barH = Math.max(2, (run.score / max) * (h - 4));
+      ctx.globalAlpha = this.hovered === null || this.hovered === i ? 1 : 0.5;
+      ctx.fillStyle = run.endless ? ENDLESS_COLOR : CAMPAIGN_COLOR;
+      ctx.fillRect(x + i * slot + 3, y + h - barH, slot - 6, barH);
+    });
+    ctx.globalAlpha = 1;
+
+    // Average line
+    const avg = runs.reduce((sum, r) => sum + r.score, 0) / runs.length;
+    const avgY = y + h - (avg / max) * (h - 4);
+    ctx.strokeStyle = 'rgba(241,196,15,0.7)';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(x, avgY);
+    ctx.lineTo(x + w, avgY);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Details of the pointed-at run, else the latest one
+    const run = runs[this.hovered === null ? runs.length - 1 : this.hovered];
+    const char = CHARACTERS[run.charIdx] || CHARACTERS[0];
+    const date = new Date(run.date);
+    const where = run.endless ? `Endless ${run.distance}m` : `Campaign, level ${run.level}`;
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#e8f4ff';
+    ctx.font = '12px "Courier New"';
+    ctx.fillText(
+      `${date.getMonth() + 1}/${date.getDate()} · ${char.name.replace('The ', '')} · ${where} · ` +
+      `${run.score.toLocaleString()} pts · ended by ${killerName(run.killer)}`,
+      x + w / 2, y + h + 22,
+    );
+    ctx.fillStyle = 'rgba(241,196,15,0.8)';
+    ctx.font = '10px "Courier New"';
+    ctx.fillText(`average ${Math.round(avg).toLocaleString()}`, x + w / 2, y + h + 38);
+  }
+}
@@ -0,0 +1,194 @@
+// ============================================================
+// TitleScreen.js - Main menu; hands over to attract mode when idle
+// ============================================================
+
+import { Screen } from '../ScreenManager.js';
+import { UILayout, Button } from '../widgets.js';
+import { TICK_RATE } from '../../sim/World.js';
+
+const ATTRACT_IDLE_TICKS = 20 * TICK_RATE; // idle time before the demo starts
+
+// Menu entries: label, keyboard shortcuts, what they do and (optionally)
+// when they are offered. Enter/Space activate whichever entry has focus
+// (the first one at first).
+const MENU = [
+  {
+    label: (game) => continueLabel(game.suspendedRun),
+    keys: ['Digit0'],
+    action: (game) => game.continueRun(),
+    shown: (game) => game.suspendedRun !== null,
+  },
+  { label: '▶  PLAY', keys: ['Digit1', 'KeyP'], action: (game) => game.startLevel(game.level) },
+  { label: '∞  ENDLESS', keys: ['Digit2', 'KeyE'], action: (game) => game.startEndless() },
+  { label: '◆  CHARACTER SELECT', keys: ['Digit3', 'KeyC'], action: (game) => game.screens.change('charselect') },
+  { label: '?  HOW TO PLAY', keys: ['Digit4', 'KeyH'], action: (game) => game.screens.change('howtoplay') },
+  { label: '⚙  SETTINGS', keys: ['Digit5', 'KeyS'], action: (game) => game.screens.change('settings') },
+  { label: '↺  REPLAYS', keys: ['Digit6', 'KeyR'], action: (game) => game.openReplays('title') },
+  { label: '★  LEADERBOARDS', keys: ['Digit8', 'KeyL'], action: (game) => game.openLeaderboards('title') },
+  { label: '≡  STATS', keys: ['Digit9', 'KeyT'], action: (game) => game.screens.change('stats') },
+  { label: '✦  ACHIEVEMENTS', keys: ['KeyA'], action: (game) => game.screens.change('achievements') },
+  { label: '✎  LEVEL EDITOR', keys: ['KeyB'], action: (game) => game.screens.change('editor') },
+];
+const PROFILE_KEYS = ['Tab', 'Digit7'];
+const MENU_Y = 320;
+const MENU_SPACING = 40;
+const MENU_LAST_Y = 580; // entries close up when there are more of them
+const MENU_BUTTON_H = 34;
+
+/** Menu label for the run waiting to be continued */
+function continueLabel(run) {
+  if (!run) return '';
+  if (run.endless) return `»  CONTINUE · ENDLESS ${Math.floor(run.world ? run.world.state.distance : 0)}m`;
+  return `»  CONTINUE · LEVEL ${run.level}`;
+}
+
+export class TitleScreen extends Screen {
+  constructor(game) {
+    super(game);
+    this.idleTicks = 0;
+    this.menu = [];
+  }
+
+  enter() {
+    this.idleTicks = 0;
+    this._buildMenu();
+  }
+
+  /** Buttons for the entries on offer right now */
+  _buildMenu() {
+    const game = this.game;
+    this.menu = MENU.filter(item => !item.shown || item.shown(game));
+    const spacing = Math.min(MENU_SPACING, (MENU_LAST_Y - MENU_Y) / (this.menu.length - 1));
+    this.ui = new UILayout({
+      widgets: this.menu.map((item, i) => new Button({
+        label: typeof item.label === 'function' ? () => item.label(game) : item.label,
+        x: this.cw / 2 - 150,
+        y: MENU_Y - 23 + i * spacing,
+        w: 300,
+        h: Math.min(MENU_BUTTON_H, spacing - 4),
+        onActivate: () => item.action(game),
+      })),
+    });
+    // Active profile, top right: click (or TAB) to switch
+    this.ui.add(new Button({
+      label: () => `👤 ${game.profileName}  [TAB]`,
+      font: '13px "Courier New"',
+      x: this.cw - 230,
+      y: 16,
+      w: 214,
+      h: 30,
+      focusable: false,
+      onActivate: () => game.screens.change('profiles'),
+    }));
+  }
+
+  handleInput(input) {
+    if (input.anyKeyPressed()) {
+      this.idleTicks = 0;
+    } else if (++this.idleTicks >= ATTRACT_IDLE_TICKS) {
+      this.game.screens.change('attract');
+      return;
+    }
+    const item = this.menu.find(m => input.anyPressed(...m.keys));
+    if (item) item.action(this.game);
+    else if (input.anyPressed(...PROFILE_KEYS)) this.game.screens.change('profiles');
+    else this.ui.handleInput(input);
+  }
+
+  click(x, y) {
+    this.idleTicks = 0;
+    this.ui.click(x, y);
+  }
+
+  pointerMove(x, y) {
+    this.idleTicks = 0;
+    this.ui.pointerMove(x, y);
+  }
+
+  draw(ctx) {
+    const game = this.game;
+    game.drawBackdrop(ctx, '#050810', '#0f1828');
+    game.drawSnow(ctx);
+    this._drawAurora(ctx);
+
+    // Title
+    ctx.textAlign = 'center';
+    ctx.shadowBlur = 30;
+    ctx.shadowColor = '#a0c8ff';
+    ctx.fillStyle = '#e8f4ff';
+    ctx.font = 'bold 52px "Courier New"';
+    ctx.fillText('SNOW OWL CHASE', this.cw / 2, 120);
+    ctx.shadowBlur = 0;
+
+    ctx.fillStyle = 'rgba(200,230,255,0.6)';
+    ctx.font = '16px "Courier New"';
+    ctx.fillText('survive the hunt', this.cw / 2, 152);
+
+    // Owl silhouette
+    this._drawOwlSilhouette(ctx, this.cw / 2, 230, 1 + Math.sin(Date.now() * 0.001) * 0.05);
+
+    this.ui.draw(ctx);
+
+    // A save problem takes the place of the hint until it's dealt with
+    ctx.textAlign = 'center';
+    ctx.font = '12px "Courier New"';
+    if (game.save.warning) {
+      ctx.fillStyle = '#ff7675';
+      ctx.fillText(game.save.warning, this.cw / 2, this.ch - 30);
+    } else {
+      ctx.fillStyle = 'rgba(150,180,220,0.5)';
+      ctx.fillText('[ CLICK, OR ↑ ↓ AND ENTER ]', this.cw / 2, this.ch - 30);
+    }
+
+    game.drawVignette(ctx);
+  }
+
+  _drawAurora(ctx) {
+    const t = Date.now() * 0.0003;
+    ctx.save();
+    ctx.globalAlpha = 0.12;
+    for (let i = 0; i < 3; i++) {
+      const grad = ctx.createLinearGradient(0, 60 + i * 30, this.cw, 120 + i * 30);
+      grad.addColorStop(0, 'rgba(0,200,150,0)');
+      grad.addColorStop(0.5, 'rgba(0,255,200,0.8)');
+      grad.addColorStop(1, 'rgba(100,150,255,0)');
+      ctx.fillStyle = grad;
+      ctx.fillRect(0, 50 + i * 30 + Math.sin(t + i) * 15, this.cw, 50);
+    }
+    ctx.restore();
+  }
+
+  _drawOwlSilhouette(ctx, cx, cy, scale = 1) {
+    ctx.save();
+    ctx.translate(cx, cy);
+    ctx.scale(scale, scale);
+
+    // Body
+    ctx.fillStyle = 'rgba(200,220,255,0.15)';
+    ctx.beginPath();
+    ctx.ellipse(0, 0, 45, 60, 0, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Wings
+    const wingFlap = Math.sin(Date.now() * 0.002) * 20;
+    ctx.fillStyle = 'rgba(180,210,255,0.12)';
+    ctx.beginPath();
+    ctx.ellipse(-70, wingFlap, 50, 20, -0.3, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.ellipse(70, wingFlap, 50, 20, 0.3, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Eyes
+    ctx.globalAlpha = 0.6 + Math.sin(Date.now() * 0.003) * 0.2;
+    ctx.fillStyle = 'rgba(255,200,50,0.8)';
+    ctx.beginPath();
+    ctx.arc(-16, -10, 10, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.arc(16, -10, 10, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.restore();
+  }
+}
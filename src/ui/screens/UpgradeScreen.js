@@ -0,0 +1,138 @@
+// ============================================================
+// UpgradeScreen.js - Choose one of three upgrades between levels or at an Endless milestone
+// ============================================================
+
+import { Screen } from '../ScreenManager.js';
+import { UILayout, Button, Card } from '../widgets.js';
+import { ENDLESS_MILESTONE_DISTANCE } from '../../sim/World.js';
+import { wrapText } from '../../utils.js';
+
+const CARD_W = 200;
+const CARD_H = 150;
+const CARD_GAP = 20;
+
+export class UpgradeScreen extends Screen {
+  constructor(game) {
+    super(game);
+    this.options = [];
+    this.draft = false; // true when pushed over an Endless run
+    this.picks = 1; // upgrades still to take
+  }
+
+  /** options: upgrades to offer; draft: Endless milestone over a paused run; picks: how many to take (after a boss) */
+  enter({ options, draft = false, picks = 1 }) {
+    this.draft = draft;
+    this.picks = picks;
+    this.opaque = !draft;
+    if (draft) this.game.audio.playLevelComplete();
+    this._build(options);
+  }
+
+  _build(options) {
+    this.options = options;
+    // One card per option: click to select, double click or ENTER to take it
+    const startX = (this.cw - (options.length * CARD_W + (options.length - 1) * CARD_GAP)) / 2;
+    this.ui = new UILayout({
+      axis: 'horizontal',
+      wasd: true,
+      widgets: options.map((upg, i) => new Card({
+        x: startX + i * (CARD_W + CARD_GAP),
+        y: this.ch / 2 - CARD_H / 2,
+        w: CARD_W,
+        h: CARD_H,
+        drawContent: (ctx, card) => this._drawCard(ctx, upg, card),
+        onActivate: () => this._choose(i),
+      })),
+    });
+    this.ui.add(new Button({
+      label: '[N] SKIP UPGRADE',
+      font: '12px "Courier New"',
+      x: this.cw / 2 - 100,
+      y: this.ch - 52,
+      w: 200,
+      h: 28,
+      focusable: false,
+      onActivate: () => this._choose(null),
+    }));
+  }
+
+  handleInput(input) {
+    if (input.wasPressed('KeyN')) {
+      this._choose(null);
+      return;
+    }
+    this.ui.handleInput(input);
+  }
+
+  /** Take the upgrade at idx (null skips it) and carry on */
+  _choose(idx) {
+    const game = this.game;
+    const chosen = idx === null ? null : this.options[idx];
+    if (this.draft) {
+      if (chosen) {
+        game.world.applyUpgrade(chosen.id);
+        game.recorder.capturePick(game.world.tick, chosen.id);
+      }
+      game.screens.pop();
+      return;
+    }
+    if (chosen) {
+      game.upgrades.push(chosen.id);
+      game.save.set('upgrades', game.upgrades);
+      if (--this.picks > 0 && this.options.length > 1) {
+        this._build(this.options.filter(o => o !== chosen));
+        return;
+      }
+    }
+    game.startLevel(game.level + 1);
+  }
+
+  draw(ctx) {
+    const world = this.game.world;
+    if (this.draft) {
+      // Endless drafts happen mid-run: the frozen run shows through
+      ctx.fillStyle = 'rgba(5,8,16,0.8)';
+      ctx.fillRect(0, 0, this.cw, this.ch);
+    } else {
+      this.game.drawBackdrop(ctx, '#050810', '#0a1824');
+      this.game.drawSnow(ctx);
+    }
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#e8f4ff';
+    ctx.font = 'bold 26px "Courier New"';
+    ctx.fillText(this.draft ? `MILESTONE · ${world.milestone * ENDLESS_MILESTONE_DISTANCE}m` : (this.picks > 1 ? `CHOOSE ${this.picks} UPGRADES` : 'CHOOSE UPGRADE'), this.cw / 2, 70);
+    ctx.fillStyle = 'rgba(150,200,255,0.6)';
+    ctx.font = '13px "Courier New"';
+    ctx.fillText(this.draft ? 'draft one upgrade - the owl is still coming' : 'select one to enhance your next run', this.cw / 2, 95);
+
+    // Stats summary
+    ctx.fillStyle = 'rgba(200,230,255,0.6)';
+    ctx.font = '11px "Courier New"';
+    ctx.fillText(`Score: ${world.score.toLocaleString()} | Distance: ${Math.floor(world.distance)}m | Hits: ${world.runHits} | Swoops Dodged: ${world.swoopsDodged}`, this.cw / 2, 120);
+
+    this.ui.draw(ctx);
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#74b9ff';
+    ctx.font = '13px "Courier New"';
+    ctx.fillText('← → to select   [ENTER] or double click to confirm', this.cw / 2, this.ch - 70);
+
+    this.game.drawVignette(ctx);
+  }
+
+  _drawCard(ctx, upg, card) {
+    const cx = card.x + card.w / 2;
+    const cy = card.y + card.h / 2;
+    ctx.font = '28px serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(upg.icon, cx, cy - 30);
+    ctx.fillStyle = '#e8f4ff';
+    ctx.font = 'bold 14px "Courier New"';
+    ctx.fillText(upg.name, cx, cy);
+    ctx.fillStyle = 'rgba(180,230,180,0.8)';
+    ctx.font = '11px "Courier New"';
+    const descLines = wrapText(upg.desc, 20);
+    descLines.forEach((l, li) => ctx.fillText(l, cx, cy + 22 + li * 15));
+  }
+}
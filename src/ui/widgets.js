@@ -0,0 +1,427 @@
+// ============================================================
+// widgets.js - Canvas UI toolkit: buttons, toggles, sliders, cards, lists
+// ============================================================
+
+import { clamp } from '../utils.js';
+
+/** Codes each UI action answers to, for keyboard and gamepad */
+export const UI_KEYS = {
+  up: ['ArrowUp', 'PadUp'],
+  down: ['ArrowDown', 'PadDown'],
+  left: ['ArrowLeft', 'PadLeft'],
+  right: ['ArrowRight', 'PadRight'],
+  confirm: ['Enter', 'Space', 'PadA'],
+  back: ['Escape', 'Backspace', 'PadB'],
+};
+
+// WASD also navigates on screens whose letter keys aren't shortcuts
+const WASD_KEYS = { up: 'KeyW', down: 'KeyS', left: 'KeyA', right: 'KeyD' };
+
+const DOUBLE_CLICK_MS = 400;
+const FOCUS_COLOR = '#74b9ff';
+
+/** Resolve a value that may be given as a function (labels that change) */
+function resolve(v) {
+  return typeof v === 'function' ? v() : v;
+}
+
+/**
+ * Base widget: a rectangle that can be focused, hovered and activated.
+ * Positions are canvas coordinates; the layout that owns a widget does
+ * hit-testing, focus and hover, the widget only draws and reacts.
+ */
+export class Widget {
+  constructor({ x, y, w, h, onActivate = null, enabled = true, focusable = true, doubleClick = false }) {
+    this.x = x;
+    this.y = y;
+    this.w = w;
+    this.h = h;
+    this.onActivate = onActivate;
+    this.enabled = enabled;
+    this.focusable = focusable; // false: click target only, skipped by key navigation
+    this.doubleClick = doubleClick; // a single click only focuses it
+  }
+
+  contains(px, py) {
+    return px >= this.x && px <= this.x + this.w && py >= this.y && py <= this.y + this.h;
+  }
+
+  /** Confirm key, or a click (double click when doubleClick is set) */
+  activate() {
+    if (this.enabled && this.onActivate) this.onActivate(this);
+  }
+
+  /** A click that lands on the widget; px/py for widgets that care where */
+  clickAt(px, py) {
+    this.activate();
+  }
+
+  /** Left/right (dir -1/1) while focused. Returns true if used */
+  adjust(dir) {
+    return false;
+  }
+
+  /** Up/down (dir -1/1) inside the widget, e.g. list rows. Returns true if used */
+  move(dir) {
+    return false;
+  }
+
+  /** Pointer position while hovered, null once it leaves */
+  hoverAt(px, py) {}
+
+  /** state: { focused, hovered } */
+  draw(ctx, state) {}
+
+  /** The shared box behind buttons and toggles */
+  _drawBox(ctx, state, fill = 'rgba(0,0,0,0.4)', radius = 8) {
+    ctx.save();
+    ctx.globalAlpha = this.enabled ? 1 : 0.4;
+    ctx.fillStyle = fill;
+    ctx.beginPath();
+    ctx.roundRect(this.x, this.y, this.w, this.h, radius);
+    ctx.fill();
+    if (state.hovered) {
+      ctx.fillStyle = 'rgba(255,255,255,0.08)';
+      ctx.fill();
+    }
+    if (state.focused) {
+      ctx.strokeStyle = FOCUS_COLOR;
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+}
+
+/** Clickable box with a centred label */
+export class Button extends Widget {
+  /** label: text or () => text; color: fill (defaults to a dark box) */
+  constructor({ label, color = null, textColor = null, font = '18px "Courier New"', ...rect }) {
+    super(rect);
+    this.label = label;
+    this.color = color;
+    this.textColor = textColor;
+    this.font = font;
+  }
+
+  draw(ctx, state) {
+    this._drawBox(ctx, state, resolve(this.color) || 'rgba(0,0,0,0.4)');
+    ctx.save();
+    ctx.globalAlpha = this.enabled ? 1 : 0.4;
+    ctx.fillStyle = this.textColor || (state.focused || state.hovered ? '#e8f4ff' : 'rgba(150,210,255,0.9)');
+    ctx.font = this.font;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(resolve(this.label), this.x + this.w / 2, this.y + this.h / 2 + 1);
+    ctx.restore();
+  }
+}
+
+/** On/off setting: get() reads it, set(value) writes it */
+export class Toggle extends Widget {
+  constructor({ label, get, set, hint = '', font = '13px "Courier New"', ...rect }) {
+    super({ ...rect, onActivate: () => set(!get()) });
+    this.label = label;
+    this.get = get;
+    this.set = set;
+    this.hint = hint; // keyboard shortcut shown after the value
+    this.font = font;
+  }
+
+  adjust(dir) {
+    this.set(dir > 0);
+    return true;
+  }
+
+  draw(ctx, state) {
+    this._drawBox(ctx, state);
+    const on = this.get();
+    ctx.save();
+    ctx.font = this.font;
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = 'rgba(200,230,255,0.9)';
+    ctx.fillText(resolve(this.label), this.x + 14, this.y + this.h / 2 + 1);
+    ctx.textAlign = 'right';
+    ctx.fillStyle = on ? '#2ecc71' : 'rgba(255,150,150,0.8)';
+    ctx.fillText(`${on ? 'ON ✓' : 'OFF ✗'}${this.hint ? `  [${this.hint}]` : ''}`, this.x + this.w - 14, this.y + this.h / 2 + 1);
+    ctx.restore();
+  }
+}
+
+/** Number in [min, max]: left/right steps it, clicking the track sets it */
+export class Slider extends Widget {
+  constructor({ label, get, set, min = 0, max = 1, step = 0.1, format = null, ...rect }) {
+    super(rect);
+    this.label = label;
+    this.get = get;
+    this.set = set;
+    this.min = min;
+    this.max = max;
+    this.step = step;
+    this.format = format || ((v) => `${Math.round(((v - min) / (max - min)) * 100)}%`);
+  }
+
+  get trackX() {
+    return this.x + this.w * 0.45;
+  }
+
+  get trackW() {
+    return this.w * 0.55 - 70;
+  }
+
+  _setValue(v) {
+    const stepped = Math.round((v - this.min) / this.step) * this.step + this.min;
+    this.set(clamp(Number(stepped.toFixed(6)), this.min, this.max));
+  }
+
+  adjust(dir) {
+    this._setValue(this.get() + dir * this.step);
+    return true;
+  }
+
+  clickAt(px) {
+    const t = clamp((px - this.trackX) / this.trackW, 0, 1);
+    this._setValue(this.min + t * (this.max - this.min));
+  }
+
+  draw(ctx, state) {
+    this._drawBox(ctx, state);
+    const t = (this.get() - this.min) / (this.max - this.min);
+    const cy = this.y + this.h / 2;
+    ctx.save();
+    ctx.font = '13px "Courier New"';
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = 'rgba(200,230,255,0.9)';
+    ctx.fillText(resolve(this.label), this.x + 14, cy + 1);
+
+    ctx.fillStyle = 'rgba(255,255,255,0.2)';
+    ctx.beginPath();
+    ctx.roundRect(this.trackX, cy - 3, this.trackW, 6, 3);
+    ctx.fill();
+    ctx.fillStyle = FOCUS_COLOR;
+    ctx.beginPath();
+    ctx.roundRect(this.trackX, cy - 3, Math.max(6, this.trackW * t), 6, 3);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.arc(this.trackX + this.trackW * t, cy, state.focused || state.hovered ? 8 : 6, 0, Math.PI * 2);
+    ctx.fillStyle = '#e8f4ff';
+    ctx.fill();
+
+    ctx.textAlign = 'right';
+    ctx.fillStyle = 'rgba(200,230,255,0.9)';
+    ctx.fillText(this.format(this.get()), this.x + this.w - 14, cy + 1);
+    ctx.restore();
+  }
+}
+
+/**
+ * Selectable panel whose contents are drawn by the screen. Focus is the
+ * selection; activating (confirm key or double click) picks it.
+ */
+export class Card extends Widget {
+  /** drawContent(ctx, card, state) draws inside x/y/w/h */
+  constructor({ drawContent, accent = FOCUS_COLOR, lift = 8, ...rect }) {
+    super({ doubleClick: true, ...rect });
+    this.drawContent = drawContent;
+    this.accent = accent;
+    this.lift = lift; // how far the focused card rises
+  }
+
+  draw(ctx, state) {
+    const accent = resolve(this.accent);
+    ctx.save();
+    if (state.focused) {
+      ctx.shadowBlur = 15;
+      ctx.shadowColor = accent;
+      ctx.translate(0, -this.lift);
+    }
+    ctx.fillStyle = state.focused ? 'rgba(255,255,255,0.12)' : (state.hovered ? 'rgba(255,255,255,0.08)' : 'rgba(255,255,255,0.05)');
+    ctx.strokeStyle = state.focused ? accent : 'rgba(255,255,255,0.2)';
+    ctx.lineWidth = state.focused ? 2 : 1;
+    ctx.beginPath();
+    ctx.roundRect(this.x, this.y, this.w, this.h, 12);
+    ctx.fill();
+    ctx.stroke();
+    ctx.shadowBlur = 0;
+    this.drawContent(ctx, this, state);
+    ctx.restore();
+  }
+}
+
+/**
+ * Vertical list of rows with its own selection. Up/down move the
+ * selection until it reaches an end, then focus leaves the list.
+ */
+export class List extends Widget {
+  /**
+   * items: () => array; drawRow(ctx, item, i, row, { selected, hovered })
+   * with row = { x, y, w, h }; onActivate(list) fires for the selected row
+   */
+  constructor({ items, drawRow, rowHeight = 40, rowGap = 8, ...rect }) {
+    super(rect);
+    this.items = items;
+    this.drawRow = drawRow;
+    this.rowHeight = rowHeight;
+    this.rowGap = rowGap;
+    this.selected = 0;
+    this.hoverRow = -1;
+  }
+
+  get selectedItem() {
+    return this.items()[this.selected] || null;
+  }
+
+  /** Keep the selection on an existing row after items change */
+  clampSelection() {
+    this.selected = clamp(this.selected, 0, Math.max(0, this.items().length - 1));
+  }
+
+  rowAt(py) {
+    const i = Math.floor((py - this.y) / (this.rowHeight + this.rowGap));
+    const inRow = (py - this.y) - i * (this.rowHeight + this.rowGap) <= this.rowHeight;
+    return i >= 0 && i < this.items().length && inRow ? i : -1;
+  }
+
+  move(dir) {
+    const next = this.selected + dir;
+    if (next < 0 || next >= this.items().length) return false;
+    this.selected = next;
+    return true;
+  }
+
+  hoverAt(px, py) {
+    this.hoverRow = py === null ? -1 : this.rowAt(py);
+  }
+
+  /** First click on a row selects it, clicking the selected row activates it */
+  clickAt(px, py) {
+    const i = this.rowAt(py);
+    if (i < 0) return;
+    if (i === this.selected) this.activate();
+    else this.selected = i;
+  }
+
+  draw(ctx, state) {
+    this.items().forEach((item, i) => {
+      const row = { x: this.x, y: this.y + i * (this.rowHeight + this.rowGap), w: this.w, h: this.rowHeight };
+      const selected = i === this.selected;
+      ctx.save();
+      ctx.fillStyle = selected ? 'rgba(116,185,255,0.15)' : (i === this.hoverRow ? 'rgba(255,255,255,0.09)' : 'rgba(255,255,255,0.05)');
+      ctx.strokeStyle = selected ? FOCUS_COLOR : 'rgba(255,255,255,0.1)';
+      ctx.lineWidth = selected && state.focused ? 2 : 1;
+      ctx.beginPath();
+      ctx.roundRect(row.x, row.y, row.w, row.h, 6);
+      ctx.fill();
+      ctx.stroke();
+      ctx.restore();
+      this.drawRow(ctx, item, i, row, { selected, hovered: i === this.hoverRow });
+    });
+  }
+}
+
+/**
+ * A screen's widgets, defined once: draws them, routes clicks and hover,
+ * and moves focus with the keyboard or a gamepad. axis is the direction
+ * focus travels in ('vertical' or 'horizontal'); the other one adjusts
+ * the focused widget (sliders, toggles).
+ */
+export class UILayout {
+  /** wasd: W/A/S/D navigate too (leave off where letters are shortcuts) */
+  constructor({ axis = 'vertical', wasd = false, widgets = [] } = {}) {
+    this.axis = axis;
+    this.keys = {};
+    for (const dir in WASD_KEYS) {
+      this.keys[dir] = wasd ? [...UI_KEYS[dir], WASD_KEYS[dir]] : UI_KEYS[dir];
+    }
+    this.widgets = [];
+    this.focusIdx = 0;
+    this.hovered = null;
+    this._lastClick = { widget: null, time: 0 };
+    widgets.forEach(w => this.add(w));
+  }
+
+  add(widget) {
+    this.widgets.push(widget);
+    if (!this.focused && widget.focusable) this.focusIdx = this.widgets.length - 1;
+    return widget;
+  }
+
+  get focused() {
+    const w = this.widgets[this.focusIdx];
+    return w && w.focusable ? w : null;
+  }
+
+  focus(widget) {
+    const idx = this.widgets.indexOf(widget);
+    if (idx >= 0 && widget.focusable) this.focusIdx = idx;
+  }
+
+  /** Move focus by dir, skipping disabled widgets; stops at the ends */
+  moveFocus(dir) {
+    for (let i = this.focusIdx + dir; i >= 0 && i < this.widgets.length; i += dir) {
+      if (this.widgets[i].enabled && this.widgets[i].focusable) {
+        this.focusIdx = i;
+        return;
+      }
+    }
+  }
+
+  widgetAt(px, py) {
+    return this.widgets.find(w => w.enabled && w.contains(px, py)) || null;
+  }
+
+  /** Navigation and confirm for this tick. Returns true if a key was used */
+  handleInput(input) {
+    const vertical = this.axis === 'vertical';
+    const prev = vertical ? this.keys.up : this.keys.left;
+    const next = vertical ? this.keys.down : this.keys.right;
+    const focused = this.focused;
+
+    for (const [keys, dir] of [[prev, -1], [next, 1]]) {
+      if (!input.anyPressed(...keys)) continue;
+      if (!(focused && focused.move(dir))) this.moveFocus(dir);
+      return true;
+    }
+    if (vertical && focused) {
+      if (input.anyPressed(...this.keys.left)) return focused.adjust(-1);
+      if (input.anyPressed(...this.keys.right)) return focused.adjust(1);
+    }
+    if (focused && input.anyPressed(...UI_KEYS.confirm)) {
+      focused.activate();
+      return true;
+    }
+    return false;
+  }
+
+  pointerMove(px, py) {
+    const hovered = this.widgetAt(px, py);
+    if (this.hovered && this.hovered !== hovered) this.hovered.hoverAt(null, null);
+    this.hovered = hovered;
+    if (hovered) hovered.hoverAt(px, py);
+  }
+
+  /** Click / tap: focuses the widget under it and lets it react */
+  click(px, py) {
+    const widget = this.widgetAt(px, py);
+    if (!widget) return false;
+    const now = Date.now();
+    const repeat = this._lastClick.widget === widget && now - this._lastClick.time <= DOUBLE_CLICK_MS;
+    this._lastClick = { widget: repeat ? null : widget, time: now };
+    this.focus(widget);
+    if (!widget.doubleClick) {
+      widget.clickAt(px, py);
+    } else if (repeat) {
+      widget.activate();
+    }
+    return true;
+  }
+
+  draw(ctx) {
+    const focused = this.focused;
+    for (const w of this.widgets) {
+      w.draw(ctx, { focused: w === focused, hovered: w === this.hovered });
+    }
+  }
+}
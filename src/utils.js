@@ -8,6 +8,27 @@
 export class SeededRNG {
   constructor(seed) {
     this.seed = seed >>> 0;
+    this.initialSeed = this.seed;
+  }
+
+  /**
+   * Independent sub-stream derived from this generator's initial seed.
+   * Draws from one stream never shift another, so cosmetic randomness
+   * can't change gameplay.
+   */
+  fork(label) {
+    return new SeededRNG(deriveSeed(this.initialSeed, label));
+  }
+
+  /** [initial seed, current state]: enough to carry on the stream elsewhere */
+  serialize() {
+    return [this.initialSeed, this.seed];
+  }
+
+  static deserialize([initialSeed, seed]) {
+    const rng = new SeededRNG(initialSeed);
+    rng.seed = seed;
+    return rng;
   }
 
   next() {
@@ -40,6 +61,16 @@ export class SeededRNG {
   }
 }
 
+/** Hash a label into a base seed (FNV-1a) */
+export function deriveSeed(seed, label) {
+  let h = (0x811c9dc5 ^ seed) >>> 0;
+  for (let i = 0; i < label.length; i++) {
+    h ^= label.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
 /** Get today's date seed */
 export function getDailySeed() {
   const d = new Date();
@@ -82,23 +113,109 @@ export function formatTime(ms) {
   return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
 }
 
-/** Save to localStorage safely */
-export function saveData(key, value) {
+/** Split text into lines of at most ~maxLen characters on word boundaries */
+export function wrapText(text, maxLen) {
+  const words = text.split(' ');
+  const lines = [];
+  let cur = '';
+  for (const w of words) {
+    if ((cur + w).length > maxLen) {
+      if (cur) lines.push(cur.trim());
+      cur = w + ' ';
+    } else {
+      cur += w + ' ';
+    }
+  }
+  if (cur.trim()) lines.push(cur.trim());
+  return lines;
+}
+
+// Where the storage helpers keep things: localStorage in the browser, an
+// in-memory store when there is none (Node), or whatever setStorage injects.
+let storage = null;
+
+/** Key/value store with the getItem/setItem/removeItem subset of Storage */
+export function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); },
+    removeItem: (key) => { items.delete(key); },
+  };
+}
+
+/** Swap the storage backend (e.g. a memory store for headless runs) */
+export function setStorage(adapter) {
+  storage = adapter;
+}
+
+function getStorage() {
+  if (!storage) {
+    storage = typeof localStorage !== 'undefined' ? localStorage : createMemoryStorage();
+  }
+  return storage;
+}
+
+/** Raw string stored under key, or null */
+export function readStorage(key) {
   try {
-    localStorage.setItem('snow_owl_' + key, JSON.stringify(value));
-  } catch (e) {}
+    return getStorage().getItem('snow_owl_' + key);
+  } catch (e) {
+    return null;
+  }
 }
 
-/** Load from localStorage safely */
-export function loadData(key, defaultValue = null) {
+/** Store a raw string; false if storage refused it (full, disabled) */
+export function writeStorage(key, text) {
   try {
-    const v = localStorage.getItem('snow_owl_' + key);
-    return v !== null ? JSON.parse(v) : defaultValue;
+    getStorage().setItem('snow_owl_' + key, text);
+    return true;
   } catch (e) {
-    return defaultValue;
+    return false;
   }
 }
 
+export function removeStorage(key) {
+  try {
+    getStorage().removeItem('snow_owl_' + key);
+  } catch (e) {}
+}
+
+/** Offer text as a file download (browser only) */
+export function downloadText(filename, text, type = 'application/json') {
+  if (typeof document === 'undefined') return;
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+/** Let the player pick a text file; resolves to its contents or null */
+export function pickTextFile(accept = '.json,application/json') {
+  if (typeof document === 'undefined') return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const inputEl = document.createElement('input');
+    inputEl.type = 'file';
+    inputEl.accept = accept;
+    inputEl.addEventListener('change', () => {
+      const file = inputEl.files && inputEl.files[0];
+      if (!file) { resolve(null); return; }
+      file.text().then(resolve, () => resolve(null));
+    });
+    inputEl.click();
+  });
+}
+
+/** Ask for a line of text (browser only); null if cancelled or unavailable */
+export function promptText(message, defaultValue = '') {
+  if (typeof window === 'undefined' || !window.prompt) return null;
+  return window.prompt(message, defaultValue);
+}
+
 /** HSL to hex */
 export function hsl(h, s, l) {
   return `hsl(${h},${s}%,${l}%)`;